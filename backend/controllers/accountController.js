@@ -0,0 +1,120 @@
+import Account from '../models/Account.js';
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+
+// Fields that can be changed through the API (code is the identity of the account)
+const UPDATABLE_FIELDS = ['name', 'contactEmail', 'active'];
+
+/**
+ * List accounts
+ * @returns {Promise<Array>} Accounts sorted by code
+ */
+export const listAccounts = async () => {
+  return Account.find({}).sort({ code: 1 }).lean();
+};
+
+/**
+ * Get a single account
+ * @param {string} identifier - Account ID or code
+ * @returns {Promise<Object>} Account
+ */
+export const getAccount = async (identifier) => {
+  const account = await findAccount(identifier);
+
+  if (!account) {
+    throw new Error('Account not found');
+  }
+
+  return account;
+};
+
+/**
+ * Create an account
+ * @param {Object} accountData - code, name, contactEmail (optional)
+ * @returns {Promise<Object>} Created account
+ */
+export const createAccount = async (accountData) => {
+  const code = (accountData.code || '').toUpperCase().trim();
+
+  if (!/^[A-Z0-9]{2,12}$/.test(code) || !accountData.name) {
+    throw new Error('Invalid account: code (2-12 letters or digits) and name are required');
+  }
+  if (await Account.exists({ code })) {
+    throw new Error(`Account already exists: ${code}`);
+  }
+
+  const account = await Account.create({
+    code: code,
+    name: accountData.name,
+    contactEmail: accountData.contactEmail,
+  });
+
+  logger.info('Account created', { accountId: account._id.toString(), code: account.code });
+
+  return account;
+};
+
+/**
+ * Update an account; deactivating it locks its users out and stops new bookings
+ * @param {string} identifier - Account ID or code
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated account
+ */
+export const updateAccount = async (identifier, updates) => {
+  const account = await findAccount(identifier);
+  if (!account) {
+    throw new Error('Account not found');
+  }
+
+  const changes = {};
+  for (const field of UPDATABLE_FIELDS) {
+    if (updates[field] !== undefined) {
+      changes[field] = updates[field];
+    }
+  }
+
+  const updated = await Account.findByIdAndUpdate(
+    account._id,
+    { $set: changes },
+    {
+      new: true, // Return updated document
+      runValidators: true,
+    }
+  );
+
+  logger.info('Account updated', { accountId: updated._id.toString(), changes: Object.keys(changes) });
+
+  return updated;
+};
+
+/**
+ * Check that an account exists and can still do business
+ * @param {string} accountId - Account ID
+ * @returns {Promise<Object>} Account
+ * @throws {Error} 'Invalid account: ...' when it is unknown or deactivated
+ */
+export const requireActiveAccount = async (accountId) => {
+  const account = mongoose.Types.ObjectId.isValid(accountId)
+    ? await Account.findById(accountId).lean()
+    : null;
+
+  if (!account) {
+    throw new Error(`Invalid account: ${accountId} does not exist`);
+  }
+  if (!account.active) {
+    throw new Error(`Invalid account: ${account.code} is deactivated`);
+  }
+
+  return account;
+};
+
+/**
+ * Find an account by ID or code
+ */
+const findAccount = async (identifier) => {
+  if (mongoose.Types.ObjectId.isValid(identifier)) {
+    const byId = await Account.findById(identifier).lean();
+    if (byId) return byId;
+  }
+  return Account.findOne({ code: String(identifier).toUpperCase().trim() }).lean();
+};
@@ -0,0 +1,161 @@
+import AircraftType from '../models/AircraftType.js';
+import logger from '../utils/logger.js';
+import { normalizeHandlingCodes } from '../utils/specialHandling.js';
+
+// Fields that can be changed through the API (code is the identity of the aircraft type)
+const UPDATABLE_FIELDS = ['name', 'category', 'refusedHandlingCodes'];
+
+/**
+ * List aircraft types
+ * @returns {Promise<Array>} Aircraft types sorted by code
+ */
+export const listAircraftTypes = async () => {
+  return AircraftType.find({}).sort({ code: 1 }).lean();
+};
+
+/**
+ * Get a single aircraft type by code
+ * @param {string} code - IATA aircraft type code
+ * @returns {Promise<Object>} Aircraft type
+ */
+export const getAircraftType = async (code) => {
+  const aircraftType = await AircraftType.findOne({ code: code.toUpperCase().trim() }).lean();
+
+  if (!aircraftType) {
+    throw new Error('Aircraft type not found');
+  }
+
+  return aircraftType;
+};
+
+/**
+ * Create an aircraft type
+ * @param {Object} aircraftTypeData - code, name, category, refusedHandlingCodes
+ * @returns {Promise<Object>} Created aircraft type
+ */
+export const createAircraftType = async (aircraftTypeData) => {
+  const code = (aircraftTypeData.code || '').toUpperCase().trim();
+
+  const existing = await AircraftType.findOne({ code }).lean();
+  if (existing) {
+    throw new Error(`Aircraft type already exists: ${code}`);
+  }
+
+  const aircraftType = await AircraftType.create({
+    ...aircraftTypeData,
+    code,
+    refusedHandlingCodes: normalizeHandlingCodes(aircraftTypeData.refusedHandlingCodes),
+  });
+
+  logger.info('Aircraft type created', { code: aircraftType.code });
+
+  return aircraftType;
+};
+
+/**
+ * Update an aircraft type
+ * @param {string} code - IATA aircraft type code
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated aircraft type
+ */
+export const updateAircraftType = async (code, updates) => {
+  const changes = {};
+  for (const field of UPDATABLE_FIELDS) {
+    if (updates[field] !== undefined) {
+      changes[field] = updates[field];
+    }
+  }
+  if (changes.refusedHandlingCodes !== undefined) {
+    changes.refusedHandlingCodes = normalizeHandlingCodes(changes.refusedHandlingCodes);
+  }
+
+  const aircraftType = await AircraftType.findOneAndUpdate(
+    { code: code.toUpperCase().trim() },
+    { $set: changes },
+    {
+      new: true, // Return updated document
+      runValidators: true,
+    }
+  );
+
+  if (!aircraftType) {
+    throw new Error('Aircraft type not found');
+  }
+
+  logger.info('Aircraft type updated', { code: aircraftType.code, fields: Object.keys(changes) });
+
+  return aircraftType;
+};
+
+/**
+ * Delete an aircraft type
+ * Flights keep their aircraftType code; they simply lose the type-level restrictions
+ * @param {string} code - IATA aircraft type code
+ * @returns {Promise<Object>} Deleted aircraft type
+ */
+export const deleteAircraftType = async (code) => {
+  const aircraftType = await AircraftType.findOneAndDelete({ code: code.toUpperCase().trim() }).lean();
+
+  if (!aircraftType) {
+    throw new Error('Aircraft type not found');
+  }
+
+  logger.info('Aircraft type deleted', { code: aircraftType.code });
+
+  return aircraftType;
+};
+
+/**
+ * Find flights that refuse any of a shipment's special handling codes
+ * A flight refuses a code when the flight itself or its aircraft type lists it
+ * @param {Array} flights - Flights (documents or formatted route flights with id/_id,
+ *   flightNumber, aircraftType, refusedHandlingCodes)
+ * @param {Array} handlingCodes - Normalised special handling codes of the shipment
+ * @returns {Promise<Map>} flightId -> { flightId, flightNumber, refusedCodes, reason }
+ */
+export const getHandlingConflicts = async (flights, handlingCodes) => {
+  const conflicts = new Map();
+  if (!handlingCodes || handlingCodes.length === 0 || flights.length === 0) {
+    return conflicts;
+  }
+
+  const typeCodes = [...new Set(flights.map(flight => flight.aircraftType).filter(Boolean))];
+  const aircraftTypes = typeCodes.length > 0
+    ? await AircraftType.find({ code: { $in: typeCodes } }).lean()
+    : [];
+  const typesByCode = new Map(aircraftTypes.map(type => [type.code, type]));
+
+  for (const flight of flights) {
+    const flightId = (flight.id || flight._id).toString();
+    if (conflicts.has(flightId)) {
+      continue;
+    }
+
+    const flightRefused = handlingCodes.filter(code => (flight.refusedHandlingCodes || []).includes(code));
+    const aircraftType = typesByCode.get(flight.aircraftType);
+    const typeRefused = aircraftType
+      ? handlingCodes.filter(code => aircraftType.refusedHandlingCodes.includes(code))
+      : [];
+
+    if (flightRefused.length === 0 && typeRefused.length === 0) {
+      continue;
+    }
+
+    const reasons = [];
+    if (flightRefused.length > 0) {
+      reasons.push(`flight does not accept ${flightRefused.join(', ')}`);
+    }
+    if (typeRefused.length > 0) {
+      reasons.push(`aircraft type ${aircraftType.code} (${aircraftType.name}) does not accept ${typeRefused.join(', ')}`);
+    }
+
+    conflicts.set(flightId, {
+      flightId: flightId,
+      flightNumber: flight.flightNumber,
+      refusedCodes: [...new Set([...flightRefused, ...typeRefused])].sort(),
+      reason: `${flight.flightNumber}: ${reasons.join('; ')}`,
+    });
+  }
+
+  return conflicts;
+};
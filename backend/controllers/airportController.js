@@ -0,0 +1,246 @@
+import Airport from '../models/Airport.js';
+import Flight from '../models/Flight.js';
+import logger from '../utils/logger.js';
+
+// Maximum edit distance for an airport code to be suggested as a close match
+const MAX_SUGGESTION_DISTANCE = 2;
+
+// Maximum number of suggestions returned for an unknown station
+const MAX_SUGGESTIONS = 5;
+
+// Fields that can be changed through the API (iataCode is the identity of the airport)
+const UPDATABLE_FIELDS = ['name', 'city', 'country', 'timeZone', 'coordinates', 'active'];
+
+/**
+ * List airports
+ * @param {Object} filters - Optional filters (country, active)
+ * @returns {Promise<Array>} Airports sorted by IATA code
+ */
+export const listAirports = async (filters = {}) => {
+  const query = {};
+  if (filters.country) {
+    query.country = new RegExp(`^${escapeRegex(filters.country.trim())}$`, 'i');
+  }
+  if (filters.active !== undefined) {
+    query.active = filters.active;
+  }
+
+  return Airport.find(query).sort({ iataCode: 1 }).lean();
+};
+
+/**
+ * Search airports by code, city or name
+ * Exact code matches rank first, then code prefixes, then city/name matches
+ * @param {string} term - Search term
+ * @param {number} limit - Maximum number of results
+ * @returns {Promise<Array>} Matching airports
+ */
+export const searchAirports = async (term, limit = 10) => {
+  const normalizedTerm = term.trim();
+  if (!normalizedTerm) {
+    return [];
+  }
+
+  const pattern = new RegExp(escapeRegex(normalizedTerm), 'i');
+  const airports = await Airport.find({
+    $or: [
+      { iataCode: new RegExp(`^${escapeRegex(normalizedTerm.toUpperCase())}`) },
+      { city: pattern },
+      { name: pattern },
+    ],
+  }).lean();
+
+  const upperTerm = normalizedTerm.toUpperCase();
+  const rank = (airport) => {
+    if (airport.iataCode === upperTerm) return 0;
+    if (airport.iataCode.startsWith(upperTerm)) return 1;
+    if (airport.city.toUpperCase().startsWith(upperTerm)) return 2;
+    return 3;
+  };
+
+  return airports
+    .sort((a, b) => rank(a) - rank(b) || a.iataCode.localeCompare(b.iataCode))
+    .slice(0, limit);
+};
+
+/**
+ * Get a single airport by IATA code
+ * @param {string} iataCode - Airport code
+ * @returns {Promise<Object>} Airport
+ */
+export const getAirport = async (iataCode) => {
+  const airport = await Airport.findOne({ iataCode: iataCode.toUpperCase().trim() }).lean();
+
+  if (!airport) {
+    throw new Error('Airport not found');
+  }
+
+  return airport;
+};
+
+/**
+ * Create an airport
+ * @param {Object} airportData - Airport data (iataCode, name, city, country, timeZone, coordinates, active)
+ * @returns {Promise<Object>} Created airport
+ */
+export const createAirport = async (airportData) => {
+  const iataCode = (airportData.iataCode || '').toUpperCase().trim();
+
+  const existing = await Airport.findOne({ iataCode }).lean();
+  if (existing) {
+    throw new Error(`Airport already exists: ${iataCode}`);
+  }
+
+  const airport = await Airport.create({ ...airportData, iataCode });
+
+  logger.info('Airport created', { iataCode: airport.iataCode });
+
+  return airport;
+};
+
+/**
+ * Update an airport
+ * @param {string} iataCode - Airport code
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated airport
+ */
+export const updateAirport = async (iataCode, updates) => {
+  const changes = {};
+  for (const field of UPDATABLE_FIELDS) {
+    if (updates[field] !== undefined) {
+      changes[field] = updates[field];
+    }
+  }
+
+  const airport = await Airport.findOneAndUpdate(
+    { iataCode: iataCode.toUpperCase().trim() },
+    { $set: changes },
+    {
+      new: true, // Return updated document
+      runValidators: true,
+    }
+  );
+
+  if (!airport) {
+    throw new Error('Airport not found');
+  }
+
+  logger.info('Airport updated', { iataCode: airport.iataCode, fields: Object.keys(changes) });
+
+  return airport;
+};
+
+/**
+ * Delete an airport
+ * Airports still served by flights cannot be deleted; deactivate them instead
+ * @param {string} iataCode - Airport code
+ * @returns {Promise<Object>} Deleted airport
+ */
+export const deleteAirport = async (iataCode) => {
+  const code = iataCode.toUpperCase().trim();
+
+  const flightCount = await Flight.countDocuments({
+    $or: [{ origin: code }, { destination: code }],
+  });
+  if (flightCount > 0) {
+    throw new Error(`Cannot delete airport ${code}: it is used by ${flightCount} flight(s). Deactivate it instead.`);
+  }
+
+  const airport = await Airport.findOneAndDelete({ iataCode: code });
+
+  if (!airport) {
+    throw new Error('Airport not found');
+  }
+
+  logger.info('Airport deleted', { iataCode: airport.iataCode });
+
+  return airport;
+};
+
+/**
+ * Validate that station codes exist in the registry and are active
+ * @param {Object} stations - Map of field name to airport code, e.g. { origin: 'DEL', destination: 'BOM' }
+ * @throws {Error} 'Invalid station ...' with a details array (field, code, reason, suggestions)
+ */
+export const validateStations = async (stations) => {
+  const entries = Object.entries(stations).map(([field, code]) => [field, code.toUpperCase().trim()]);
+
+  const airports = await Airport.find({
+    iataCode: { $in: entries.map(([, code]) => code) },
+  }).select('iataCode active').lean();
+  const airportsByCode = new Map(airports.map(airport => [airport.iataCode, airport]));
+
+  const details = [];
+  for (const [field, code] of entries) {
+    const airport = airportsByCode.get(code);
+
+    if (!airport) {
+      details.push({ field, code, reason: 'unknown', suggestions: await suggestAirports(code) });
+    } else if (!airport.active) {
+      details.push({ field, code, reason: 'inactive', suggestions: [] });
+    }
+  }
+
+  if (details.length > 0) {
+    const summary = details
+      .map(detail => `${detail.field} ${detail.code} is ${detail.reason}` +
+        (detail.suggestions.length > 0 ? ` (did you mean ${detail.suggestions.join(', ')}?)` : ''))
+      .join('; ');
+
+    const error = new Error(`Invalid station: ${summary}`);
+    error.details = details;
+    throw error;
+  }
+};
+
+/**
+ * Suggest active airport codes close to an unknown code
+ * Matches codes within a small edit distance (transpositions count as one edit)
+ * and airports whose city starts with the given text
+ */
+const suggestAirports = async (code) => {
+  const airports = await Airport.find({ active: true }).select('iataCode city').lean();
+
+  return airports
+    .map(airport => ({
+      iataCode: airport.iataCode,
+      distance: airport.city.toUpperCase().startsWith(code) && code.length > 2
+        ? 0
+        : editDistance(code, airport.iataCode),
+    }))
+    .filter(candidate => candidate.distance <= MAX_SUGGESTION_DISTANCE)
+    .sort((a, b) => a.distance - b.distance || a.iataCode.localeCompare(b.iataCode))
+    .slice(0, MAX_SUGGESTIONS)
+    .map(candidate => candidate.iataCode);
+};
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+ */
+const editDistance = (a, b) => {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 0; j <= b.length; j++) {
+    d[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1, // Deletion
+        d[i][j - 1] + 1, // Insertion
+        d[i - 1][j - 1] + cost // Substitution
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1); // Transposition
+      }
+    }
+  }
+
+  return d[a.length][b.length];
+};
+
+/**
+ * Escape user input for use inside a regular expression
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
@@ -0,0 +1,195 @@
+import crypto from 'crypto';
+import ApiKey, { API_KEY_SCOPES } from '../models/ApiKey.js';
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { getRateLimitStore } from '../utils/rateLimitStore.js';
+import { requireActiveAccount } from './accountController.js';
+import { RATE_LIMIT_KEY_MAX } from '../middleware/rateLimit.js';
+
+// lastUsedAt is written at most this often per key, not on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Issue an API key for a customer account
+ * The key is only returned here; afterwards only its prefix and a hash are kept.
+ * @param {Object} keyData - accountId, name, scopes[], rateLimit (optional; above RATE_LIMIT_KEY_MAX
+ *   for admins only), expiresAt (optional)
+ * @param {Object} user - User issuing the key
+ * @returns {Promise<Object>} { apiKey, key }
+ */
+export const createApiKey = async (keyData, user) => {
+  const { accountId, name, expiresAt } = keyData;
+  const scopes = [...new Set((keyData.scopes || []).map(scope => String(scope).toLowerCase().trim()))];
+
+  if (!name) {
+    throw new Error('Invalid API key: name is required');
+  }
+  if (scopes.length === 0) {
+    throw new Error(`Invalid API key: give at least one scope of ${API_KEY_SCOPES.join(', ')}`);
+  }
+  const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid API key: unknown scope ${unknown.join(', ')}`);
+  }
+  if (keyData.rateLimit !== undefined && !(parseInt(keyData.rateLimit) >= 1)) {
+    throw new Error('Invalid API key: rateLimit must be a positive integer');
+  }
+  // Customers can lower their key's limit; only admins can raise it above the default
+  if (keyData.rateLimit !== undefined && user.role !== 'ADMIN' && parseInt(keyData.rateLimit) > RATE_LIMIT_KEY_MAX) {
+    throw new Error(`Invalid API key: rateLimit can be at most ${RATE_LIMIT_KEY_MAX} requests per window`);
+  }
+  if (expiresAt !== undefined && !(new Date(expiresAt) > new Date())) {
+    throw new Error('Invalid API key: expiresAt must be a date in the future');
+  }
+  await requireActiveAccount(accountId);
+
+  // ck_<prefix>_<secret>: the prefix identifies the key, the secret makes it unguessable
+  const prefix = `ck_${crypto.randomBytes(4).toString('hex')}`;
+  const key = `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+  const apiKey = await ApiKey.create({
+    accountId: accountId,
+    name: name,
+    prefix: prefix,
+    keyHash: hashKey(key),
+    scopes: scopes,
+    rateLimit: keyData.rateLimit !== undefined ? parseInt(keyData.rateLimit) : undefined,
+    createdBy: user._id,
+    expiresAt: expiresAt !== undefined ? new Date(expiresAt) : undefined,
+  });
+
+  logger.info('API key issued', {
+    apiKeyId: apiKey._id.toString(),
+    prefix: prefix,
+    accountId: accountId.toString(),
+    scopes: scopes,
+  });
+
+  return { apiKey: formatApiKey(apiKey), key: key };
+};
+
+/**
+ * List API keys, newest first
+ * @param {Object} filters - Optional accountId
+ * @returns {Promise<Array>} API keys, without their hashes
+ */
+export const listApiKeys = async (filters = {}) => {
+  const query = {};
+  if (filters.accountId) {
+    query.accountId = filters.accountId;
+  }
+
+  const apiKeys = await ApiKey.find(query).sort({ createdAt: -1 }).lean();
+  return apiKeys.map(formatApiKey);
+};
+
+/**
+ * Revoke an API key; requests with it are refused from then on
+ * @param {string} apiKeyId - API key ID
+ * @param {Object} filters - Optional accountId the key must belong to
+ * @returns {Promise<Object>} Revoked API key
+ */
+export const revokeApiKey = async (apiKeyId, filters = {}) => {
+  const apiKey = await findApiKey(apiKeyId, filters);
+  if (apiKey.revokedAt) {
+    throw new Error('API key already revoked');
+  }
+
+  const revoked = await ApiKey.findOneAndUpdate(
+    { _id: apiKey._id, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  ).lean();
+  if (!revoked) {
+    throw new Error('API key already revoked');
+  }
+
+  logger.info('API key revoked', { apiKeyId: revoked._id.toString(), prefix: revoked.prefix });
+
+  return formatApiKey(revoked);
+};
+
+/**
+ * Request counts of an API key, from the rate limit store
+ * @param {string} apiKeyId - API key ID
+ * @param {Object} filters - Optional accountId the key must belong to
+ * @returns {Promise<Object>} { apiKey, usage: { requests, limited, windowCount, resetAt, lastRequestAt } }
+ */
+export const getApiKeyUsage = async (apiKeyId, filters = {}) => {
+  const apiKey = await findApiKey(apiKeyId, filters);
+  const usage = await getRateLimitStore().getUsage(`key:${apiKey._id}`);
+
+  return {
+    apiKey: formatApiKey(apiKey),
+    usage: usage || { requests: 0, limited: 0, windowCount: 0, resetAt: null, lastRequestAt: null },
+  };
+};
+
+/**
+ * API key a request presents, if it is valid
+ * @param {string} key - Full API key
+ * @returns {Promise<Object>} API key
+ * @throws {Error} 'Invalid API key' when it is unknown, revoked or expired, or its account is deactivated
+ */
+export const authenticateApiKey = async (key) => {
+  const apiKey = key ? await ApiKey.findOne({ keyHash: hashKey(String(key)) }).lean() : null;
+  const now = new Date();
+
+  if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= now)) {
+    throw new Error('Invalid API key');
+  }
+  try {
+    await requireActiveAccount(apiKey.accountId);
+  } catch {
+    throw new Error('Invalid API key');
+  }
+
+  // Coarse last-use time, without a write on every request
+  await ApiKey.updateOne(
+    {
+      _id: apiKey._id,
+      $or: [{ lastUsedAt: null }, { lastUsedAt: { $lt: new Date(now.getTime() - LAST_USED_RESOLUTION_MS) } }],
+    },
+    { $set: { lastUsedAt: now } }
+  );
+
+  return apiKey;
+};
+
+/**
+ * Keys are long random strings, so a fast hash is enough to keep them unusable at rest
+ */
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Find an API key, optionally within one account
+ */
+const findApiKey = async (apiKeyId, filters) => {
+  const apiKey = mongoose.Types.ObjectId.isValid(apiKeyId)
+    ? await ApiKey.findById(apiKeyId).lean()
+    : null;
+
+  // Another account's key answers like a missing one
+  if (!apiKey || (filters.accountId && !apiKey.accountId.equals(filters.accountId))) {
+    throw new Error('API key not found');
+  }
+
+  return apiKey;
+};
+
+/**
+ * API key as returned by the API
+ */
+const formatApiKey = (apiKey) => ({
+  _id: apiKey._id,
+  accountId: apiKey.accountId,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  rateLimit: apiKey.rateLimit,
+  createdBy: apiKey.createdBy,
+  expiresAt: apiKey.expiresAt,
+  revokedAt: apiKey.revokedAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  createdAt: apiKey.createdAt,
+});
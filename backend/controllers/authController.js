@@ -0,0 +1,205 @@
+import User, { USER_ROLES } from '../models/User.js';
+import Account from '../models/Account.js';
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import {
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_SECONDS,
+} from '../utils/auth.js';
+import { createAccount, requireActiveAccount } from './accountController.js';
+
+// Shortest password accepted for an account
+const MIN_PASSWORD_LENGTH = 8;
+
+// Roles that work for a customer account, and carrier roles that see every account
+const ACCOUNT_ROLES = ['SHIPPER'];
+const CARRIER_ROLES = ['STATION_OPS', 'ADMIN'];
+
+/**
+ * Sign up a new customer: creates the account and its first user, a shipper
+ * More users for an account, and other roles, are created by an admin with createUser.
+ * @param {Object} userData - email, name, password, accountCode, accountName
+ * @returns {Promise<Object>} { user, accessToken, refreshToken }
+ */
+export const registerUser = async (userData) => {
+  const { email, name, password, accountCode, accountName } = userData;
+  checkUserFields({ email, name, password });
+  if (await User.exists({ email: email.toLowerCase().trim() })) {
+    throw new Error('Email already registered');
+  }
+
+  const account = await createAccount({ code: accountCode, name: accountName, contactEmail: email });
+  let user;
+  try {
+    user = await createUser({ email, name, password, role: 'SHIPPER', accountId: account._id });
+  } catch (error) {
+    // Do not leave an account without users behind
+    await Account.deleteOne({ _id: account._id });
+    throw error;
+  }
+
+  // A new user has not logged out yet, so their refresh tokens start at version 0
+  return { user: user, ...issueTokens(user) };
+};
+
+/**
+ * Create a user with any role
+ * Shippers belong to a customer account and only see its bookings. Booking agents may belong to
+ * one (a forwarder's agent) or not (a carrier agent who books for any account). Station ops and
+ * admins are carrier staff and see every account.
+ * @param {Object} userData - email, name, password, role, accountId, station (optional home station for station ops)
+ * @returns {Promise<Object>} Created user, without the password hash
+ */
+export const createUser = async (userData) => {
+  const { email, name, password, station, accountId } = userData;
+  const role = (userData.role || 'SHIPPER').toUpperCase().trim();
+
+  checkUserFields({ email, name, password });
+  if (!USER_ROLES.includes(role)) {
+    throw new Error(`Invalid user: unknown role ${userData.role}`);
+  }
+  if (ACCOUNT_ROLES.includes(role) && !accountId) {
+    throw new Error(`Invalid user: ${role} users must belong to an account`);
+  }
+  if (CARRIER_ROLES.includes(role) && accountId) {
+    throw new Error(`Invalid user: ${role} users cannot belong to an account`);
+  }
+  if (accountId) {
+    await requireActiveAccount(accountId);
+  }
+  if (await User.exists({ email: email.toLowerCase().trim() })) {
+    throw new Error('Email already registered');
+  }
+
+  const user = await User.create({
+    email: email,
+    name: name,
+    passwordHash: await hashPassword(String(password)),
+    role: role,
+    accountId: accountId,
+    station: station,
+  });
+
+  logger.info('User created', { userId: user._id.toString(), role: user.role });
+
+  return formatUser(user);
+};
+
+/**
+ * Sign in with email and password
+ * @param {string} email - Account email
+ * @param {string} password - Account password
+ * @returns {Promise<Object>} { user, accessToken, refreshToken }
+ */
+export const login = async (email, password) => {
+  const user = email
+    ? await User.findOne({ email: String(email).toLowerCase().trim() }).select('+passwordHash')
+    : null;
+
+  // The same error for an unknown email, a wrong password and a deactivated user or account
+  if (!user || !(await verifyPassword(String(password || ''), user.passwordHash)) ||
+      !(await findActiveUser(user._id))) {
+    throw new Error('Invalid credentials');
+  }
+
+  logger.info('User logged in', { userId: user._id.toString() });
+
+  return { user: formatUser(user), ...issueTokens(user) };
+};
+
+/**
+ * Swap a refresh token for a new access and refresh token
+ * @param {string} refreshToken - Refresh token from login or an earlier refresh
+ * @returns {Promise<Object>} { user, accessToken, refreshToken }
+ */
+export const refreshTokens = async (refreshToken) => {
+  const claims = verifyToken(refreshToken, 'refresh');
+  const user = await findActiveUser(claims.sub);
+
+  // Logging out bumps the version, which revokes every refresh token issued before
+  if (!user || user.tokenVersion !== claims.ver) {
+    throw new Error('Invalid token');
+  }
+
+  return { user: formatUser(user), ...issueTokens(user) };
+};
+
+/**
+ * Sign out everywhere: refresh tokens already issued stop working
+ * Access tokens stay valid until they expire.
+ * @param {string} userId - User ID
+ */
+export const logout = async (userId) => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  logger.info('User logged out', { userId: userId.toString() });
+};
+
+/**
+ * User an access token was issued to
+ * @param {string} accessToken - Access token
+ * @returns {Promise<Object>} User, without the password hash
+ * @throws {Error} 'Invalid token' or 'Token expired'
+ */
+export const authenticateToken = async (accessToken) => {
+  const claims = verifyToken(accessToken, 'access');
+  const user = await findActiveUser(claims.sub);
+  if (!user) {
+    throw new Error('Invalid token');
+  }
+
+  return formatUser(user);
+};
+
+/**
+ * Find a user that can still sign in: active, and so is their account
+ */
+const findActiveUser = async (userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return null;
+  }
+
+  const user = await User.findOne({ _id: userId, active: true }).lean();
+  if (user && user.accountId && !(await Account.exists({ _id: user.accountId, active: true }))) {
+    return null;
+  }
+  return user;
+};
+
+/**
+ * Check the fields every user needs
+ */
+const checkUserFields = ({ email, name, password }) => {
+  if (!email || !name || !password) {
+    throw new Error('Invalid user: email, name and password are required');
+  }
+  if (String(password).length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Invalid user: password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+};
+
+/**
+ * Access and refresh token for a user
+ */
+const issueTokens = (user) => ({
+  accessToken: signToken({ sub: user._id.toString(), role: user.role, type: 'access' }, ACCESS_TOKEN_TTL_SECONDS),
+  refreshToken: signToken(
+    { sub: user._id.toString(), ver: user.tokenVersion || 0, type: 'refresh' },
+    REFRESH_TOKEN_TTL_SECONDS
+  ),
+});
+
+/**
+ * User as returned by the API
+ */
+const formatUser = (user) => ({
+  _id: user._id,
+  email: user.email,
+  name: user.name,
+  role: user.role,
+  accountId: user.accountId,
+  station: user.station,
+});
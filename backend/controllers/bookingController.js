@@ -1,25 +1,105 @@
 import Booking from '../models/Booking.js';
 import Flight from '../models/Flight.js';
+import Quote from '../models/Quote.js';
 import mongoose from 'mongoose';
 import { logBookingEvent } from '../utils/logger.js';
+import {
+  resolveShipmentVolume,
+  calculateVolumetricWeight,
+  calculateChargeableWeight,
+} from '../utils/chargeableWeight.js';
+import { normalizeHandlingCodes } from '../utils/specialHandling.js';
+import {
+  resolveShipmentParts,
+  getFlightLoads,
+  getPartsAtStation,
+  getMovablePieces,
+  getPieceStatus,
+  rollUpStatus,
+} from '../utils/shipmentParts.js';
+import { getQuote, claimQuote, releaseQuote } from './quoteController.js';
+import { getHandlingConflicts } from './aircraftTypeController.js';
+import { findBrokenConnections } from './routeController.js';
+import { requireActiveAccount } from './accountController.js';
+import { publishBookingEvent } from './webhookController.js';
+import { notifyBookingUpdate } from '../utils/bookingUpdates.js';
+import { normalizeContacts, sendBookingNotifications, getBookingNotifications } from './notificationController.js';
+
+// Fields a booking can be amended on while it is BOOKED
+const AMENDABLE_FIELDS = ['pieces', 'weight_kg', 'volume_m3', 'dimensions', 'flightIds', 'parts', 'special_handling'];
+
+// Default and maximum page size for booking listings
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 200;
 
 /**
  * Create a new booking
- * @param {Object} bookingData - Booking data (origin, destination, pieces, weight_kg, flightIds)
+ * Volume comes from per-piece dimensions or an aggregate volume_m3; chargeable weight is derived from it.
+ * With a quote_id the booking takes its missing fields from the quote and locks in the quoted price;
+ * the quote must still be open and valid, and any fields given must match it.
+ * Flights that refuse any of the special handling codes (directly or through their aircraft type)
+ * are rejected with the reason.
+ * A split shipment gives the pieces per flight in parts; each flight then reserves its share
+ * of the weight and volume. Without parts every flight carries all pieces.
+ * @param {Object} bookingData - Booking data (origin, destination, pieces, weight_kg, volume_m3 or
+ *   dimensions[{ length_cm, width_cm, height_cm, pieces }], flightIds, parts[{ flightId, pieces }],
+ *   quote_id, special_handling, account_id (customer that owns the booking), created_by (user making it),
+ *   contacts[{ role, name, email, phone, locale, channels[], events[] }] (notified of milestones))
  * @returns {Promise<Object>} Created booking
  */
 export const createBooking = async (bookingData) => {
-  const { origin, destination, pieces, weight_kg, flightIds } = bookingData;
+  // Only customers that can still do business may book
+  if (bookingData.account_id) {
+    await requireActiveAccount(bookingData.account_id);
+  }
+
+  const quote = bookingData.quote_id ? await getQuote(bookingData.quote_id) : null;
+  const data = quote ? mergeQuoteIntoBooking(quote, bookingData) : bookingData;
+
+  const { origin, destination, pieces, weight_kg, volume_m3, dimensions, flightIds } = data;
+  const weightKg = parseInt(weight_kg);
+  const shipment = resolveShipmentVolume(pieces, dimensions, volume_m3);
+  const volumeM3 = shipment.volumeM3;
+  const handlingCodes = normalizeHandlingCodes(data.special_handling);
+  const contacts = normalizeContacts(bookingData.contacts);
+
+  if (quote && shipment.volumeM3 !== quote.volume_m3) {
+    throw new Error(`Quote does not match booking: volume_m3 (quoted ${quote.volume_m3}, requested ${shipment.volumeM3})`);
+  }
 
   // Validate flight IDs exist
+  let validFlights = [];
   if (flightIds && flightIds.length > 0) {
-    const validFlights = await Flight.find({
+    validFlights = await Flight.find({
       _id: { $in: flightIds.map(id => new mongoose.Types.ObjectId(id)) }
-    }).lean();
+    }).sort({ departureDateTime: 1 }).lean();
 
     if (validFlights.length !== flightIds.length) {
       throw new Error('One or more flight IDs are invalid');
     }
+
+    // The quoted price is the first carrier's tariff
+    if (quote && validFlights[0].airlineName !== quote.airline_name) {
+      throw new Error(`Quote does not match booking: airline (quoted ${quote.airline_name}, requested ${validFlights[0].airlineName})`);
+    }
+
+    checkFlightsNotCancelled(validFlights);
+    await checkHandlingConflicts(validFlights, handlingCodes);
+  }
+
+  const parts = resolveShipmentParts(pieces, validFlights, data.parts, origin, destination);
+  const flightLoads = getFlightLoads({ pieces: parseInt(pieces), weight_kg: weightKg, volume_m3: volumeM3, parts });
+
+  if (quote) {
+    await claimQuote(quote._id);
+  }
+
+  // Reserve capacity on every flight before the booking exists
+  try {
+    await reserveCapacityOnFlights(flightLoads);
+  } catch (error) {
+    if (quote) await releaseQuote(quote._id);
+    throw error;
   }
 
   // Create booking with initial status BOOKED
@@ -27,13 +107,33 @@ export const createBooking = async (bookingData) => {
     origin: origin.toUpperCase().trim(),
     destination: destination.toUpperCase().trim(),
     pieces: parseInt(pieces),
-    weight_kg: parseInt(weight_kg),
+    weight_kg: weightKg,
+    volume_m3: volumeM3,
+    dimensions: shipment.dimensions.length > 0 ? shipment.dimensions : undefined,
+    special_handling: handlingCodes.length > 0 ? handlingCodes : undefined,
     flightIds: flightIds || [],
+    parts: parts,
     status: 'BOOKED', // Initial status must be BOOKED
+    quote_id: quote ? quote._id : undefined,
+    price: quote ? quote.price.toObject() : undefined,
+    account_id: bookingData.account_id,
+    created_by: bookingData.created_by,
+    contacts: contacts.length > 0 ? contacts : undefined,
   });
 
   // Timeline will be automatically initialized by pre-save hook
-  await booking.save();
+  try {
+    await booking.save();
+  } catch (error) {
+    // Give the capacity (and the quote) back if the booking could not be stored
+    await releaseCapacityOnFlights(flightLoads);
+    if (quote) await releaseQuote(quote._id);
+    throw error;
+  }
+
+  if (quote) {
+    await Quote.updateOne({ _id: quote._id }, { $set: { booking_id: booking._id } });
+  }
 
   // Populate flight details
   await booking.populate('flightIds');
@@ -45,20 +145,32 @@ export const createBooking = async (bookingData) => {
     destination: booking.destination,
     pieces: booking.pieces,
     weight_kg: booking.weight_kg,
+    volume_m3: booking.volume_m3,
+    chargeable_weight_kg: booking.chargeable_weight_kg,
+    special_handling: booking.special_handling || [],
     status: booking.status,
     flightIds: booking.flightIds.map(f => f._id?.toString() || f.toString()),
+    quote_ref_id: quote ? quote.ref_id : null,
+    price_total: booking.price ? booking.price.total : null,
   });
 
+  // Notify the account's webhooks
+  await publishBookingEvent('booking.created', booking);
+
   return booking;
 };
 
 /**
  * Mark a booking as DEPARTED (with distributed lock)
+ * With a flight ID only that leg departs, once its pieces have arrived at the leg's origin.
+ * With pieces, only that many pieces of the leg depart and the booking rolls up to
+ * PARTIALLY_DEPARTED until every piece has left the origin.
  * @param {string} bookingId - Booking ID or ref_id
- * @param {string} flightId - Optional flight ID for timeline event
+ * @param {string} flightId - Optional flight (leg) that departs (required with pieces)
+ * @param {number} pieces - Optional number of pieces departing on the flight
  * @returns {Promise<Object>} Updated booking
  */
-export const departBooking = async (bookingId, flightId = null) => {
+export const departBooking = async (bookingId, flightId = null, pieces = null) => {
   // Find booking by ID or ref_id
   const booking = await findBookingByIdentifier(bookingId);
   
@@ -67,55 +179,46 @@ export const departBooking = async (bookingId, flightId = null) => {
   }
 
   // Use atomic update with distributed lock pattern
-  // Only update if current status allows transition to DEPARTED
-  const validStatusesForDeparture = ['BOOKED'];
+  // Only update if current status allows (more) pieces to depart
+  // A DEPARTED booking can still leave on a connecting flight
+  const validStatusesForDeparture = flightId
+    ? ['BOOKED', 'PARTIALLY_DEPARTED', 'DEPARTED', 'PARTIALLY_ARRIVED']
+    : ['BOOKED', 'PARTIALLY_DEPARTED', 'PARTIALLY_ARRIVED'];
   if (!validStatusesForDeparture.includes(booking.status)) {
     throw new Error(`Cannot depart booking with status: ${booking.status}`);
   }
 
-  // Atomic update using findOneAndUpdate (prevents race conditions)
-  const updatedBooking = await Booking.findOneAndUpdate(
-    {
-      _id: booking._id,
-      status: { $in: validStatusesForDeparture }, // Only update if still in valid state
-    },
-    {
-      $set: { status: 'DEPARTED' },
-      $push: {
-        timeline: {
-          event: 'DEPARTED',
-          timestamp: new Date(),
-          flightId: flightId ? new mongoose.Types.ObjectId(flightId) : null,
-        },
-      },
-    },
-    {
-      new: true, // Return updated document
-      runValidators: true,
-    }
-  ).populate('flightIds');
-
-  if (!updatedBooking) {
-    throw new Error('Booking update failed. The booking may have been modified by another operation.');
-  }
+  const updatedBooking = await recordMovement(booking, 'DEPARTED', validStatusesForDeparture, flightId, pieces);
 
   // Log booking departure
   logBookingEvent('BOOKING_DEPARTED', updatedBooking._id.toString(), {
     ref_id: updatedBooking.ref_id,
     status: updatedBooking.status,
     flightId: flightId || null,
+    pieces: pieces || null,
   });
 
+  // Push the new timeline entry to open tracking streams, and notify the account's webhooks
+  notifyBookingUpdate(updatedBooking._id);
+  await publishBookingEvent('booking.departed', updatedBooking, { flightId: flightId || null, pieces: pieces || null });
+
+  // Tell the booking's contacts, without holding up the response
+  sendBookingNotifications('DEPARTED', updatedBooking, { flightId, pieces });
+
   return updatedBooking;
 };
 
 /**
  * Mark a booking as ARRIVED (with distributed lock)
+ * With a flight ID only that leg arrives; the booking is ARRIVED once the legs into the
+ * destination have arrived. With pieces, only that many pieces of the leg arrive and the
+ * booking rolls up to PARTIALLY_ARRIVED until every piece has reached the destination.
  * @param {string} bookingId - Booking ID or ref_id
- * @param {string} flightId - Optional flight ID for timeline event
+ * @param {string} flightId - Optional flight (leg) that arrives (required with pieces)
+ * @param {number} pieces - Optional number of pieces arriving on the flight
  * @returns {Promise<Object>} Updated booking
  */
-export const arriveBooking = async (bookingId, flightId = null) => {
+export const arriveBooking = async (bookingId, flightId = null, pieces = null) => {
   // Find booking by ID or ref_id
   const booking = await findBookingByIdentifier(bookingId);
   
@@ -124,25 +227,89 @@ export const arriveBooking = async (bookingId, flightId = null) => {
   }
 
   // Use atomic update with distributed lock pattern
-  // Only update if current status allows transition to ARRIVED
-  const validStatusesForArrival = ['DEPARTED', 'BOOKED']; // Allow direct transition from BOOKED as well
+  // Only update if current status allows (more) pieces to arrive
+  // Allow direct transition from BOOKED as well
+  const validStatusesForArrival = ['DEPARTED', 'BOOKED', 'PARTIALLY_DEPARTED', 'PARTIALLY_ARRIVED'];
   if (!validStatusesForArrival.includes(booking.status)) {
     throw new Error(`Cannot arrive booking with status: ${booking.status}`);
   }
 
+  const updatedBooking = await recordMovement(booking, 'ARRIVED', validStatusesForArrival, flightId, pieces);
+
+  // Log booking arrival
+  logBookingEvent('BOOKING_ARRIVED', updatedBooking._id.toString(), {
+    ref_id: updatedBooking.ref_id,
+    status: updatedBooking.status,
+    flightId: flightId || null,
+    pieces: pieces || null,
+  });
+
+  // Push the new timeline entry to open tracking streams, and notify the account's webhooks
+  notifyBookingUpdate(updatedBooking._id);
+  await publishBookingEvent('booking.arrived', updatedBooking, { flightId: flightId || null, pieces: pieces || null });
+
+  // Tell the booking's contacts, without holding up the response
+  sendBookingNotifications('ARRIVED', updatedBooking, { flightId, pieces });
+
+  return updatedBooking;
+};
+
+/**
+ * Mark a booking as DELIVERED with proof of delivery (with distributed lock)
+ * @param {string} bookingId - Booking ID or ref_id
+ * @param {Object} pod - Proof of delivery (consignee_name, delivered_at, receiving_station, signature_ref)
+ * @returns {Promise<Object>} Updated booking
+ */
+export const deliverBooking = async (bookingId, pod = {}) => {
+  const { consignee_name, delivered_at, receiving_station, signature_ref } = pod;
+
+  if (typeof consignee_name !== 'string' || !consignee_name.trim()) {
+    throw new Error('Invalid proof of delivery: consignee_name is required');
+  }
+  if (receiving_station !== undefined && typeof receiving_station !== 'string') {
+    throw new Error('Invalid proof of delivery: receiving_station must be an airport code');
+  }
+
+  const deliveredAt = delivered_at ? new Date(delivered_at) : new Date();
+  if (isNaN(deliveredAt.getTime())) {
+    throw new Error('Invalid proof of delivery: delivered_at must be a valid date');
+  }
+
+  // Find booking by ID or ref_id
+  const booking = await findBookingByIdentifier(bookingId);
+
+  if (!booking) {
+    throw new Error('Booking not found');
+  }
+
+  // Use atomic update with distributed lock pattern
+  // Only ARRIVED cargo can be handed over to the consignee
+  const validStatusesForDelivery = ['ARRIVED'];
+  if (!validStatusesForDelivery.includes(booking.status)) {
+    throw new Error(`Cannot deliver booking with status: ${booking.status}`);
+  }
+
+  const proofOfDelivery = {
+    consignee_name: consignee_name.trim(),
+    delivered_at: deliveredAt,
+    // Cargo is handed over at the destination unless the station says otherwise
+    receiving_station: (receiving_station || booking.destination).toUpperCase().trim(),
+    signature_ref: signature_ref || undefined,
+  };
+
   // Atomic update using findOneAndUpdate (prevents race conditions)
   const updatedBooking = await Booking.findOneAndUpdate(
     {
       _id: booking._id,
-      status: { $in: validStatusesForArrival }, // Only update if still in valid state
+      status: { $in: validStatusesForDelivery }, // Only update if still in valid state
     },
     {
-      $set: { status: 'ARRIVED' },
+      $set: { status: 'DELIVERED' },
       $push: {
         timeline: {
-          event: 'ARRIVED',
+          event: 'DELIVERED',
           timestamp: new Date(),
-          flightId: flightId ? new mongoose.Types.ObjectId(flightId) : null,
+          pod: proofOfDelivery,
         },
       },
     },
@@ -156,11 +323,19 @@ export const arriveBooking = async (bookingId, flightId = null) => {
     throw new Error('Booking update failed. The booking may have been modified by another operation.');
   }
 
-  // Log booking arrival
-  logBookingEvent('BOOKING_ARRIVED', updatedBooking._id.toString(), {
+  // Log booking delivery
+  logBookingEvent('BOOKING_DELIVERED', updatedBooking._id.toString(), {
     ref_id: updatedBooking.ref_id,
     status: updatedBooking.status,
-    flightId: flightId || null,
+    consignee_name: proofOfDelivery.consignee_name,
+    receiving_station: proofOfDelivery.receiving_station,
+  });
+
+  // Push the new timeline entry to open tracking streams, and notify the account's webhooks
+  notifyBookingUpdate(updatedBooking._id);
+  await publishBookingEvent('booking.delivered', updatedBooking, {
+    consignee_name: proofOfDelivery.consignee_name,
+    receiving_station: proofOfDelivery.receiving_station,
   });
 
   return updatedBooking;
@@ -185,8 +360,8 @@ export const cancelBooking = async (bookingId) => {
   }
 
   // Use atomic update with distributed lock pattern
-  // Only update if current status allows cancellation (not ARRIVED or DELIVERED)
-  const validStatusesForCancellation = ['BOOKED', 'DEPARTED'];
+  // Only update if current status allows cancellation (nothing has ARRIVED or been DELIVERED)
+  const validStatusesForCancellation = ['BOOKED', 'PARTIALLY_DEPARTED', 'DEPARTED'];
   if (!validStatusesForCancellation.includes(booking.status)) {
     throw new Error(`Cannot cancel booking with status: ${booking.status}`);
   }
@@ -217,11 +392,483 @@ export const cancelBooking = async (bookingId) => {
     throw new Error('Booking cancellation failed. The booking may have been modified by another operation or has already ARRIVED.');
   }
 
+  // Only the request that won the status transition releases capacity
+  await releaseCapacityOnFlights(getFlightLoads(updatedBooking));
+
+  // Log booking cancellation
+  logBookingEvent('BOOKING_CANCELLED', updatedBooking._id.toString(), {
+    ref_id: updatedBooking.ref_id,
+    previous_status: booking.status,
+  });
+
+  // Push the new timeline entry to open tracking streams, and notify the account's webhooks
+  notifyBookingUpdate(updatedBooking._id);
+  await publishBookingEvent('booking.cancelled', updatedBooking, { previous_status: booking.status });
+
+  // Tell the booking's contacts, without holding up the response
+  sendBookingNotifications('CANCELLED', updatedBooking);
+
+  return updatedBooking;
+};
+
+/**
+ * Replace the contacts notified of a booking's milestones
+ * Contacts can change until the booking is DELIVERED or CANCELLED, when there is nothing left to notify.
+ * @param {string} bookingId - Booking ID or ref_id
+ * @param {Array} contacts - { role, name, email, phone, locale, channels[], events[] }; empty to notify nobody
+ * @returns {Promise<Object>} Updated booking
+ */
+export const updateBookingContacts = async (bookingId, contacts) => {
+  const booking = await findBookingByIdentifier(bookingId);
+
+  if (!booking) {
+    throw new Error('Booking not found');
+  }
+
+  const normalized = normalizeContacts(contacts);
+  const finalStatuses = ['DELIVERED', 'CANCELLED'];
+  if (finalStatuses.includes(booking.status)) {
+    throw new Error(`Cannot change contacts of booking with status: ${booking.status}`);
+  }
+
+  const updatedBooking = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      status: { $nin: finalStatuses }, // Only update if still in valid state
+    },
+    normalized.length > 0 ? { $set: { contacts: normalized } } : { $unset: { contacts: 1 } },
+    {
+      new: true, // Return updated document
+      runValidators: true,
+    }
+  ).populate('flightIds');
+
+  if (!updatedBooking) {
+    throw new Error('Booking update failed. The booking may have been modified by another operation.');
+  }
+
+  return updatedBooking;
+};
+
+/**
+ * Amend a BOOKED booking (with distributed lock)
+ * Pieces, weight, volume or dimensions, flights, parts and special handling codes can change until the
+ * booking departs. Reserved capacity follows the new load and flights, and each amendment is
+ * stored as a versioned diff next to the status timeline. A split shipment keeps its parts
+ * unless new ones are given, so they must still add up to the amended pieces.
+ * @param {string} bookingId - Booking ID or ref_id
+ * @param {Object} amendments - Any of pieces, weight_kg, volume_m3 or dimensions, flightIds,
+ *   parts[{ flightId, pieces }], special_handling
+ * @returns {Promise<Object>} Updated booking
+ */
+export const amendBooking = async (bookingId, amendments = {}) => {
+  // Find booking by ID or ref_id
+  const booking = await findBookingByIdentifier(bookingId);
+
+  if (!booking) {
+    throw new Error('Booking not found');
+  }
+
+  // Only cargo that has not left can be amended
+  const validStatusesForAmendment = ['BOOKED'];
+  if (!validStatusesForAmendment.includes(booking.status)) {
+    throw new Error(`Cannot amend booking with status: ${booking.status}`);
+  }
+
+  if (!AMENDABLE_FIELDS.some(field => amendments[field] !== undefined)) {
+    throw new Error(`Invalid amendment: provide at least one of ${AMENDABLE_FIELDS.join(', ')}`);
+  }
+
+  const { pieces = booking.pieces, weight_kg = booking.weight_kg, flightIds } = amendments;
+  if (isNaN(pieces) || parseInt(pieces) < 1) {
+    throw new Error('Invalid amendment: pieces must be a positive integer');
+  }
+  if (isNaN(weight_kg) || parseFloat(weight_kg) < 0) {
+    throw new Error('Invalid amendment: weight_kg must be a non-negative number');
+  }
+  if (amendments.volume_m3 !== undefined && (isNaN(amendments.volume_m3) || parseFloat(amendments.volume_m3) < 0)) {
+    throw new Error('Invalid amendment: volume_m3 must be a non-negative number');
+  }
+  if (flightIds !== undefined && !Array.isArray(flightIds)) {
+    throw new Error('Invalid amendment: flightIds must be a list of flight IDs');
+  }
+
+  const newFlightIds = flightIds !== undefined ? flightIds.map(id => id.toString()) : booking.flightIds.map(id => id.toString());
+  if (!newFlightIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+    throw new Error('One or more flight IDs are invalid');
+  }
+  const flights = await Flight.find({
+    _id: { $in: newFlightIds.map(id => new mongoose.Types.ObjectId(id)) }
+  }).lean();
+  if (flights.length !== new Set(newFlightIds).size) {
+    throw new Error('One or more flight IDs are invalid');
+  }
+
+  // The current volume is kept unless a new one is given; existing dimension lines must still cover the pieces
+  const currentDimensions = (booking.dimensions || []).map(line => line.toObject());
+  const shipment = amendments.volume_m3 !== undefined || amendments.dimensions !== undefined
+    ? resolveShipmentVolume(pieces, amendments.dimensions, amendments.volume_m3)
+    : resolveShipmentVolume(pieces, currentDimensions, currentDimensions.length > 0 ? undefined : booking.volume_m3);
+
+  const before = {
+    pieces: booking.pieces,
+    weight_kg: booking.weight_kg,
+    volume_m3: booking.volume_m3 || 0,
+    dimensions: currentDimensions,
+    flightIds: booking.flightIds.map(id => id.toString()),
+    parts: formatParts(getParts(booking)),
+    special_handling: [...(booking.special_handling || [])],
+  };
+
+  // A split is kept as long as it still adds up; otherwise every flight carries every piece
+  const isSplit = before.parts.some(part => part.pieces !== booking.pieces);
+  const requestedParts = amendments.parts !== undefined
+    ? amendments.parts
+    : (isSplit ? before.parts.filter(part => newFlightIds.includes(part.flightId)) : undefined);
+
+  const after = {
+    pieces: parseInt(pieces),
+    weight_kg: parseInt(weight_kg),
+    volume_m3: shipment.volumeM3,
+    dimensions: shipment.dimensions,
+    flightIds: newFlightIds,
+    parts: formatParts(resolveShipmentParts(pieces, flights, requestedParts, booking.origin, booking.destination)),
+    special_handling: amendments.special_handling !== undefined
+      ? normalizeHandlingCodes(amendments.special_handling)
+      : before.special_handling,
+  };
+
+  // Parts only say something of their own for split shipments
+  const fieldsToCompare = isSplit || amendments.parts !== undefined
+    ? AMENDABLE_FIELDS
+    : AMENDABLE_FIELDS.filter(field => field !== 'parts');
+
+  const changes = {};
+  for (const field of fieldsToCompare) {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes[field] = { from: before[field], to: after[field] };
+    }
+  }
+
+  if (Object.keys(changes).length === 0) {
+    await booking.populate('flightIds');
+    return booking;
+  }
+
+  const chargeableWeightKg = calculateChargeableWeight(after.weight_kg, after.volume_m3);
+
+  // A quoted price was worked out for the quoted chargeable weight
+  if (booking.price && chargeableWeightKg !== booking.chargeable_weight_kg) {
+    throw new Error(
+      `Cannot amend quoted booking: chargeable weight would change from ${booking.chargeable_weight_kg} kg ` +
+      `to ${chargeableWeightKg} kg; request a new quote`
+    );
+  }
+
+  // New flights must still operate and accept the shipment's handling codes
+  if (changes.flightIds || changes.special_handling) {
+    checkFlightsNotCancelled(flights.filter(flight => !before.flightIds.includes(flight._id.toString())));
+    await checkHandlingConflicts(flights, after.special_handling);
+  }
+
+  // Take the extra capacity first; what the booking no longer needs is given back once it is amended
+  const { reservations, releases } = getCapacityDeltas(getFlightLoads(before), getFlightLoads(after));
+  await reserveCapacityOnFlights(reservations);
+
+  const version = booking.version + 1;
+  const $set = {
+    pieces: after.pieces,
+    weight_kg: after.weight_kg,
+    volume_m3: after.volume_m3,
+    // Derived here because the validate hook does not run on findOneAndUpdate
+    volumetric_weight_kg: calculateVolumetricWeight(after.volume_m3),
+    chargeable_weight_kg: chargeableWeightKg,
+    flightIds: after.flightIds,
+    parts: after.parts,
+    version: version,
+  };
+  const $unset = {};
+  if (after.dimensions.length > 0) {
+    $set.dimensions = after.dimensions;
+  } else {
+    $unset.dimensions = 1;
+  }
+  if (after.special_handling.length > 0) {
+    $set.special_handling = after.special_handling;
+  } else {
+    $unset.special_handling = 1;
+  }
+
+  // Atomic update using findOneAndUpdate (prevents race conditions)
+  // The revision check makes sure the diff was worked out against the stored booking
+  const update = {
+    $set: $set,
+    $push: {
+      amendments: {
+        version: version,
+        timestamp: new Date(),
+        changes: changes,
+      },
+    },
+  };
+  if (Object.keys($unset).length > 0) {
+    update.$unset = $unset;
+  }
+
+  const updatedBooking = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      status: { $in: validStatusesForAmendment }, // Only update if still in valid state
+      ...unchangedSince(booking),
+    },
+    update,
+    {
+      new: true, // Return updated document
+      runValidators: true,
+    }
+  ).populate('flightIds');
+
+  if (!updatedBooking) {
+    await releaseCapacityOnFlights(reservations);
+    throw new Error('Booking update failed. The booking may have been modified by another operation.');
+  }
+
+  await releaseCapacityOnFlights(releases);
+
+  // Log booking amendment
+  logBookingEvent('BOOKING_AMENDED', updatedBooking._id.toString(), {
+    ref_id: updatedBooking.ref_id,
+    version: updatedBooking.version,
+    fields: Object.keys(changes),
+  });
+
+  return updatedBooking;
+};
+
+/**
+ * Re-check the bookings on a flight after it was delayed, retimed or cancelled
+ * A booking is at risk when a connection it still has to make breaks the transit rules of the
+ * route search, or when it still has pieces to fly on a cancelled flight. Newly at-risk bookings
+ * get an AT_RISK timeline event; bookings whose itinerary works again are cleared.
+ * @param {string} flightId - Flight ID
+ * @returns {Promise<Array>} Bookings at risk [{ bookingId, ref_id, reasons }]
+ */
+export const flagAtRiskBookings = async (flightId) => {
+  const activeStatuses = ['BOOKED', 'PARTIALLY_DEPARTED', 'DEPARTED', 'PARTIALLY_ARRIVED'];
+  const bookings = await Booking.find({ flightIds: flightId, status: { $in: activeStatuses } })
+    .populate('flightIds')
+    .lean();
+
+  const atRisk = [];
+  for (const booking of bookings) {
+    // Legs whose pieces have all left can no longer miss their connection
+    const parts = getParts(booking);
+    const pendingLegs = booking.flightIds.filter(flight => {
+      const part = parts.find(p => p.flightId.toString() === flight._id.toString());
+      return !part || part.departed_pieces < part.pieces;
+    });
+    const pendingFlightIds = new Set(pendingLegs.map(flight => flight._id.toString()));
+
+    const brokenConnections = await findBrokenConnections(booking.flightIds);
+    const reasons = [
+      ...pendingLegs.filter(flight => flight.status === 'CANCELLED').map(flight => `${flight.flightNumber} is cancelled`),
+      ...brokenConnections
+        .filter(connection => pendingFlightIds.has(connection.outboundFlightId.toString()))
+        .map(connection => connection.reason),
+    ];
+
+    if (reasons.length === 0) {
+      if (booking.at_risk) {
+        await Booking.updateOne({ _id: booking._id }, { $set: { at_risk: false }, $unset: { at_risk_reasons: 1 } });
+        logBookingEvent('BOOKING_RISK_CLEARED', booking._id.toString(), { ref_id: booking.ref_id });
+      }
+      continue;
+    }
+
+    atRisk.push({ bookingId: booking._id, ref_id: booking.ref_id, reasons: reasons });
+
+    // Only a new or different risk goes on the timeline
+    if (booking.at_risk && JSON.stringify(booking.at_risk_reasons) === JSON.stringify(reasons)) {
+      continue;
+    }
+
+    const updatedBooking = await Booking.findOneAndUpdate(
+      {
+        _id: booking._id,
+        status: { $in: activeStatuses }, // Only update if still in valid state
+      },
+      {
+        $set: { at_risk: true, at_risk_reasons: reasons },
+        $push: {
+          timeline: {
+            event: 'AT_RISK',
+            timestamp: new Date(),
+            flightId: new mongoose.Types.ObjectId(flightId),
+            note: reasons.join('; '),
+          },
+        },
+      },
+      {
+        new: true, // Return updated document
+        runValidators: true,
+      }
+    );
+
+    if (updatedBooking) {
+      logBookingEvent('BOOKING_AT_RISK', updatedBooking._id.toString(), {
+        ref_id: updatedBooking.ref_id,
+        status: updatedBooking.status,
+        flightId: flightId.toString(),
+        reasons: reasons,
+      });
+      // Push the new timeline entry to open tracking streams
+      notifyBookingUpdate(updatedBooking._id);
+    }
+  }
+
+  return atRisk;
+};
+
+/**
+ * Move the pieces booked on a cancelled flight onto other flights (with distributed lock)
+ * The new flights carry the pieces of the cancelled leg instead of it and of the onward legs that
+ * would have carried them on; parallel legs of a split shipment are kept. Capacity is reserved on
+ * the new flights before it is given back on the replaced ones.
+ * @param {string} bookingId - Booking ID or ref_id
+ * @param {string} cancelledFlightId - Flight whose pieces move
+ * @param {Array} newFlightIds - Flights that carry them instead, in travel order
+ * @returns {Promise<Object>} Updated booking
+ */
+export const rebookBooking = async (bookingId, cancelledFlightId, newFlightIds) => {
+  const booking = await findBookingByIdentifier(bookingId);
+
+  if (!booking) {
+    throw new Error('Booking not found');
+  }
+
+  const validStatusesForRebooking = ['BOOKED', 'PARTIALLY_DEPARTED', 'DEPARTED', 'PARTIALLY_ARRIVED'];
+  if (!validStatusesForRebooking.includes(booking.status)) {
+    throw new Error(`Cannot rebook booking with status: ${booking.status}`);
+  }
+
+  const currentFlights = await Flight.find({ _id: { $in: booking.flightIds } }).lean();
+  const cancelledFlight = currentFlights.find(flight => flight._id.toString() === cancelledFlightId.toString());
+  if (!cancelledFlight) {
+    throw new Error(`Cannot rebook booking: flight ${cancelledFlightId} is not one of the booking's flights`);
+  }
+
+  const newFlights = await Flight.find({
+    _id: { $in: newFlightIds.map(id => new mongoose.Types.ObjectId(id)) },
+  }).lean();
+  if (newFlights.length !== newFlightIds.length) {
+    throw new Error('One or more flight IDs are invalid');
+  }
+  checkFlightsNotCancelled(newFlights);
+  await checkHandlingConflicts(newFlights, booking.special_handling || []);
+
+  // Replace the cancelled leg, and take its pieces off the onward legs that would have carried
+  // them on; parallel legs of a split shipment keep their pieces
+  const parts = getParts(booking);
+  const cancelledPart = parts.find(part => part.flightId.toString() === cancelledFlight._id.toString());
+  const movedPieces = cancelledPart.pieces - cancelledPart.departed_pieces;
+  if (movedPieces === 0) {
+    throw new Error(`Cannot rebook booking: every piece has already left on flight ${cancelledFlight.flightNumber}`);
+  }
+  const flightsById = new Map(currentFlights.map(flight => [flight._id.toString(), flight]));
+  const onwardParts = getOnwardParts(parts, flightsById, cancelledFlight);
+
+  const keptParts = [];
+  const replacedParts = [cancelledPart];
+  for (const part of parts) {
+    if (part === cancelledPart) {
+      continue;
+    }
+    // Pieces of the cancelled leg on an onward leg that has not carried them yet
+    const takenPieces = onwardParts.includes(part) ? Math.min(movedPieces, part.pieces - part.departed_pieces) : 0;
+    if (takenPieces === part.pieces) {
+      replacedParts.push(part);
+      continue;
+    }
+    if (takenPieces > 0) {
+      replacedParts.push({ ...part, pieces: takenPieces });
+    }
+    keptParts.push({ ...part, pieces: part.pieces - takenPieces });
+  }
+
+  const addedParts = newFlightIds.map(id => ({
+    flightId: new mongoose.Types.ObjectId(id),
+    pieces: movedPieces,
+    departed_pieces: 0,
+    arrived_pieces: 0,
+  }));
+
+  const loadOf = legParts => getFlightLoads({
+    pieces: booking.pieces,
+    weight_kg: booking.weight_kg,
+    volume_m3: booking.volume_m3,
+    parts: legParts,
+  });
+  const addedLoads = loadOf(addedParts);
+  await reserveCapacityOnFlights(addedLoads);
+
+  const newFlightsById = new Map(newFlights.map(flight => [flight._id.toString(), flight]));
+  const note = `${cancelledFlight.flightNumber} cancelled; ${movedPieces} piece(s) rebooked on ` +
+    newFlightIds.map(id => newFlightsById.get(id.toString()).flightNumber).join(', ');
+
+  // Atomic update using findOneAndUpdate (prevents race conditions)
+  const updatedBooking = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      status: { $in: validStatusesForRebooking }, // Only update if still in valid state
+      ...unchangedSince(booking),
+    },
+    {
+      $set: {
+        flightIds: [...keptParts, ...addedParts].map(part => part.flightId),
+        parts: [...keptParts, ...addedParts],
+        at_risk: false,
+      },
+      $unset: { at_risk_reasons: 1 },
+      $push: {
+        timeline: {
+          event: 'REBOOKED',
+          timestamp: new Date(),
+          flightId: cancelledFlight._id,
+          pieces: movedPieces,
+          note: note,
+        },
+      },
+    },
+    {
+      new: true, // Return updated document
+      runValidators: true,
+    }
+  ).populate('flightIds');
+
+  if (!updatedBooking) {
+    await releaseCapacityOnFlights(addedLoads);
+    throw new Error('Booking update failed. The booking may have been modified by another operation.');
+  }
+
+  await releaseCapacityOnFlights(loadOf(replacedParts));
+
+  // Log booking rebooking
+  logBookingEvent('BOOKING_REBOOKED', updatedBooking._id.toString(), {
+    ref_id: updatedBooking.ref_id,
+    cancelledFlightId: cancelledFlight._id.toString(),
+    flightIds: newFlightIds.map(id => id.toString()),
+    pieces: movedPieces,
+  });
+  // Push the new timeline entry to open tracking streams
+  notifyBookingUpdate(updatedBooking._id);
+
   return updatedBooking;
 };
 
 /**
  * Get booking history (booking details + chronological timeline)
+ * Includes a per-leg breakdown of how many pieces have departed and arrived on each flight, and
+ * the log of notifications sent to the booking's contacts
  * @param {string} bookingId - Booking ID or ref_id
  * @returns {Promise<Object>} Booking with timeline
  */
@@ -240,12 +887,233 @@ export const getBookingHistory = async (bookingId) => {
     new Date(a.timestamp) - new Date(b.timestamp)
   );
 
+  // Amendments in version order, next to the status timeline
+  const sortedAmendments = [...(booking.amendments || [])].sort((a, b) => a.version - b.version);
+
+  // Where each part of the shipment is, leg by leg in departure order
+  const flightsById = new Map(booking.flightIds.map(flight => [flight._id.toString(), flight]));
+  const parts = getParts(booking)
+    .map(part => {
+      const flight = flightsById.get(part.flightId.toString());
+      return {
+        flightId: part.flightId,
+        flightNumber: flight?.flightNumber,
+        origin: flight?.origin,
+        destination: flight?.destination,
+        departureDateTime: flight?.departureDateTime,
+        arrivalDateTime: flight?.arrivalDateTime,
+        pieces: part.pieces,
+        departed_pieces: part.departed_pieces,
+        arrived_pieces: part.arrived_pieces,
+        status: getPieceStatus(part.pieces, part.departed_pieces, part.arrived_pieces),
+      };
+    })
+    .sort((a, b) => new Date(a.departureDateTime) - new Date(b.departureDateTime));
+
   return {
     ...booking.toObject(),
     timeline: sortedTimeline,
+    amendments: sortedAmendments,
+    parts: parts,
+    notifications: await getBookingNotifications(booking._id),
+  };
+};
+
+/**
+ * Timeline entries of a booking after a given one, for tracking streams
+ * Entries are numbered by their position in the stored timeline, which is only ever appended to,
+ * so the number of the last entry a client saw is enough to resume.
+ * @param {string} bookingId - Booking ID or ref_id
+ * @param {number} afterIndex - Number of the last entry already seen (-1 for all of them)
+ * @returns {Promise<Object>} { bookingId, ref_id, status, at_risk, events: [{ index, entry }] }
+ */
+export const getTimelineEvents = async (bookingId, afterIndex = -1) => {
+  const booking = await findBookingByIdentifier(bookingId);
+
+  if (!booking) {
+    throw new Error('Booking not found');
+  }
+
+  return {
+    bookingId: booking._id,
+    ref_id: booking.ref_id,
+    status: booking.status,
+    at_risk: booking.at_risk,
+    events: booking.timeline
+      .map((entry, index) => ({ index: index, entry: entry.toObject() }))
+      .slice(Math.max(afterIndex + 1, 0)),
+  };
+};
+
+/**
+ * List bookings, newest first (or oldest first with order 'asc'), a page at a time
+ * Paging uses a cursor on (createdAt, _id) rather than an offset, so each page is read straight
+ * from the compound indexes whatever its depth. Pass the nextCursor of one page to get the next.
+ * @param {Object} filters - Optional filters (status - one or a list, origin, destination, flightId,
+ *   from, to, refPrefix, accountId, order, limit, cursor)
+ * @returns {Promise<Object>} { bookings, nextCursor } - nextCursor is null on the last page
+ */
+export const listBookings = async (filters = {}) => {
+  const { status, origin, destination, flightId, from, to, refPrefix, accountId, cursor } = filters;
+  const order = filters.order === 'asc' ? 1 : -1;
+  const limit = Math.min(Math.max(parseInt(filters.limit) || DEFAULT_LIST_LIMIT, 1), MAX_LIST_LIMIT);
+
+  const query = {};
+  if (status) {
+    // One status, a comma-separated list, or a repeated query parameter
+    const statuses = (Array.isArray(status) ? status : [status])
+      .flatMap(value => String(value).split(','))
+      .map(value => value.toUpperCase().trim())
+      .filter(value => value !== '');
+    const unknown = statuses.find(value => !Booking.schema.path('status').enumValues.includes(value));
+    if (unknown) {
+      throw new Error(`Invalid filter: unknown status ${unknown}`);
+    }
+    if (statuses.length > 0) {
+      query.status = statuses.length === 1 ? statuses[0] : { $in: [...new Set(statuses)] };
+    }
+  }
+  if (origin) {
+    query.origin = origin.toUpperCase().trim();
+  }
+  if (destination) {
+    query.destination = destination.toUpperCase().trim();
+  }
+  if (flightId) {
+    if (!mongoose.Types.ObjectId.isValid(flightId)) {
+      throw new Error('Invalid filter: flightId is not a valid ID');
+    }
+    query.flightIds = new mongoose.Types.ObjectId(flightId);
+  }
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+  }
+  if (accountId) {
+    if (!mongoose.Types.ObjectId.isValid(accountId)) {
+      throw new Error('Invalid filter: accountId is not a valid ID');
+    }
+    query.account_id = new mongoose.Types.ObjectId(accountId);
+  }
+  if (refPrefix) {
+    // Anchored prefix match so the ref_id index can be used
+    query.ref_id = new RegExp(`^${escapeRegex(refPrefix.toUpperCase().trim())}`);
+  }
+
+  // Resume after the last booking of the previous page
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    const beyond = order === 1 ? '$gt' : '$lt';
+    query.$or = [
+      { createdAt: { [beyond]: position.createdAt } },
+      { createdAt: position.createdAt, _id: { [beyond]: position._id } },
+    ];
+  }
+
+  // One extra booking tells whether there is another page
+  const bookings = await Booking.find(query)
+    .select('-timeline -amendments')
+    .sort({ createdAt: order, _id: order })
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = bookings.length > limit;
+  const page = hasMore ? bookings.slice(0, limit) : bookings;
+
+  return {
+    bookings: page,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+  };
+};
+
+/**
+ * Fill booking fields from a quote and check that the ones given match it
+ * @param {Object} quote - Quote document
+ * @param {Object} bookingData - Booking data from the request
+ * @returns {Object} Booking data with the quote's shipment details
+ * @throws {Error} 'Quote not found' when the quote was made for another customer, or
+ *   'Quote does not match booking: ...' on the first differing field
+ */
+const mergeQuoteIntoBooking = (quote, bookingData) => {
+  // A customer's quote only books for that customer; quotes made by carrier staff book for anyone
+  if (quote.account_id && !quote.account_id.equals(bookingData.account_id)) {
+    throw new Error('Quote not found');
+  }
+
+  const checks = [
+    ['origin', quote.origin, value => value.toUpperCase().trim()],
+    ['destination', quote.destination, value => value.toUpperCase().trim()],
+    ['pieces', quote.pieces, value => parseInt(value)],
+    ['weight_kg', quote.weight_kg, value => parseInt(value)],
+  ];
+  for (const [field, quoted, normalize] of checks) {
+    const requested = bookingData[field];
+    if (requested !== undefined && requested !== null && requested !== '' && normalize(requested) !== quoted) {
+      throw new Error(`Quote does not match booking: ${field} (quoted ${quoted}, requested ${normalize(requested)})`);
+    }
+  }
+
+  const quotedFlightIds = quote.flightIds.map(id => id.toString());
+  const requestedFlightIds = (bookingData.flightIds || []).map(id => id.toString());
+  if (quotedFlightIds.length > 0 && requestedFlightIds.length > 0 &&
+      (requestedFlightIds.length !== quotedFlightIds.length ||
+       requestedFlightIds.some(id => !quotedFlightIds.includes(id)))) {
+    throw new Error('Quote does not match booking: flightIds differ from the quoted flights');
+  }
+
+  // Handling codes change the price, so they must be the quoted ones
+  const quotedCodes = (quote.special_handling || []).join(',');
+  if (bookingData.special_handling !== undefined) {
+    const requestedCodes = normalizeHandlingCodes(bookingData.special_handling).join(',');
+    if (requestedCodes !== quotedCodes) {
+      throw new Error(
+        `Quote does not match booking: special_handling (quoted ${quotedCodes || 'none'}, requested ${requestedCodes || 'none'})`
+      );
+    }
+  }
+
+  const hasVolume = bookingData.volume_m3 || (bookingData.dimensions && bookingData.dimensions.length > 0);
+
+  return {
+    ...bookingData,
+    origin: quote.origin,
+    destination: quote.destination,
+    pieces: quote.pieces,
+    weight_kg: quote.weight_kg,
+    volume_m3: hasVolume ? bookingData.volume_m3 : quote.volume_m3,
+    flightIds: requestedFlightIds.length > 0 ? requestedFlightIds : quotedFlightIds,
+    special_handling: quote.special_handling || [],
   };
 };
 
+/**
+ * Reject cancelled flights
+ * @param {Array} flights - Flight documents
+ * @throws {Error} 'Incompatible flight: ...' naming the cancelled flights
+ */
+const checkFlightsNotCancelled = (flights) => {
+  const cancelled = flights.filter(flight => flight.status === 'CANCELLED');
+  if (cancelled.length > 0) {
+    throw new Error(`Incompatible flight: ${cancelled.map(flight => flight.flightNumber).join(', ')} cancelled`);
+  }
+};
+
+/**
+ * Reject flights that refuse any of the shipment's special handling codes
+ * @param {Array} flights - Flight documents
+ * @param {Array} handlingCodes - Normalised special handling codes
+ * @throws {Error} 'Incompatible flight: ...' with the conflicts in error.details
+ */
+const checkHandlingConflicts = async (flights, handlingCodes) => {
+  const conflicts = await getHandlingConflicts(flights, handlingCodes);
+  if (conflicts.size > 0) {
+    const error = new Error(`Incompatible flight: ${[...conflicts.values()].map(c => c.reason).join('; ')}`);
+    error.details = [...conflicts.values()];
+    throw error;
+  }
+};
+
 /**
  * Helper function to find booking by ID or ref_id
  * @param {string} identifier - Booking ID or ref_id
@@ -263,3 +1131,294 @@ const findBookingByIdentifier = async (identifier) => {
   return byRefId;
 };
 
+/**
+ * Opaque page cursor for the position of a booking in a listing
+ * @param {Object} booking - Last booking of a page
+ * @returns {string} base64url-encoded { createdAt, _id }
+ */
+const encodeCursor = (booking) => Buffer
+  .from(JSON.stringify({ createdAt: booking.createdAt, _id: booking._id }))
+  .toString('base64url');
+
+/**
+ * Read back a page cursor
+ * @param {string} cursor - Cursor from encodeCursor
+ * @returns {Object} { createdAt: Date, _id: ObjectId }
+ * @throws {Error} 'Invalid cursor' when it was not produced by encodeCursor
+ */
+const decodeCursor = (cursor) => {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Invalid cursor');
+  }
+
+  const createdAt = new Date(position?.createdAt);
+  if (isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(position?._id)) {
+    throw new Error('Invalid cursor');
+  }
+
+  return { createdAt: createdAt, _id: new mongoose.Types.ObjectId(position._id) };
+};
+
+/**
+ * Escape user input for use inside a regular expression
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Filter that only matches a booking nobody has moved or amended since it was read
+ * @param {Object} booking - Booking document as read
+ * @returns {Object} Query conditions
+ */
+const unchangedSince = (booking) => ({
+  timeline: { $size: booking.timeline.length },
+  // Bookings created before amendments were introduced have no version yet
+  version: booking.version === 1 ? { $in: [1, null] } : booking.version,
+});
+
+/**
+ * Parts of a booking as plain objects
+ * Bookings created before split shipments carry every piece on every flight, moved as the status says
+ * @param {Object} booking - Booking document
+ * @returns {Array} [{ flightId, pieces, departed_pieces, arrived_pieces }]
+ */
+const getParts = (booking) => {
+  if (booking.parts && booking.parts.length > 0) {
+    return booking.parts.map(part => ({
+      flightId: part.flightId,
+      pieces: part.pieces,
+      departed_pieces: part.departed_pieces || 0,
+      arrived_pieces: part.arrived_pieces || 0,
+    }));
+  }
+
+  const departed = ['DEPARTED', 'ARRIVED', 'DELIVERED'].includes(booking.status) ? booking.pieces : 0;
+  const arrived = ['ARRIVED', 'DELIVERED'].includes(booking.status) ? booking.pieces : 0;
+  return booking.flightIds.map(flightId => ({
+    flightId: flightId._id || flightId,
+    pieces: booking.pieces,
+    departed_pieces: departed,
+    arrived_pieces: arrived,
+  }));
+};
+
+/**
+ * Parts reduced to flight and pieces, in a stable order for comparing amendments
+ * @param {Array} parts - [{ flightId, pieces }]
+ * @returns {Array} [{ flightId, pieces }] with string flight IDs
+ */
+const formatParts = (parts) => parts
+  .map(part => ({ flightId: part.flightId.toString(), pieces: part.pieces }))
+  .sort((a, b) => a.flightId.localeCompare(b.flightId));
+
+/**
+ * Record a departure or arrival of all or some pieces of a booking
+ * With one of the booking's flights only that leg moves, in order: a connecting leg can only
+ * carry pieces that have arrived at its origin. Pieces limits the move to that many pieces.
+ * Without a flight the whole shipment moves: it leaves the origin on departure, and on arrival
+ * every leg has flown and arrived.
+ * @param {Object} booking - Booking document
+ * @param {string} event - DEPARTED or ARRIVED
+ * @param {Array} validStatuses - Statuses the booking must still be in
+ * @param {string} flightId - Flight the pieces move on (required with pieces)
+ * @param {number} pieces - Optional number of pieces moving
+ * @returns {Promise<Object>} Updated booking
+ */
+const recordMovement = async (booking, event, validStatuses, flightId, pieces) => {
+  const flights = await Flight.find({ _id: { $in: booking.flightIds } })
+    .select('flightNumber origin destination')
+    .lean();
+  const flightsById = new Map(flights.map(flight => [flight._id.toString(), flight]));
+  const parts = getParts(booking);
+  const verb = event === 'DEPARTED' ? 'depart' : 'arrive';
+
+  const hasPieces = pieces !== null && pieces !== undefined;
+  const part = flightId ? parts.find(p => p.flightId.toString() === flightId.toString()) : null;
+
+  if (hasPieces && !flightId) {
+    throw new Error('Invalid piece count: flightId is required when moving part of a booking');
+  }
+  // A named leg must be one of the booking's, rather than moving the whole booking instead
+  if (flightId && !mongoose.isValidObjectId(flightId)) {
+    throw new Error(`Invalid flight ID: ${flightId}`);
+  }
+  if (flightId && !part) {
+    throw new Error(`Flight not on booking: flight ${flightId} is not one of the booking's flights`);
+  }
+
+  if (part) {
+    // One leg moves: all of its pieces that can, or the given number
+    const flight = flightsById.get(part.flightId.toString());
+    const flightNumber = flight?.flightNumber || flightId;
+    const movable = getMovablePieces(part, parts, flightsById, event);
+    const counter = event === 'DEPARTED' ? 'departed_pieces' : 'arrived_pieces';
+
+    if (movable === 0) {
+      if (part[counter] < part.pieces) {
+        throw new Error(`Cannot ${verb} flight ${flightNumber} before its pieces arrive at ${flight.origin}`);
+      }
+      throw new Error(`Cannot ${verb} booking on flight ${flightNumber}: every piece has already ${event.toLowerCase()}`);
+    }
+
+    const count = hasPieces ? Number(pieces) : movable;
+    if (!Number.isInteger(count) || count < 1 || count > movable) {
+      throw new Error(`Invalid piece count: ${movable} piece(s) left to ${verb} on flight ${flightNumber}`);
+    }
+
+    part[counter] += count;
+    // Pieces that arrived on a flight must have departed on it
+    part.departed_pieces = Math.max(part.departed_pieces, part.arrived_pieces);
+  } else if (event === 'DEPARTED') {
+    for (const originPart of getPartsAtStation(parts, flightsById, 'origin', booking.origin)) {
+      originPart.departed_pieces = originPart.pieces;
+    }
+  } else {
+    for (const legPart of parts) {
+      legPart.departed_pieces = legPart.pieces;
+      legPart.arrived_pieces = legPart.pieces;
+    }
+  }
+
+  // Bookings without flights move as a whole
+  const status = parts.length > 0 ? rollUpStatus(booking, parts, flightsById) : event;
+  if (!part && parts.length > 0 && status === booking.status) {
+    throw new Error(`Cannot ${verb} booking with status: ${booking.status}`);
+  }
+
+  // Atomic update using findOneAndUpdate (prevents race conditions)
+  const updatedBooking = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      status: { $in: validStatuses }, // Only update if still in valid state
+      ...unchangedSince(booking), // Piece counts were worked out against the stored parts
+    },
+    {
+      $set: { status: status, parts: parts },
+      $push: {
+        timeline: {
+          event: event,
+          timestamp: new Date(),
+          flightId: flightId ? new mongoose.Types.ObjectId(flightId) : null,
+          pieces: pieces !== null && pieces !== undefined ? Number(pieces) : undefined,
+        },
+      },
+    },
+    {
+      new: true, // Return updated document
+      runValidators: true,
+    }
+  ).populate('flightIds');
+
+  if (!updatedBooking) {
+    throw new Error('Booking update failed. The booking may have been modified by another operation.');
+  }
+
+  return updatedBooking;
+};
+
+/**
+ * Parts on the legs that carry cargo on from a flight's destination, leg after leg
+ * Only legs departing once the flight has arrived count, so parallel legs and earlier legs through
+ * the same station are left out.
+ * @param {Array} parts - Booking parts
+ * @param {Map} flightsById - flightId -> flight
+ * @param {Object} flight - Flight the cargo arrives on
+ * @returns {Array} Onward parts
+ */
+const getOnwardParts = (parts, flightsById, flight) => {
+  const onwardParts = [];
+  const stations = new Set([flight.destination]);
+
+  let found = true;
+  while (found) {
+    found = false;
+    for (const part of parts) {
+      const leg = flightsById.get(part.flightId.toString());
+      if (onwardParts.includes(part) || leg._id.equals(flight._id)) {
+        continue;
+      }
+      if (stations.has(leg.origin) && leg.departureDateTime >= flight.arrivalDateTime) {
+        onwardParts.push(part);
+        stations.add(leg.destination);
+        found = true;
+      }
+    }
+  }
+
+  return onwardParts;
+};
+
+/**
+ * Per-flight capacity change between two versions of a booking
+ * Weight and volume can move in opposite directions on one flight (e.g. more pieces on a leg of a
+ * lighter, smaller shipment), so each flight can need both a reservation and a release.
+ * @param {Array} beforeLoads - { flightId, weightKg, volumeM3 } currently reserved (see getFlightLoads)
+ * @param {Array} afterLoads - { flightId, weightKg, volumeM3 } to reserve instead
+ * @returns {Object} { reservations, releases }, each { flightId, weightKg, volumeM3 } (non-negative)
+ *   per flight that needs more capacity or has capacity to give back
+ */
+const getCapacityDeltas = (beforeLoads, afterLoads) => {
+  const deltas = new Map();
+  const add = (loads, sign) => {
+    for (const load of loads) {
+      const delta = deltas.get(load.flightId) || { flightId: load.flightId, weightKg: 0, volumeM3: 0 };
+      delta.weightKg = Math.round((delta.weightKg + sign * load.weightKg) * 100) / 100;
+      delta.volumeM3 = Math.round((delta.volumeM3 + sign * load.volumeM3) * 1000) / 1000;
+      deltas.set(load.flightId, delta);
+    }
+  };
+
+  add(beforeLoads, -1);
+  add(afterLoads, 1);
+
+  const reservations = [];
+  const releases = [];
+  for (const { flightId, weightKg, volumeM3 } of deltas.values()) {
+    if (weightKg > 0 || volumeM3 > 0) {
+      reservations.push({ flightId, weightKg: Math.max(weightKg, 0), volumeM3: Math.max(volumeM3, 0) });
+    }
+    if (weightKg < 0 || volumeM3 < 0) {
+      releases.push({ flightId, weightKg: Math.max(-weightKg, 0), volumeM3: Math.max(-volumeM3, 0) });
+    }
+  }
+
+  return { reservations, releases };
+};
+
+/**
+ * Reserve weight and volume on each flight of a booking
+ * Rolls back already-reserved flights if any flight is short of capacity
+ * @param {Array} flightLoads - { flightId, weightKg, volumeM3 } per flight (see getFlightLoads)
+ */
+const reserveCapacityOnFlights = async (flightLoads) => {
+  const reserved = [];
+
+  for (const load of flightLoads) {
+    const flight = await Flight.reserveCapacity(load.flightId, load.weightKg, load.volumeM3);
+
+    if (!flight) {
+      await releaseCapacityOnFlights(reserved);
+
+      const current = await Flight.findById(load.flightId).lean();
+      throw new Error(
+        `Insufficient capacity on flight ${current?.flightNumber || load.flightId}: ` +
+        `requested ${load.weightKg} kg / ${load.volumeM3} m³, ` +
+        `remaining ${current?.remainingWeightKg ?? 0} kg / ${current?.remainingVolumeM3 ?? 0} m³`
+      );
+    }
+
+    reserved.push(load);
+  }
+};
+
+/**
+ * Return weight and volume to each flight of a booking
+ * @param {Array} flightLoads - { flightId, weightKg, volumeM3 } per flight (see getFlightLoads)
+ */
+const releaseCapacityOnFlights = async (flightLoads) => {
+  for (const load of flightLoads) {
+    await Flight.releaseCapacity(load.flightId, load.weightKg, load.volumeM3);
+  }
+};
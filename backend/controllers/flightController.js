@@ -0,0 +1,578 @@
+import Flight from '../models/Flight.js';
+import Booking from '../models/Booking.js';
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { normalizeHandlingCodes } from '../utils/specialHandling.js';
+import { getFlightLoads } from '../utils/shipmentParts.js';
+import { validateStations } from './airportController.js';
+import { departBooking, arriveBooking, flagAtRiskBookings } from './bookingController.js';
+import { reprotectFlight } from './reprotectionController.js';
+
+// Default and maximum page size for flight listings
+const DEFAULT_LIST_LIMIT = 100;
+const MAX_LIST_LIMIT = 500;
+
+// Flight statuses, and the ones a flight can still move on from
+const FLIGHT_STATUSES = ['SCHEDULED', 'DELAYED', 'CANCELLED', 'DEPARTED', 'LANDED'];
+const OPEN_FLIGHT_STATUSES = ['SCHEDULED', 'DELAYED', 'DEPARTED'];
+// Flight statuses a bulk depart or arrive can start from; running one again moves leftover bookings
+const MOVE_FROM_FLIGHT_STATUSES = {
+  DEPARTED: ['SCHEDULED', 'DELAYED', 'DEPARTED'],
+  ARRIVED: ['SCHEDULED', 'DELAYED', 'DEPARTED', 'LANDED'],
+};
+
+// Estimated and actual times that can be recorded with a status update
+const STATUS_TIME_FIELDS = [
+  'estimatedDepartureDateTime', 'estimatedArrivalDateTime', 'actualDepartureDateTime', 'actualArrivalDateTime',
+];
+
+// Booking statuses that can still have pieces to move on a flight
+const MOVABLE_BOOKING_STATUSES = ['BOOKED', 'PARTIALLY_DEPARTED', 'DEPARTED', 'PARTIALLY_ARRIVED'];
+
+// Fields that can be changed with updateFlight (times change through retimeFlight)
+const UPDATABLE_FIELDS = [
+  'flightNumber', 'airlineName', 'origin', 'destination', 'maxWeightKg', 'maxVolumeM3',
+  'aircraftType', 'refusedHandlingCodes',
+];
+
+/**
+ * List flights by route, airline and departure date range
+ * @param {Object} filters - Optional filters (origin, destination, airlineName, from, to, limit)
+ * @returns {Promise<Array>} Flights sorted by departure time
+ */
+export const listFlights = async (filters = {}) => {
+  const { origin, destination, airlineName, from, to, limit } = filters;
+
+  const query = {};
+  if (origin) {
+    query.origin = origin.toUpperCase().trim();
+  }
+  if (destination) {
+    query.destination = destination.toUpperCase().trim();
+  }
+  if (airlineName) {
+    query.airlineName = airlineName.trim();
+  }
+  if (from || to) {
+    query.departureDateTime = {};
+    if (from) query.departureDateTime.$gte = new Date(from);
+    if (to) query.departureDateTime.$lte = new Date(to);
+  }
+
+  return Flight.find(query)
+    .sort({ departureDateTime: 1 })
+    .limit(Math.min(limit || DEFAULT_LIST_LIMIT, MAX_LIST_LIMIT))
+    .lean();
+};
+
+/**
+ * Get a single flight
+ * @param {string} flightId - Flight ID
+ * @returns {Promise<Object>} Flight
+ */
+export const getFlight = async (flightId) => {
+  const flight = mongoose.Types.ObjectId.isValid(flightId)
+    ? await Flight.findById(flightId).lean()
+    : null;
+
+  if (!flight) {
+    throw new Error('Flight not found');
+  }
+
+  return flight;
+};
+
+/**
+ * Create a flight
+ * @param {Object} flightData - Flight data (flightNumber, airlineName, origin, destination,
+ *   departureDateTime, arrivalDateTime, maxWeightKg, maxVolumeM3, aircraftType, refusedHandlingCodes)
+ * @returns {Promise<Object>} Created flight
+ */
+export const createFlight = async (flightData) => {
+  const {
+    flightNumber, airlineName, origin, destination, departureDateTime, arrivalDateTime,
+    maxWeightKg, maxVolumeM3, aircraftType, refusedHandlingCodes,
+  } = flightData;
+
+  validateFlightTimes(departureDateTime, arrivalDateTime);
+  if (origin.toUpperCase().trim() === destination.toUpperCase().trim()) {
+    throw new Error('Invalid flight: origin and destination must differ');
+  }
+  await validateStations({ origin, destination });
+
+  // The same flight number cannot operate twice at the same time
+  const duplicate = await Flight.findOne({
+    flightNumber: flightNumber.toUpperCase().trim(),
+    departureDateTime: new Date(departureDateTime),
+  }).lean();
+  if (duplicate) {
+    throw new Error(`Flight already exists: ${duplicate.flightNumber} departing ${duplicate.departureDateTime.toISOString()}`);
+  }
+
+  const flight = await Flight.create({
+    flightNumber,
+    airlineName,
+    origin,
+    destination,
+    departureDateTime: new Date(departureDateTime),
+    arrivalDateTime: new Date(arrivalDateTime),
+    maxWeightKg,
+    maxVolumeM3,
+    aircraftType,
+    refusedHandlingCodes: refusedHandlingCodes !== undefined ? normalizeHandlingCodes(refusedHandlingCodes) : undefined,
+  });
+
+  logger.info('Flight created', {
+    flightId: flight._id.toString(),
+    flightNumber: flight.flightNumber,
+    origin: flight.origin,
+    destination: flight.destination,
+    departureDateTime: flight.departureDateTime,
+  });
+
+  return flight;
+};
+
+/**
+ * Update a flight's details or payload limits
+ * Route changes are blocked while bookings reference the flight, and payload
+ * limits cannot drop below what is already booked. Handling restrictions only
+ * apply to new bookings
+ * @param {string} flightId - Flight ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated flight
+ */
+export const updateFlight = async (flightId, updates) => {
+  const flight = await getFlight(flightId);
+
+  const changes = {};
+  for (const field of UPDATABLE_FIELDS) {
+    if (updates[field] !== undefined) {
+      changes[field] = updates[field];
+    }
+  }
+
+  if (changes.refusedHandlingCodes !== undefined) {
+    changes.refusedHandlingCodes = normalizeHandlingCodes(changes.refusedHandlingCodes);
+  }
+
+  const newOrigin = (changes.origin || flight.origin).toUpperCase().trim();
+  const newDestination = (changes.destination || flight.destination).toUpperCase().trim();
+  const routeChanged = newOrigin !== flight.origin || newDestination !== flight.destination;
+
+  if (routeChanged) {
+    if (newOrigin === newDestination) {
+      throw new Error('Invalid flight: origin and destination must differ');
+    }
+    await validateStations({ origin: newOrigin, destination: newDestination });
+  }
+
+  for (const field of ['maxWeightKg', 'maxVolumeM3']) {
+    if (changes[field] !== undefined && (isNaN(changes[field]) || Number(changes[field]) < 0)) {
+      throw new Error(`Invalid flight: ${field} must be a non-negative number`);
+    }
+  }
+
+  // Payload limits move remaining capacity by the same amount, guarded so that
+  // the limit never drops below what is already booked
+  const weightDelta = changes.maxWeightKg !== undefined ? Number(changes.maxWeightKg) - flight.maxWeightKg : 0;
+  const volumeDelta = changes.maxVolumeM3 !== undefined ? Number(changes.maxVolumeM3) - flight.maxVolumeM3 : 0;
+  delete changes.maxWeightKg;
+  delete changes.maxVolumeM3;
+
+  const update = {
+    $set: changes,
+    $inc: {
+      maxWeightKg: weightDelta,
+      remainingWeightKg: weightDelta,
+      maxVolumeM3: volumeDelta,
+      remainingVolumeM3: volumeDelta,
+    },
+  };
+
+  // A route only changes while nothing is booked on the flight, checked in the same write
+  const updatedFlight = routeChanged
+    ? await Flight.updateIfUnbooked(flight, update, { runValidators: true })
+    : await Flight.findOneAndUpdate(
+      {
+        _id: flight._id,
+        remainingWeightKg: { $gte: -weightDelta },
+        remainingVolumeM3: { $gte: -volumeDelta },
+      },
+      update,
+      {
+        new: true, // Return updated document
+        runValidators: true,
+      }
+    );
+
+  if (!updatedFlight && routeChanged) {
+    const bookingCount = await countBookingsOnFlight(flight._id);
+    throw new Error(`Cannot update flight route: ${bookingCount} booking(s) reference this flight`);
+  }
+  if (!updatedFlight) {
+    throw new Error('Cannot update flight capacity: the new limits are below the capacity already booked');
+  }
+
+  logger.info('Flight updated', {
+    flightId: updatedFlight._id.toString(),
+    flightNumber: updatedFlight.flightNumber,
+    fields: Object.keys(updates),
+  });
+
+  return updatedFlight;
+};
+
+/**
+ * Change a flight's departure and arrival times
+ * Blocked once any booking on the flight has moved beyond BOOKED. Bookings whose connections
+ * break under the new times are flagged at risk.
+ * @param {string} flightId - Flight ID
+ * @param {Object} times - New times (departureDateTime, arrivalDateTime)
+ * @returns {Promise<Object>} { flight, atRiskBookings }
+ */
+export const retimeFlight = async (flightId, times) => {
+  const { departureDateTime, arrivalDateTime } = times;
+  const flight = await getFlight(flightId);
+
+  validateFlightTimes(departureDateTime, arrivalDateTime);
+
+  const movedBookings = await Booking.countDocuments({
+    flightIds: flight._id,
+    status: { $nin: ['BOOKED', 'CANCELLED'] },
+  });
+  if (movedBookings > 0) {
+    throw new Error(`Cannot retime flight: ${movedBookings} booking(s) on this flight have already departed`);
+  }
+
+  // Use distributed lock pattern: only a flight that has not left (or been cancelled) is retimed.
+  // Bookings made meanwhile are still BOOKED and are checked by flagAtRiskBookings below.
+  // Flights stored before statuses were tracked have none and count as SCHEDULED
+  const updatedFlight = await Flight.findOneAndUpdate(
+    {
+      _id: flight._id,
+      status: { $in: [null, 'SCHEDULED', 'DELAYED'] },
+    },
+    {
+      $set: {
+        departureDateTime: new Date(departureDateTime),
+        arrivalDateTime: new Date(arrivalDateTime),
+      },
+    },
+    {
+      new: true, // Return updated document
+      runValidators: true,
+    }
+  );
+
+  if (!updatedFlight) {
+    const current = await Flight.findById(flight._id).select('status').lean();
+    throw new Error(`Cannot retime flight with status: ${current?.status || 'DELETED'}`);
+  }
+
+  logger.info('Flight retimed', {
+    flightId: updatedFlight._id.toString(),
+    flightNumber: updatedFlight.flightNumber,
+    previousDeparture: flight.departureDateTime,
+    departureDateTime: updatedFlight.departureDateTime,
+    arrivalDateTime: updatedFlight.arrivalDateTime,
+  });
+
+  const atRiskBookings = await flagAtRiskBookings(updatedFlight._id);
+
+  return { flight: updatedFlight, atRiskBookings: atRiskBookings };
+};
+
+/**
+ * Record a flight's status with its estimated or actual times
+ * A delay keeps the scheduled times and adds estimated ones; the estimated arrival defaults to the
+ * estimated departure plus the scheduled flying time. DEPARTED and LANDED default their actual
+ * time to now. Every status change re-checks the bookings on the flight: those whose connections
+ * break, or that still have pieces on a cancelled flight, are flagged at risk. Bookings on a
+ * cancelled flight are then re-protected onto other flights where possible.
+ * @param {string} flightId - Flight ID
+ * @param {Object} update - status, plus optional estimatedDepartureDateTime, estimatedArrivalDateTime,
+ *   actualDepartureDateTime, actualArrivalDateTime
+ * @returns {Promise<Object>} { flight, atRiskBookings, reprotection (cancellations only) }
+ */
+export const updateFlightStatus = async (flightId, update) => {
+  const { status } = update;
+  const flight = await getFlight(flightId);
+  const currentStatus = flight.status || 'SCHEDULED';
+
+  if (!FLIGHT_STATUSES.includes(status)) {
+    throw new Error(`Invalid flight: status must be one of ${FLIGHT_STATUSES.join(', ')}`);
+  }
+  if (!OPEN_FLIGHT_STATUSES.includes(currentStatus) ||
+      (currentStatus === 'DEPARTED' && !['DEPARTED', 'LANDED'].includes(status))) {
+    throw new Error(`Cannot change status of a ${currentStatus} flight to ${status}`);
+  }
+
+  const times = {};
+  for (const field of STATUS_TIME_FIELDS) {
+    if (update[field] !== undefined && update[field] !== null && update[field] !== '') {
+      const time = new Date(update[field]);
+      if (isNaN(time.getTime())) {
+        throw new Error(`Invalid flight: ${field} must be a valid date`);
+      }
+      times[field] = time;
+    }
+  }
+
+  if (status === 'DELAYED') {
+    if (!times.estimatedDepartureDateTime && !flight.estimatedDepartureDateTime) {
+      throw new Error('Invalid flight: a DELAYED flight needs an estimatedDepartureDateTime');
+    }
+    if (times.estimatedDepartureDateTime && !times.estimatedArrivalDateTime) {
+      const flyingTime = new Date(flight.arrivalDateTime) - new Date(flight.departureDateTime);
+      times.estimatedArrivalDateTime = new Date(times.estimatedDepartureDateTime.getTime() + flyingTime);
+    }
+  }
+  if (status === 'DEPARTED' && !times.actualDepartureDateTime && !flight.actualDepartureDateTime) {
+    times.actualDepartureDateTime = new Date();
+  }
+  if (status === 'LANDED' && !times.actualArrivalDateTime && !flight.actualArrivalDateTime) {
+    times.actualArrivalDateTime = new Date();
+  }
+
+  const estimatedDeparture = times.estimatedDepartureDateTime || flight.estimatedDepartureDateTime;
+  const estimatedArrival = times.estimatedArrivalDateTime || flight.estimatedArrivalDateTime;
+  if (estimatedDeparture && estimatedArrival && new Date(estimatedArrival) <= new Date(estimatedDeparture)) {
+    throw new Error('Invalid flight: estimatedArrivalDateTime must be after estimatedDepartureDateTime');
+  }
+
+  const changes = { $set: { status: status, ...times } };
+  if (status === 'SCHEDULED') {
+    // Back on schedule: the estimates no longer apply
+    changes.$unset = { estimatedDepartureDateTime: 1, estimatedArrivalDateTime: 1 };
+  }
+
+  // Only apply the change to the status it was worked out from
+  const updatedFlight = await Flight.findOneAndUpdate(
+    {
+      _id: flight._id,
+      status: flight.status ? flight.status : { $in: [null, 'SCHEDULED'] },
+    },
+    changes,
+    {
+      new: true, // Return updated document
+      runValidators: true,
+    }
+  );
+
+  if (!updatedFlight) {
+    throw new Error('Cannot update flight status: the flight was modified by another operation');
+  }
+
+  logger.info('Flight status updated', {
+    flightId: updatedFlight._id.toString(),
+    flightNumber: updatedFlight.flightNumber,
+    previousStatus: currentStatus,
+    status: updatedFlight.status,
+    estimatedDepartureDateTime: updatedFlight.estimatedDepartureDateTime,
+  });
+
+  const atRiskBookings = await flagAtRiskBookings(updatedFlight._id);
+
+  // Move the cargo of a cancelled flight to the best alternative, or queue it for ops
+  const reprotection = status === 'CANCELLED'
+    ? await reprotectFlight(updatedFlight._id.toString(), { dryRun: false })
+    : null;
+
+  return { flight: updatedFlight, atRiskBookings: atRiskBookings, reprotection: reprotection };
+};
+
+/**
+ * Delete a flight
+ * Blocked while any booking still references the flight in flightIds
+ * @param {string} flightId - Flight ID
+ * @returns {Promise<Object>} Deleted flight
+ */
+export const deleteFlight = async (flightId) => {
+  const flight = await getFlight(flightId);
+
+  // Deleted only while nothing is booked on it, checked in the same write
+  if (!await Flight.deleteIfUnbooked(flight)) {
+    const bookingCount = await countBookingsOnFlight(flight._id);
+    throw new Error(`Cannot delete flight: ${bookingCount} booking(s) reference this flight`);
+  }
+
+  logger.info('Flight deleted', {
+    flightId: flight._id.toString(),
+    flightNumber: flight.flightNumber,
+  });
+
+  return flight;
+};
+
+/**
+ * Depart every booking on a flight that still has pieces to load
+ * Each booking moves on its own atomic transition; one failing booking does not stop the others
+ * @param {string} flightId - Flight ID
+ * @returns {Promise<Object>} Report with a success or failure entry per booking
+ */
+export const departFlight = (flightId) => moveFlightBookings(flightId, 'DEPARTED');
+
+/**
+ * Arrive every booking on a flight that still has pieces on board
+ * Each booking moves on its own atomic transition; one failing booking does not stop the others
+ * @param {string} flightId - Flight ID
+ * @returns {Promise<Object>} Report with a success or failure entry per booking
+ */
+export const arriveFlight = (flightId) => moveFlightBookings(flightId, 'ARRIVED');
+
+/**
+ * Give flights created before capacity tracking their remaining weight and volume
+ * Remaining capacity is the payload limit less what the flight's active bookings carry. Runs at
+ * startup; flights that already track capacity are left alone.
+ * @returns {Promise<number>} Number of flights backfilled
+ */
+export const backfillFlightCapacity = async () => {
+  const untracked = {
+    $or: [{ remainingWeightKg: { $exists: false } }, { remainingVolumeM3: { $exists: false } }],
+  };
+  const flights = await Flight.find(untracked).lean();
+
+  let backfilled = 0;
+  for (const flight of flights) {
+    const bookings = await Booking.find({ flightIds: flight._id, status: { $ne: 'CANCELLED' } }).lean();
+    const loads = bookings
+      .flatMap(booking => getFlightLoads(booking))
+      .filter(load => load.flightId === flight._id.toString());
+    const bookedWeightKg = loads.reduce((sum, load) => sum + load.weightKg, 0);
+    const bookedVolumeM3 = loads.reduce((sum, load) => sum + load.volumeM3, 0);
+
+    // Guarded so that a flight backfilled meanwhile (e.g. by another instance) is not reset
+    const result = await Flight.updateOne(
+      { _id: flight._id, ...untracked },
+      {
+        $set: {
+          remainingWeightKg: Math.max(0, Math.round((flight.maxWeightKg - bookedWeightKg) * 100) / 100),
+          remainingVolumeM3: Math.max(0, Math.round((flight.maxVolumeM3 - bookedVolumeM3) * 1000) / 1000),
+        },
+      }
+    );
+    backfilled += result.modifiedCount;
+  }
+
+  if (backfilled > 0) {
+    logger.info('Flight capacity backfilled', { flights: backfilled });
+  }
+
+  return backfilled;
+};
+
+/**
+ * Move the bookings on a flight one by one and report the outcome of each
+ */
+const moveFlightBookings = async (flightId, event) => {
+  const flight = await getFlight(flightId);
+  const counter = event === 'DEPARTED' ? 'departed_pieces' : 'arrived_pieces';
+  const moveBooking = event === 'DEPARTED' ? departBooking : arriveBooking;
+  const currentStatus = flight.status || 'SCHEDULED';
+  const allowedFrom = MOVE_FROM_FLIGHT_STATUSES[event];
+
+  if (!allowedFrom.includes(currentStatus)) {
+    throw new Error(`Cannot ${event === 'DEPARTED' ? 'depart' : 'arrive'} a ${currentStatus} flight`);
+  }
+
+  // The flight itself departs or lands first, and only from a status the move is allowed from
+  const actualTimeField = event === 'DEPARTED' ? 'actualDepartureDateTime' : 'actualArrivalDateTime';
+  const movedFlight = await Flight.findOneAndUpdate(
+    {
+      _id: flight._id,
+      status: { $in: currentStatus === 'SCHEDULED' ? [null, ...allowedFrom] : allowedFrom },
+    },
+    {
+      $set: {
+        status: event === 'DEPARTED' ? 'DEPARTED' : 'LANDED',
+        [actualTimeField]: flight[actualTimeField] || new Date(),
+      },
+    },
+    { new: true }
+  );
+
+  if (!movedFlight) {
+    throw new Error('Cannot update flight status: the flight was modified by another operation');
+  }
+
+  const bookings = await Booking.find({ flightIds: flight._id, status: { $in: MOVABLE_BOOKING_STATUSES } })
+    .select('ref_id status parts')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  // Leave out bookings whose pieces on this flight have all moved already
+  const eligible = bookings.filter(booking => {
+    const part = (booking.parts || []).find(p => p.flightId.toString() === flight._id.toString());
+    if (!part) {
+      // Bookings created before split shipments only have a booking status
+      return event === 'ARRIVED' || booking.status === 'BOOKED';
+    }
+    return part[counter] < part.pieces;
+  });
+
+  const results = [];
+  for (const booking of eligible) {
+    try {
+      const updatedBooking = await moveBooking(booking._id.toString(), flight._id.toString());
+      results.push({
+        bookingId: booking._id,
+        ref_id: booking.ref_id,
+        success: true,
+        status: updatedBooking.status,
+      });
+    } catch (error) {
+      results.push({
+        bookingId: booking._id,
+        ref_id: booking.ref_id,
+        success: false,
+        status: booking.status,
+        error: error.message,
+      });
+    }
+  }
+
+  const succeeded = results.filter(result => result.success).length;
+
+  logger.info(event === 'DEPARTED' ? 'Flight departed' : 'Flight arrived', {
+    flightId: flight._id.toString(),
+    flightNumber: flight.flightNumber,
+    succeeded: succeeded,
+    failed: results.length - succeeded,
+  });
+
+  return {
+    flight: {
+      _id: flight._id,
+      flightNumber: flight.flightNumber,
+      origin: flight.origin,
+      destination: flight.destination,
+    },
+    total: results.length,
+    succeeded: succeeded,
+    failed: results.length - succeeded,
+    results: results,
+  };
+};
+
+/**
+ * Count bookings that reference a flight, leaving out cancelled ones
+ */
+const countBookingsOnFlight = (flightId) => {
+  return Booking.countDocuments({ flightIds: flightId, status: { $ne: 'CANCELLED' } });
+};
+
+/**
+ * Validate departure and arrival times
+ */
+const validateFlightTimes = (departureDateTime, arrivalDateTime) => {
+  const departure = new Date(departureDateTime);
+  const arrival = new Date(arrivalDateTime);
+
+  if (isNaN(departure.getTime()) || isNaN(arrival.getTime())) {
+    throw new Error('Invalid flight: departureDateTime and arrivalDateTime must be valid dates');
+  }
+  if (arrival <= departure) {
+    throw new Error('Invalid flight: arrivalDateTime must be after departureDateTime');
+  }
+};
@@ -0,0 +1,210 @@
+import Notification from '../models/Notification.js';
+import logger from '../utils/logger.js';
+import {
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_LOCALES,
+  DEFAULT_LOCALE,
+  renderNotification,
+} from '../utils/notificationTemplates.js';
+import { NOTIFICATION_CHANNELS, getNotificationTransport } from '../utils/notificationTransports.js';
+
+const CONTACT_ROLES = ['SHIPPER', 'CONSIGNEE'];
+const MAX_CONTACTS = 10;
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+const PHONE_PATTERN = /^\+[1-9]\d{6,14}$/; // E.164
+
+/**
+ * Check and normalize the contacts of a booking
+ * Channels default to those the contact has an address for, events to every milestone, and the
+ * locale to English; a regional locale (fr-CA) uses its language.
+ * @param {Array} contacts - { role (SHIPPER or CONSIGNEE), name, email, phone, locale, channels[], events[] }
+ * @returns {Array} Normalized contacts
+ * @throws {Error} 'Invalid contact: ...' when a contact cannot be notified as asked
+ */
+export const normalizeContacts = (contacts) => {
+  if (contacts === undefined || contacts === null) {
+    return [];
+  }
+  if (!Array.isArray(contacts)) {
+    throw new Error('Invalid contact: contacts must be a list');
+  }
+  if (contacts.length > MAX_CONTACTS) {
+    throw new Error(`Invalid contact: at most ${MAX_CONTACTS} contacts per booking`);
+  }
+
+  return contacts.map((contact) => {
+    const role = String(contact?.role || '').toUpperCase().trim();
+    if (!CONTACT_ROLES.includes(role)) {
+      throw new Error(`Invalid contact: role must be one of ${CONTACT_ROLES.join(', ')}`);
+    }
+
+    const email = contact.email ? String(contact.email).toLowerCase().trim() : undefined;
+    if (email && !EMAIL_PATTERN.test(email)) {
+      throw new Error(`Invalid contact: ${email} is not an email address`);
+    }
+    const phone = contact.phone ? String(contact.phone).replace(/[\s\-().]/g, '') : undefined;
+    if (phone && !PHONE_PATTERN.test(phone)) {
+      throw new Error(`Invalid contact: phone ${contact.phone} must be in international format, e.g. +919876543210`);
+    }
+    if (!email && !phone) {
+      throw new Error(`Invalid contact: the ${role.toLowerCase()} contact needs an email or a phone number`);
+    }
+
+    const locale = contact.locale ? String(contact.locale).toLowerCase().trim().split(/[-_]/)[0] : DEFAULT_LOCALE;
+    if (!NOTIFICATION_LOCALES.includes(locale)) {
+      throw new Error(`Invalid contact: unsupported locale ${contact.locale} (use ${NOTIFICATION_LOCALES.join(', ')})`);
+    }
+
+    for (const list of ['channels', 'events']) {
+      if (contact[list] !== undefined && !Array.isArray(contact[list])) {
+        throw new Error(`Invalid contact: ${list} must be a list`);
+      }
+    }
+
+    const channels = contact.channels !== undefined
+      ? [...new Set(contact.channels.map(channel => String(channel).toUpperCase().trim()))]
+      : NOTIFICATION_CHANNELS.filter(channel => (channel === 'EMAIL' ? email : phone));
+    for (const channel of channels) {
+      if (!NOTIFICATION_CHANNELS.includes(channel)) {
+        throw new Error(`Invalid contact: unknown channel ${channel}`);
+      }
+      if ((channel === 'EMAIL' && !email) || (channel === 'SMS' && !phone)) {
+        throw new Error(`Invalid contact: ${channel} needs ${channel === 'EMAIL' ? 'an email address' : 'a phone number'}`);
+      }
+    }
+
+    const events = contact.events !== undefined
+      ? [...new Set(contact.events.map(event => String(event).toUpperCase().trim()))]
+      : NOTIFICATION_EVENTS;
+    const unknown = events.filter(event => !NOTIFICATION_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new Error(`Invalid contact: unknown event ${unknown.join(', ')}`);
+    }
+
+    return {
+      role: role,
+      name: contact.name ? String(contact.name).trim() : undefined,
+      email: email,
+      phone: phone,
+      locale: locale,
+      channels: channels,
+      events: events,
+    };
+  });
+};
+
+/**
+ * Notify the booking's contacts of a milestone, on each of their channels, and log every message
+ * Runs next to the booking operation and never fails it; a message a transport refuses is logged
+ * as FAILED.
+ * @param {string} event - DEPARTED, ARRIVED or CANCELLED
+ * @param {Object} booking - Booking, with its flights populated
+ * @param {Object} details - Optional flightId and pieces of a movement
+ * @returns {Promise<Array>} Notification log entries written
+ */
+export const sendBookingNotifications = async (event, booking, details = {}) => {
+  const notifications = [];
+
+  // Callers do not wait for the notifications, so nothing may escape as a rejection
+  try {
+    const recipients = (booking.contacts || []).filter(contact => (contact.events || []).includes(event));
+    if (recipients.length === 0) {
+      return notifications;
+    }
+
+    const values = getTemplateValues(event, booking, details);
+
+    for (const contact of recipients) {
+      for (const channel of contact.channels || []) {
+        const to = channel === 'EMAIL' ? contact.email : contact.phone;
+
+        try {
+          const message = renderNotification(event, contact.locale, values);
+          const text = channel === 'EMAIL' ? message.text : message.sms;
+          const subject = channel === 'EMAIL' ? message.subject : undefined;
+
+          let result = {};
+          let error;
+          try {
+            result = await getNotificationTransport(channel).send({ to, subject, text });
+          } catch (sendError) {
+            error = sendError.message;
+          }
+
+          const notification = await Notification.create({
+            bookingId: booking._id,
+            event: event,
+            channel: channel,
+            role: contact.role,
+            to: to,
+            locale: contact.locale,
+            subject: subject,
+            text: text,
+            status: error ? 'FAILED' : 'SENT',
+            messageId: result?.messageId || undefined,
+            error: error,
+          });
+          notifications.push(notification);
+
+          const logDetails = { ref_id: booking.ref_id, event, channel, role: contact.role };
+          if (error) {
+            logger.warn('Notification failed', { ...logDetails, error: error });
+          } else {
+            logger.info('Notification sent', logDetails);
+          }
+        } catch (error) {
+          logger.error('Failed to notify booking contact', {
+            ref_id: booking.ref_id,
+            event: event,
+            channel: channel,
+            error: error.message,
+          });
+        }
+      }
+    }
+  } catch (error) {
+    logger.error('Failed to notify booking contacts', {
+      ref_id: booking?.ref_id,
+      event: event,
+      error: error.message,
+    });
+  }
+
+  return notifications;
+};
+
+/**
+ * Notification log of a booking, oldest first
+ * @param {string} bookingId - Booking _id
+ * @returns {Promise<Array>} Notifications
+ */
+export const getBookingNotifications = async (bookingId) =>
+  Notification.find({ bookingId: bookingId }).sort({ createdAt: 1, _id: 1 }).lean();
+
+/**
+ * Placeholder values of a milestone message: the flight and station of a movement, or the
+ * booking's own flights and stations when the whole shipment moved
+ */
+const getTemplateValues = (event, booking, details) => {
+  const flights = (booking.flightIds || []).filter(flight => flight.flightNumber);
+  const flight = details.flightId
+    ? flights.find(candidate => candidate._id.toString() === details.flightId.toString())
+    : null;
+
+  let station;
+  if (event === 'DEPARTED') {
+    station = flight ? flight.origin : booking.origin;
+  } else if (event === 'ARRIVED') {
+    station = flight ? flight.destination : booking.destination;
+  }
+
+  return {
+    ref_id: booking.ref_id,
+    origin: booking.origin,
+    destination: booking.destination,
+    pieces: details.pieces || booking.pieces,
+    flight: flight ? flight.flightNumber : flights.map(candidate => candidate.flightNumber).join(', '),
+    station: station,
+  };
+};
@@ -0,0 +1,167 @@
+import Quote from '../models/Quote.js';
+import Flight from '../models/Flight.js';
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { resolveShipmentVolume, calculateChargeableWeight } from '../utils/chargeableWeight.js';
+import { calculateFreightCharges } from '../utils/freightRates.js';
+import { normalizeHandlingCodes } from '../utils/specialHandling.js';
+import { findApplicableRateCards } from './rateCardController.js';
+
+// How long a quote can be booked, in hours
+export const QUOTE_VALIDITY_HOURS = parseInt(process.env.QUOTE_VALIDITY_HOURS) || 48;
+
+/**
+ * Price a shipment and store the quote
+ * The airline comes from the first flight when flightIds are given, otherwise from
+ * airlineName; without either, the cheapest airline with a rate card on the lane is quoted.
+ * @param {Object} quoteData - Same fields as createBooking (origin, destination, pieces, weight_kg,
+ *   volume_m3 or dimensions, flightIds) plus optional airlineName, special_handling codes and
+ *   account_id (customer the quote is made for)
+ * @param {Object} options - now (for testing)
+ * @returns {Promise<Object>} Quote with price breakdown and valid_until
+ */
+export const createQuote = async (quoteData, options = {}) => {
+  const { now = new Date() } = options;
+  const {
+    origin, destination, pieces, weight_kg, volume_m3, dimensions, flightIds = [], special_handling, account_id,
+  } = quoteData;
+
+  const weightKg = parseInt(weight_kg);
+  const shipment = resolveShipmentVolume(pieces, dimensions, volume_m3);
+  const chargeableWeightKg = calculateChargeableWeight(weightKg, shipment.volumeM3);
+  const handlingCodes = normalizeHandlingCodes(special_handling);
+
+  let airlineName = quoteData.airlineName;
+  if (flightIds.length > 0) {
+    const flights = await Flight.find({
+      _id: { $in: flightIds.map(id => new mongoose.Types.ObjectId(id)) }
+    }).sort({ departureDateTime: 1 }).lean();
+
+    if (flights.length !== flightIds.length) {
+      throw new Error('One or more flight IDs are invalid');
+    }
+    airlineName = flights[0].airlineName;
+  }
+
+  const rateCards = await findApplicableRateCards(origin, destination, { airlineName, at: now });
+  if (rateCards.length === 0) {
+    throw new Error(
+      `No rate card found for ${origin.toUpperCase().trim()}-${destination.toUpperCase().trim()}` +
+      (airlineName ? ` on ${airlineName}` : '')
+    );
+  }
+
+  // Price every candidate airline and keep the cheapest
+  const specialHandling = handlingCodes.length > 0;
+  const priced = rateCards
+    .map(rateCard => ({ rateCard, charges: calculateFreightCharges(rateCard, chargeableWeightKg, { specialHandling }) }))
+    .sort((a, b) => a.charges.total - b.charges.total);
+  const { rateCard, charges } = priced[0];
+
+  // A quote never outlives the rate card it was priced on
+  let validUntil = new Date(now.getTime() + QUOTE_VALIDITY_HOURS * 60 * 60 * 1000);
+  if (rateCard.validTo && rateCard.validTo < validUntil) {
+    validUntil = rateCard.validTo;
+  }
+
+  const quote = await Quote.create({
+    origin,
+    destination,
+    pieces: parseInt(pieces),
+    weight_kg: weightKg,
+    volume_m3: shipment.volumeM3,
+    chargeable_weight_kg: chargeableWeightKg,
+    special_handling: specialHandling ? handlingCodes : undefined,
+    flightIds: flightIds,
+    airline_name: rateCard.airlineName,
+    price: {
+      currency: charges.currency,
+      rate_card_id: rateCard._id,
+      rate_class: charges.rateClass,
+      rate_per_kg: charges.ratePerKg,
+      charged_weight_kg: charges.chargedWeightKg,
+      freight: charges.freight,
+      surcharges: {
+        fuel: charges.surcharges.fuel,
+        security: charges.surcharges.security,
+        special_handling: charges.surcharges.specialHandling,
+      },
+      total: charges.total,
+    },
+    valid_until: validUntil,
+    account_id: account_id || undefined,
+  });
+
+  logger.info('Quote created', {
+    quoteId: quote._id.toString(),
+    ref_id: quote.ref_id,
+    origin: quote.origin,
+    destination: quote.destination,
+    airlineName: quote.airline_name,
+    total: quote.price.total,
+    currency: quote.price.currency,
+    valid_until: quote.valid_until,
+  });
+
+  return quote;
+};
+
+/**
+ * Get a quote by ID or ref_id
+ * @param {string} quoteId - Quote ID or ref_id
+ * @param {Object} options - accountId: only find the quote if it was made for this customer
+ * @returns {Promise<Object>} Quote document
+ */
+export const getQuote = async (quoteId, options = {}) => {
+  const { accountId } = options;
+  let quote = null;
+  if (mongoose.Types.ObjectId.isValid(quoteId)) {
+    quote = await Quote.findById(quoteId);
+  }
+  if (!quote) {
+    quote = await Quote.findOne({ ref_id: String(quoteId).toUpperCase().trim() });
+  }
+
+  // Another customer's quote is reported as missing rather than forbidden
+  if (!quote || (accountId && !(quote.account_id && quote.account_id.equals(accountId)))) {
+    throw new Error('Quote not found');
+  }
+
+  return quote;
+};
+
+/**
+ * Claim an open, unexpired quote for a booking (atomic, so a quote is only booked once)
+ * @param {string} quoteId - Quote ID
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} Claimed quote
+ */
+export const claimQuote = async (quoteId, now = new Date()) => {
+  const claimed = await Quote.findOneAndUpdate(
+    {
+      _id: quoteId,
+      status: 'OPEN', // Only claim if nobody booked it in the meantime
+      valid_until: { $gt: now },
+    },
+    { $set: { status: 'BOOKED' } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    const quote = await getQuote(quoteId);
+    if (quote.status !== 'OPEN') {
+      throw new Error(`Quote already used: ${quote.ref_id}`);
+    }
+    throw new Error(`Quote expired: ${quote.ref_id} was valid until ${quote.valid_until.toISOString()}`);
+  }
+
+  return claimed;
+};
+
+/**
+ * Give a claimed quote back when the booking could not be created
+ * @param {string} quoteId - Quote ID
+ */
+export const releaseQuote = async (quoteId) => {
+  await Quote.updateOne({ _id: quoteId, status: 'BOOKED', booking_id: null }, { $set: { status: 'OPEN' } });
+};
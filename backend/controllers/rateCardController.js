@@ -0,0 +1,159 @@
+import RateCard from '../models/RateCard.js';
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { validateStations } from './airportController.js';
+
+// Fields that can be changed with updateRateCard (the lane and airline identify the card)
+const UPDATABLE_FIELDS = ['currency', 'minimumCharge', 'rates', 'surcharges', 'validFrom', 'validTo', 'active'];
+
+/**
+ * List rate cards
+ * @param {Object} filters - Optional filters (origin, destination, airlineName, active)
+ * @returns {Promise<Array>} Rate cards sorted by lane and airline
+ */
+export const listRateCards = async (filters = {}) => {
+  const query = {};
+  if (filters.origin) query.origin = filters.origin.toUpperCase().trim();
+  if (filters.destination) query.destination = filters.destination.toUpperCase().trim();
+  if (filters.airlineName) query.airlineName = filters.airlineName.trim();
+  if (filters.active !== undefined) query.active = filters.active;
+
+  return RateCard.find(query).sort({ origin: 1, destination: 1, airlineName: 1, validFrom: 1 }).lean();
+};
+
+/**
+ * Get a single rate card
+ * @param {string} rateCardId - Rate card ID
+ * @returns {Promise<Object>} Rate card
+ */
+export const getRateCard = async (rateCardId) => {
+  const rateCard = mongoose.Types.ObjectId.isValid(rateCardId)
+    ? await RateCard.findById(rateCardId).lean()
+    : null;
+
+  if (!rateCard) {
+    throw new Error('Rate card not found');
+  }
+
+  return rateCard;
+};
+
+/**
+ * Create a rate card
+ * @param {Object} rateCardData - origin, destination, airlineName, currency, minimumCharge,
+ *   rates { N, Q45, Q100, Q300, Q500, Q1000 }, surcharges { fuelPerKg, securityPerKg, specialHandling },
+ *   validFrom, validTo
+ * @returns {Promise<Object>} Created rate card
+ */
+export const createRateCard = async (rateCardData) => {
+  await validateStations({ origin: rateCardData.origin, destination: rateCardData.destination });
+
+  const existing = await RateCard.findOne({
+    origin: rateCardData.origin.toUpperCase().trim(),
+    destination: rateCardData.destination.toUpperCase().trim(),
+    airlineName: rateCardData.airlineName.trim(),
+    validFrom: rateCardData.validFrom ? new Date(rateCardData.validFrom) : null,
+  }).lean();
+  if (existing) {
+    throw new Error(`Rate card already exists: ${existing.airlineName} ${existing.origin}-${existing.destination}`);
+  }
+
+  const rateCard = await RateCard.create(rateCardData);
+
+  logger.info('Rate card created', {
+    rateCardId: rateCard._id.toString(),
+    origin: rateCard.origin,
+    destination: rateCard.destination,
+    airlineName: rateCard.airlineName,
+  });
+
+  return rateCard;
+};
+
+/**
+ * Update a rate card
+ * Existing quotes keep the price they were given
+ * @param {string} rateCardId - Rate card ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated rate card
+ */
+export const updateRateCard = async (rateCardId, updates) => {
+  if (!mongoose.Types.ObjectId.isValid(rateCardId)) {
+    throw new Error('Rate card not found');
+  }
+
+  const changes = {};
+  for (const field of UPDATABLE_FIELDS) {
+    if (updates[field] !== undefined) {
+      changes[field] = updates[field];
+    }
+  }
+
+  const rateCard = await RateCard.findById(rateCardId);
+  if (!rateCard) {
+    throw new Error('Rate card not found');
+  }
+
+  // Saved through the document so the validity window check runs
+  rateCard.set(changes);
+  await rateCard.save();
+
+  logger.info('Rate card updated', { rateCardId: rateCard._id.toString(), fields: Object.keys(changes) });
+
+  return rateCard;
+};
+
+/**
+ * Delete a rate card
+ * @param {string} rateCardId - Rate card ID
+ * @returns {Promise<Object>} Deleted rate card
+ */
+export const deleteRateCard = async (rateCardId) => {
+  const rateCard = mongoose.Types.ObjectId.isValid(rateCardId)
+    ? await RateCard.findByIdAndDelete(rateCardId).lean()
+    : null;
+
+  if (!rateCard) {
+    throw new Error('Rate card not found');
+  }
+
+  logger.info('Rate card deleted', { rateCardId: rateCard._id.toString() });
+
+  return rateCard;
+};
+
+/**
+ * Rate cards in force on a lane at a point in time
+ * When an airline has several cards in force, the one that started most recently wins
+ * @param {string} origin - Origin airport code
+ * @param {string} destination - Destination airport code
+ * @param {Object} options - airlineName (optional), at (defaults to now)
+ * @returns {Promise<Array>} One rate card per airline
+ */
+export const findApplicableRateCards = async (origin, destination, options = {}) => {
+  const { airlineName, at = new Date() } = options;
+
+  const query = {
+    origin: origin.toUpperCase().trim(),
+    destination: destination.toUpperCase().trim(),
+    active: true,
+    $and: [
+      { $or: [{ validFrom: null }, { validFrom: { $lte: at } }] },
+      { $or: [{ validTo: null }, { validTo: { $gte: at } }] },
+    ],
+  };
+  if (airlineName) {
+    query.airlineName = airlineName.trim();
+  }
+
+  const rateCards = await RateCard.find(query).sort({ validFrom: -1 }).lean();
+
+  // Sorted newest first, so the first card seen per airline is the one in force
+  const byAirline = new Map();
+  for (const rateCard of rateCards) {
+    if (!byAirline.has(rateCard.airlineName)) {
+      byAirline.set(rateCard.airlineName, rateCard);
+    }
+  }
+  return [...byAirline.values()];
+};
@@ -0,0 +1,224 @@
+import Booking from '../models/Booking.js';
+import Flight from '../models/Flight.js';
+import Airport from '../models/Airport.js';
+import OpsQueueItem from '../models/OpsQueueItem.js';
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { getLocalDateString } from '../utils/timezone.js';
+import { getFlightLoads } from '../utils/shipmentParts.js';
+import { getRoutes, DEFAULT_MIN_CONNECTION_MINUTES } from './routeController.js';
+import { rebookBooking } from './bookingController.js';
+
+// Connections allowed on an alternative routing
+const REPROTECTION_MAX_STOPS = 2;
+
+// Booking statuses that can still have pieces waiting for a flight
+const ACTIVE_BOOKING_STATUSES = ['BOOKED', 'PARTIALLY_DEPARTED', 'DEPARTED', 'PARTIALLY_ARRIVED'];
+
+/**
+ * Re-protect the bookings on a cancelled flight
+ * For every booking with pieces on the flight, routes are searched from the flight's origin to the
+ * booking's destination on the day of the cancelled flight and the day after. The alternative that
+ * arrives first, leaves once the pieces are ready and has capacity for them replaces the cancelled
+ * leg. Bookings without an alternative go to the ops queue.
+ * @param {string} flightId - Cancelled flight ID
+ * @param {Object} options - dryRun (defaults to true): propose the moves without making them
+ * @returns {Promise<Object>} { flight, dryRun, rebooked, unplaced }
+ */
+export const reprotectFlight = async (flightId, options = {}) => {
+  const { dryRun = true } = options;
+
+  const flight = mongoose.Types.ObjectId.isValid(flightId)
+    ? await Flight.findById(flightId).lean()
+    : null;
+  if (!flight) {
+    throw new Error('Flight not found');
+  }
+  if (flight.status !== 'CANCELLED') {
+    throw new Error(`Cannot re-protect flight ${flight.flightNumber}: it is not cancelled`);
+  }
+
+  const bookings = await Booking.find({ flightIds: flight._id, status: { $in: ACTIVE_BOOKING_STATUSES } })
+    .populate('flightIds')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const rebooked = [];
+  const unplaced = [];
+  for (const booking of bookings) {
+    // Bookings created before split shipments carry every piece on every flight
+    const part = (booking.parts || []).find(p => p.flightId.toString() === flight._id.toString());
+    const pieces = part ? part.pieces - part.departed_pieces : booking.pieces;
+    if (pieces === 0) {
+      continue;
+    }
+
+    const summary = { bookingId: booking._id, ref_id: booking.ref_id, pieces: pieces };
+    const legs = await findAlternative(booking, flight, pieces);
+    if (!legs) {
+      unplaced.push({ ...summary, reason: `No route with capacity from ${flight.origin} to ${booking.destination}` });
+      continue;
+    }
+
+    const proposal = {
+      ...summary,
+      flightIds: legs.map(leg => leg.id),
+      flightNumbers: legs.map(leg => leg.flightNumber),
+      arrivalDateTime: legs[legs.length - 1].arrivalDateTime,
+    };
+
+    if (dryRun) {
+      rebooked.push(proposal);
+      continue;
+    }
+
+    try {
+      await rebookBooking(booking._id.toString(), flight._id.toString(), proposal.flightIds.map(id => id.toString()));
+      rebooked.push(proposal);
+    } catch (error) {
+      unplaced.push({ ...summary, reason: error.message });
+    }
+  }
+
+  if (!dryRun) {
+    for (const item of unplaced) {
+      await queueForOps(item, flight);
+    }
+  }
+
+  logger.info(dryRun ? 'Re-protection previewed' : 'Flight re-protected', {
+    flightId: flight._id.toString(),
+    flightNumber: flight.flightNumber,
+    rebooked: rebooked.length,
+    unplaced: unplaced.length,
+  });
+
+  return {
+    flight: {
+      _id: flight._id,
+      flightNumber: flight.flightNumber,
+      origin: flight.origin,
+      destination: flight.destination,
+    },
+    dryRun: dryRun,
+    rebooked: rebooked,
+    unplaced: unplaced,
+  };
+};
+
+/**
+ * List ops queue items, newest first
+ * @param {Object} filters - Optional status (OPEN or RESOLVED)
+ * @returns {Promise<Array>} Ops queue items
+ */
+export const listOpsQueue = async (filters = {}) => {
+  const query = {};
+  if (filters.status) {
+    query.status = filters.status.toUpperCase().trim();
+  }
+
+  return OpsQueueItem.find(query).sort({ createdAt: -1 }).lean();
+};
+
+/**
+ * Mark an ops queue item as handled
+ * @param {string} itemId - Ops queue item ID
+ * @param {string} note - Optional note on what was done
+ * @returns {Promise<Object>} Updated item
+ */
+export const resolveOpsQueueItem = async (itemId, note) => {
+  const item = mongoose.Types.ObjectId.isValid(itemId)
+    ? await OpsQueueItem.findOneAndUpdate(
+      { _id: itemId, status: 'OPEN' },
+      { $set: { status: 'RESOLVED', resolvedAt: new Date(), resolutionNote: note } },
+      { new: true }
+    )
+    : null;
+
+  if (!item) {
+    const exists = mongoose.Types.ObjectId.isValid(itemId) && await OpsQueueItem.exists({ _id: itemId });
+    throw new Error(exists ? 'Ops queue item already resolved' : 'Ops queue item not found');
+  }
+
+  logger.info('Ops queue item resolved', {
+    itemId: item._id.toString(),
+    bookingRef: item.bookingRef,
+  });
+
+  return item;
+};
+
+/**
+ * Best alternative for the pieces of a booking that were due to leave on a cancelled flight
+ * Returns the legs of the route that arrives first, or null when nothing fits; routes using a
+ * flight the booking already holds are left out
+ */
+const findAlternative = async (booking, cancelledFlight, pieces) => {
+  const station = cancelledFlight.origin;
+
+  // Pieces connecting from an earlier leg can only leave once they have landed and been transferred
+  let readyTime = new Date();
+  const inboundLegs = booking.flightIds.filter(leg => leg.destination === station);
+  for (const leg of inboundLegs) {
+    const landed = new Date(leg.actualArrivalDateTime || leg.estimatedArrivalDateTime || leg.arrivalDateTime);
+    const ready = new Date(landed.getTime() + DEFAULT_MIN_CONNECTION_MINUTES * 60 * 1000);
+    if (ready > readyTime) {
+      readyTime = ready;
+    }
+  }
+
+  // Search the day the cargo was due to leave and the day after, in the station's time zone
+  const airport = await Airport.findOne({ iataCode: station }).select('timeZone').lean();
+  const firstDay = new Date(Math.max(readyTime.getTime(), new Date(cancelledFlight.departureDateTime).getTime()));
+  const nextDay = new Date(firstDay.getTime() + 24 * 60 * 60 * 1000);
+  const searchDates = [...new Set([firstDay, nextDay].map(day => getLocalDateString(day, airport?.timeZone)))];
+
+  // The moved pieces take their share of the weight and volume
+  const [load] = getFlightLoads({
+    pieces: booking.pieces,
+    weight_kg: booking.weight_kg,
+    volume_m3: booking.volume_m3,
+    parts: [{ flightId: cancelledFlight._id, pieces: pieces }],
+  });
+
+  const candidates = [];
+  for (const date of searchDates) {
+    const routes = await getRoutes(
+      station,
+      booking.destination,
+      date,
+      { weightKg: load.weightKg, volumeM3: load.volumeM3, specialHandling: booking.special_handling || [] },
+      { maxStops: REPROTECTION_MAX_STOPS }
+    );
+    candidates.push(...routes.direct.map(route => [route.flight]), ...routes.transit.map(route => route.legs));
+  }
+
+  // Flights the booking already holds carry other pieces and cannot take these ones as well
+  const heldFlightIds = new Set(booking.flightIds.map(leg => leg._id.toString()));
+  const arrival = legs => new Date(legs[legs.length - 1].arrivalDateTime);
+  const viable = candidates
+    .filter(legs => new Date(legs[0].departureDateTime) >= readyTime)
+    .filter(legs => legs.every(leg => !heldFlightIds.has(leg.id.toString())))
+    .sort((a, b) => arrival(a) - arrival(b) || a.length - b.length);
+
+  return viable.length > 0 ? viable[0] : null;
+};
+
+/**
+ * Put a booking that could not be re-protected on the ops queue (once per booking and flight)
+ */
+const queueForOps = async (item, flight) => {
+  await OpsQueueItem.updateOne(
+    { bookingId: item.bookingId, flightId: flight._id },
+    {
+      $set: {
+        bookingRef: item.ref_id,
+        flightNumber: flight.flightNumber,
+        reason: item.reason,
+        status: 'OPEN',
+      },
+      $unset: { resolvedAt: 1, resolutionNote: 1 },
+    },
+    { upsert: true }
+  );
+};
@@ -1,51 +1,169 @@
 import Flight from '../models/Flight.js';
+import ConnectionTime from '../models/ConnectionTime.js';
+import Airport from '../models/Airport.js';
+import { getLocalDayBounds, getEndOfNextLocalDay, formatLocalDateTime } from '../utils/timezone.js';
+import { getHandlingConflicts } from './aircraftTypeController.js';
+
+// Number of connections searched when the caller does not ask for more
+export const DEFAULT_MAX_STOPS = 1;
+
+// Upper bound on connections to keep the itinerary search bounded
+export const MAX_STOPS_LIMIT = 3;
+
+// Minimum connection time used at airports without a configured rule
+export const DEFAULT_MIN_CONNECTION_MINUTES = 60;
 
 /**
- * Get routes (direct flights and 1-stop transit) from origin to destination
+ * Get routes (direct flights and transit itineraries) from origin to destination
  * @param {string} origin - Origin airport code
  * @param {string} destination - Destination airport code
- * @param {string} departureDate - Departure date in YYYY-MM-DD format
- * @returns {Promise<Object>} Routes object with direct and transit flights
+ * @param {string} departureDate - Departure date in YYYY-MM-DD format, in the origin airport's local time zone
+ * @param {Object} shipment - Optional shipment size (weightKg, volumeM3) used to skip full flights,
+ *   and special handling codes (specialHandling) used to skip flights that refuse them
+ * @param {Object} options - Search options
+ *   - maxStops: number of connections (defaults to 1)
+ *   - includeTight: keep itineraries that break the minimum connection time, flagged as tight
+ * @returns {Promise<Object>} Routes object with direct and transit flights, plus the routes
+ *   excluded for special handling and why
  */
-export const getRoutes = async (origin, destination, departureDate) => {
+export const getRoutes = async (origin, destination, departureDate, shipment = {}, options = {}) => {
+  const { maxStops = DEFAULT_MAX_STOPS, includeTight = false } = options;
+
   // Normalize inputs
   const normalizedOrigin = origin.toUpperCase().trim();
   const normalizedDestination = destination.toUpperCase().trim();
-  
-  // Parse and set date range for the departure date
-  const startDate = new Date(departureDate);
-  startDate.setHours(0, 0, 0, 0);
-  
-  const endDate = new Date(departureDate);
-  endDate.setHours(23, 59, 59, 999);
+  const capacityFilter = buildCapacityFilter(shipment);
+
+  // Time zones of the airports involved, extended as transit airports are discovered
+  const timeZones = new Map();
+  await addAirportTimeZones(timeZones, [normalizedOrigin, normalizedDestination]);
+
+  // The departure date is a calendar day at the origin airport
+  // (server-local day for airports that are not in the registry)
+  const { start: startDate, end: endDate } = getLocalDayBounds(
+    departureDate,
+    timeZones.get(normalizedOrigin)
+  );
 
   // Get direct flights
   const directFlights = await getDirectFlights(
     normalizedOrigin,
     normalizedDestination,
     startDate,
-    endDate
+    endDate,
+    capacityFilter,
+    timeZones
   );
 
-  // Get 1-stop transit routes
+  // Get transit routes with up to maxStops connections
   const transitRoutes = await getTransitRoutes(
     normalizedOrigin,
     normalizedDestination,
     startDate,
-    endDate
+    endDate,
+    capacityFilter,
+    Math.min(maxStops, MAX_STOPS_LIMIT),
+    includeTight,
+    timeZones
+  );
+
+  // Drop routes with a leg that refuses the shipment's handling codes, and say why
+  const routeLegs = route => (route.type === 'direct' ? [route.flight] : route.legs);
+  const conflicts = await getHandlingConflicts(
+    [...directFlights, ...transitRoutes].flatMap(routeLegs),
+    shipment.specialHandling
   );
+  const excluded = [];
+  const isCompatible = route => {
+    const legConflicts = routeLegs(route)
+      .map(leg => conflicts.get(leg.id.toString()))
+      .filter(Boolean);
+    if (legConflicts.length === 0) {
+      return true;
+    }
+    excluded.push({
+      type: route.type,
+      flightNumbers: routeLegs(route).map(leg => leg.flightNumber),
+      reasons: legConflicts.map(conflict => conflict.reason),
+    });
+    return false;
+  };
 
   return {
-    direct: directFlights,
-    transit: transitRoutes,
+    direct: directFlights.filter(isCompatible),
+    transit: transitRoutes.filter(isCompatible),
+    excluded: excluded,
   };
 };
 
+/**
+ * Check the connections of a booked itinerary against the transit rules of getTransitRoutes
+ * Each leg connects to the legs that are scheduled to depart from where it lands once it has
+ * arrived, so parallel legs of a split shipment are not paired up. A leg with no such feeder (e.g.
+ * after its feeder was retimed past it) connects to every leg landing at its origin. A connection
+ * breaks when the layover is shorter than the airport's minimum connection time, or the onward leg
+ * leaves later than the end of the next day. Layovers use actual, else estimated, else scheduled times.
+ * @param {Array} legs - Flights of the booking
+ * @returns {Promise<Array>} Broken connections { airport, inboundFlight, inboundFlightId, outboundFlight,
+ *   outboundFlightId, layoverDuration, minConnectionTime, reason }
+ */
+export const findBrokenConnections = async (legs) => {
+  const departure = leg => leg.actualDepartureDateTime || leg.estimatedDepartureDateTime || leg.departureDateTime;
+  const arrival = leg => leg.actualArrivalDateTime || leg.estimatedArrivalDateTime || leg.arrivalDateTime;
+
+  const connections = legs.flatMap(outbound => {
+    const feeders = legs.filter(inbound => inbound._id.toString() !== outbound._id.toString() &&
+      inbound.destination === outbound.origin);
+    const scheduledFeeders = feeders.filter(inbound =>
+      new Date(outbound.departureDateTime) >= new Date(inbound.arrivalDateTime));
+    return (scheduledFeeders.length > 0 ? scheduledFeeders : feeders).map(inbound => ({ inbound, outbound }));
+  });
+  if (connections.length === 0) {
+    return [];
+  }
+
+  const getMinConnectionTime = await loadMinConnectionTimes(connections.map(({ outbound }) => outbound.origin));
+  const timeZones = new Map();
+  await addAirportTimeZones(timeZones, connections.map(({ outbound }) => outbound.origin));
+
+  const broken = [];
+  for (const { inbound, outbound } of connections) {
+    const airport = outbound.origin;
+    const layover = calculateDuration(arrival(inbound), departure(outbound));
+    const minConnectionTime = getMinConnectionTime(airport, inbound.airlineName, outbound.airlineName);
+    const connectionEnd = getEndOfNextLocalDay(new Date(arrival(inbound)), timeZones.get(airport));
+
+    let reason = null;
+    if (layover < minConnectionTime) {
+      reason = `${outbound.flightNumber} leaves ${airport} ${layover} min after ${inbound.flightNumber} lands; ` +
+        `the minimum connection time is ${minConnectionTime} min`;
+    } else if (new Date(departure(outbound)) > connectionEnd) {
+      reason = `${outbound.flightNumber} leaves ${airport} later than the day after ${inbound.flightNumber} lands`;
+    }
+
+    if (reason) {
+      broken.push({
+        airport: airport,
+        inboundFlight: inbound.flightNumber,
+        inboundFlightId: inbound._id,
+        outboundFlight: outbound.flightNumber,
+        outboundFlightId: outbound._id,
+        layoverDuration: layover,
+        minConnectionTime: minConnectionTime,
+        reason: reason,
+      });
+    }
+  }
+
+  return broken;
+};
+
 /**
  * Find direct flights from origin to destination on the specified date
  */
-const getDirectFlights = async (origin, destination, startDate, endDate) => {
+const getDirectFlights = async (origin, destination, startDate, endDate, capacityFilter, timeZones) => {
   const flights = await Flight.find({
+    ...capacityFilter,
     origin: origin,
     destination: destination,
     departureDateTime: {
@@ -56,96 +174,250 @@ const getDirectFlights = async (origin, destination, startDate, endDate) => {
 
   return flights.map(flight => ({
     type: 'direct',
-    flight: formatFlight(flight),
+    flight: formatFlight(flight, timeZones),
     totalDuration: calculateDuration(flight.departureDateTime, flight.arrivalDateTime),
   }));
 };
 
 /**
- * Find 1-stop transit routes from origin to destination
- * Transit rule: 2nd leg must be same day or next day relative to 1st leg arrival
+ * Find transit routes with up to maxStops connections from origin to destination
+ * Transit rule: each onward leg must depart after the previous leg arrives,
+ * on the same day or the next day (local to the transit airport) relative to that arrival
+ * Connection rule: the layover must respect the airport's minimum connection
+ * time; shorter connections are dropped unless includeTight is set, in which
+ * case the itinerary is returned flagged as tight
+ *
+ * All candidate flights are loaded with a single query and the itineraries are
+ * built in memory with a depth-first search, so the number of database round
+ * trips does not grow with the number of legs.
  */
-const getTransitRoutes = async (origin, destination, startDate, endDate) => {
-  // Step 1: Find all first leg flights (origin -> any transit city) on departure date
-  const firstLegFlights = await Flight.find({
-    origin: origin,
-    destination: { $ne: destination }, // Exclude direct flights
+const getTransitRoutes = async (origin, destination, startDate, endDate, capacityFilter, maxStops, includeTight, timeZones) => {
+  if (maxStops < 1) {
+    return [];
+  }
+
+  // Every connection can wait until the end of the next day, so the last leg
+  // can depart at most two days per stop after the first departure day
+  const searchEndDate = new Date(endDate);
+  searchEndDate.setDate(searchEndDate.getDate() + 2 * maxStops);
+
+  const candidateFlights = await Flight.find({
+    ...capacityFilter,
+    origin: { $ne: destination }, // Nothing departs the destination in a useful itinerary
     departureDateTime: {
       $gte: startDate,
-      $lte: endDate,
+      $lte: searchEndDate,
     },
   }).sort({ departureDateTime: 1 }).lean();
 
-  if (firstLegFlights.length === 0) {
-    return [];
+  // Group flights by departure airport (already sorted by departure time)
+  const flightsByOrigin = new Map();
+  for (const flight of candidateFlights) {
+    if (!flightsByOrigin.has(flight.origin)) {
+      flightsByOrigin.set(flight.origin, []);
+    }
+    flightsByOrigin.get(flight.origin).push(flight);
   }
 
-  // Step 2: For each first leg, find valid second leg flights
+  const getMinConnectionTime = await loadMinConnectionTimes(
+    candidateFlights.map(flight => flight.origin)
+  );
+  await addAirportTimeZones(
+    timeZones,
+    candidateFlights.flatMap(flight => [flight.origin, flight.destination])
+  );
+
+  // First legs leave the origin on the requested date and do not fly direct
+  const firstLegFlights = (flightsByOrigin.get(origin) || []).filter(flight =>
+    flight.destination !== destination && flight.departureDateTime <= endDate
+  );
+
   const transitRoutes = [];
-  
-  for (const firstLeg of firstLegFlights) {
-    const transitCity = firstLeg.destination;
-    const firstLegArrival = new Date(firstLeg.arrivalDateTime);
-    
-    // Second leg must depart same day or next day after first leg arrival
-    const secondLegEndDate = new Date(firstLegArrival);
-    secondLegEndDate.setDate(secondLegEndDate.getDate() + 1);
-    secondLegEndDate.setHours(23, 59, 59, 999); // End of next day
-
-    // Find second leg flights from transit city to destination
-    // Must depart on or after first leg arrival (same day or next day)
-    const secondLegFlights = await Flight.find({
-      origin: transitCity,
-      destination: destination,
-      departureDateTime: {
-        $gte: firstLegArrival, // Must depart after first leg arrives
-        $lte: secondLegEndDate, // Within next day
-      },
-    }).sort({ departureDateTime: 1 }).lean();
-
-    // Create transit route combinations
-    // Note: All secondLegFlights already satisfy the transit rule (depart after first leg arrival)
-    for (const secondLeg of secondLegFlights) {
-      const layoverDuration = calculateDuration(
-        firstLegArrival,
-        secondLeg.departureDateTime
-      );
-      
-      const totalDuration = calculateDuration(
-        firstLeg.departureDateTime,
-        secondLeg.arrivalDateTime
+
+  const extendItinerary = (legs, connections, visitedAirports) => {
+    const lastLeg = legs[legs.length - 1];
+    const connectionStart = new Date(lastLeg.arrivalDateTime);
+    const connectionEnd = getEndOfNextLocalDay(connectionStart, timeZones.get(lastLeg.destination));
+    const onwardFlights = flightsByOrigin.get(lastLeg.destination) || [];
+
+    for (let i = findFirstDepartureIndex(onwardFlights, connectionStart); i < onwardFlights.length; i++) {
+      const nextLeg = onwardFlights[i];
+      if (nextLeg.departureDateTime > connectionEnd) {
+        break; // Sorted by departure, nothing later can connect
+      }
+
+      const minConnectionTime = getMinConnectionTime(
+        lastLeg.destination,
+        lastLeg.airlineName,
+        nextLeg.airlineName
       );
+      const layover = calculateDuration(lastLeg.arrivalDateTime, nextLeg.departureDateTime);
+      if (layover < minConnectionTime && !includeTight) {
+        continue;
+      }
 
-      transitRoutes.push({
-        type: 'transit',
-        firstLeg: formatFlight(firstLeg),
-        secondLeg: formatFlight(secondLeg),
-        transitCity: transitCity,
-        layoverDuration: layoverDuration,
-        totalDuration: totalDuration,
-      });
+      const nextConnections = [...connections, {
+        airport: lastLeg.destination,
+        layoverDuration: layover,
+        minConnectionTime: minConnectionTime,
+        tight: layover < minConnectionTime,
+      }];
+
+      if (nextLeg.destination === destination) {
+        transitRoutes.push(buildTransitRoute([...legs, nextLeg], nextConnections, timeZones));
+      } else if (legs.length < maxStops && !visitedAirports.has(nextLeg.destination)) {
+        visitedAirports.add(nextLeg.destination);
+        extendItinerary([...legs, nextLeg], nextConnections, visitedAirports);
+        visitedAirports.delete(nextLeg.destination);
+      }
+    }
+  };
+
+  for (const firstLeg of firstLegFlights) {
+    extendItinerary([firstLeg], [], new Set([origin, firstLeg.destination]));
+  }
+
+  // Sort by total duration (shortest first), then by number of stops
+  return transitRoutes.sort((a, b) => a.totalDuration - b.totalDuration || a.stops - b.stops);
+};
+
+/**
+ * Build a transit route response from an ordered list of legs and their connections
+ */
+const buildTransitRoute = (legs, connections, timeZones) => {
+  const layovers = connections.map(connection => connection.layoverDuration);
+  const transitCities = connections.map(connection => connection.airport);
+
+  return {
+    type: 'transit',
+    stops: transitCities.length,
+    legs: legs.map(leg => formatFlight(leg, timeZones)),
+    firstLeg: formatFlight(legs[0], timeZones),
+    secondLeg: formatFlight(legs[1], timeZones),
+    transitCity: transitCities[0],
+    transitCities: transitCities,
+    layovers: layovers,
+    layoverDuration: layovers.reduce((sum, layover) => sum + layover, 0),
+    totalDuration: calculateDuration(legs[0].departureDateTime, legs[legs.length - 1].arrivalDateTime),
+    connections: connections,
+    tight: connections.some(connection => connection.tight),
+  };
+};
+
+/**
+ * Load minimum connection time rules for the given airports
+ * Returns a resolver that picks the most specific rule for an airline pair:
+ * exact pair, then inbound-only, then outbound-only, then the airport default
+ */
+const loadMinConnectionTimes = async (airports) => {
+  const rules = await ConnectionTime.find({
+    airport: { $in: [...new Set(airports)] },
+  }).lean();
+
+  const ruleKey = (airport, inboundAirline, outboundAirline) =>
+    `${airport}|${inboundAirline || '*'}|${outboundAirline || '*'}`;
+
+  const minutesByKey = new Map(
+    rules.map(rule => [
+      ruleKey(rule.airport, rule.inboundAirline, rule.outboundAirline),
+      rule.minConnectionMinutes,
+    ])
+  );
+
+  return (airport, inboundAirline, outboundAirline) => {
+    const candidates = [
+      ruleKey(airport, inboundAirline, outboundAirline),
+      ruleKey(airport, inboundAirline, null),
+      ruleKey(airport, null, outboundAirline),
+      ruleKey(airport, null, null),
+    ];
+    for (const key of candidates) {
+      if (minutesByKey.has(key)) {
+        return minutesByKey.get(key);
+      }
     }
+    return DEFAULT_MIN_CONNECTION_MINUTES;
+  };
+};
+
+/**
+ * Look up IANA time zones for airport codes not already in the map
+ * Codes missing from the airport registry are left out
+ */
+const addAirportTimeZones = async (timeZones, codes) => {
+  const missing = [...new Set(codes)].filter(code => !timeZones.has(code));
+  if (missing.length === 0) {
+    return;
   }
 
-  // Sort by total duration (shortest first)
-  return transitRoutes.sort((a, b) => a.totalDuration - b.totalDuration);
+  const airports = await Airport.find({ iataCode: { $in: missing } })
+    .select('iataCode timeZone')
+    .lean();
+
+  for (const airport of airports) {
+    timeZones.set(airport.iataCode, airport.timeZone);
+  }
+};
+
+/**
+ * Binary search for the first flight departing at or after the given time
+ */
+const findFirstDepartureIndex = (flights, time) => {
+  let low = 0;
+  let high = flights.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (flights[mid].departureDateTime < time) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
 };
 
 /**
  * Format flight object for API response
+ * Local times are given in each airport's own time zone next to the UTC instants
  */
-const formatFlight = (flight) => {
+const formatFlight = (flight, timeZones) => {
+  const originTimeZone = timeZones.get(flight.origin) || null;
+  const destinationTimeZone = timeZones.get(flight.destination) || null;
+
   return {
     id: flight._id,
     flightNumber: flight.flightNumber,
     airlineName: flight.airlineName,
+    aircraftType: flight.aircraftType || null,
+    refusedHandlingCodes: flight.refusedHandlingCodes || [],
+    status: flight.status || 'SCHEDULED',
     origin: flight.origin,
     destination: flight.destination,
     departureDateTime: flight.departureDateTime,
     arrivalDateTime: flight.arrivalDateTime,
+    departureLocalTime: formatLocalDateTime(flight.departureDateTime, originTimeZone),
+    arrivalLocalTime: formatLocalDateTime(flight.arrivalDateTime, destinationTimeZone),
+    originTimeZone: originTimeZone,
+    destinationTimeZone: destinationTimeZone,
+    remainingWeightKg: flight.remainingWeightKg,
+    remainingVolumeM3: flight.remainingVolumeM3,
   };
 };
 
+/**
+ * Build a query filter that only matches flights able to carry the shipment
+ */
+const buildCapacityFilter = ({ weightKg, volumeM3 } = {}) => {
+  const filter = { status: { $ne: 'CANCELLED' } };
+  if (weightKg > 0) {
+    filter.remainingWeightKg = { $gte: weightKg };
+  }
+  if (volumeM3 > 0) {
+    filter.remainingVolumeM3 = { $gte: volumeM3 };
+  }
+  return filter;
+};
+
 /**
  * Calculate duration in minutes between two dates
  */
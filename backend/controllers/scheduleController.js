@@ -0,0 +1,327 @@
+import Schedule from '../models/Schedule.js';
+import Flight from '../models/Flight.js';
+import Booking from '../models/Booking.js';
+import Airport from '../models/Airport.js';
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { validateStations } from './airportController.js';
+import { localDateTimeToUtc, getLocalDateString, addDays, getIsoWeekday } from '../utils/timezone.js';
+
+// How far ahead dated flights are generated, in days
+export const DEFAULT_HORIZON_DAYS = parseInt(process.env.SCHEDULE_HORIZON_DAYS) || 60;
+
+// Fields that can be changed with updateSchedule
+const UPDATABLE_FIELDS = [
+  'flightNumber', 'airlineName', 'origin', 'destination', 'departureTime', 'arrivalTime',
+  'arrivalDayOffset', 'daysOfWeek', 'validFrom', 'validTo', 'maxWeightKg', 'maxVolumeM3', 'active',
+];
+
+// Flight fields that are generated from the schedule and compared when syncing
+const GENERATED_FIELDS = [
+  'flightNumber', 'airlineName', 'origin', 'destination', 'departureDateTime', 'arrivalDateTime',
+  'maxWeightKg', 'maxVolumeM3',
+];
+
+/**
+ * List schedules
+ * @param {Object} filters - Optional filters (origin, destination, airlineName, active)
+ * @returns {Promise<Array>} Schedules sorted by flight number
+ */
+export const listSchedules = async (filters = {}) => {
+  const query = {};
+  if (filters.origin) query.origin = filters.origin.toUpperCase().trim();
+  if (filters.destination) query.destination = filters.destination.toUpperCase().trim();
+  if (filters.airlineName) query.airlineName = filters.airlineName.trim();
+  if (filters.active !== undefined) query.active = filters.active;
+
+  return Schedule.find(query).sort({ flightNumber: 1 }).lean();
+};
+
+/**
+ * Get a single schedule
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<Object>} Schedule document
+ */
+export const getSchedule = async (scheduleId) => {
+  const schedule = mongoose.Types.ObjectId.isValid(scheduleId)
+    ? await Schedule.findById(scheduleId)
+    : null;
+
+  if (!schedule) {
+    throw new Error('Schedule not found');
+  }
+
+  return schedule;
+};
+
+/**
+ * Create a schedule and generate its flights
+ * @param {Object} scheduleData - Schedule fields
+ * @param {Object} options - Sync options (horizonDays)
+ * @returns {Promise<Object>} { schedule, sync } where sync is the generation report
+ */
+export const createSchedule = async (scheduleData, options = {}) => {
+  await validateStations({ origin: scheduleData.origin, destination: scheduleData.destination });
+
+  const schedule = await Schedule.create(scheduleData);
+
+  logger.info('Schedule created', {
+    scheduleId: schedule._id.toString(),
+    flightNumber: schedule.flightNumber,
+    origin: schedule.origin,
+    destination: schedule.destination,
+  });
+
+  const sync = await syncSchedule(schedule._id, options);
+  return { schedule, sync };
+};
+
+/**
+ * Update a schedule and bring its future flights in line
+ * Unbooked flights are changed; booked flights are left alone and reported
+ * @param {string} scheduleId - Schedule ID
+ * @param {Object} updates - Fields to update
+ * @param {Object} options - Sync options (horizonDays)
+ * @returns {Promise<Object>} { schedule, sync }
+ */
+export const updateSchedule = async (scheduleId, updates, options = {}) => {
+  const schedule = await getSchedule(scheduleId);
+
+  for (const field of UPDATABLE_FIELDS) {
+    if (updates[field] !== undefined) {
+      schedule[field] = updates[field];
+    }
+  }
+
+  if (schedule.isModified('origin') || schedule.isModified('destination')) {
+    await validateStations({ origin: schedule.origin, destination: schedule.destination });
+  }
+
+  await schedule.save();
+
+  logger.info('Schedule updated', {
+    scheduleId: schedule._id.toString(),
+    fields: Object.keys(updates),
+  });
+
+  const sync = await syncSchedule(schedule._id, options);
+  return { schedule, sync };
+};
+
+/**
+ * Withdraw a schedule: deactivate it and remove its future unbooked flights
+ * The schedule document is kept so booked flights still point to it
+ * @param {string} scheduleId - Schedule ID
+ * @param {Object} options - Sync options (horizonDays)
+ * @returns {Promise<Object>} { schedule, sync }
+ */
+export const deleteSchedule = async (scheduleId, options = {}) => {
+  return updateSchedule(scheduleId, { active: false }, options);
+};
+
+/**
+ * Generate and reconcile dated flights for one schedule over the rolling horizon
+ * - Missing operating dates get a new flight
+ * - Unbooked flights that differ from the schedule are updated, or deleted when
+ *   the date no longer operates
+ * - Booked flights are never changed; they are listed in the report as affected
+ * Flights that have already departed are left untouched.
+ * @param {string} scheduleId - Schedule ID
+ * @param {Object} options - horizonDays (defaults to DEFAULT_HORIZON_DAYS), now (for testing)
+ * @returns {Promise<Object>} Report { scheduleId, created, updated, deleted, unchanged, affected[] }
+ */
+export const syncSchedule = async (scheduleId, options = {}) => {
+  const { horizonDays = DEFAULT_HORIZON_DAYS, now = new Date() } = options;
+  const schedule = await getSchedule(scheduleId);
+
+  const airports = await Airport.find({ iataCode: { $in: [schedule.origin, schedule.destination] } })
+    .select('iataCode timeZone')
+    .lean();
+  const timeZones = new Map(airports.map(airport => [airport.iataCode, airport.timeZone]));
+  for (const code of [schedule.origin, schedule.destination]) {
+    if (!timeZones.has(code)) {
+      throw new Error(`Cannot sync schedule: airport ${code} is not in the registry`);
+    }
+  }
+
+  const today = getLocalDateString(now, timeZones.get(schedule.origin));
+  const desiredFlights = schedule.active
+    ? buildScheduledFlights(schedule, timeZones, today, addDays(today, horizonDays))
+    : new Map();
+
+  const existingFlights = await Flight.find({
+    scheduleId: schedule._id,
+    operatingDate: { $gte: today },
+  });
+  const bookingsByFlight = await findBookingsByFlight(existingFlights.map(flight => flight._id));
+
+  const report = {
+    scheduleId: schedule._id,
+    created: 0,
+    updated: 0,
+    deleted: 0,
+    unchanged: 0,
+    affected: [],
+  };
+
+  for (const flight of existingFlights) {
+    const desired = desiredFlights.get(flight.operatingDate);
+    desiredFlights.delete(flight.operatingDate);
+
+    if (flight.departureDateTime <= now) {
+      continue; // Already flown
+    }
+
+    if (desired && isSameFlight(flight, desired)) {
+      report.unchanged++;
+      continue;
+    }
+
+    let bookings = bookingsByFlight.get(flight._id.toString()) || [];
+    if (bookings.length === 0) {
+      if (await applyToUnbookedFlight(flight, desired)) {
+        report[desired ? 'updated' : 'deleted']++;
+        continue;
+      }
+      // Booked since the bookings were read
+      bookings = (await findBookingsByFlight([flight._id])).get(flight._id.toString()) || [];
+    }
+
+    report.affected.push({
+      flightId: flight._id,
+      flightNumber: flight.flightNumber,
+      operatingDate: flight.operatingDate,
+      change: desired ? 'modified' : 'removed',
+      bookings: bookings,
+    });
+  }
+
+  // Whatever is left has no flight yet
+  const newFlights = [...desiredFlights.values()].filter(flight => flight.departureDateTime > now);
+  if (newFlights.length > 0) {
+    await Flight.insertMany(newFlights);
+    report.created = newFlights.length;
+  }
+
+  logger.info('Schedule synced', {
+    scheduleId: schedule._id.toString(),
+    flightNumber: schedule.flightNumber,
+    created: report.created,
+    updated: report.updated,
+    deleted: report.deleted,
+    affected: report.affected.length,
+  });
+
+  return report;
+};
+
+/**
+ * Sync every schedule (run periodically to roll the horizon forward)
+ * @param {Object} options - Sync options (horizonDays)
+ * @returns {Promise<Array>} One report per schedule; failures carry an error message
+ */
+export const syncAllSchedules = async (options = {}) => {
+  const schedules = await Schedule.find({}).select('_id flightNumber').lean();
+  const reports = [];
+
+  for (const schedule of schedules) {
+    try {
+      reports.push(await syncSchedule(schedule._id, options));
+    } catch (error) {
+      logger.error('Schedule sync failed', { scheduleId: schedule._id.toString(), error: error.message });
+      reports.push({ scheduleId: schedule._id, error: error.message });
+    }
+  }
+
+  return reports;
+};
+
+/**
+ * Build the flights a schedule should operate between two local dates (inclusive)
+ * @returns {Map} operatingDate -> flight fields
+ */
+const buildScheduledFlights = (schedule, timeZones, fromDate, toDate) => {
+  const flights = new Map();
+  const firstDate = schedule.validFrom > fromDate ? schedule.validFrom : fromDate;
+  const lastDate = schedule.validTo < toDate ? schedule.validTo : toDate;
+
+  for (let date = firstDate; date <= lastDate; date = addDays(date, 1)) {
+    if (!schedule.daysOfWeek.includes(getIsoWeekday(date))) {
+      continue;
+    }
+
+    flights.set(date, {
+      flightNumber: schedule.flightNumber,
+      airlineName: schedule.airlineName,
+      origin: schedule.origin,
+      destination: schedule.destination,
+      departureDateTime: localDateTimeToUtc(date, schedule.departureTime, timeZones.get(schedule.origin)),
+      arrivalDateTime: localDateTimeToUtc(
+        addDays(date, schedule.arrivalDayOffset || 0),
+        schedule.arrivalTime,
+        timeZones.get(schedule.destination)
+      ),
+      // Fall back to the Flight model defaults when the schedule has no limits
+      maxWeightKg: schedule.maxWeightKg ?? Flight.schema.path('maxWeightKg').defaultValue,
+      maxVolumeM3: schedule.maxVolumeM3 ?? Flight.schema.path('maxVolumeM3').defaultValue,
+      scheduleId: schedule._id,
+      operatingDate: date,
+    });
+  }
+
+  return flights;
+};
+
+/**
+ * Update an unbooked generated flight to the schedule, or delete it when the schedule no longer
+ * operates that day
+ * @returns {Promise<boolean>} Whether the flight was still unbooked and has been changed
+ */
+const applyToUnbookedFlight = async (flight, desired) => {
+  if (!desired) {
+    return Flight.deleteIfUnbooked(flight);
+  }
+
+  // Unbooked, so remaining capacity is the full payload limit
+  const updatedFlight = await Flight.updateIfUnbooked(flight, {
+    $set: { ...desired, remainingWeightKg: desired.maxWeightKg, remainingVolumeM3: desired.maxVolumeM3 },
+  });
+  return updatedFlight !== null;
+};
+
+/**
+ * Active (not cancelled) bookings on flights
+ * @param {Array} flightIds - Flight IDs
+ * @returns {Promise<Map>} flightId -> [{ ref_id, status }]
+ */
+export const findBookingsByFlight = async (flightIds) => {
+  const bookings = await Booking.find({ flightIds: { $in: flightIds }, status: { $ne: 'CANCELLED' } })
+    .select('ref_id status flightIds')
+    .lean();
+
+  const bookingsByFlight = new Map();
+  for (const booking of bookings) {
+    for (const flightId of booking.flightIds) {
+      const key = flightId.toString();
+      if (!bookingsByFlight.has(key)) {
+        bookingsByFlight.set(key, []);
+      }
+      bookingsByFlight.get(key).push({ ref_id: booking.ref_id, status: booking.status });
+    }
+  }
+  return bookingsByFlight;
+};
+
+/**
+ * Check whether an existing flight already matches the scheduled fields
+ */
+const isSameFlight = (flight, desired) => {
+  return GENERATED_FIELDS.every(field => {
+    const current = flight[field];
+    const expected = desired[field];
+    if (current instanceof Date) {
+      return current.getTime() === expected.getTime();
+    }
+    return current === expected;
+  });
+};
@@ -0,0 +1,310 @@
+import Flight from '../models/Flight.js';
+import Airport from '../models/Airport.js';
+import logger from '../utils/logger.js';
+import { parseSsim, expandLeg } from '../utils/ssimParser.js';
+import { addDays } from '../utils/timezone.js';
+import { DEFAULT_HORIZON_DAYS, findBookingsByFlight } from './scheduleController.js';
+
+// SSIM only carries the two/three-letter airline designator; map it to the names used on flights
+export const AIRLINE_NAMES = {
+  AI: 'Air India',
+  '6E': 'IndiGo',
+  SG: 'SpiceJet',
+  UK: 'Vistara',
+  G8: 'Go First',
+  I5: 'AirAsia India',
+};
+
+// Flight fields compared between the file and existing flights
+const COMPARED_FIELDS = ['airlineName', 'destination', 'aircraftType', 'departureDateTime', 'arrivalDateTime'];
+
+/**
+ * Import flight legs from an SSIM file
+ * The file is diffed against existing flights with the same flight number and departure
+ * station; matching is by operating date (local at the departure station).
+ * - Legs not yet in the database are added
+ * - Unbooked flights that differ from the file are changed, or removed when their
+ *   operating date is no longer in the file
+ * - Booked flights and flights generated from a schedule are never touched; they are
+ *   listed as conflicts
+ * Flights that have already departed are ignored. With dryRun (the default) nothing is written.
+ * @param {string} text - SSIM file contents
+ * @param {Object} options - dryRun (default true), from/to (YYYY-MM-DD window), horizonDays
+ *   (caps legs that operate indefinitely), airlineNames (designator -> name), now (for testing)
+ * @returns {Promise<Object>} Report { dryRun, summary, diff: { add, change, remove }, conflicts, rejected }
+ */
+export const importSsim = async (text, options = {}) => {
+  const {
+    dryRun = true,
+    horizonDays = DEFAULT_HORIZON_DAYS,
+    airlineNames = AIRLINE_NAMES,
+    now = new Date(),
+  } = options;
+  const from = options.from || now.toISOString().split('T')[0];
+
+  const { legs, rejected, recordCount } = parseSsim(text);
+  const stations = await findActiveStations(legs);
+
+  // Expand every leg into dated flights, keyed by flight number, departure station and operating date
+  const desiredFlights = new Map();
+  const coverage = new Map(); // flightNumber|origin -> { from, to } dates covered by the file
+  for (const leg of legs) {
+    const reason = checkLeg(leg, stations);
+    if (reason) {
+      rejected.push({ line: leg.line, reason });
+      continue;
+    }
+
+    const to = options.to || (leg.periodTo ? undefined : addDays(from, horizonDays));
+    const instances = expandLeg(leg, { from, to }).filter(instance => instance.departureDateTime > now);
+
+    const overlap = instances.find(instance => desiredFlights.has(flightKey(leg.flightNumber, leg.origin, instance.operatingDate)));
+    if (overlap) {
+      const other = desiredFlights.get(flightKey(leg.flightNumber, leg.origin, overlap.operatingDate));
+      rejected.push({ line: leg.line, reason: `Overlaps line ${other.line} on ${overlap.operatingDate}` });
+      continue;
+    }
+    if (instances.some(instance => instance.arrivalDateTime <= instance.departureDateTime)) {
+      rejected.push({ line: leg.line, reason: 'Arrival is not after departure' });
+      continue;
+    }
+
+    for (const instance of instances) {
+      desiredFlights.set(flightKey(leg.flightNumber, leg.origin, instance.operatingDate), {
+        line: leg.line,
+        flight: {
+          flightNumber: leg.flightNumber,
+          airlineName: airlineNames[leg.airlineDesignator] || leg.airlineDesignator,
+          origin: leg.origin,
+          destination: leg.destination,
+          aircraftType: leg.aircraftType || undefined,
+          departureDateTime: instance.departureDateTime,
+          arrivalDateTime: instance.arrivalDateTime,
+          operatingDate: instance.operatingDate,
+        },
+      });
+    }
+
+    const legKey = `${leg.flightNumber}|${leg.origin}`;
+    const covered = coverage.get(legKey);
+    const legFrom = from > leg.periodFrom ? from : leg.periodFrom;
+    const legTo = to && (!leg.periodTo || to < leg.periodTo) ? to : leg.periodTo;
+    coverage.set(legKey, {
+      from: covered && covered.from < legFrom ? covered.from : legFrom,
+      to: covered && covered.to > legTo ? covered.to : legTo,
+      utcOffset: leg.departureUtcOffset,
+      dateVariation: leg.departureDateVariation,
+    });
+  }
+
+  rejected.sort((a, b) => a.line - b.line);
+
+  const existingFlights = await findExistingFlights(coverage, now);
+  const bookingsByFlight = await findBookingsByFlight(existingFlights.map(flight => flight._id));
+
+  const diff = { add: [], change: [], remove: [] };
+  const conflicts = [];
+  let unchanged = 0;
+
+  for (const flight of existingFlights) {
+    const covered = coverage.get(`${flight.flightNumber}|${flight.origin}`);
+    const operatingDate = flight.operatingDate ||
+      getOperatingDate(flight.departureDateTime, covered.utcOffset, covered.dateVariation);
+    if (operatingDate < covered.from || operatingDate > covered.to) {
+      continue; // Outside the period the file describes
+    }
+
+    const key = flightKey(flight.flightNumber, flight.origin, operatingDate);
+    const desired = desiredFlights.get(key);
+    desiredFlights.delete(key);
+
+    const changes = desired ? compareFlight(flight, desired.flight) : null;
+    if (changes && Object.keys(changes).length === 0) {
+      unchanged++;
+      continue;
+    }
+
+    const bookings = bookingsByFlight.get(flight._id.toString()) || [];
+    if (bookings.length > 0 || flight.scheduleId) {
+      conflicts.push({
+        flightId: flight._id,
+        flightNumber: flight.flightNumber,
+        operatingDate: operatingDate,
+        change: desired ? 'modified' : 'removed',
+        reason: bookings.length > 0 ? 'Flight has bookings' : 'Flight is generated from a schedule',
+        bookings: bookings,
+        ...(desired && { line: desired.line }),
+      });
+      continue;
+    }
+
+    if (desired) {
+      diff.change.push({
+        flightId: flight._id,
+        flightNumber: flight.flightNumber,
+        origin: flight.origin,
+        operatingDate: operatingDate,
+        line: desired.line,
+        changes: changes,
+      });
+    } else {
+      diff.remove.push({
+        flightId: flight._id,
+        flightNumber: flight.flightNumber,
+        origin: flight.origin,
+        destination: flight.destination,
+        operatingDate: operatingDate,
+        departureDateTime: flight.departureDateTime,
+      });
+    }
+  }
+
+  // Whatever is left has no flight yet
+  for (const desired of desiredFlights.values()) {
+    diff.add.push({ line: desired.line, ...desired.flight });
+  }
+
+  if (!dryRun) {
+    await applyDiff(diff, conflicts, existingFlights);
+  }
+
+  const report = {
+    dryRun: dryRun,
+    summary: {
+      records: recordCount,
+      legs: legs.length,
+      add: diff.add.length,
+      change: diff.change.length,
+      remove: diff.remove.length,
+      unchanged: unchanged,
+      conflicts: conflicts.length,
+      rejected: rejected.length,
+    },
+    diff: diff,
+    conflicts: conflicts,
+    rejected: rejected,
+  };
+
+  logger.info(dryRun ? 'SSIM import previewed' : 'SSIM import applied', report.summary);
+
+  return report;
+};
+
+/**
+ * Write an import diff: insert new flights, update changed ones, delete removed ones
+ * Changed and removed flights were unbooked when read; one booked since is left alone and moved
+ * from the diff to the conflicts.
+ */
+const applyDiff = async (diff, conflicts, existingFlights) => {
+  const flightsById = new Map(existingFlights.map(flight => [flight._id.toString(), flight]));
+  const booked = [];
+
+  if (diff.add.length > 0) {
+    await Flight.insertMany(diff.add.map(({ line, ...flight }) => flight));
+  }
+
+  for (const change of diff.change) {
+    const updates = {};
+    for (const [field, { to }] of Object.entries(change.changes)) {
+      updates[field] = to;
+    }
+    if (!await Flight.updateIfUnbooked(flightsById.get(change.flightId.toString()), { $set: updates })) {
+      booked.push({ entry: change, change: 'modified' });
+    }
+  }
+
+  for (const removal of diff.remove) {
+    if (!await Flight.deleteIfUnbooked(flightsById.get(removal.flightId.toString()))) {
+      booked.push({ entry: removal, change: 'removed' });
+    }
+  }
+
+  if (booked.length === 0) {
+    return;
+  }
+
+  const bookingsByFlight = await findBookingsByFlight(booked.map(({ entry }) => entry.flightId));
+  for (const { entry, change } of booked) {
+    const list = change === 'modified' ? diff.change : diff.remove;
+    list.splice(list.indexOf(entry), 1);
+    conflicts.push({
+      flightId: entry.flightId,
+      flightNumber: entry.flightNumber,
+      operatingDate: entry.operatingDate,
+      change: change,
+      reason: 'Flight has bookings',
+      bookings: bookingsByFlight.get(entry.flightId.toString()) || [],
+      ...(entry.line && { line: entry.line }),
+    });
+  }
+};
+
+/**
+ * Check a parsed leg against the airport registry
+ * @returns {string|null} Rejection reason, or null when the leg is usable
+ */
+const checkLeg = (leg, stations) => {
+  for (const code of [leg.origin, leg.destination]) {
+    if (!stations.has(code)) {
+      return `Unknown or inactive station: ${code}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Active airport codes referenced by the legs
+ */
+const findActiveStations = async (legs) => {
+  const codes = [...new Set(legs.flatMap(leg => [leg.origin, leg.destination]))];
+  const airports = await Airport.find({ iataCode: { $in: codes }, active: true })
+    .select('iataCode')
+    .lean();
+  return new Set(airports.map(airport => airport.iataCode));
+};
+
+/**
+ * Future flights with the flight numbers and departure stations in the file
+ */
+const findExistingFlights = async (coverage, now) => {
+  if (coverage.size === 0) {
+    return [];
+  }
+
+  const conditions = [...coverage.keys()].map(key => {
+    const [flightNumber, origin] = key.split('|');
+    return { flightNumber, origin };
+  });
+
+  return Flight.find({ $or: conditions, departureDateTime: { $gt: now } }).lean();
+};
+
+/**
+ * Field-by-field differences between an existing flight and the imported one
+ * @returns {Object} field -> { from, to }; empty when they match
+ */
+const compareFlight = (flight, desired) => {
+  const changes = {};
+  for (const field of COMPARED_FIELDS) {
+    const current = flight[field];
+    const expected = desired[field];
+    const same = current instanceof Date
+      ? current.getTime() === expected.getTime()
+      : current === expected;
+    if (!same) {
+      changes[field] = { from: current, to: expected };
+    }
+  }
+  return changes;
+};
+
+/**
+ * Operating date of an existing flight that was not created by an import or schedule,
+ * using the departure station's UTC offset from the file
+ */
+const getOperatingDate = (departureDateTime, utcOffset, dateVariation) => {
+  const local = new Date(departureDateTime.getTime() + utcOffset * 60 * 1000);
+  return addDays(local.toISOString().split('T')[0], -dateVariation);
+};
+
+const flightKey = (flightNumber, origin, operatingDate) => `${flightNumber}|${origin}|${operatingDate}`;
@@ -0,0 +1,534 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import mongoose from 'mongoose';
+import WebhookSubscription, { WEBHOOK_EVENTS } from '../models/WebhookSubscription.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import logger from '../utils/logger.js';
+import { requireActiveAccount } from './accountController.js';
+
+// Attempts per delivery before it goes to the dead-letter list, and the backoff between them:
+// WEBHOOK_RETRY_BASE_MS after the first failure, doubling after each one, at most WEBHOOK_RETRY_MAX_MS
+export const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+const WEBHOOK_RETRY_MAX_MS = parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 6 * 60 * 60 * 1000;
+
+// How long an endpoint has to answer, how often the dispatcher looks for due deliveries,
+// and how many deliveries one dispatcher run sends at most
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+const WEBHOOK_POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 15 * 1000;
+const WEBHOOK_BATCH_SIZE = 50;
+
+// Addresses a webhook must not reach: loopback, link-local (incl. cloud metadata), private and unique-local
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['100.64.0.0', 10]]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fe80::', 10], ['fc00::', 7]]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+// Default and maximum page size for the delivery log
+const DEFAULT_DELIVERY_LIMIT = 50;
+const MAX_DELIVERY_LIMIT = 200;
+
+// Dispatcher timer, and whether a run is in progress
+let dispatcherTimer = null;
+let dispatching = false;
+
+/**
+ * Subscribe an endpoint to booking events of a customer account
+ * The signing secret is only returned here.
+ * @param {Object} webhookData - accountId, url, events[] (e.g. booking.departed)
+ * @param {Object} user - User creating the webhook
+ * @returns {Promise<Object>} { webhook, secret }
+ */
+export const createWebhook = async (webhookData, user) => {
+  const { accountId } = webhookData;
+  const url = checkWebhookUrl(webhookData.url);
+  const events = checkWebhookEvents(webhookData.events);
+  await checkWebhookHost(url);
+  await requireActiveAccount(accountId);
+
+  const secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+  const webhook = await WebhookSubscription.create({
+    accountId: accountId,
+    url: url,
+    events: events,
+    secret: secret,
+    createdBy: user._id,
+  });
+
+  logger.info('Webhook created', {
+    webhookId: webhook._id.toString(),
+    accountId: accountId.toString(),
+    events: events,
+  });
+
+  return { webhook: formatWebhook(webhook), secret: secret };
+};
+
+/**
+ * List webhooks, newest first
+ * @param {Object} filters - Optional accountId
+ * @returns {Promise<Array>} Webhooks, without their secrets
+ */
+export const listWebhooks = async (filters = {}) => {
+  const query = {};
+  if (filters.accountId) {
+    query.accountId = filters.accountId;
+  }
+
+  const webhooks = await WebhookSubscription.find(query).sort({ createdAt: -1 }).lean();
+  return webhooks.map(formatWebhook);
+};
+
+/**
+ * Change the URL or events of a webhook, or switch it off and on
+ * @param {string} webhookId - Webhook ID
+ * @param {Object} updates - Optional url, events[], active
+ * @param {Object} filters - Optional accountId the webhook must belong to
+ * @returns {Promise<Object>} Updated webhook
+ */
+export const updateWebhook = async (webhookId, updates, filters = {}) => {
+  const webhook = await findWebhook(webhookId, filters);
+
+  const changes = {};
+  if (updates.url !== undefined) {
+    changes.url = checkWebhookUrl(updates.url);
+    await checkWebhookHost(changes.url);
+  }
+  if (updates.events !== undefined) {
+    changes.events = checkWebhookEvents(updates.events);
+  }
+  if (updates.active !== undefined) {
+    changes.active = Boolean(updates.active);
+  }
+
+  const updated = await WebhookSubscription.findByIdAndUpdate(
+    webhook._id,
+    { $set: changes },
+    { new: true, runValidators: true }
+  ).lean();
+
+  return formatWebhook(updated);
+};
+
+/**
+ * Delete a webhook; its deliveries stay in the log
+ * @param {string} webhookId - Webhook ID
+ * @param {Object} filters - Optional accountId the webhook must belong to
+ * @returns {Promise<Object>} Deleted webhook
+ */
+export const deleteWebhook = async (webhookId, filters = {}) => {
+  const webhook = await findWebhook(webhookId, filters);
+  await WebhookSubscription.deleteOne({ _id: webhook._id });
+
+  logger.info('Webhook deleted', { webhookId: webhook._id.toString() });
+
+  return formatWebhook(webhook);
+};
+
+/**
+ * Delivery log, newest first
+ * The dead-letter list is the log with status DEAD.
+ * @param {Object} filters - Optional accountId, webhookId, status, bookingId, limit
+ * @returns {Promise<Array>} Deliveries
+ */
+export const listWebhookDeliveries = async (filters = {}) => {
+  const query = {};
+  if (filters.accountId) {
+    query.accountId = filters.accountId;
+  }
+  if (filters.webhookId) {
+    if (!mongoose.Types.ObjectId.isValid(filters.webhookId)) {
+      throw new Error('Invalid filter: webhook must be a webhook ID');
+    }
+    query.subscriptionId = filters.webhookId;
+  }
+  if (filters.bookingId) {
+    if (!mongoose.Types.ObjectId.isValid(filters.bookingId)) {
+      throw new Error('Invalid filter: booking must be a booking ID');
+    }
+    query.bookingId = filters.bookingId;
+  }
+  if (filters.status) {
+    const status = String(filters.status).toUpperCase();
+    if (!WebhookDelivery.schema.path('status').enumValues.includes(status)) {
+      throw new Error(`Invalid filter: unknown status ${filters.status}`);
+    }
+    query.status = status;
+  }
+
+  let limit = DEFAULT_DELIVERY_LIMIT;
+  if (filters.limit !== undefined) {
+    limit = parseInt(filters.limit);
+    if (!(limit >= 1)) {
+      throw new Error('Invalid filter: limit must be a positive integer');
+    }
+    limit = Math.min(limit, MAX_DELIVERY_LIMIT);
+  }
+
+  return WebhookDelivery.find(query).sort({ createdAt: -1, _id: -1 }).limit(limit).lean();
+};
+
+/**
+ * Send a delivery again, e.g. one from the dead-letter list once the endpoint is fixed
+ * It gets a fresh set of attempts and goes out with the next dispatcher run.
+ * @param {string} deliveryId - Delivery ID
+ * @param {Object} filters - Optional accountId the delivery must belong to
+ * @returns {Promise<Object>} Queued delivery
+ */
+export const redeliverWebhookDelivery = async (deliveryId, filters = {}) => {
+  const delivery = mongoose.Types.ObjectId.isValid(deliveryId)
+    ? await WebhookDelivery.findById(deliveryId).lean()
+    : null;
+
+  // Another account's delivery answers like a missing one
+  if (!delivery || (filters.accountId && !delivery.accountId.equals(filters.accountId))) {
+    throw new Error('Webhook delivery not found');
+  }
+
+  const queued = await WebhookDelivery.findOneAndUpdate(
+    { _id: delivery._id, status: { $in: ['SUCCEEDED', 'DEAD'] } },
+    {
+      $set: { status: 'PENDING', attempts: 0, nextAttemptAt: new Date() },
+      $unset: { lockedUntil: 1 },
+    },
+    { new: true }
+  ).lean();
+  if (!queued) {
+    throw new Error('Webhook delivery is already queued');
+  }
+
+  logger.info('Webhook delivery requeued', { deliveryId: queued._id.toString(), event: queued.event });
+  triggerDispatch();
+
+  return queued;
+};
+
+/**
+ * Queue a booking event for the webhooks of the booking's account
+ * Called next to logBookingEvent; a failure here is logged and never fails the booking operation.
+ * @param {string} event - Webhook event, e.g. booking.departed
+ * @param {Object} booking - Booking the event is about
+ * @param {Object} details - Optional event details, e.g. flightId and pieces of a movement
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+export const publishBookingEvent = async (event, booking, details = {}) => {
+  if (!booking.account_id) {
+    return 0;
+  }
+
+  try {
+    const webhooks = await WebhookSubscription.find({
+      accountId: booking.account_id,
+      active: true,
+      events: event,
+    }).lean();
+    if (webhooks.length === 0) {
+      return 0;
+    }
+
+    const payload = {
+      id: crypto.randomUUID(),
+      event: event,
+      createdAt: new Date().toISOString(),
+      data: {
+        booking: formatBookingForEvent(booking),
+        ...details,
+      },
+    };
+
+    await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+      subscriptionId: webhook._id,
+      accountId: webhook.accountId,
+      event: event,
+      bookingId: booking._id,
+      payload: payload,
+    })));
+
+    triggerDispatch();
+    return webhooks.length;
+  } catch (error) {
+    logger.error('Failed to queue webhook deliveries', {
+      event: event,
+      bookingId: booking._id.toString(),
+      error: error.message,
+    });
+    return 0;
+  }
+};
+
+/**
+ * Send the deliveries that are due
+ * Each delivery is claimed atomically, so concurrent dispatchers never send it twice. A failed
+ * attempt is retried with exponential backoff; after WEBHOOK_MAX_ATTEMPTS it is marked DEAD.
+ * @param {Object} options - Optional limit of deliveries to send
+ * @returns {Promise<Object>} { succeeded, retrying, dead }
+ */
+export const dispatchWebhookDeliveries = async ({ limit = WEBHOOK_BATCH_SIZE } = {}) => {
+  const result = { succeeded: 0, retrying: 0, dead: 0 };
+
+  for (let sent = 0; sent < limit; sent++) {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'PENDING', nextAttemptAt: { $lte: now } },
+          { status: 'SENDING', lockedUntil: { $lte: now } },
+        ],
+      },
+      { $set: { status: 'SENDING', lockedUntil: new Date(now.getTime() + 2 * WEBHOOK_TIMEOUT_MS) } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    ).lean();
+    if (!delivery) {
+      break;
+    }
+
+    const status = await attemptDelivery(delivery);
+    result[status === 'SUCCEEDED' ? 'succeeded' : status === 'DEAD' ? 'dead' : 'retrying']++;
+  }
+
+  return result;
+};
+
+/**
+ * Start sending due deliveries every WEBHOOK_POLL_INTERVAL_MS, and right after events are queued
+ * @returns {Function} Stops the dispatcher
+ */
+export const startWebhookDispatcher = () => {
+  if (!dispatcherTimer) {
+    dispatcherTimer = setInterval(runDispatcher, WEBHOOK_POLL_INTERVAL_MS);
+    dispatcherTimer.unref();
+    logger.info('Webhook dispatcher started', { intervalMs: WEBHOOK_POLL_INTERVAL_MS });
+  }
+
+  return () => {
+    clearInterval(dispatcherTimer);
+    dispatcherTimer = null;
+  };
+};
+
+/**
+ * Signature of a delivery: hex HMAC-SHA256 of "<timestamp>.<body>" with the webhook's secret
+ * Receivers recompute it from the X-Webhook-Timestamp header and the raw body.
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw request body
+ * @returns {string} Signature
+ */
+export const signWebhookPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * One attempt at a claimed delivery; records the outcome and returns the new status
+ */
+const attemptDelivery = async (delivery) => {
+  const attempts = delivery.attempts + 1;
+  const webhook = await WebhookSubscription.findById(delivery.subscriptionId).select('+secret').lean();
+
+  let responseStatus;
+  let error;
+  if (!webhook || !webhook.active) {
+    error = webhook ? 'Webhook is disabled' : 'Webhook was deleted';
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+      // The host may resolve elsewhere than when the webhook was saved
+      await checkWebhookHost(webhook.url);
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'AirCargo-Webhooks/1.0',
+          'X-Webhook-Id': delivery.payload.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': delivery._id.toString(),
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `v1=${signWebhookPayload(webhook.secret, timestamp, body)}`,
+        },
+        body: body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      });
+      responseStatus = response.status;
+      await response.body?.cancel();
+      if (!response.ok) {
+        error = `Endpoint answered ${response.status}`;
+      }
+    } catch (fetchError) {
+      error = fetchError.cause?.message || fetchError.message;
+    }
+  }
+
+  const now = new Date();
+  let changes;
+  if (!error) {
+    changes = { status: 'SUCCEEDED', deliveredAt: now };
+  } else if (attempts >= WEBHOOK_MAX_ATTEMPTS || !webhook || !webhook.active) {
+    changes = { status: 'DEAD' };
+  } else {
+    const delay = Math.min(WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1), WEBHOOK_RETRY_MAX_MS);
+    changes = { status: 'PENDING', nextAttemptAt: new Date(now.getTime() + delay) };
+  }
+
+  await WebhookDelivery.updateOne(
+    { _id: delivery._id, status: 'SENDING' },
+    {
+      $set: {
+        ...changes,
+        attempts: attempts,
+        lastAttemptAt: now,
+        lastResponseStatus: responseStatus,
+        lastError: error,
+      },
+      $unset: { lockedUntil: 1 },
+    }
+  );
+
+  const logDetails = {
+    deliveryId: delivery._id.toString(),
+    webhookId: delivery.subscriptionId.toString(),
+    event: delivery.event,
+    attempts: attempts,
+    responseStatus: responseStatus,
+    error: error,
+  };
+  if (changes.status === 'DEAD') {
+    logger.error('Webhook delivery failed for good', logDetails);
+  } else if (error) {
+    logger.warn('Webhook delivery failed; will retry', { ...logDetails, nextAttemptAt: changes.nextAttemptAt });
+  } else {
+    logger.info('Webhook delivered', logDetails);
+  }
+
+  return changes.status;
+};
+
+/**
+ * One dispatcher run at a time; errors are logged and the next run tries again
+ */
+const runDispatcher = async () => {
+  if (dispatching) {
+    return;
+  }
+  dispatching = true;
+  try {
+    await dispatchWebhookDeliveries();
+  } catch (error) {
+    logger.error('Webhook dispatcher run failed', { error: error.message });
+  } finally {
+    dispatching = false;
+  }
+};
+
+/**
+ * Send newly queued deliveries without waiting for the next poll, if the dispatcher is running
+ */
+const triggerDispatch = () => {
+  if (dispatcherTimer) {
+    setImmediate(runDispatcher);
+  }
+};
+
+/**
+ * Webhook URLs must be absolute http(s) URLs
+ */
+const checkWebhookUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(String(url || ''));
+  } catch {
+    throw new Error('Invalid webhook: url must be an absolute http(s) URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error('Invalid webhook: url must be an absolute http(s) URL');
+  }
+  return parsed.toString();
+};
+
+/**
+ * Webhook hosts must resolve to public addresses only, so that webhooks cannot reach internal
+ * services; WEBHOOK_ALLOW_PRIVATE_HOSTS=true lifts this for local development
+ */
+const checkWebhookHost = async (url) => {
+  if (process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true') {
+    return;
+  }
+
+  const host = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await dns.promises.lookup(host, { all: true });
+  } catch {
+    throw new Error(`Invalid webhook: cannot resolve host ${host}`);
+  }
+
+  const blocked = addresses.find(({ address, family }) => PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+  if (blocked) {
+    throw new Error(`Invalid webhook: ${host} resolves to a private or loopback address (${blocked.address})`);
+  }
+};
+
+/**
+ * Events of a webhook: known, lowercase and without duplicates
+ */
+const checkWebhookEvents = (events) => {
+  const normalized = [...new Set((events || []).map(event => String(event).toLowerCase().trim()))];
+  if (normalized.length === 0) {
+    throw new Error(`Invalid webhook: give at least one event of ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+  const unknown = normalized.filter(event => !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid webhook: unknown event ${unknown.join(', ')}`);
+  }
+  return normalized;
+};
+
+/**
+ * Find a webhook, optionally within one account
+ */
+const findWebhook = async (webhookId, filters) => {
+  const webhook = mongoose.Types.ObjectId.isValid(webhookId)
+    ? await WebhookSubscription.findById(webhookId).lean()
+    : null;
+
+  // Another account's webhook answers like a missing one
+  if (!webhook || (filters.accountId && !webhook.accountId.equals(filters.accountId))) {
+    throw new Error('Webhook not found');
+  }
+
+  return webhook;
+};
+
+/**
+ * Webhook as returned by the API
+ */
+const formatWebhook = (webhook) => ({
+  _id: webhook._id,
+  accountId: webhook.accountId,
+  url: webhook.url,
+  events: webhook.events,
+  active: webhook.active,
+  createdBy: webhook.createdBy,
+  createdAt: webhook.createdAt,
+  updatedAt: webhook.updatedAt,
+});
+
+/**
+ * Booking as sent in event payloads: its state, not its timeline
+ */
+const formatBookingForEvent = (booking) => ({
+  _id: booking._id.toString(),
+  ref_id: booking.ref_id,
+  status: booking.status,
+  origin: booking.origin,
+  destination: booking.destination,
+  pieces: booking.pieces,
+  weight_kg: booking.weight_kg,
+  flightIds: (booking.flightIds || []).map(flight => (flight._id || flight).toString()),
+  updatedAt: booking.updatedAt,
+});
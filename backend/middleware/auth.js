@@ -0,0 +1,144 @@
+import mongoose from 'mongoose';
+import Booking from '../models/Booking.js';
+import { authenticateToken } from '../controllers/authController.js';
+import { authenticateApiKey } from '../controllers/apiKeyController.js';
+
+/**
+ * Resolve the API key a request presents (X-API-Key header) and put it on req.apiKey
+ * Runs ahead of the rate limiter so that key traffic is counted per key. Requests without
+ * the header pass through untouched; an invalid key is refused with 401.
+ */
+export const resolveApiKey = async (req, res, next) => {
+  const key = req.headers['x-api-key'];
+  if (!key || req.apiKey) {
+    return next();
+  }
+
+  try {
+    req.apiKey = await authenticateApiKey(key);
+    next();
+  } catch (error) {
+    if (error.message === 'Invalid API key') {
+      return res.status(401).json({
+        error: 'Invalid API key',
+        message: 'The API key is unknown, revoked or expired',
+      });
+    }
+
+    console.error('Error checking API key:', error);
+    res.status(500).json({
+      error: 'Failed to authenticate',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Require a valid access token (Authorization: Bearer <token>) or API key (X-API-Key),
+ * and put who is calling on req.user
+ * An API key acts as an API_CLIENT of its account, on behalf of the user that issued it.
+ */
+export const authenticate = async (req, res, next) => {
+  if (req.headers['x-api-key'] && !req.apiKey) {
+    return resolveApiKey(req, res, () => authenticate(req, res, next));
+  }
+  if (req.apiKey) {
+    req.user = {
+      _id: req.apiKey.createdBy,
+      name: req.apiKey.name,
+      role: 'API_CLIENT',
+      accountId: req.apiKey.accountId,
+    };
+    return next();
+  }
+
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'Please provide an access token in the Authorization header, or an API key in X-API-Key',
+    });
+  }
+
+  try {
+    req.user = await authenticateToken(token);
+    next();
+  } catch (error) {
+    if (error.message === 'Invalid token' || error.message === 'Token expired') {
+      return res.status(401).json({
+        error: error.message,
+        message: error.message === 'Token expired'
+          ? 'The access token has expired; refresh it with POST /api/auth/refresh'
+          : 'The access token is not valid',
+      });
+    }
+
+    console.error('Error authenticating request:', error);
+    res.status(500).json({
+      error: 'Failed to authenticate',
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Require a scope from API keys; signed-in users are governed by their role alone
+ * Use after authenticate.
+ * @param {string} scope - Scope the route needs, e.g. 'bookings:write'
+ */
+export const requireScope = (scope) => (req, res, next) => {
+  if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `This API key lacks the ${scope} scope`,
+    });
+  }
+  next();
+};
+
+/**
+ * Only let the given roles through; use after authenticate
+ * @param {...string} roles - Roles allowed on the route
+ */
+export const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `This action requires one of the roles: ${roles.join(', ')}`,
+    });
+  }
+  next();
+};
+
+/**
+ * Users of a customer account only reach that account's bookings; carrier staff reach every booking
+ * Checks the booking in req.params.bookingId (ID or ref_id). Another account's booking answers
+ * like a missing one, so ref_ids cannot be probed across accounts. Use after authenticate.
+ */
+export const authorizeBookingAccess = async (req, res, next) => {
+  if (!req.user.accountId) {
+    return next();
+  }
+
+  try {
+    const { bookingId } = req.params;
+    const identifier = mongoose.Types.ObjectId.isValid(bookingId)
+      ? { $or: [{ _id: bookingId }, { ref_id: bookingId.toUpperCase().trim() }] }
+      : { ref_id: bookingId.toUpperCase().trim() };
+
+    const booking = await Booking.findOne(identifier).select('account_id').lean();
+    if (!booking || !booking.account_id || !booking.account_id.equals(req.user.accountId)) {
+      return res.status(404).json({
+        error: 'Booking not found',
+        message: 'No booking found with the provided identifier',
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('Error checking booking access:', error);
+    res.status(500).json({
+      error: 'Failed to check booking access',
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,65 @@
+import logger from '../utils/logger.js';
+import { getRateLimitStore } from '../utils/rateLimitStore.js';
+
+// Window and default limits: every client IP, and every API key (unless the key sets its own)
+export const RATE_LIMIT_WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000;
+export const RATE_LIMIT_IP_MAX = parseInt(process.env.RATE_LIMIT_IP_MAX) || 300;
+export const RATE_LIMIT_KEY_MAX = parseInt(process.env.RATE_LIMIT_KEY_MAX) || 600;
+
+/**
+ * Fixed-window rate limiter
+ * Sets RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset on every counted response, and
+ * answers 429 with Retry-After once a client is over its limit. If the store fails, requests
+ * are let through rather than taking the API down with it.
+ * @param {Object} options - clientKey(req): store key of the client, or null to skip the request;
+ *   limit(req): requests allowed per window; windowMs (optional)
+ * @returns {Function} Express middleware
+ */
+export const createRateLimiter = ({ clientKey, limit, windowMs = RATE_LIMIT_WINDOW_MS }) => async (req, res, next) => {
+  const key = clientKey(req);
+  if (!key) {
+    return next();
+  }
+
+  const store = getRateLimitStore();
+  const max = limit(req);
+  let hit;
+  try {
+    hit = await store.hit(key, windowMs);
+  } catch (error) {
+    logger.error('Rate limit store failed', { key: key, error: error.message });
+    return next();
+  }
+
+  const resetSeconds = Math.max(Math.ceil((hit.resetAt - Date.now()) / 1000), 0);
+  res.set({
+    'RateLimit-Limit': String(max),
+    'RateLimit-Remaining': String(Math.max(max - hit.count, 0)),
+    'RateLimit-Reset': String(resetSeconds),
+  });
+
+  if (hit.count <= max) {
+    return next();
+  }
+
+  await store.recordLimited(key).catch(() => {});
+  logger.warn('Rate limit exceeded', { key: key, path: req.originalUrl });
+
+  res.set('Retry-After', String(resetSeconds));
+  res.status(429).json({
+    error: 'Too many requests',
+    message: `Rate limit of ${max} requests per ${Math.round(windowMs / 1000)} seconds exceeded; retry in ${resetSeconds} seconds`,
+  });
+};
+
+// Every request counts against the IP it comes from
+export const ipRateLimiter = createRateLimiter({
+  clientKey: req => `ip:${req.ip}`,
+  limit: () => RATE_LIMIT_IP_MAX,
+});
+
+// Requests with an API key also count against the key; use after resolveApiKey
+export const apiKeyRateLimiter = createRateLimiter({
+  clientKey: req => (req.apiKey ? `key:${req.apiKey._id}` : null),
+  limit: req => req.apiKey.rateLimit || RATE_LIMIT_KEY_MAX,
+});
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// Customer (shipper or forwarder) that owns bookings; its users only see its bookings
+const accountSchema = new mongoose.Schema({
+  code: {
+    type: String, // Short customer code, e.g. ACMEFWD
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: /^[A-Z0-9]{2,12}$/,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  contactEmail: {
+    type: String,
+    trim: true,
+    lowercase: true,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+    index: true,
+  },
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+});
+
+const Account = mongoose.model('Account', accountSchema);
+
+export default Account;
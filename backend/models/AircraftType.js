@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+import { isSpecialHandlingCode } from '../utils/specialHandling.js';
+
+// Aircraft type with the special handling codes it cannot carry,
+// e.g. passenger aircraft refusing cargo-aircraft-only dangerous goods
+const aircraftTypeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true, // Index for lookup by IATA aircraft type code
+    trim: true,
+    uppercase: true,
+    match: /^[A-Z0-9]{3}$/, // e.g. 32Q, 77F
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  category: {
+    type: String,
+    enum: ['PASSENGER', 'FREIGHTER', 'COMBI'],
+    default: 'PASSENGER',
+  },
+  refusedHandlingCodes: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: codes => codes.every(isSpecialHandlingCode),
+      message: props => `${props.value} contains an unknown special handling code`,
+    },
+  },
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+});
+
+const AircraftType = mongoose.model('AircraftType', aircraftTypeSchema);
+
+export default AircraftType;
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import { isValidTimeZone } from '../utils/timezone.js';
+
+const airportSchema = new mongoose.Schema({
+  iataCode: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true, // Index for lookup by airport code
+    trim: true,
+    uppercase: true,
+    match: /^[A-Z]{3}$/,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  city: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  country: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  timeZone: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      validator: isValidTimeZone,
+      message: props => `${props.value} is not a valid IANA time zone`,
+    },
+  },
+  coordinates: {
+    latitude: {
+      type: Number,
+      min: -90,
+      max: 90,
+    },
+    longitude: {
+      type: Number,
+      min: -180,
+      max: 180,
+    },
+  },
+  // Inactive stations stay in the registry but cannot be booked or searched
+  active: {
+    type: Boolean,
+    default: true,
+    index: true, // Index for filtering active stations
+  },
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+});
+
+// Index for listing airports by country
+airportSchema.index({ country: 1, iataCode: 1 });
+
+const Airport = mongoose.model('Airport', airportSchema);
+
+export default Airport;
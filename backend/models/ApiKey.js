@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// What an API key may do
+export const API_KEY_SCOPES = ['bookings:read', 'bookings:write', 'routes:read'];
+
+// Key for server-to-server integrations, acting for one customer account
+// Only a hash of the key is stored; the key itself is shown once, when it is issued
+const apiKeySchema = new mongoose.Schema({
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true,
+    index: true,
+  },
+  name: {
+    type: String, // What the key is for, e.g. "TMS production"
+    required: true,
+    trim: true,
+  },
+  prefix: {
+    type: String, // Public start of the key, to tell keys apart in lists and logs
+    required: true,
+  },
+  keyHash: {
+    type: String, // SHA-256 of the full key
+    required: true,
+    unique: true,
+    select: false,
+  },
+  scopes: {
+    type: [String],
+    enum: API_KEY_SCOPES,
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'An API key needs at least one scope',
+    },
+  },
+  rateLimit: {
+    type: Number, // Requests per rate limit window; the default limit applies when unset
+    min: 1,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // User that issued the key; bookings made with it are recorded against them
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  lastUsedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+});
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
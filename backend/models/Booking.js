@@ -1,4 +1,130 @@
 import mongoose from 'mongoose';
+import { calculateVolumetricWeight, calculateChargeableWeight } from '../utils/chargeableWeight.js';
+import { priceSchema } from './Quote.js';
+import { isSpecialHandlingCode } from '../utils/specialHandling.js';
+import { NOTIFICATION_EVENTS, NOTIFICATION_LOCALES } from '../utils/notificationTemplates.js';
+
+// Proof of delivery captured when cargo is handed over to the consignee
+const proofOfDeliverySchema = new mongoose.Schema({
+  consignee_name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  delivered_at: {
+    type: Date,
+    required: true,
+  },
+  receiving_station: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+  },
+  signature_ref: {
+    type: String,
+    trim: true, // Reference (URL or storage key) to the signature image
+  },
+}, { _id: false });
+
+// Dimensions of one or more identical pieces
+const dimensionLineSchema = new mongoose.Schema({
+  length_cm: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  width_cm: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  height_cm: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  pieces: {
+    type: Number,
+    default: 1,
+    min: 1,
+  },
+}, { _id: false });
+
+// Pieces of a booking carried on one of its flights, and how many have moved
+const partSchema = new mongoose.Schema({
+  flightId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Flight',
+    required: true,
+  },
+  pieces: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  departed_pieces: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  arrived_pieces: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+}, { _id: false });
+
+// One amendment to a BOOKED booking: the fields it changed, before and after
+const amendmentSchema = new mongoose.Schema({
+  version: {
+    type: Number, // Booking version produced by this amendment (the original booking is version 1)
+    required: true,
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now,
+  },
+  changes: {
+    type: mongoose.Schema.Types.Mixed, // field -> { from, to }
+    required: true,
+  },
+}, { _id: false });
+
+// Person to notify of the booking's milestones, and how
+const contactSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['SHIPPER', 'CONSIGNEE'],
+    required: true,
+  },
+  name: {
+    type: String,
+    trim: true,
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+  },
+  phone: {
+    type: String, // E.164, e.g. +919876543210
+    trim: true,
+  },
+  locale: {
+    type: String, // Language of the messages
+    enum: NOTIFICATION_LOCALES,
+    default: 'en',
+  },
+  channels: {
+    type: [String], // EMAIL and/or SMS
+    enum: ['EMAIL', 'SMS'],
+  },
+  events: {
+    type: [String], // Milestones to notify of
+    enum: NOTIFICATION_EVENTS,
+  },
+}, { _id: false });
 
 const bookingSchema = new mongoose.Schema({
   ref_id: {
@@ -34,10 +160,55 @@ const bookingSchema = new mongoose.Schema({
     min: 0,
     integer: true,
   },
+  volume_m3: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  dimensions: {
+    type: [dimensionLineSchema], // Per-piece dimensions, when given instead of an aggregate volume
+    default: undefined,
+  },
+  volumetric_weight_kg: {
+    type: Number, // volume / 6000, derived on validate
+    min: 0,
+  },
+  chargeable_weight_kg: {
+    type: Number, // Higher of actual and volumetric weight, derived on validate
+    min: 0,
+  },
+  special_handling: {
+    type: [String], // IATA special handling codes, e.g. ELI, PER, AVI
+    default: undefined,
+    validate: {
+      validator: codes => codes.every(isSpecialHandlingCode),
+      message: props => `${props.value} contains an unknown special handling code`,
+    },
+  },
+  quote_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote', // Quote the booking was created from
+  },
+  price: {
+    type: priceSchema, // Price locked in from the quote
+    required: false,
+  },
+  account_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account', // Customer that owns the booking; its users only see its own bookings
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // User that made the booking
+  },
+  contacts: {
+    type: [contactSchema], // Shipper and consignee contacts notified of departures, arrivals and cancellation
+    default: undefined,
+  },
   status: {
     type: String,
     required: true,
-    enum: ['BOOKED', 'DEPARTED', 'ARRIVED', 'DELIVERED', 'CANCELLED'],
+    enum: ['BOOKED', 'PARTIALLY_DEPARTED', 'DEPARTED', 'PARTIALLY_ARRIVED', 'ARRIVED', 'DELIVERED', 'CANCELLED'],
     default: 'BOOKED',
     index: true, // Index for filtering by status
   },
@@ -46,10 +217,25 @@ const bookingSchema = new mongoose.Schema({
     ref: 'Flight',
     required: false, // Optional - bookings can be created without flights initially
   }],
+  parts: [partSchema], // Pieces per flight; a split shipment spreads its pieces over several flights
+  at_risk: {
+    type: Boolean, // Set when a delayed, retimed or cancelled flight breaks the itinerary
+    default: false,
+    index: true, // Index for listing bookings that need re-protection
+  },
+  at_risk_reasons: {
+    type: [String],
+    default: undefined,
+  },
+  version: {
+    type: Number, // Incremented by every amendment
+    default: 1,
+  },
+  amendments: [amendmentSchema],
   timeline: [{
     event: {
       type: String,
-      enum: ['BOOKED', 'DEPARTED', 'ARRIVED', 'DELIVERED', 'CANCELLED'],
+      enum: ['BOOKED', 'DEPARTED', 'ARRIVED', 'DELIVERED', 'CANCELLED', 'AT_RISK', 'REBOOKED'],
       required: true,
     },
     timestamp: {
@@ -60,16 +246,41 @@ const bookingSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Flight',
     },
+    pieces: {
+      type: Number, // Set when only some of the pieces departed or arrived
+      min: 1,
+    },
+    note: {
+      type: String, // Why the booking is at risk (AT_RISK) or was moved (REBOOKED)
+    },
+    // Proof of delivery - only recorded on the DELIVERED event
+    pod: {
+      type: proofOfDeliverySchema,
+      required: false,
+    },
   }],
 }, {
   timestamps: true, // Adds createdAt and updatedAt
 });
 
 // Compound indexes for common query patterns
-bookingSchema.index({ status: 1, createdAt: -1 }); // For listing bookings by status
-bookingSchema.index({ origin: 1, destination: 1, createdAt: -1 }); // For route-based queries
+// Listings page on (createdAt, _id), so the listing indexes end with both to serve the sort
+bookingSchema.index({ createdAt: -1, _id: -1 }); // For listing all bookings
+bookingSchema.index({ status: 1, createdAt: -1, _id: -1 }); // For listing bookings by status
+bookingSchema.index({ origin: 1, destination: 1, createdAt: -1, _id: -1 }); // For route-based queries
+bookingSchema.index({ flightIds: 1, createdAt: -1, _id: -1 }); // For listing the bookings on a flight
+bookingSchema.index({ account_id: 1, createdAt: -1, _id: -1 }); // For listing one customer's bookings
 bookingSchema.index({ status: 1, updatedAt: -1 }); // For status update queries
 
+// Keep the billing weights in line with weight and volume
+bookingSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('weight_kg') || this.isModified('volume_m3')) {
+    this.volumetric_weight_kg = calculateVolumetricWeight(this.volume_m3);
+    this.chargeable_weight_kg = calculateChargeableWeight(this.weight_kg, this.volume_m3);
+  }
+  next();
+});
+
 // Pre-save middleware to generate ref_id if not provided
 // Format: BOOK-YYYYMMDD-XXXXXX (where XXXXXX is a 6-digit sequential number)
 bookingSchema.pre('save', async function(next) {
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// Minimum connection time (MCT) for transferring cargo between two flights at an airport.
+// A record without airlines is the airport default; a record with an inbound and
+// outbound airline overrides the default for that airline pair.
+const connectionTimeSchema = new mongoose.Schema({
+  airport: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+    index: true, // Index for lookup by airport
+  },
+  minConnectionMinutes: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  inboundAirline: {
+    type: String,
+    trim: true,
+    default: null, // null = applies to any arriving airline
+  },
+  outboundAirline: {
+    type: String,
+    trim: true,
+    default: null, // null = applies to any departing airline
+  },
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+});
+
+// One rule per airport and airline pair
+connectionTimeSchema.index({ airport: 1, inboundAirline: 1, outboundAirline: 1 }, { unique: true });
+
+const ConnectionTime = mongoose.model('ConnectionTime', connectionTimeSchema);
+
+export default ConnectionTime;
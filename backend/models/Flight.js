@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { isSpecialHandlingCode } from '../utils/specialHandling.js';
 
 const flightSchema = new mongoose.Schema({
   flightNumber: {
@@ -38,6 +39,70 @@ const flightSchema = new mongoose.Schema({
     uppercase: true,
     index: true, // Index for route queries
   },
+  maxWeightKg: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 5000, // Typical narrow-body belly hold payload
+  },
+  maxVolumeM3: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 30,
+  },
+  // Remaining capacity is decremented/restored atomically as bookings are made/cancelled
+  remainingWeightKg: {
+    type: Number,
+    min: 0,
+  },
+  remainingVolumeM3: {
+    type: Number,
+    min: 0,
+  },
+  aircraftType: {
+    type: String, // IATA aircraft type code (see AircraftType), e.g. 32Q
+    trim: true,
+    uppercase: true,
+  },
+  // Special handling codes this flight will not carry, on top of its aircraft type's restrictions
+  refusedHandlingCodes: {
+    type: [String],
+    default: undefined,
+    validate: {
+      validator: codes => codes.every(isSpecialHandlingCode),
+      message: props => `${props.value} contains an unknown special handling code`,
+    },
+  },
+  status: {
+    type: String,
+    enum: ['SCHEDULED', 'DELAYED', 'CANCELLED', 'DEPARTED', 'LANDED'],
+    default: 'SCHEDULED',
+    index: true, // Index for filtering by status
+  },
+  // Latest expected times while the flight is delayed, and the times it actually flew
+  estimatedDepartureDateTime: {
+    type: Date,
+  },
+  estimatedArrivalDateTime: {
+    type: Date,
+  },
+  actualDepartureDateTime: {
+    type: Date,
+  },
+  actualArrivalDateTime: {
+    type: Date,
+  },
+  // Set on flights generated from a recurring schedule
+  scheduleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Schedule',
+    required: false,
+  },
+  operatingDate: {
+    type: String, // Local departure date at the origin (YYYY-MM-DD)
+    required: false,
+  },
 }, {
   timestamps: true, // Adds createdAt and updatedAt
 });
@@ -51,6 +116,87 @@ flightSchema.index({ airlineName: 1, departureDateTime: 1 });
 // Index for date range queries
 flightSchema.index({ departureDateTime: 1, arrivalDateTime: 1 });
 
+// Index for syncing flights generated from a schedule
+flightSchema.index({ scheduleId: 1, operatingDate: 1 }, { sparse: true });
+
+// Initialize remaining capacity from the payload limits for new flights
+flightSchema.pre('validate', function(next) {
+  if (this.isNew) {
+    if (this.remainingWeightKg === undefined || this.remainingWeightKg === null) {
+      this.remainingWeightKg = this.maxWeightKg;
+    }
+    if (this.remainingVolumeM3 === undefined || this.remainingVolumeM3 === null) {
+      this.remainingVolumeM3 = this.maxVolumeM3;
+    }
+  }
+  next();
+});
+
+/**
+ * Atomically reserve capacity on a flight
+ * Only succeeds if the flight still has enough remaining weight and volume
+ * @param {string|ObjectId} flightId - Flight ID
+ * @param {number} weightKg - Weight to reserve
+ * @param {number} volumeM3 - Volume to reserve
+ * @returns {Promise<Object|null>} Updated flight, or null if capacity is insufficient
+ */
+flightSchema.statics.reserveCapacity = function(flightId, weightKg, volumeM3 = 0) {
+  return this.findOneAndUpdate(
+    {
+      _id: flightId,
+      remainingWeightKg: { $gte: weightKg },
+      remainingVolumeM3: { $gte: volumeM3 },
+    },
+    { $inc: { remainingWeightKg: -weightKg, remainingVolumeM3: -volumeM3 } },
+    { new: true }
+  );
+};
+
+/**
+ * Atomically return previously reserved capacity to a flight
+ * @param {string|ObjectId} flightId - Flight ID
+ * @param {number} weightKg - Weight to release
+ * @param {number} volumeM3 - Volume to release
+ * @returns {Promise<Object|null>} Updated flight
+ */
+flightSchema.statics.releaseCapacity = function(flightId, weightKg, volumeM3 = 0) {
+  // A flight that does not track capacity yet gets it from backfillFlightCapacity instead
+  return this.findOneAndUpdate(
+    { _id: flightId, remainingWeightKg: { $exists: true }, remainingVolumeM3: { $exists: true } },
+    { $inc: { remainingWeightKg: weightKg, remainingVolumeM3: volumeM3 } },
+    { new: true }
+  );
+};
+
+/**
+ * Atomically update a flight only while none of its capacity is reserved
+ * Guards a change decided on a flight that was unbooked when read against a booking made since
+ * @param {Object} flight - Flight as read (its payload limits must still equal its remaining capacity)
+ * @param {Object} update - Update to apply
+ * @param {Object} options - Optional query options, e.g. runValidators
+ * @returns {Promise<Object|null>} Updated flight, or null if it has been booked since it was read
+ */
+flightSchema.statics.updateIfUnbooked = function(flight, update, options = {}) {
+  return this.findOneAndUpdate(unbookedFilter(flight), update, { new: true, ...options });
+};
+
+/**
+ * Atomically delete a flight only while none of its capacity is reserved
+ * @param {Object} flight - Flight as read (its payload limits must still equal its remaining capacity)
+ * @returns {Promise<boolean>} Whether the flight was still unbooked and has been deleted
+ */
+flightSchema.statics.deleteIfUnbooked = async function(flight) {
+  const result = await this.deleteOne(unbookedFilter(flight));
+  return result.deletedCount > 0;
+};
+
+// Matches a flight while its remaining capacity is the full payload limit
+const unbookedFilter = (flight) => ({
+  _id: flight._id,
+  remainingWeightKg: flight.maxWeightKg,
+  remainingVolumeM3: flight.maxVolumeM3,
+});
+
 const Flight = mongoose.model('Flight', flightSchema);
 
 export default Flight;
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// Message sent (or attempted) to a booking contact for a booking milestone
+const notificationSchema = new mongoose.Schema({
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+  },
+  event: {
+    type: String, // Milestone, e.g. DEPARTED
+    required: true,
+  },
+  channel: {
+    type: String,
+    enum: ['EMAIL', 'SMS'],
+    required: true,
+  },
+  role: {
+    type: String, // SHIPPER or CONSIGNEE
+  },
+  to: {
+    type: String, // Email address or phone number
+    required: true,
+  },
+  locale: {
+    type: String,
+  },
+  subject: {
+    type: String, // Email only
+  },
+  text: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['SENT', 'FAILED'],
+    required: true,
+  },
+  messageId: {
+    type: String, // ID the transport gave the message
+  },
+  error: {
+    type: String, // Why the transport refused the message
+  },
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+});
+
+// Index for the notification log of a booking, in order
+notificationSchema.index({ bookingId: 1, createdAt: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// Booking that needs an operator, e.g. one that re-protection could not place on another flight
+const opsQueueItemSchema = new mongoose.Schema({
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+  },
+  bookingRef: {
+    type: String, // Booking ref_id, for operators
+    required: true,
+  },
+  flightId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Flight', // Flight that caused the item, e.g. the cancelled flight
+  },
+  flightNumber: {
+    type: String,
+  },
+  reason: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['OPEN', 'RESOLVED'],
+    default: 'OPEN',
+    index: true, // Index for listing open items
+  },
+  resolvedAt: {
+    type: Date,
+  },
+  resolutionNote: {
+    type: String,
+    trim: true,
+  },
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+});
+
+// One item per booking and flight, however often re-protection runs
+opsQueueItemSchema.index({ bookingId: 1, flightId: 1 }, { unique: true });
+
+const OpsQueueItem = mongoose.model('OpsQueueItem', opsQueueItemSchema);
+
+export default OpsQueueItem;
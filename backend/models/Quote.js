@@ -0,0 +1,155 @@
+import mongoose from 'mongoose';
+import { isSpecialHandlingCode } from '../utils/specialHandling.js';
+
+// Price breakdown of a quote; copied onto the booking created from it
+export const priceSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+  },
+  rate_card_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RateCard',
+  },
+  rate_class: {
+    type: String, // 'M' (minimum charge), 'N', 'Q45', 'Q100', 'Q300', 'Q500' or 'Q1000'
+    required: true,
+  },
+  rate_per_kg: {
+    type: Number, // null when the minimum charge applies
+  },
+  charged_weight_kg: {
+    type: Number, // Weight the rate was applied to (may be raised to the weight break)
+    required: true,
+  },
+  freight: {
+    type: Number,
+    required: true,
+  },
+  surcharges: {
+    fuel: { type: Number, default: 0 },
+    security: { type: Number, default: 0 },
+    special_handling: { type: Number, default: 0 },
+  },
+  total: {
+    type: Number,
+    required: true,
+  },
+}, { _id: false });
+
+const quoteSchema = new mongoose.Schema({
+  ref_id: {
+    type: String,
+    required: false, // Will be generated in pre-save hook for new documents
+    unique: true,
+    index: true, // Index for quick lookup by ref_id
+    uppercase: true,
+  },
+  origin: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+  },
+  destination: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+  },
+  pieces: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  weight_kg: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  volume_m3: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  chargeable_weight_kg: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  special_handling: {
+    type: [String], // Special handling codes, e.g. PER, AVI
+    default: undefined,
+    validate: {
+      validator: codes => codes.every(isSpecialHandlingCode),
+      message: props => `${props.value} contains an unknown special handling code`,
+    },
+  },
+  flightIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Flight',
+  }],
+  airline_name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  price: {
+    type: priceSchema,
+    required: true,
+  },
+  valid_until: {
+    type: Date,
+    required: true,
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['OPEN', 'BOOKED'],
+    default: 'OPEN',
+  },
+  booking_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+  },
+  account_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account', // Customer the quote was made for; only its users can see or book it
+  },
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+});
+
+// Pre-save middleware to generate ref_id if not provided
+// Format: QUOTE-YYYYMMDD-XXXXXX (where XXXXXX is a 6-digit sequential number)
+quoteSchema.pre('save', async function(next) {
+  if (this.isNew && !this.ref_id) {
+    try {
+      const dateStr = new Date().toISOString().split('T')[0].replace(/-/g, '');
+      const prefix = `QUOTE-${dateStr}-`;
+
+      const lastQuote = await this.constructor
+        .findOne({ ref_id: { $regex: `^${prefix}` } })
+        .sort({ ref_id: -1 })
+        .select('ref_id')
+        .lean();
+
+      let sequence = 1;
+      if (lastQuote && lastQuote.ref_id) {
+        const lastSequence = parseInt(lastQuote.ref_id.split('-')[2]);
+        if (!isNaN(lastSequence)) {
+          sequence = lastSequence + 1;
+        }
+      }
+
+      this.ref_id = `${prefix}${sequence.toString().padStart(6, '0')}`;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+const Quote = mongoose.model('Quote', quoteSchema);
+
+export default Quote;
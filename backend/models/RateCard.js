@@ -0,0 +1,120 @@
+import mongoose from 'mongoose';
+
+// Per-kg rate (currency per kg of chargeable weight) for each standard weight break
+const weightBreakRatesSchema = new mongoose.Schema({
+  N: {
+    type: Number, // Normal rate, below 45 kg
+    required: true,
+    min: 0,
+  },
+  Q45: {
+    type: Number, // 45 kg and over
+    min: 0,
+  },
+  Q100: {
+    type: Number,
+    min: 0,
+  },
+  Q300: {
+    type: Number,
+    min: 0,
+  },
+  Q500: {
+    type: Number,
+    min: 0,
+  },
+  Q1000: {
+    type: Number,
+    min: 0,
+  },
+}, { _id: false });
+
+const surchargesSchema = new mongoose.Schema({
+  fuelPerKg: {
+    type: Number, // Charged on chargeable weight
+    default: 0,
+    min: 0,
+  },
+  securityPerKg: {
+    type: Number, // Charged on chargeable weight
+    default: 0,
+    min: 0,
+  },
+  specialHandling: {
+    type: Number, // Flat fee per shipment with special handling codes
+    default: 0,
+    min: 0,
+  },
+}, { _id: false });
+
+// Airline tariff for one lane (origin -> destination)
+const rateCardSchema = new mongoose.Schema({
+  origin: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+  },
+  destination: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+  },
+  airlineName: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  currency: {
+    type: String,
+    default: 'INR',
+    trim: true,
+    uppercase: true,
+    match: /^[A-Z]{3}$/,
+  },
+  minimumCharge: {
+    type: Number, // Minimum freight charge per shipment (M)
+    required: true,
+    min: 0,
+  },
+  rates: {
+    type: weightBreakRatesSchema,
+    required: true,
+  },
+  surcharges: {
+    type: surchargesSchema,
+    default: () => ({}),
+  },
+  validFrom: {
+    type: Date,
+    default: null, // null = no start date
+  },
+  validTo: {
+    type: Date,
+    default: null, // null = until further notice
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+});
+
+// Index for finding the tariffs of a lane
+rateCardSchema.index({ origin: 1, destination: 1, airlineName: 1, validFrom: 1 }, { unique: true });
+
+rateCardSchema.pre('validate', function(next) {
+  if (this.validFrom && this.validTo && this.validTo < this.validFrom) {
+    this.invalidate('validTo', 'validTo must not be before validFrom');
+  }
+  if (this.origin && this.origin === this.destination) {
+    this.invalidate('destination', 'origin and destination must differ');
+  }
+  next();
+});
+
+const RateCard = mongoose.model('RateCard', rateCardSchema);
+
+export default RateCard;
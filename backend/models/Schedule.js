@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/; // HH:mm
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/; // YYYY-MM-DD
+
+// Recurring flight pattern, e.g. "AI101 DEL-BOM 10:00-12:30 Mon/Wed/Fri, valid Nov 1 - Mar 31".
+// Dated Flight documents are generated from it for a rolling horizon.
+const scheduleSchema = new mongoose.Schema({
+  flightNumber: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+    index: true, // Index for search by flight number
+  },
+  airlineName: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  origin: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+  },
+  destination: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+  },
+  departureTime: {
+    type: String, // Local time at the origin (HH:mm)
+    required: true,
+    match: TIME_PATTERN,
+  },
+  arrivalTime: {
+    type: String, // Local time at the destination (HH:mm)
+    required: true,
+    match: TIME_PATTERN,
+  },
+  arrivalDayOffset: {
+    type: Number, // Days between local departure and local arrival (overnight flights)
+    default: 0,
+    min: 0,
+    max: 2,
+  },
+  daysOfWeek: {
+    type: [Number], // ISO weekdays: 1 = Monday ... 7 = Sunday
+    required: true,
+    validate: {
+      validator: days => days.length > 0 && days.every(day => Number.isInteger(day) && day >= 1 && day <= 7),
+      message: 'daysOfWeek must list ISO weekdays between 1 (Monday) and 7 (Sunday)',
+    },
+  },
+  validFrom: {
+    type: String, // First operating date (YYYY-MM-DD, local at the origin)
+    required: true,
+    match: DATE_PATTERN,
+  },
+  validTo: {
+    type: String, // Last operating date (YYYY-MM-DD, local at the origin)
+    required: true,
+    match: DATE_PATTERN,
+  },
+  maxWeightKg: {
+    type: Number,
+    min: 0,
+  },
+  maxVolumeM3: {
+    type: Number,
+    min: 0,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+    index: true, // Index for finding schedules to sync
+  },
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+});
+
+scheduleSchema.pre('validate', function(next) {
+  if (this.validFrom && this.validTo && this.validTo < this.validFrom) {
+    this.invalidate('validTo', 'validTo must not be before validFrom');
+  }
+  if (this.origin && this.origin === this.destination) {
+    this.invalidate('destination', 'origin and destination must differ');
+  }
+  next();
+});
+
+const Schedule = mongoose.model('Schedule', scheduleSchema);
+
+export default Schedule;
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// Roles, from the narrowest to the widest access
+export const USER_ROLES = ['SHIPPER', 'BOOKING_AGENT', 'STATION_OPS', 'ADMIN'];
+
+// Account that can sign in to the API
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false, // Only read when checking a password
+  },
+  role: {
+    type: String,
+    enum: USER_ROLES,
+    default: 'SHIPPER',
+    index: true,
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account', // Customer the user works for; carrier staff (ops, admins) have none
+    index: true,
+  },
+  station: {
+    type: String, // Home station of station ops staff
+    trim: true,
+    uppercase: true,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  tokenVersion: {
+    type: Number, // Bumped on logout; refresh tokens issued before then stop working
+    default: 0,
+  },
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+});
+
+const User = mongoose.model('User', userSchema);
+
+export default User;
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+// One event sent to one webhook subscription, with its attempts
+// PENDING: waiting for its (next) attempt; SENDING: claimed by a dispatcher;
+// SUCCEEDED: the endpoint answered 2xx; DEAD: gave up after the last attempt (dead-letter list)
+const webhookDeliverySchema = new mongoose.Schema({
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true,
+    index: true,
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true,
+  },
+  event: {
+    type: String, // e.g. booking.departed
+    required: true,
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed, // JSON body sent on every attempt
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'SENDING', 'SUCCEEDED', 'DEAD'],
+    default: 'PENDING',
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedUntil: {
+    type: Date, // A SENDING delivery past this time is taken up again (its dispatcher died)
+  },
+  lastAttemptAt: {
+    type: Date,
+  },
+  lastResponseStatus: {
+    type: Number, // HTTP status of the last attempt, if the endpoint answered
+  },
+  lastError: {
+    type: String,
+  },
+  deliveredAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+});
+
+// Index for the dispatcher: due deliveries by status
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+// Index for the delivery log of an account, newest first
+webhookDeliverySchema.index({ accountId: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+export default WebhookDelivery;
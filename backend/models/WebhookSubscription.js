@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+// Booking events a webhook can subscribe to
+export const WEBHOOK_EVENTS = [
+  'booking.created',
+  'booking.departed',
+  'booking.arrived',
+  'booking.cancelled',
+  'booking.delivered',
+];
+
+// Endpoint of a customer account that is sent the account's booking events
+const webhookSubscriptionSchema = new mongoose.Schema({
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true,
+    index: true,
+  },
+  url: {
+    type: String, // http(s) endpoint the events are POSTed to
+    required: true,
+    trim: true,
+  },
+  events: {
+    type: [String],
+    enum: WEBHOOK_EVENTS,
+    validate: {
+      validator: events => events.length > 0,
+      message: 'A webhook needs at least one event',
+    },
+  },
+  secret: {
+    type: String, // Signs every delivery (HMAC-SHA256); kept in clear because signing needs it
+    required: true,
+    select: false,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true, // Adds createdAt and updatedAt
+});
+
+const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+
+export default WebhookSubscription;
@@ -0,0 +1,126 @@
+import express from 'express';
+import {
+  listAccounts,
+  getAccount,
+  createAccount,
+  updateAccount,
+} from '../controllers/accountController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Customer accounts are managed by admins
+router.use(authenticate, authorize('ADMIN'));
+
+/**
+ * GET /api/accounts
+ * List customer accounts
+ */
+router.get('/', async (req, res) => {
+  try {
+    const accounts = await listAccounts();
+
+    res.json({
+      success: true,
+      count: accounts.length,
+      accounts: accounts,
+    });
+  } catch (error) {
+    console.error('Error listing accounts:', error);
+    res.status(500).json({
+      error: 'Failed to list accounts',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/accounts/:accountId
+ * Get a single account by ID or code
+ */
+router.get('/:accountId', async (req, res) => {
+  try {
+    const account = await getAccount(req.params.accountId);
+
+    res.json({
+      success: true,
+      account: account,
+    });
+  } catch (error) {
+    console.error('Error fetching account:', error);
+    sendAccountError(res, error, 'Failed to fetch account');
+  }
+});
+
+/**
+ * POST /api/accounts
+ * Create a customer account
+ * Body: { code (2-12 letters or digits), name, contactEmail (optional) }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const account = await createAccount(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      account: account,
+    });
+  } catch (error) {
+    console.error('Error creating account:', error);
+    sendAccountError(res, error, 'Failed to create account');
+  }
+});
+
+/**
+ * PATCH /api/accounts/:accountId
+ * Update an account; active: false locks its users out and stops new bookings
+ * Body: any of { name, contactEmail, active }
+ */
+router.patch('/:accountId', async (req, res) => {
+  try {
+    const account = await updateAccount(req.params.accountId, req.body);
+
+    res.json({
+      success: true,
+      message: 'Account updated successfully',
+      account: account,
+    });
+  } catch (error) {
+    console.error('Error updating account:', error);
+    sendAccountError(res, error, 'Failed to update account');
+  }
+});
+
+/**
+ * Map account controller errors to HTTP responses
+ */
+const sendAccountError = (res, error, fallbackMessage) => {
+  if (error.message === 'Account not found') {
+    return res.status(404).json({
+      error: 'Account not found',
+      message: error.message,
+    });
+  }
+
+  if (error.message.startsWith('Account already exists')) {
+    return res.status(409).json({
+      error: 'Account conflict',
+      message: error.message,
+    });
+  }
+
+  if (error.name === 'ValidationError' || error.message.startsWith('Invalid account')) {
+    return res.status(400).json({
+      error: 'Invalid account data',
+      message: error.message,
+    });
+  }
+
+  res.status(500).json({
+    error: fallbackMessage,
+    message: error.message,
+  });
+};
+
+export default router;
@@ -0,0 +1,156 @@
+import express from 'express';
+import {
+  listAircraftTypes,
+  getAircraftType,
+  createAircraftType,
+  updateAircraftType,
+  deleteAircraftType,
+} from '../controllers/aircraftTypeController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Aircraft types are master data: anyone may read them, only admins change them
+const requireAdmin = [authenticate, authorize('ADMIN')];
+
+/**
+ * GET /api/aircraft-types
+ * List aircraft types
+ */
+router.get('/', async (req, res) => {
+  try {
+    const aircraftTypes = await listAircraftTypes();
+
+    res.json({
+      success: true,
+      count: aircraftTypes.length,
+      aircraftTypes: aircraftTypes,
+    });
+  } catch (error) {
+    console.error('Error listing aircraft types:', error);
+    res.status(500).json({
+      error: 'Failed to list aircraft types',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/aircraft-types/:code
+ * Get a single aircraft type by IATA code
+ */
+router.get('/:code', async (req, res) => {
+  try {
+    const aircraftType = await getAircraftType(req.params.code);
+
+    res.json({
+      success: true,
+      aircraftType: aircraftType,
+    });
+  } catch (error) {
+    console.error('Error fetching aircraft type:', error);
+    sendAircraftTypeError(res, error, 'Failed to fetch aircraft type');
+  }
+});
+
+/**
+ * POST /api/aircraft-types
+ * Create an aircraft type
+ * Body: { code, name, category ('PASSENGER', 'FREIGHTER' or 'COMBI'), refusedHandlingCodes[] }
+ */
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const { code, name } = req.body;
+
+    // Input validation
+    if (!code || !name) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'Please provide code and name',
+      });
+    }
+
+    const aircraftType = await createAircraftType(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Aircraft type created successfully',
+      aircraftType: aircraftType,
+    });
+  } catch (error) {
+    console.error('Error creating aircraft type:', error);
+    sendAircraftTypeError(res, error, 'Failed to create aircraft type');
+  }
+});
+
+/**
+ * PATCH /api/aircraft-types/:code
+ * Update an aircraft type
+ * Body: any of { name, category, refusedHandlingCodes }
+ */
+router.patch('/:code', requireAdmin, async (req, res) => {
+  try {
+    const aircraftType = await updateAircraftType(req.params.code, req.body);
+
+    res.json({
+      success: true,
+      message: 'Aircraft type updated successfully',
+      aircraftType: aircraftType,
+    });
+  } catch (error) {
+    console.error('Error updating aircraft type:', error);
+    sendAircraftTypeError(res, error, 'Failed to update aircraft type');
+  }
+});
+
+/**
+ * DELETE /api/aircraft-types/:code
+ * Delete an aircraft type
+ */
+router.delete('/:code', requireAdmin, async (req, res) => {
+  try {
+    const aircraftType = await deleteAircraftType(req.params.code);
+
+    res.json({
+      success: true,
+      message: 'Aircraft type deleted successfully',
+      aircraftType: aircraftType,
+    });
+  } catch (error) {
+    console.error('Error deleting aircraft type:', error);
+    sendAircraftTypeError(res, error, 'Failed to delete aircraft type');
+  }
+});
+
+/**
+ * Map aircraft type controller errors to HTTP responses
+ */
+const sendAircraftTypeError = (res, error, fallbackMessage) => {
+  if (error.message === 'Aircraft type not found') {
+    return res.status(404).json({
+      error: 'Aircraft type not found',
+      message: error.message,
+    });
+  }
+
+  if (error.message.startsWith('Aircraft type already exists')) {
+    return res.status(409).json({
+      error: 'Aircraft type conflict',
+      message: error.message,
+    });
+  }
+
+  if (error.name === 'ValidationError' || error.message.startsWith('Invalid special handling code')) {
+    return res.status(400).json({
+      error: 'Invalid aircraft type data',
+      message: error.message,
+    });
+  }
+
+  res.status(500).json({
+    error: fallbackMessage,
+    message: error.message,
+  });
+};
+
+export default router;
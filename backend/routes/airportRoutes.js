@@ -0,0 +1,195 @@
+import express from 'express';
+import {
+  listAirports,
+  searchAirports,
+  getAirport,
+  createAirport,
+  updateAirport,
+  deleteAirport,
+} from '../controllers/airportController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Airports are master data: anyone may read them, only admins change them
+const requireAdmin = [authenticate, authorize('ADMIN')];
+
+/**
+ * GET /api/airports
+ * List airports
+ * Query params: country (optional), active (optional, 'true' or 'false')
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { country, active } = req.query;
+
+    const airports = await listAirports({
+      country,
+      active: active === undefined ? undefined : active === 'true',
+    });
+
+    res.json({
+      success: true,
+      count: airports.length,
+      airports: airports,
+    });
+  } catch (error) {
+    console.error('Error listing airports:', error);
+    res.status(500).json({
+      error: 'Failed to list airports',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/airports/search
+ * Search airports by code, city or name
+ * Query params: q (required), limit (optional, defaults to 10)
+ */
+router.get('/search', async (req, res) => {
+  try {
+    const { q, limit } = req.query;
+
+    if (!q || !q.trim()) {
+      return res.status(400).json({
+        error: 'Missing required parameters',
+        message: 'Please provide a search term (q)',
+      });
+    }
+
+    const airports = await searchAirports(q, limit ? Math.min(parseInt(limit) || 10, 50) : 10);
+
+    res.json({
+      success: true,
+      count: airports.length,
+      airports: airports,
+    });
+  } catch (error) {
+    console.error('Error searching airports:', error);
+    res.status(500).json({
+      error: 'Failed to search airports',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/airports/:iataCode
+ * Get a single airport by IATA code
+ */
+router.get('/:iataCode', async (req, res) => {
+  try {
+    const airport = await getAirport(req.params.iataCode);
+
+    res.json({
+      success: true,
+      airport: airport,
+    });
+  } catch (error) {
+    console.error('Error fetching airport:', error);
+    sendAirportError(res, error, 'Failed to fetch airport');
+  }
+});
+
+/**
+ * POST /api/airports
+ * Create an airport
+ * Body: { iataCode, name, city, country, timeZone, coordinates: { latitude, longitude }, active }
+ */
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const { iataCode, name, city, country, timeZone } = req.body;
+
+    // Input validation
+    if (!iataCode || !name || !city || !country || !timeZone) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'Please provide iataCode, name, city, country, and timeZone',
+      });
+    }
+
+    const airport = await createAirport(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Airport created successfully',
+      airport: airport,
+    });
+  } catch (error) {
+    console.error('Error creating airport:', error);
+    sendAirportError(res, error, 'Failed to create airport');
+  }
+});
+
+/**
+ * PATCH /api/airports/:iataCode
+ * Update an airport (set active: false to deactivate a station)
+ * Body: any of { name, city, country, timeZone, coordinates, active }
+ */
+router.patch('/:iataCode', requireAdmin, async (req, res) => {
+  try {
+    const airport = await updateAirport(req.params.iataCode, req.body);
+
+    res.json({
+      success: true,
+      message: 'Airport updated successfully',
+      airport: airport,
+    });
+  } catch (error) {
+    console.error('Error updating airport:', error);
+    sendAirportError(res, error, 'Failed to update airport');
+  }
+});
+
+/**
+ * DELETE /api/airports/:iataCode
+ * Delete an airport (blocked while flights still use it)
+ */
+router.delete('/:iataCode', requireAdmin, async (req, res) => {
+  try {
+    const airport = await deleteAirport(req.params.iataCode);
+
+    res.json({
+      success: true,
+      message: 'Airport deleted successfully',
+      airport: airport,
+    });
+  } catch (error) {
+    console.error('Error deleting airport:', error);
+    sendAirportError(res, error, 'Failed to delete airport');
+  }
+});
+
+/**
+ * Map airport controller errors to HTTP responses
+ */
+const sendAirportError = (res, error, fallbackMessage) => {
+  if (error.message === 'Airport not found') {
+    return res.status(404).json({
+      error: 'Airport not found',
+      message: error.message,
+    });
+  }
+
+  if (error.message.startsWith('Airport already exists') || error.message.startsWith('Cannot delete airport')) {
+    return res.status(409).json({
+      error: 'Airport conflict',
+      message: error.message,
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Invalid airport data',
+      message: error.message,
+    });
+  }
+
+  res.status(500).json({
+    error: fallbackMessage,
+    message: error.message,
+  });
+};
+
+export default router;
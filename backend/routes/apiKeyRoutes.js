@@ -0,0 +1,150 @@
+import express from 'express';
+import {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  getApiKeyUsage,
+} from '../controllers/apiKeyController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Customers manage the keys of their own account; admins manage every account's keys
+router.use(authenticate, authorize('SHIPPER', 'BOOKING_AGENT', 'ADMIN'), (req, res, next) => {
+  if (!req.user.accountId && req.user.role !== 'ADMIN') {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'API keys are managed by the users of a customer account, or by admins',
+    });
+  }
+  next();
+});
+
+/**
+ * GET /api/api-keys
+ * List API keys of the user's account (admins: every account, or the one in ?account)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys({ accountId: req.user.accountId || req.query.account });
+
+    res.json({
+      success: true,
+      count: apiKeys.length,
+      apiKeys: apiKeys,
+    });
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    sendApiKeyError(res, error, 'Failed to list API keys');
+  }
+});
+
+/**
+ * POST /api/api-keys
+ * Issue an API key; the key is in the response once and cannot be read back
+ * Body: { name, scopes[] (bookings:read, bookings:write, routes:read), rateLimit (optional requests
+ *         per window), expiresAt (optional), accountId (admins only) }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, scopes, rateLimit, expiresAt } = req.body;
+    const accountId = req.user.accountId || req.body.accountId;
+    if (!accountId) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'Please provide accountId: the customer the key acts for',
+      });
+    }
+
+    const { apiKey, key } = await createApiKey({ accountId, name, scopes, rateLimit, expiresAt }, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key issued; store it now, it will not be shown again',
+      apiKey: apiKey,
+      key: key,
+    });
+  } catch (error) {
+    console.error('Error issuing API key:', error);
+    sendApiKeyError(res, error, 'Failed to issue API key');
+  }
+});
+
+/**
+ * POST /api/api-keys/:apiKeyId/revoke
+ * Revoke an API key
+ */
+router.post('/:apiKeyId/revoke', async (req, res) => {
+  try {
+    const apiKey = await revokeApiKey(req.params.apiKeyId, { accountId: req.user.accountId });
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      apiKey: apiKey,
+    });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    sendApiKeyError(res, error, 'Failed to revoke API key');
+  }
+});
+
+/**
+ * GET /api/api-keys/:apiKeyId/usage
+ * Request counts of an API key: total requests and rate-limited requests since the counters
+ * started, and the requests in the current window
+ */
+router.get('/:apiKeyId/usage', async (req, res) => {
+  try {
+    const { apiKey, usage } = await getApiKeyUsage(req.params.apiKeyId, { accountId: req.user.accountId });
+
+    res.json({
+      success: true,
+      apiKey: apiKey,
+      usage: usage,
+    });
+  } catch (error) {
+    console.error('Error fetching API key usage:', error);
+    sendApiKeyError(res, error, 'Failed to fetch API key usage');
+  }
+});
+
+/**
+ * Map API key controller errors to HTTP responses
+ */
+const sendApiKeyError = (res, error, fallbackMessage) => {
+  if (error.message === 'API key not found') {
+    return res.status(404).json({
+      error: 'API key not found',
+      message: error.message,
+    });
+  }
+
+  if (error.message === 'API key already revoked') {
+    return res.status(409).json({
+      error: 'API key already revoked',
+      message: error.message,
+    });
+  }
+
+  if (error.message.startsWith('Invalid API key')) {
+    return res.status(400).json({
+      error: 'Invalid API key data',
+      message: error.message,
+    });
+  }
+
+  if (error.message.startsWith('Invalid account')) {
+    return res.status(422).json({
+      error: 'Invalid account',
+      message: error.message,
+    });
+  }
+
+  res.status(500).json({
+    error: fallbackMessage,
+    message: error.message,
+  });
+};
+
+export default router;
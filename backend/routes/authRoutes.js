@@ -0,0 +1,170 @@
+import express from 'express';
+import {
+  registerUser,
+  createUser,
+  login,
+  refreshTokens,
+  logout,
+} from '../controllers/authController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { USER_ROLES } from '../models/User.js';
+
+const router = express.Router();
+
+/**
+ * Send an auth error with the status that matches its message
+ */
+const sendAuthError = (res, error, fallback) => {
+  if (error.message.startsWith('Invalid user') || error.message.startsWith('Invalid account')) {
+    return res.status(400).json({
+      error: error.message.startsWith('Invalid user') ? 'Invalid user' : 'Invalid account',
+      message: error.message,
+    });
+  }
+
+  if (error.message.startsWith('Account already exists')) {
+    return res.status(409).json({
+      error: 'Account already exists',
+      message: error.message,
+    });
+  }
+
+  if (error.message === 'Email already registered') {
+    return res.status(409).json({
+      error: 'Email already registered',
+      message: error.message,
+    });
+  }
+
+  if (error.message === 'Invalid credentials' || error.message === 'Invalid token' ||
+      error.message === 'Token expired') {
+    return res.status(401).json({
+      error: error.message,
+      message: error.message === 'Invalid credentials'
+        ? 'Email or password is incorrect'
+        : 'The refresh token is not valid; please log in again',
+    });
+  }
+
+  res.status(500).json({
+    error: fallback,
+    message: error.message,
+  });
+};
+
+/**
+ * POST /api/auth/register
+ * Sign up a new customer account with its first user, a shipper, and sign in
+ * Body: { email, name, password, accountCode (2-12 letters or digits), accountName }
+ */
+router.post('/register', async (req, res) => {
+  try {
+    const { email, name, password, accountCode, accountName } = req.body;
+
+    const session = await registerUser({ email, name, password, accountCode, accountName });
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      ...session,
+    });
+  } catch (error) {
+    console.error('Error registering user:', error);
+    sendAuthError(res, error, 'Failed to register');
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Sign in
+ * Body: { email, password }
+ * Returns the user with an access token (for the Authorization header) and a refresh token
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const session = await login(email, password);
+
+    res.json({
+      success: true,
+      ...session,
+    });
+  } catch (error) {
+    console.error('Error logging in:', error);
+    sendAuthError(res, error, 'Failed to log in');
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Get a new access and refresh token
+ * Body: { refreshToken }
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const session = await refreshTokens(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      ...session,
+    });
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    sendAuthError(res, error, 'Failed to refresh token');
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke every refresh token of the signed-in user
+ */
+router.post('/logout', authenticate, authorize(...USER_ROLES), async (req, res) => {
+  try {
+    await logout(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    sendAuthError(res, error, 'Failed to log out');
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Get the signed-in user
+ */
+router.get('/me', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    user: req.user,
+  });
+});
+
+/**
+ * POST /api/auth/users
+ * Create a user with any role (admins only)
+ * Body: { email, name, password, role (SHIPPER, BOOKING_AGENT, STATION_OPS or ADMIN),
+ *         accountId (required for shippers, optional for booking agents), station (optional) }
+ */
+router.post('/users', authenticate, authorize('ADMIN'), async (req, res) => {
+  try {
+    const { email, name, password, role, accountId, station } = req.body;
+
+    const user = await createUser({ email, name, password, role, accountId, station });
+
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully',
+      user: user,
+    });
+  } catch (error) {
+    console.error('Error creating user:', error);
+    sendAuthError(res, error, 'Failed to create user');
+  }
+});
+
+export default router;
@@ -4,24 +4,64 @@ import {
   createBooking,
   departBooking,
   arriveBooking,
+  deliverBooking,
   cancelBooking,
+  amendBooking,
+  updateBookingContacts,
   getBookingHistory,
+  getTimelineEvents,
+  listBookings,
 } from '../controllers/bookingController.js';
+import { validateStations } from '../controllers/airportController.js';
+import { authenticate, authorize, authorizeBookingAccess, requireScope } from '../middleware/auth.js';
 import Booking from '../models/Booking.js';
+import { watchBooking } from '../utils/bookingUpdates.js';
+import logger from '../utils/logger.js';
 
 const router = express.Router();
 
+// Who may book and change bookings (API keys with the bookings:write scope too), and who handles the cargo at the stations
+const BOOKING_ROLES = ['SHIPPER', 'BOOKING_AGENT', 'ADMIN', 'API_CLIENT'];
+const HANDLING_ROLES = ['STATION_OPS', 'ADMIN'];
+
+// Tracking streams: how long clients wait before reconnecting, how often an idle stream sends a
+// comment so proxies and load balancers keep it open, and the statuses after which it closes
+const STREAM_RETRY_MS = 3000;
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+const STREAM_FINAL_STATUSES = ['DELIVERED', 'CANCELLED'];
+
+// Every booking route needs a signed-in user; users of a customer account only reach its bookings
+router.use(authenticate);
+
 /**
  * POST /api/bookings
- * Create a new booking
- * Body: { origin, destination, pieces, weight_kg, flightIds[] }
+ * Create a new booking, owned by the signed-in user's account (shippers, booking agents and admins)
+ * Body: { origin, destination, pieces, weight_kg, flightIds[],
+ *         account_id (required from users without an account, who book on a customer's behalf),
+ *         volume_m3 (optional aggregate volume) or dimensions[] (optional, { length_cm, width_cm, height_cm, pieces }),
+ *         special_handling[] (optional IATA handling codes, e.g. ["ELI", "PER"]),
+ *         parts[] (optional split over the flights, { flightId, pieces }),
+ *         quote_id (optional - books the quoted shipment at the quoted price; the other fields may then be omitted),
+ *         contacts[] (optional, { role: SHIPPER|CONSIGNEE, name, email, phone, locale, channels[], events[] }) }
  */
-router.post('/', async (req, res) => {
+router.post('/', authorize(...BOOKING_ROLES), requireScope('bookings:write'), async (req, res) => {
   try {
-    const { origin, destination, pieces, weight_kg, flightIds } = req.body;
+    const {
+      origin, destination, pieces, weight_kg, volume_m3, dimensions, flightIds, parts, special_handling, quote_id,
+      contacts,
+    } = req.body;
+
+    // Customer users always book for their own account; carrier staff name the customer
+    const accountId = req.user.accountId || req.body.account_id;
+    if (!accountId) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'Please provide account_id: the customer the booking is made for',
+      });
+    }
 
-    // Input validation
-    if (!origin || !destination || !pieces || !weight_kg) {
+    // Input validation (a quote already carries the shipment details)
+    if (!quote_id && (!origin || !destination || !pieces || !weight_kg)) {
       return res.status(400).json({
         error: 'Missing required fields',
         message: 'Please provide origin, destination, pieces, and weight_kg',
@@ -29,26 +69,46 @@ router.post('/', async (req, res) => {
     }
 
     // Validate pieces and weight_kg are positive numbers
-    if (isNaN(pieces) || parseInt(pieces) < 1) {
+    if (pieces !== undefined && (isNaN(pieces) || parseInt(pieces) < 1)) {
       return res.status(400).json({
         error: 'Invalid pieces',
         message: 'Pieces must be a positive integer',
       });
     }
 
-    if (isNaN(weight_kg) || parseFloat(weight_kg) < 0) {
+    if (weight_kg !== undefined && (isNaN(weight_kg) || parseFloat(weight_kg) < 0)) {
       return res.status(400).json({
         error: 'Invalid weight_kg',
         message: 'weight_kg must be a non-negative number',
       });
     }
 
+    if (volume_m3 !== undefined && (isNaN(volume_m3) || parseFloat(volume_m3) < 0)) {
+      return res.status(400).json({
+        error: 'Invalid volume_m3',
+        message: 'volume_m3 must be a non-negative number',
+      });
+    }
+
+    // Origin and destination must be active stations in the airport registry
+    if (!quote_id) {
+      await validateStations({ origin, destination });
+    }
+
     const booking = await createBooking({
       origin,
       destination,
       pieces,
       weight_kg,
+      volume_m3,
+      dimensions,
       flightIds: flightIds || [],
+      parts,
+      special_handling,
+      quote_id,
+      contacts,
+      account_id: accountId,
+      created_by: req.user._id,
     });
 
     res.status(201).json({
@@ -58,6 +118,86 @@ router.post('/', async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating booking:', error);
+
+    if (error.message.startsWith('Invalid station')) {
+      return res.status(422).json({
+        error: 'Invalid station',
+        message: error.message,
+        details: error.details,
+      });
+    }
+
+    if (error.message.startsWith('Invalid account')) {
+      return res.status(422).json({
+        error: 'Invalid account',
+        message: error.message,
+      });
+    }
+
+    if (error.message.startsWith('Invalid dimensions')) {
+      return res.status(400).json({
+        error: 'Invalid dimensions',
+        message: error.message,
+      });
+    }
+
+    if (error.message.startsWith('Invalid special handling code')) {
+      return res.status(400).json({
+        error: 'Invalid special handling code',
+        message: error.message,
+      });
+    }
+
+    if (error.message.startsWith('Invalid parts')) {
+      return res.status(400).json({
+        error: 'Invalid parts',
+        message: error.message,
+      });
+    }
+
+    if (error.message.startsWith('Invalid contact')) {
+      return res.status(400).json({
+        error: 'Invalid contact',
+        message: error.message,
+      });
+    }
+
+    if (error.message.startsWith('Incompatible flight')) {
+      return res.status(422).json({
+        error: 'Incompatible flight',
+        message: error.message,
+        details: error.details,
+      });
+    }
+
+    if (error.message === 'Quote not found') {
+      return res.status(404).json({
+        error: 'Quote not found',
+        message: error.message,
+      });
+    }
+
+    if (error.message.startsWith('Quote does not match')) {
+      return res.status(400).json({
+        error: 'Quote mismatch',
+        message: error.message,
+      });
+    }
+
+    if (error.message.startsWith('Quote expired') || error.message.startsWith('Quote already used')) {
+      return res.status(409).json({
+        error: 'Quote not available',
+        message: error.message,
+      });
+    }
+
+    if (error.message.startsWith('Insufficient capacity')) {
+      return res.status(409).json({
+        error: 'Insufficient flight capacity',
+        message: error.message,
+      });
+    }
+
     res.status(500).json({
       error: 'Failed to create booking',
       message: error.message,
@@ -67,19 +207,19 @@ router.post('/', async (req, res) => {
 
 /**
  * POST /api/bookings/:bookingId/depart
- * Mark a booking as DEPARTED
- * Query params: flightId (optional)
+ * Mark a booking as DEPARTED, or PARTIALLY_DEPARTED when only some pieces depart (station ops and admins)
+ * Query params: flightId (optional, departs only that leg), pieces (optional, requires flightId)
  */
-router.post('/:bookingId/depart', async (req, res) => {
+router.post('/:bookingId/depart', authorize(...HANDLING_ROLES), authorizeBookingAccess, async (req, res) => {
   try {
     const { bookingId } = req.params;
-    const { flightId } = req.query;
+    const { flightId, pieces } = req.query;
 
-    const booking = await departBooking(bookingId, flightId);
+    const booking = await departBooking(bookingId, flightId, pieces !== undefined ? parseInt(pieces) : null);
 
     res.json({
       success: true,
-      message: 'Booking marked as DEPARTED',
+      message: `Booking marked as ${booking.status}`,
       booking: booking,
     });
   } catch (error) {
@@ -92,6 +232,20 @@ router.post('/:bookingId/depart', async (req, res) => {
       });
     }
 
+    if (error.message.startsWith('Flight not on booking')) {
+      return res.status(404).json({
+        error: 'Flight not on booking',
+        message: error.message,
+      });
+    }
+
+    if (error.message.startsWith('Invalid flight ID')) {
+      return res.status(400).json({
+        error: 'Invalid flight ID',
+        message: error.message,
+      });
+    }
+
     if (error.message.includes('Cannot depart')) {
       return res.status(400).json({
         error: 'Invalid status transition',
@@ -99,6 +253,13 @@ router.post('/:bookingId/depart', async (req, res) => {
       });
     }
 
+    if (error.message.startsWith('Invalid piece count')) {
+      return res.status(400).json({
+        error: 'Invalid piece count',
+        message: error.message,
+      });
+    }
+
     res.status(500).json({
       error: 'Failed to update booking',
       message: error.message,
@@ -108,19 +269,19 @@ router.post('/:bookingId/depart', async (req, res) => {
 
 /**
  * POST /api/bookings/:bookingId/arrive
- * Mark a booking as ARRIVED
- * Query params: flightId (optional)
+ * Mark a booking as ARRIVED, or PARTIALLY_ARRIVED when only some pieces arrive (station ops and admins)
+ * Query params: flightId (optional, arrives only that leg), pieces (optional, requires flightId)
  */
-router.post('/:bookingId/arrive', async (req, res) => {
+router.post('/:bookingId/arrive', authorize(...HANDLING_ROLES), authorizeBookingAccess, async (req, res) => {
   try {
     const { bookingId } = req.params;
-    const { flightId } = req.query;
+    const { flightId, pieces } = req.query;
 
-    const booking = await arriveBooking(bookingId, flightId);
+    const booking = await arriveBooking(bookingId, flightId, pieces !== undefined ? parseInt(pieces) : null);
 
     res.json({
       success: true,
-      message: 'Booking marked as ARRIVED',
+      message: `Booking marked as ${booking.status}`,
       booking: booking,
     });
   } catch (error) {
@@ -133,6 +294,20 @@ router.post('/:bookingId/arrive', async (req, res) => {
       });
     }
 
+    if (error.message.startsWith('Flight not on booking')) {
+      return res.status(404).json({
+        error: 'Flight not on booking',
+        message: error.message,
+      });
+    }
+
+    if (error.message.startsWith('Invalid flight ID')) {
+      return res.status(400).json({
+        error: 'Invalid flight ID',
+        message: error.message,
+      });
+    }
+
     if (error.message.includes('Cannot arrive')) {
       return res.status(400).json({
         error: 'Invalid status transition',
@@ -140,6 +315,66 @@ router.post('/:bookingId/arrive', async (req, res) => {
       });
     }
 
+    if (error.message.startsWith('Invalid piece count')) {
+      return res.status(400).json({
+        error: 'Invalid piece count',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to update booking',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/bookings/:bookingId/deliver
+ * Mark a booking as DELIVERED with proof of delivery (station ops and admins)
+ * Body: { consignee_name, delivered_at (optional), receiving_station (optional), signature_ref (optional) }
+ */
+router.post('/:bookingId/deliver', authorize(...HANDLING_ROLES), authorizeBookingAccess, async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    const { consignee_name, delivered_at, receiving_station, signature_ref } = req.body;
+
+    const booking = await deliverBooking(bookingId, {
+      consignee_name,
+      delivered_at,
+      receiving_station,
+      signature_ref,
+    });
+
+    res.json({
+      success: true,
+      message: 'Booking marked as DELIVERED',
+      booking: booking,
+    });
+  } catch (error) {
+    console.error('Error updating booking to DELIVERED:', error);
+
+    if (error.message === 'Booking not found') {
+      return res.status(404).json({
+        error: 'Booking not found',
+        message: error.message,
+      });
+    }
+
+    if (error.message.startsWith('Invalid proof of delivery')) {
+      return res.status(400).json({
+        error: 'Invalid proof of delivery',
+        message: error.message,
+      });
+    }
+
+    if (error.message.includes('Cannot deliver')) {
+      return res.status(400).json({
+        error: 'Invalid status transition',
+        message: error.message,
+      });
+    }
+
     res.status(500).json({
       error: 'Failed to update booking',
       message: error.message,
@@ -149,9 +384,9 @@ router.post('/:bookingId/arrive', async (req, res) => {
 
 /**
  * POST /api/bookings/:bookingId/cancel
- * Cancel a booking (cannot cancel if already ARRIVED)
+ * Cancel a booking (cannot cancel if already ARRIVED; shippers, booking agents and admins)
  */
-router.post('/:bookingId/cancel', async (req, res) => {
+router.post('/:bookingId/cancel', authorize(...BOOKING_ROLES), requireScope('bookings:write'), authorizeBookingAccess, async (req, res) => {
   try {
     const { bookingId } = req.params;
 
@@ -186,11 +421,317 @@ router.post('/:bookingId/cancel', async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/bookings/:bookingId/contacts
+ * Replace the shipper and consignee contacts notified of departures, arrivals and cancellation
+ * Body: { contacts[] ({ role: SHIPPER|CONSIGNEE, name, email, phone, locale, channels[] (EMAIL, SMS),
+ *         events[] (DEPARTED, ARRIVED, CANCELLED) }) }
+ */
+router.put('/:bookingId/contacts', authorize(...BOOKING_ROLES), requireScope('bookings:write'), authorizeBookingAccess, async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+
+    if (!Array.isArray(req.body.contacts)) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'Please provide contacts: a list, empty to notify nobody',
+      });
+    }
+
+    const booking = await updateBookingContacts(bookingId, req.body.contacts);
+
+    res.json({
+      success: true,
+      message: 'Booking contacts updated',
+      booking: booking,
+    });
+  } catch (error) {
+    console.error('Error updating booking contacts:', error);
+
+    if (error.message === 'Booking not found') {
+      return res.status(404).json({
+        error: 'Booking not found',
+        message: error.message,
+      });
+    }
+
+    if (error.message.startsWith('Invalid contact')) {
+      return res.status(400).json({
+        error: 'Invalid contact',
+        message: error.message,
+      });
+    }
+
+    if (error.message.startsWith('Cannot change contacts')) {
+      return res.status(400).json({
+        error: 'Cannot change contacts',
+        message: error.message,
+      });
+    }
+
+    if (error.message.startsWith('Booking update failed')) {
+      return res.status(409).json({
+        error: 'Booking update conflict',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to update booking contacts',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * PATCH /api/bookings/:bookingId
+ * Amend a booking while it is BOOKED (shippers, booking agents and admins)
+ * Body: any of { pieces, weight_kg, volume_m3 or dimensions[], flightIds[], parts[], special_handling[] }
+ * Each amendment is stored as a new version with the changed fields (see /history)
+ */
+router.patch('/:bookingId', authorize(...BOOKING_ROLES), requireScope('bookings:write'), authorizeBookingAccess, async (req, res) => {
+  try {
+    const { bookingId } = req.params;
+    const { pieces, weight_kg, volume_m3, dimensions, flightIds, parts, special_handling } = req.body;
+
+    const booking = await amendBooking(bookingId, {
+      pieces,
+      weight_kg,
+      volume_m3,
+      dimensions,
+      flightIds,
+      parts,
+      special_handling,
+    });
+
+    res.json({
+      success: true,
+      message: 'Booking amended successfully',
+      booking: booking,
+    });
+  } catch (error) {
+    console.error('Error amending booking:', error);
+
+    if (error.message === 'Booking not found') {
+      return res.status(404).json({
+        error: 'Booking not found',
+        message: error.message,
+      });
+    }
+
+    if (error.message.startsWith('Invalid amendment') || error.message.startsWith('Invalid dimensions') ||
+        error.message.startsWith('Invalid special handling code') || error.message.startsWith('Invalid parts') ||
+        error.message === 'One or more flight IDs are invalid') {
+      return res.status(400).json({
+        error: 'Invalid amendment',
+        message: error.message,
+      });
+    }
+
+    if (error.message.startsWith('Incompatible flight')) {
+      return res.status(422).json({
+        error: 'Incompatible flight',
+        message: error.message,
+        details: error.details,
+      });
+    }
+
+    if (error.message.startsWith('Cannot amend booking with status')) {
+      return res.status(400).json({
+        error: 'Invalid status transition',
+        message: error.message,
+      });
+    }
+
+    if (error.message.startsWith('Cannot amend') || error.message.startsWith('Insufficient capacity') ||
+        error.message.startsWith('Booking update failed')) {
+      return res.status(409).json({
+        error: 'Cannot amend booking',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to amend booking',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/bookings
+ * List bookings, newest first, one page at a time (users of a customer account only see its bookings)
+ * Query params (all optional):
+ *   - account: Account ID (carrier staff only; others always get their own account)
+ *   - status: Booking status, or several comma-separated (or repeated) to match any of them
+ *   - origin, destination: Airport codes
+ *   - flightId: Only bookings on this flight
+ *   - from, to: Creation date range (ISO 8601)
+ *   - ref: ref_id prefix, e.g. BOOK-20260115
+ *   - order: desc (default) or asc, by creation time
+ *   - limit: Bookings per page (defaults to 50, max 200)
+ *   - cursor: next_cursor from the previous page
+ */
+router.get('/', requireScope('bookings:read'), async (req, res) => {
+  try {
+    const { status, origin, destination, flightId, from, to, ref, account, order, limit, cursor } = req.query;
+
+    // Only status can be given more than once
+    const repeated = Object.keys(req.query).find(name => name !== 'status' && Array.isArray(req.query[name]));
+    if (repeated) {
+      return res.status(400).json({
+        error: 'Invalid filter',
+        message: `${repeated} can only be given once`,
+      });
+    }
+
+    if ((from && isNaN(new Date(from).getTime())) || (to && isNaN(new Date(to).getTime()))) {
+      return res.status(400).json({
+        error: 'Invalid date',
+        message: 'from and to must be valid dates',
+      });
+    }
+
+    if (order && order !== 'asc' && order !== 'desc') {
+      return res.status(400).json({
+        error: 'Invalid order',
+        message: 'order must be asc or desc',
+      });
+    }
+
+    const { bookings, nextCursor } = await listBookings({
+      status,
+      origin,
+      destination,
+      flightId,
+      from,
+      to,
+      refPrefix: ref,
+      accountId: req.user.accountId || account,
+      order,
+      limit: limit ? parseInt(limit) : undefined,
+      cursor,
+    });
+
+    res.json({
+      success: true,
+      count: bookings.length,
+      bookings: bookings,
+      next_cursor: nextCursor,
+    });
+  } catch (error) {
+    console.error('Error listing bookings:', error);
+
+    if (error.message === 'Invalid cursor') {
+      return res.status(400).json({
+        error: 'Invalid cursor',
+        message: 'cursor must be the next_cursor of a previous page',
+      });
+    }
+
+    if (error.message.startsWith('Invalid filter')) {
+      return res.status(400).json({
+        error: 'Invalid filter',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to list bookings',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/bookings/:bookingId/stream
+ * Server-Sent Events stream of the booking's timeline: a "timeline" event per entry, as it is
+ * recorded on any server instance. The event ID is the entry's number in the timeline; a client
+ * that reconnects with Last-Event-ID (header, or ?lastEventId) only gets the entries after it.
+ * Once the booking is DELIVERED or CANCELLED an "end" event follows and the stream closes.
+ * Event data: { index, entry, status, at_risk }
+ */
+router.get('/:bookingId/stream', requireScope('bookings:read'), authorizeBookingAccess, async (req, res) => {
+  const lastEventId = parseInt(req.get('Last-Event-ID') ?? req.query.lastEventId);
+  let lastIndex = lastEventId >= 0 ? lastEventId : -1;
+
+  let initial;
+  try {
+    initial = await getTimelineEvents(req.params.bookingId, lastIndex);
+  } catch (error) {
+    console.error('Error opening booking stream:', error);
+
+    if (error.message === 'Booking not found') {
+      return res.status(404).json({
+        error: 'Booking not found',
+        message: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      error: 'Failed to open booking stream',
+      message: error.message,
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no', // Stop nginx from buffering the stream
+  });
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+  let closed = false;
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), STREAM_HEARTBEAT_MS);
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unwatch();
+    res.end();
+  };
+
+  const sendEvents = ({ status, at_risk, events }) => {
+    for (const { index, entry } of events) {
+      res.write(`id: ${index}\nevent: timeline\ndata: ${JSON.stringify({ index, entry, status, at_risk })}\n\n`);
+      lastIndex = index;
+    }
+    if (STREAM_FINAL_STATUSES.includes(status)) {
+      res.write(`event: end\ndata: ${JSON.stringify({ status })}\n\n`);
+      close();
+    }
+  };
+
+  // Reads run one after another, so every entry goes out once and in order
+  let reading = Promise.resolve();
+  const sendNewEvents = () => {
+    reading = reading.then(async () => {
+      if (closed) return;
+      try {
+        sendEvents(await getTimelineEvents(initial.bookingId.toString(), lastIndex));
+      } catch (error) {
+        // The client reconnects with the last entry it got
+        logger.error('Booking stream failed', { bookingId: initial.bookingId.toString(), error: error.message });
+        close();
+      }
+    });
+  };
+
+  const unwatch = watchBooking(initial.bookingId, sendNewEvents);
+  req.on('close', close);
+
+  sendEvents(initial);
+  // Entries recorded elsewhere between the first read and the watch
+  sendNewEvents();
+});
+
 /**
  * GET /api/bookings/:bookingId/history
  * Get booking history with chronological timeline
  */
-router.get('/:bookingId/history', async (req, res) => {
+router.get('/:bookingId/history', requireScope('bookings:read'), authorizeBookingAccess, async (req, res) => {
   try {
     const { bookingId } = req.params;
 
@@ -221,7 +762,7 @@ router.get('/:bookingId/history', async (req, res) => {
  * GET /api/bookings/:bookingId
  * Get a single booking by ID or ref_id
  */
-router.get('/:bookingId', async (req, res) => {
+router.get('/:bookingId', requireScope('bookings:read'), authorizeBookingAccess, async (req, res) => {
   try {
     const { bookingId } = req.params;
 
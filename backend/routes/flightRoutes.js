@@ -0,0 +1,372 @@
+import express from 'express';
+import {
+  listFlights,
+  getFlight,
+  createFlight,
+  updateFlight,
+  retimeFlight,
+  updateFlightStatus,
+  deleteFlight,
+  departFlight,
+  arriveFlight,
+} from '../controllers/flightController.js';
+import { importSsim } from '../controllers/ssimController.js';
+import { reprotectFlight } from '../controllers/reprotectionController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Flight changes and operations move the bookings on board, so they are limited to station ops and admins
+const requireOps = [authenticate, authorize('STATION_OPS', 'ADMIN')];
+
+/**
+ * GET /api/flights
+ * List flights
+ * Query params (all optional):
+ *   - origin, destination: Airport codes
+ *   - airline: Airline name
+ *   - from, to: Departure date range (ISO 8601)
+ *   - limit: Maximum number of flights (defaults to 100, max 500)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { origin, destination, airline, from, to, limit } = req.query;
+
+    if ((from && isNaN(new Date(from).getTime())) || (to && isNaN(new Date(to).getTime()))) {
+      return res.status(400).json({
+        error: 'Invalid date',
+        message: 'from and to must be valid dates',
+      });
+    }
+
+    const flights = await listFlights({
+      origin,
+      destination,
+      airlineName: airline,
+      from,
+      to,
+      limit: limit ? parseInt(limit) : undefined,
+    });
+
+    res.json({
+      success: true,
+      count: flights.length,
+      flights: flights,
+    });
+  } catch (error) {
+    console.error('Error listing flights:', error);
+    res.status(500).json({
+      error: 'Failed to list flights',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/flights/:flightId
+ * Get a single flight
+ */
+router.get('/:flightId', async (req, res) => {
+  try {
+    const flight = await getFlight(req.params.flightId);
+
+    res.json({
+      success: true,
+      flight: flight,
+    });
+  } catch (error) {
+    console.error('Error fetching flight:', error);
+    sendFlightError(res, error, 'Failed to fetch flight');
+  }
+});
+
+/**
+ * POST /api/flights
+ * Create a flight
+ * Body: { flightNumber, airlineName, origin, destination, departureDateTime, arrivalDateTime,
+ *         maxWeightKg (optional), maxVolumeM3 (optional), aircraftType (optional IATA type code),
+ *         refusedHandlingCodes[] (optional special handling codes the flight does not accept) }
+ */
+router.post('/', requireOps, async (req, res) => {
+  try {
+    const { flightNumber, airlineName, origin, destination, departureDateTime, arrivalDateTime } = req.body;
+
+    // Input validation
+    if (!flightNumber || !airlineName || !origin || !destination || !departureDateTime || !arrivalDateTime) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'Please provide flightNumber, airlineName, origin, destination, departureDateTime, and arrivalDateTime',
+      });
+    }
+
+    const flight = await createFlight(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Flight created successfully',
+      flight: flight,
+    });
+  } catch (error) {
+    console.error('Error creating flight:', error);
+    sendFlightError(res, error, 'Failed to create flight');
+  }
+});
+
+/**
+ * PATCH /api/flights/:flightId
+ * Update flight details or payload limits
+ * Body: any of { flightNumber, airlineName, origin, destination, maxWeightKg, maxVolumeM3,
+ *                aircraftType, refusedHandlingCodes }
+ */
+router.patch('/:flightId', requireOps, async (req, res) => {
+  try {
+    const flight = await updateFlight(req.params.flightId, req.body);
+
+    res.json({
+      success: true,
+      message: 'Flight updated successfully',
+      flight: flight,
+    });
+  } catch (error) {
+    console.error('Error updating flight:', error);
+    sendFlightError(res, error, 'Failed to update flight');
+  }
+});
+
+/**
+ * POST /api/flights/:flightId/retime
+ * Change departure and arrival times
+ * Body: { departureDateTime, arrivalDateTime }
+ * Returns the bookings whose connections break under the new times (flagged at risk)
+ */
+router.post('/:flightId/retime', requireOps, async (req, res) => {
+  try {
+    const { departureDateTime, arrivalDateTime } = req.body;
+
+    if (!departureDateTime || !arrivalDateTime) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'Please provide departureDateTime and arrivalDateTime',
+      });
+    }
+
+    const { flight, atRiskBookings } = await retimeFlight(req.params.flightId, { departureDateTime, arrivalDateTime });
+
+    res.json({
+      success: true,
+      message: 'Flight retimed successfully',
+      flight: flight,
+      atRiskBookings: atRiskBookings,
+    });
+  } catch (error) {
+    console.error('Error retiming flight:', error);
+    sendFlightError(res, error, 'Failed to retime flight');
+  }
+});
+
+/**
+ * POST /api/flights/:flightId/status
+ * Record a delay, cancellation, departure or landing
+ * Body: { status (SCHEDULED, DELAYED, CANCELLED, DEPARTED or LANDED),
+ *         estimatedDepartureDateTime, estimatedArrivalDateTime (DELAYED),
+ *         actualDepartureDateTime, actualArrivalDateTime (optional, default to now) }
+ * Returns the bookings at risk from the change; cancelling also re-protects the flight's bookings
+ */
+router.post('/:flightId/status', requireOps, async (req, res) => {
+  try {
+    const {
+      status, estimatedDepartureDateTime, estimatedArrivalDateTime, actualDepartureDateTime, actualArrivalDateTime,
+    } = req.body;
+
+    if (!status) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'Please provide status',
+      });
+    }
+
+    const { flight, atRiskBookings, reprotection } = await updateFlightStatus(req.params.flightId, {
+      status: status.toUpperCase().trim(),
+      estimatedDepartureDateTime,
+      estimatedArrivalDateTime,
+      actualDepartureDateTime,
+      actualArrivalDateTime,
+    });
+
+    res.json({
+      success: true,
+      message: `Flight marked as ${flight.status}`,
+      flight: flight,
+      atRiskBookings: atRiskBookings,
+      reprotection: reprotection,
+    });
+  } catch (error) {
+    console.error('Error updating flight status:', error);
+    sendFlightError(res, error, 'Failed to update flight status');
+  }
+});
+
+/**
+ * POST /api/flights/:flightId/reprotect
+ * Move the bookings of a cancelled flight to the best alternative routing with capacity
+ * Query params:
+ *   - dry_run: 'false' to rebook (defaults to a preview of the proposed moves)
+ * Bookings that cannot be placed are reported in unplaced and, when not a dry run, queued for ops
+ */
+router.post('/:flightId/reprotect', requireOps, async (req, res) => {
+  try {
+    const report = await reprotectFlight(req.params.flightId, { dryRun: req.query.dry_run !== 'false' });
+
+    res.json({
+      success: true,
+      ...report,
+    });
+  } catch (error) {
+    console.error('Error re-protecting flight:', error);
+    sendFlightError(res, error, 'Failed to re-protect flight');
+  }
+});
+
+/**
+ * POST /api/flights/:flightId/depart
+ * Depart every booking on the flight that still has pieces to load
+ * Returns a success or failure entry per booking; failed bookings are left as they were
+ */
+router.post('/:flightId/depart', requireOps, async (req, res) => {
+  try {
+    const report = await departFlight(req.params.flightId);
+
+    res.json({
+      success: true,
+      message: `${report.succeeded} of ${report.total} booking(s) departed`,
+      ...report,
+    });
+  } catch (error) {
+    console.error('Error departing flight:', error);
+    sendFlightError(res, error, 'Failed to depart flight');
+  }
+});
+
+/**
+ * POST /api/flights/:flightId/arrive
+ * Arrive every booking on the flight that still has pieces on board
+ * Returns a success or failure entry per booking; failed bookings are left as they were
+ */
+router.post('/:flightId/arrive', requireOps, async (req, res) => {
+  try {
+    const report = await arriveFlight(req.params.flightId);
+
+    res.json({
+      success: true,
+      message: `${report.succeeded} of ${report.total} booking(s) arrived`,
+      ...report,
+    });
+  } catch (error) {
+    console.error('Error arriving flight:', error);
+    sendFlightError(res, error, 'Failed to arrive flight');
+  }
+});
+
+/**
+ * DELETE /api/flights/:flightId
+ * Delete a flight (blocked while bookings reference it)
+ */
+router.delete('/:flightId', requireOps, async (req, res) => {
+  try {
+    const flight = await deleteFlight(req.params.flightId);
+
+    res.json({
+      success: true,
+      message: 'Flight deleted successfully',
+      flight: flight,
+    });
+  } catch (error) {
+    console.error('Error deleting flight:', error);
+    sendFlightError(res, error, 'Failed to delete flight');
+  }
+});
+
+/**
+ * POST /api/flights/import
+ * Import flight legs from an IATA SSIM file, sent as the raw request body
+ * (Content-Type: text/plain or application/octet-stream)
+ * Query params:
+ *   - dry_run: 'false' to write the changes (defaults to a preview)
+ *   - from, to: Only import operating dates in this range (YYYY-MM-DD)
+ * Returns the diff against existing flights and the rejected lines
+ */
+router.post('/import', requireOps, express.text({ type: ['text/plain', 'application/octet-stream'], limit: '10mb' }), async (req, res) => {
+  try {
+    const { dry_run, from, to } = req.query;
+
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({
+        error: 'Missing SSIM file',
+        message: 'Please send the SSIM file as the request body with Content-Type text/plain',
+      });
+    }
+
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+      return res.status(400).json({
+        error: 'Invalid date',
+        message: 'from and to must be dates in YYYY-MM-DD format',
+      });
+    }
+
+    const report = await importSsim(req.body, { dryRun: dry_run !== 'false', from, to });
+
+    res.json({
+      success: true,
+      ...report,
+    });
+  } catch (error) {
+    console.error('Error importing SSIM file:', error);
+    res.status(500).json({
+      error: 'Failed to import SSIM file',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Map flight controller errors to HTTP responses
+ */
+const sendFlightError = (res, error, fallbackMessage) => {
+  if (error.message === 'Flight not found') {
+    return res.status(404).json({
+      error: 'Flight not found',
+      message: error.message,
+    });
+  }
+
+  if (error.message.startsWith('Invalid station')) {
+    return res.status(422).json({
+      error: 'Invalid station',
+      message: error.message,
+      details: error.details,
+    });
+  }
+
+  if (error.message.startsWith('Invalid flight') || error.message.startsWith('Invalid special handling code') ||
+      error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Invalid flight data',
+      message: error.message,
+    });
+  }
+
+  if (error.message.startsWith('Cannot') || error.message.startsWith('Flight already exists')) {
+    return res.status(409).json({
+      error: 'Flight conflict',
+      message: error.message,
+    });
+  }
+
+  res.status(500).json({
+    error: fallbackMessage,
+    message: error.message,
+  });
+};
+
+export default router;
@@ -0,0 +1,71 @@
+import express from 'express';
+import { listOpsQueue, resolveOpsQueueItem } from '../controllers/reprotectionController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// The ops queue is worked by station ops and admins
+router.use(authenticate, authorize('STATION_OPS', 'ADMIN'));
+
+/**
+ * GET /api/ops-queue
+ * List bookings waiting for an operator, e.g. ones re-protection could not place
+ * Query params: status (optional, OPEN or RESOLVED)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const items = await listOpsQueue({ status: req.query.status });
+
+    res.json({
+      success: true,
+      count: items.length,
+      items: items,
+    });
+  } catch (error) {
+    console.error('Error listing ops queue:', error);
+    res.status(500).json({
+      error: 'Failed to list ops queue',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/ops-queue/:itemId/resolve
+ * Mark an item as handled
+ * Body: { note (optional) }
+ */
+router.post('/:itemId/resolve', async (req, res) => {
+  try {
+    const item = await resolveOpsQueueItem(req.params.itemId, req.body.note);
+
+    res.json({
+      success: true,
+      message: 'Ops queue item resolved',
+      item: item,
+    });
+  } catch (error) {
+    console.error('Error resolving ops queue item:', error);
+
+    if (error.message === 'Ops queue item not found') {
+      return res.status(404).json({
+        error: 'Ops queue item not found',
+        message: error.message,
+      });
+    }
+
+    if (error.message === 'Ops queue item already resolved') {
+      return res.status(409).json({
+        error: 'Ops queue item already resolved',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to resolve ops queue item',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,124 @@
+import express from 'express';
+import { createQuote, getQuote } from '../controllers/quoteController.js';
+import { validateStations } from '../controllers/airportController.js';
+import { authenticate } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Quotes are for signed-in users and API keys
+router.use(authenticate);
+
+/**
+ * POST /api/quotes
+ * Price a shipment against the rate cards and store the quote
+ * Body: { origin, destination, pieces, weight_kg, volume_m3 or dimensions[], flightIds[] (optional),
+ *         airlineName (optional), special_handling[] (optional handling codes) }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { origin, destination, pieces, weight_kg, volume_m3, flightIds } = req.body;
+
+    // Input validation
+    if (!origin || !destination || !pieces || !weight_kg) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'Please provide origin, destination, pieces, and weight_kg',
+      });
+    }
+
+    if (isNaN(pieces) || parseInt(pieces) < 1) {
+      return res.status(400).json({
+        error: 'Invalid pieces',
+        message: 'Pieces must be a positive integer',
+      });
+    }
+
+    if (isNaN(weight_kg) || parseFloat(weight_kg) < 0) {
+      return res.status(400).json({
+        error: 'Invalid weight_kg',
+        message: 'weight_kg must be a non-negative number',
+      });
+    }
+
+    if (volume_m3 !== undefined && (isNaN(volume_m3) || parseFloat(volume_m3) < 0)) {
+      return res.status(400).json({
+        error: 'Invalid volume_m3',
+        message: 'volume_m3 must be a non-negative number',
+      });
+    }
+
+    // Origin and destination must be active stations in the airport registry
+    await validateStations({ origin, destination });
+
+    // Customer users quote for their own account
+    const quote = await createQuote({ ...req.body, flightIds: flightIds || [], account_id: req.user.accountId });
+
+    res.status(201).json({
+      success: true,
+      message: 'Quote created successfully',
+      quote: quote,
+    });
+  } catch (error) {
+    console.error('Error creating quote:', error);
+
+    if (error.message.startsWith('Invalid station')) {
+      return res.status(422).json({
+        error: 'Invalid station',
+        message: error.message,
+        details: error.details,
+      });
+    }
+
+    if (error.message.startsWith('Invalid dimensions') || error.message.startsWith('Invalid special handling code') ||
+        error.message === 'One or more flight IDs are invalid') {
+      return res.status(400).json({
+        error: 'Invalid shipment',
+        message: error.message,
+      });
+    }
+
+    if (error.message.startsWith('No rate card found')) {
+      return res.status(404).json({
+        error: 'No rate available',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to create quote',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/quotes/:quoteId
+ * Get a quote by ID or ref_id (users of a customer account only see its quotes)
+ */
+router.get('/:quoteId', async (req, res) => {
+  try {
+    const quote = await getQuote(req.params.quoteId, { accountId: req.user.accountId });
+
+    res.json({
+      success: true,
+      quote: quote,
+      expired: quote.status === 'OPEN' && quote.valid_until <= new Date(),
+    });
+  } catch (error) {
+    console.error('Error fetching quote:', error);
+
+    if (error.message === 'Quote not found') {
+      return res.status(404).json({
+        error: 'Quote not found',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to fetch quote',
+      message: error.message,
+    });
+  }
+});
+
+export default router;
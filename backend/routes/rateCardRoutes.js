@@ -0,0 +1,173 @@
+import express from 'express';
+import {
+  listRateCards,
+  getRateCard,
+  createRateCard,
+  updateRateCard,
+  deleteRateCard,
+} from '../controllers/rateCardController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Rate cards are master data: anyone may read them, only admins change them
+const requireAdmin = [authenticate, authorize('ADMIN')];
+
+/**
+ * GET /api/rate-cards
+ * List rate cards
+ * Query params (all optional): origin, destination, airline, active ('true' or 'false')
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { origin, destination, airline, active } = req.query;
+
+    const rateCards = await listRateCards({
+      origin,
+      destination,
+      airlineName: airline,
+      active: active === undefined ? undefined : active === 'true',
+    });
+
+    res.json({
+      success: true,
+      count: rateCards.length,
+      rateCards: rateCards,
+    });
+  } catch (error) {
+    console.error('Error listing rate cards:', error);
+    res.status(500).json({
+      error: 'Failed to list rate cards',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/rate-cards/:rateCardId
+ * Get a single rate card
+ */
+router.get('/:rateCardId', async (req, res) => {
+  try {
+    const rateCard = await getRateCard(req.params.rateCardId);
+
+    res.json({
+      success: true,
+      rateCard: rateCard,
+    });
+  } catch (error) {
+    console.error('Error fetching rate card:', error);
+    sendRateCardError(res, error, 'Failed to fetch rate card');
+  }
+});
+
+/**
+ * POST /api/rate-cards
+ * Create a rate card
+ * Body: { origin, destination, airlineName, currency, minimumCharge,
+ *         rates: { N, Q45, Q100, Q300, Q500, Q1000 } (per kg; N is required),
+ *         surcharges: { fuelPerKg, securityPerKg, specialHandling }, validFrom, validTo }
+ */
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const { origin, destination, airlineName, minimumCharge, rates } = req.body;
+
+    // Input validation
+    if (!origin || !destination || !airlineName || minimumCharge === undefined || !rates) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'Please provide origin, destination, airlineName, minimumCharge, and rates',
+      });
+    }
+
+    const rateCard = await createRateCard(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Rate card created successfully',
+      rateCard: rateCard,
+    });
+  } catch (error) {
+    console.error('Error creating rate card:', error);
+    sendRateCardError(res, error, 'Failed to create rate card');
+  }
+});
+
+/**
+ * PATCH /api/rate-cards/:rateCardId
+ * Update rates, surcharges or validity (existing quotes keep their price)
+ */
+router.patch('/:rateCardId', requireAdmin, async (req, res) => {
+  try {
+    const rateCard = await updateRateCard(req.params.rateCardId, req.body);
+
+    res.json({
+      success: true,
+      message: 'Rate card updated successfully',
+      rateCard: rateCard,
+    });
+  } catch (error) {
+    console.error('Error updating rate card:', error);
+    sendRateCardError(res, error, 'Failed to update rate card');
+  }
+});
+
+/**
+ * DELETE /api/rate-cards/:rateCardId
+ * Delete a rate card
+ */
+router.delete('/:rateCardId', requireAdmin, async (req, res) => {
+  try {
+    const rateCard = await deleteRateCard(req.params.rateCardId);
+
+    res.json({
+      success: true,
+      message: 'Rate card deleted successfully',
+      rateCard: rateCard,
+    });
+  } catch (error) {
+    console.error('Error deleting rate card:', error);
+    sendRateCardError(res, error, 'Failed to delete rate card');
+  }
+});
+
+/**
+ * Map rate card controller errors to HTTP responses
+ */
+const sendRateCardError = (res, error, fallbackMessage) => {
+  if (error.message === 'Rate card not found') {
+    return res.status(404).json({
+      error: 'Rate card not found',
+      message: error.message,
+    });
+  }
+
+  if (error.message.startsWith('Invalid station')) {
+    return res.status(422).json({
+      error: 'Invalid station',
+      message: error.message,
+      details: error.details,
+    });
+  }
+
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      error: 'Invalid rate card data',
+      message: error.message,
+    });
+  }
+
+  if (error.message.startsWith('Rate card already exists')) {
+    return res.status(409).json({
+      error: 'Rate card conflict',
+      message: error.message,
+    });
+  }
+
+  res.status(500).json({
+    error: fallbackMessage,
+    message: error.message,
+  });
+};
+
+export default router;
@@ -1,20 +1,33 @@
 import express from 'express';
-import { getRoutes } from '../controllers/routeController.js';
+import { getRoutes, DEFAULT_MAX_STOPS, MAX_STOPS_LIMIT } from '../controllers/routeController.js';
+import { validateStations } from '../controllers/airportController.js';
+import { normalizeHandlingCodes } from '../utils/specialHandling.js';
+import { authenticate, requireScope } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Route search is open to every signed-in user, and to API keys with the routes:read scope
+router.use(authenticate, requireScope('routes:read'));
+
 /**
  * GET /api/routes
  * Query parameters:
  *   - origin: Origin airport code (required)
  *   - destination: Destination airport code (required)
  *   - departure_date: Departure date in YYYY-MM-DD format (required)
+ *   - weight_kg: Shipment weight, excludes flights without enough capacity (optional)
+ *   - volume_m3: Shipment volume, excludes flights without enough capacity (optional)
+ *   - special_handling: Comma-separated IATA handling codes, e.g. ELI,PER; excludes flights
+ *     that refuse them and lists the excluded routes with the reason (optional)
+ *   - max_stops: Maximum number of connections, 0-3 (optional, defaults to 1)
+ *   - include_tight: 'true' to also return itineraries that break the minimum
+ *     connection time, flagged as tight (optional, defaults to false)
  * 
- * Returns direct flights and 1-stop transit routes
+ * Returns direct flights and transit routes with up to max_stops connections
  */
 router.get('/', async (req, res) => {
   try {
-    const { origin, destination, departure_date } = req.query;
+    const { origin, destination, departure_date, weight_kg, volume_m3, special_handling, max_stops, include_tight } = req.query;
 
     // Input validation
     if (!origin || !destination || !departure_date) {
@@ -42,23 +55,71 @@ router.get('/', async (req, res) => {
       });
     }
 
+    // Validate optional shipment size
+    if ((weight_kg !== undefined && (isNaN(weight_kg) || parseFloat(weight_kg) < 0)) ||
+        (volume_m3 !== undefined && (isNaN(volume_m3) || parseFloat(volume_m3) < 0))) {
+      return res.status(400).json({
+        error: 'Invalid shipment size',
+        message: 'weight_kg and volume_m3 must be non-negative numbers',
+      });
+    }
+
+    // Validate optional special handling codes
+    let specialHandling;
+    try {
+      specialHandling = normalizeHandlingCodes(special_handling);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid special handling code',
+        message: error.message,
+      });
+    }
+
+    // Validate optional max_stops
+    const maxStops = max_stops !== undefined ? Number(max_stops) : DEFAULT_MAX_STOPS;
+    if (!Number.isInteger(maxStops) || maxStops < 0 || maxStops > MAX_STOPS_LIMIT) {
+      return res.status(400).json({
+        error: 'Invalid max_stops',
+        message: `max_stops must be an integer between 0 and ${MAX_STOPS_LIMIT}`,
+      });
+    }
+
+    // Origin and destination must be active stations in the airport registry
+    await validateStations({ origin, destination });
+
     // Get routes
-    const routes = await getRoutes(origin, destination, departure_date);
+    const routes = await getRoutes(origin, destination, departure_date, {
+      weightKg: weight_kg !== undefined ? parseFloat(weight_kg) : 0,
+      volumeM3: volume_m3 !== undefined ? parseFloat(volume_m3) : 0,
+      specialHandling: specialHandling,
+    }, { maxStops, includeTight: include_tight === 'true' });
 
     res.json({
       success: true,
       origin: origin.toUpperCase(),
       destination: destination.toUpperCase(),
       departureDate: departure_date,
+      maxStops: maxStops,
       routes: routes,
       summary: {
         directFlights: routes.direct.length,
         transitRoutes: routes.transit.length,
+        tightRoutes: routes.transit.filter(route => route.tight).length,
+        excludedRoutes: routes.excluded.length,
         totalOptions: routes.direct.length + routes.transit.length,
       },
     });
   } catch (error) {
     console.error('Error fetching routes:', error);
+
+    if (error.message.startsWith('Invalid station')) {
+      return res.status(422).json({
+        error: 'Invalid station',
+        message: error.message,
+        details: error.details,
+      });
+    }
+
     res.status(500).json({
       error: 'Internal server error',
       message: 'Failed to fetch routes',
@@ -0,0 +1,200 @@
+import express from 'express';
+import {
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  syncSchedule,
+} from '../controllers/scheduleController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Schedules generate and change flights, so changes are limited to station ops and admins
+const requireOps = [authenticate, authorize('STATION_OPS', 'ADMIN')];
+
+/**
+ * GET /api/schedules
+ * List schedules
+ * Query params (all optional): origin, destination, airline, active ('true' or 'false')
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { origin, destination, airline, active } = req.query;
+
+    const schedules = await listSchedules({
+      origin,
+      destination,
+      airlineName: airline,
+      active: active === undefined ? undefined : active === 'true',
+    });
+
+    res.json({
+      success: true,
+      count: schedules.length,
+      schedules: schedules,
+    });
+  } catch (error) {
+    console.error('Error listing schedules:', error);
+    res.status(500).json({
+      error: 'Failed to list schedules',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/schedules/:scheduleId
+ * Get a single schedule
+ */
+router.get('/:scheduleId', async (req, res) => {
+  try {
+    const schedule = await getSchedule(req.params.scheduleId);
+
+    res.json({
+      success: true,
+      schedule: schedule,
+    });
+  } catch (error) {
+    console.error('Error fetching schedule:', error);
+    sendScheduleError(res, error, 'Failed to fetch schedule');
+  }
+});
+
+/**
+ * POST /api/schedules
+ * Create a schedule and generate its flights
+ * Body: { flightNumber, airlineName, origin, destination, departureTime (HH:mm), arrivalTime (HH:mm),
+ *         arrivalDayOffset, daysOfWeek[] (1 = Mon ... 7 = Sun), validFrom, validTo (YYYY-MM-DD),
+ *         maxWeightKg, maxVolumeM3 }
+ */
+router.post('/', requireOps, async (req, res) => {
+  try {
+    const { flightNumber, airlineName, origin, destination, departureTime, arrivalTime, daysOfWeek, validFrom, validTo } = req.body;
+
+    // Input validation
+    if (!flightNumber || !airlineName || !origin || !destination || !departureTime || !arrivalTime ||
+        !daysOfWeek || !validFrom || !validTo) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'Please provide flightNumber, airlineName, origin, destination, departureTime, arrivalTime, daysOfWeek, validFrom, and validTo',
+      });
+    }
+
+    const { schedule, sync } = await createSchedule(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Schedule created successfully',
+      schedule: schedule,
+      sync: sync,
+    });
+  } catch (error) {
+    console.error('Error creating schedule:', error);
+    sendScheduleError(res, error, 'Failed to create schedule');
+  }
+});
+
+/**
+ * PATCH /api/schedules/:scheduleId
+ * Update a schedule; future unbooked flights follow, booked flights are reported in sync.affected
+ */
+router.patch('/:scheduleId', requireOps, async (req, res) => {
+  try {
+    const { schedule, sync } = await updateSchedule(req.params.scheduleId, req.body);
+
+    res.json({
+      success: true,
+      message: 'Schedule updated successfully',
+      schedule: schedule,
+      sync: sync,
+    });
+  } catch (error) {
+    console.error('Error updating schedule:', error);
+    sendScheduleError(res, error, 'Failed to update schedule');
+  }
+});
+
+/**
+ * DELETE /api/schedules/:scheduleId
+ * Deactivate a schedule and remove its future unbooked flights
+ */
+router.delete('/:scheduleId', requireOps, async (req, res) => {
+  try {
+    const { schedule, sync } = await deleteSchedule(req.params.scheduleId);
+
+    res.json({
+      success: true,
+      message: 'Schedule deactivated successfully',
+      schedule: schedule,
+      sync: sync,
+    });
+  } catch (error) {
+    console.error('Error deleting schedule:', error);
+    sendScheduleError(res, error, 'Failed to delete schedule');
+  }
+});
+
+/**
+ * POST /api/schedules/:scheduleId/sync
+ * Regenerate the schedule's flights over the rolling horizon
+ * Query params: horizon_days (optional)
+ */
+router.post('/:scheduleId/sync', requireOps, async (req, res) => {
+  try {
+    const { horizon_days } = req.query;
+    const horizonDays = horizon_days !== undefined ? parseInt(horizon_days) : undefined;
+
+    if (horizonDays !== undefined && (isNaN(horizonDays) || horizonDays < 1 || horizonDays > 366)) {
+      return res.status(400).json({
+        error: 'Invalid horizon_days',
+        message: 'horizon_days must be an integer between 1 and 366',
+      });
+    }
+
+    const sync = await syncSchedule(req.params.scheduleId, { horizonDays });
+
+    res.json({
+      success: true,
+      sync: sync,
+    });
+  } catch (error) {
+    console.error('Error syncing schedule:', error);
+    sendScheduleError(res, error, 'Failed to sync schedule');
+  }
+});
+
+/**
+ * Map schedule controller errors to HTTP responses
+ */
+const sendScheduleError = (res, error, fallbackMessage) => {
+  if (error.message === 'Schedule not found') {
+    return res.status(404).json({
+      error: 'Schedule not found',
+      message: error.message,
+    });
+  }
+
+  if (error.message.startsWith('Invalid station')) {
+    return res.status(422).json({
+      error: 'Invalid station',
+      message: error.message,
+      details: error.details,
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Invalid schedule data',
+      message: error.message,
+    });
+  }
+
+  res.status(500).json({
+    error: fallbackMessage,
+    message: error.message,
+  });
+};
+
+export default router;
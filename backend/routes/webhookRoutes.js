@@ -0,0 +1,231 @@
+import express from 'express';
+import {
+  createWebhook,
+  listWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  listWebhookDeliveries,
+  redeliverWebhookDelivery,
+} from '../controllers/webhookController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Customers manage the webhooks of their own account; admins manage every account's webhooks
+router.use(authenticate, authorize('SHIPPER', 'BOOKING_AGENT', 'ADMIN'), (req, res, next) => {
+  if (!req.user.accountId && req.user.role !== 'ADMIN') {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Webhooks are managed by the users of a customer account, or by admins',
+    });
+  }
+  next();
+});
+
+/**
+ * GET /api/webhooks
+ * List webhooks of the user's account (admins: every account, or the one in ?account)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await listWebhooks({ accountId: req.user.accountId || req.query.account });
+
+    res.json({
+      success: true,
+      count: webhooks.length,
+      webhooks: webhooks,
+    });
+  } catch (error) {
+    console.error('Error listing webhooks:', error);
+    sendWebhookError(res, error, 'Failed to list webhooks');
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Subscribe an endpoint to booking events; the signing secret is in the response once
+ * Body: { url, events[] (booking.created, booking.departed, booking.arrived, booking.cancelled,
+ *         booking.delivered), accountId (admins only) }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { url, events } = req.body;
+    const accountId = req.user.accountId || req.body.accountId;
+    if (!accountId) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'Please provide accountId: the customer whose booking events are sent',
+      });
+    }
+
+    const { webhook, secret } = await createWebhook({ accountId, url, events }, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created; store the secret now, it will not be shown again',
+      webhook: webhook,
+      secret: secret,
+    });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    sendWebhookError(res, error, 'Failed to create webhook');
+  }
+});
+
+/**
+ * GET /api/webhooks/deliveries
+ * Delivery log, newest first
+ * Query: webhook, booking, status (PENDING, SENDING, SUCCEEDED, DEAD), limit, account (admins only)
+ */
+router.get('/deliveries', async (req, res) => {
+  try {
+    const deliveries = await listWebhookDeliveries({
+      accountId: req.user.accountId || req.query.account,
+      webhookId: req.query.webhook,
+      bookingId: req.query.booking,
+      status: req.query.status,
+      limit: req.query.limit,
+    });
+
+    res.json({
+      success: true,
+      count: deliveries.length,
+      deliveries: deliveries,
+    });
+  } catch (error) {
+    console.error('Error listing webhook deliveries:', error);
+    sendWebhookError(res, error, 'Failed to list webhook deliveries');
+  }
+});
+
+/**
+ * GET /api/webhooks/dead-letters
+ * Deliveries that failed every attempt, newest first
+ * Query: webhook, booking, limit, account (admins only)
+ */
+router.get('/dead-letters', async (req, res) => {
+  try {
+    const deliveries = await listWebhookDeliveries({
+      accountId: req.user.accountId || req.query.account,
+      webhookId: req.query.webhook,
+      bookingId: req.query.booking,
+      status: 'DEAD',
+      limit: req.query.limit,
+    });
+
+    res.json({
+      success: true,
+      count: deliveries.length,
+      deliveries: deliveries,
+    });
+  } catch (error) {
+    console.error('Error listing dead webhook deliveries:', error);
+    sendWebhookError(res, error, 'Failed to list dead webhook deliveries');
+  }
+});
+
+/**
+ * POST /api/webhooks/deliveries/:deliveryId/redeliver
+ * Send a delivery again, with a fresh set of attempts
+ */
+router.post('/deliveries/:deliveryId/redeliver', async (req, res) => {
+  try {
+    const delivery = await redeliverWebhookDelivery(req.params.deliveryId, { accountId: req.user.accountId });
+
+    res.json({
+      success: true,
+      message: 'Webhook delivery queued',
+      delivery: delivery,
+    });
+  } catch (error) {
+    console.error('Error requeuing webhook delivery:', error);
+    sendWebhookError(res, error, 'Failed to requeue webhook delivery');
+  }
+});
+
+/**
+ * PATCH /api/webhooks/:webhookId
+ * Change the URL or events of a webhook, or switch it off and on
+ * Body: { url, events[], active } (all optional)
+ */
+router.patch('/:webhookId', async (req, res) => {
+  try {
+    const { url, events, active } = req.body;
+    const webhook = await updateWebhook(req.params.webhookId, { url, events, active }, { accountId: req.user.accountId });
+
+    res.json({
+      success: true,
+      message: 'Webhook updated',
+      webhook: webhook,
+    });
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    sendWebhookError(res, error, 'Failed to update webhook');
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:webhookId
+ * Delete a webhook; its deliveries stay in the log
+ */
+router.delete('/:webhookId', async (req, res) => {
+  try {
+    const webhook = await deleteWebhook(req.params.webhookId, { accountId: req.user.accountId });
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted',
+      webhook: webhook,
+    });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    sendWebhookError(res, error, 'Failed to delete webhook');
+  }
+});
+
+/**
+ * Map webhook controller errors to HTTP responses
+ */
+const sendWebhookError = (res, error, fallbackMessage) => {
+  if (error.message === 'Webhook not found' || error.message === 'Webhook delivery not found') {
+    return res.status(404).json({
+      error: error.message,
+      message: error.message,
+    });
+  }
+
+  if (error.message === 'Webhook delivery is already queued') {
+    return res.status(409).json({
+      error: 'Webhook delivery already queued',
+      message: error.message,
+    });
+  }
+
+  if (error.message.startsWith('Invalid webhook')) {
+    return res.status(400).json({
+      error: 'Invalid webhook data',
+      message: error.message,
+    });
+  }
+
+  if (error.message.startsWith('Invalid filter')) {
+    return res.status(400).json({
+      error: 'Invalid filter',
+      message: error.message,
+    });
+  }
+
+  if (error.message.startsWith('Invalid account')) {
+    return res.status(422).json({
+      error: 'Invalid account',
+      message: error.message,
+    });
+  }
+
+  res.status(500).json({
+    error: fallbackMessage,
+    message: error.message,
+  });
+};
+
+export default router;
@@ -0,0 +1,15 @@
+// Airport registry seed data - common airports in India
+const airports = [
+  { iataCode: 'DEL', name: 'Indira Gandhi International Airport', city: 'Delhi', country: 'India', timeZone: 'Asia/Kolkata', coordinates: { latitude: 28.5562, longitude: 77.1000 } },
+  { iataCode: 'BOM', name: 'Chhatrapati Shivaji Maharaj International Airport', city: 'Mumbai', country: 'India', timeZone: 'Asia/Kolkata', coordinates: { latitude: 19.0896, longitude: 72.8656 } },
+  { iataCode: 'BLR', name: 'Kempegowda International Airport', city: 'Bangalore', country: 'India', timeZone: 'Asia/Kolkata', coordinates: { latitude: 13.1986, longitude: 77.7066 } },
+  { iataCode: 'HYD', name: 'Rajiv Gandhi International Airport', city: 'Hyderabad', country: 'India', timeZone: 'Asia/Kolkata', coordinates: { latitude: 17.2403, longitude: 78.4294 } },
+  { iataCode: 'CCU', name: 'Netaji Subhas Chandra Bose International Airport', city: 'Kolkata', country: 'India', timeZone: 'Asia/Kolkata', coordinates: { latitude: 22.6547, longitude: 88.4467 } },
+  { iataCode: 'MAA', name: 'Chennai International Airport', city: 'Chennai', country: 'India', timeZone: 'Asia/Kolkata', coordinates: { latitude: 12.9941, longitude: 80.1709 } },
+  { iataCode: 'AMD', name: 'Sardar Vallabhbhai Patel International Airport', city: 'Ahmedabad', country: 'India', timeZone: 'Asia/Kolkata', coordinates: { latitude: 23.0772, longitude: 72.6347 } },
+  { iataCode: 'PNQ', name: 'Pune Airport', city: 'Pune', country: 'India', timeZone: 'Asia/Kolkata', coordinates: { latitude: 18.5821, longitude: 73.9197 } },
+  { iataCode: 'COK', name: 'Cochin International Airport', city: 'Kochi', country: 'India', timeZone: 'Asia/Kolkata', coordinates: { latitude: 10.1520, longitude: 76.4019 } },
+  { iataCode: 'GOI', name: 'Goa International Airport', city: 'Goa', country: 'India', timeZone: 'Asia/Kolkata', coordinates: { latitude: 15.3808, longitude: 73.8314 } },
+];
+
+export default airports;
@@ -0,0 +1,64 @@
+import fs from 'fs';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { importSsim } from '../controllers/ssimController.js';
+
+dotenv.config();
+
+// Usage: npm run import:ssim -- <file.ssim> [--apply]
+// Without --apply the import is a dry run that only prints the diff
+const runImport = async () => {
+  try {
+    const args = process.argv.slice(2);
+    const file = args.find(arg => !arg.startsWith('--'));
+    const apply = args.includes('--apply');
+
+    if (!file) {
+      console.error('Usage: npm run import:ssim -- <file.ssim> [--apply]');
+      process.exit(1);
+    }
+
+    const text = fs.readFileSync(file, 'utf8');
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/air-cargo-booking', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('Connected to MongoDB');
+
+    const report = await importSsim(text, { dryRun: !apply });
+    const { summary, diff, conflicts, rejected } = report;
+
+    console.log(`\n${apply ? 'Imported' : 'Dry run of'} ${file}: ${summary.records} record(s), ${summary.legs} flight leg(s)`);
+    console.log(
+      `   ${summary.add} to add, ${summary.change} to change, ${summary.remove} to remove, ` +
+      `${summary.unchanged} unchanged, ${summary.conflicts} conflict(s), ${summary.rejected} rejected line(s)`
+    );
+
+    for (const flight of diff.add) {
+      console.log(`   + ${flight.flightNumber} ${flight.origin}-${flight.destination} ${flight.operatingDate}`);
+    }
+    for (const change of diff.change) {
+      console.log(`   ~ ${change.flightNumber} ${change.origin} ${change.operatingDate}: ${Object.keys(change.changes).join(', ')}`);
+    }
+    for (const flight of diff.remove) {
+      console.log(`   - ${flight.flightNumber} ${flight.origin}-${flight.destination} ${flight.operatingDate}`);
+    }
+    for (const conflict of conflicts) {
+      console.log(`   ! ${conflict.flightNumber} ${conflict.operatingDate} ${conflict.change}: ${conflict.reason}`);
+    }
+    for (const line of rejected) {
+      console.log(`   x line ${line.line}: ${line.reason}`);
+    }
+
+    if (!apply) {
+      console.log('\nNothing was written. Re-run with --apply to import.');
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error('Error importing SSIM file:', error);
+    process.exit(1);
+  }
+};
+
+runImport();
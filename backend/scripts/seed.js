@@ -2,6 +2,14 @@ import mongoose from 'mongoose';
 import dotenv from 'dotenv';
 import Flight from '../models/Flight.js';
 import Booking from '../models/Booking.js';
+import ConnectionTime from '../models/ConnectionTime.js';
+import Airport from '../models/Airport.js';
+import RateCard from '../models/RateCard.js';
+import AircraftType from '../models/AircraftType.js';
+import User from '../models/User.js';
+import Account from '../models/Account.js';
+import { hashPassword } from '../utils/auth.js';
+import airports from './data/airports.js';
 
 dotenv.config();
 
@@ -14,20 +22,77 @@ const airlines = [
   'AirAsia India',
 ];
 
-// Common airports in India
-const airports = [
-  'DEL', // Delhi
-  'BOM', // Mumbai
-  'BLR', // Bangalore
-  'HYD', // Hyderabad
-  'CCU', // Kolkata
-  'MAA', // Chennai
-  'AMD', // Ahmedabad
-  'PNQ', // Pune
-  'COK', // Kochi
-  'GOI', // Goa
+// Minimum connection times at the main transit hubs (airport default + airline pair overrides)
+const connectionTimes = [
+  { airport: 'DEL', minConnectionMinutes: 120 },
+  { airport: 'BOM', minConnectionMinutes: 120 },
+  { airport: 'HYD', minConnectionMinutes: 90 },
+  { airport: 'BLR', minConnectionMinutes: 90 },
+  // Same-airline transfers stay airside and connect faster
+  { airport: 'HYD', minConnectionMinutes: 45, inboundAirline: 'Air India', outboundAirline: 'Air India' },
+  { airport: 'DEL', minConnectionMinutes: 60, inboundAirline: 'IndiGo', outboundAirline: 'IndiGo' },
 ];
 
+// Aircraft types flown by the seeded flights; belly holds refuse cargo-aircraft-only
+// and fully regulated dangerous goods, freighters accept everything
+const aircraftTypes = [
+  { code: '32Q', name: 'Airbus A321neo', category: 'PASSENGER', refusedHandlingCodes: ['CAO', 'RCL', 'RLI', 'RLM', 'RRY'] },
+  { code: '320', name: 'Airbus A320', category: 'PASSENGER', refusedHandlingCodes: ['AVI', 'CAO', 'RCL', 'RLI', 'RLM', 'RRY'] },
+  { code: '73H', name: 'Boeing 737-800', category: 'PASSENGER', refusedHandlingCodes: ['CAO', 'RCL', 'RLI', 'RLM', 'RRY'] },
+  { code: '75F', name: 'Boeing 757-200 Freighter', category: 'FREIGHTER', refusedHandlingCodes: [] },
+];
+
+// Demo customer that owns the seeded bookings
+const demoAccount = { code: 'DEMO', name: 'Demo Forwarders', contactEmail: 'shipper@example.com' };
+
+// One demo user per role, all with the same password; the shipper works for the demo customer
+const DEMO_PASSWORD = process.env.SEED_USER_PASSWORD || 'changeme123';
+const demoUsers = [
+  { email: 'shipper@example.com', name: 'Demo Shipper', role: 'SHIPPER', customer: true },
+  { email: 'agent@example.com', name: 'Demo Booking Agent', role: 'BOOKING_AGENT' },
+  { email: 'ops@example.com', name: 'Demo Station Ops', role: 'STATION_OPS', station: 'DEL' },
+  { email: 'admin@example.com', name: 'Demo Admin', role: 'ADMIN' },
+];
+
+// Every fifth flight is a freighter; the rest fly passenger aircraft
+const assignAircraftType = (flight, index) => ({
+  ...flight,
+  aircraftType: index % 5 === 4 ? '75F' : ['32Q', '320', '73H'][index % 3],
+});
+
+// One tariff per lane and airline that has flights; rates in INR per kg
+const generateRateCards = (flights) => {
+  const lanes = new Map();
+  for (const flight of flights) {
+    const key = `${flight.origin}|${flight.destination}|${flight.airlineName}`;
+    if (!lanes.has(key)) {
+      lanes.set(key, { origin: flight.origin, destination: flight.destination, airlineName: flight.airlineName });
+    }
+  }
+
+  return [...lanes.values()].map((lane, index) => {
+    const baseRate = 60 + (index % 5) * 5;
+    return {
+      ...lane,
+      currency: 'INR',
+      minimumCharge: 1500,
+      rates: {
+        N: baseRate,
+        Q45: baseRate * 0.85,
+        Q100: baseRate * 0.75,
+        Q300: baseRate * 0.65,
+        Q500: baseRate * 0.6,
+        Q1000: baseRate * 0.55,
+      },
+      surcharges: {
+        fuelPerKg: 18,
+        securityPerKg: 4,
+        specialHandling: 2500,
+      },
+    };
+  });
+};
+
 // Generate routes for testing transit logic (e.g., DEL-HYD, HYD-BLR)
 const generateFlights = () => {
   const flights = [];
@@ -182,14 +247,47 @@ const seedDatabase = async () => {
     console.log('Clearing existing data...');
     await Flight.deleteMany({});
     await Booking.deleteMany({});
+    await ConnectionTime.deleteMany({});
+    await Airport.deleteMany({});
+    await RateCard.deleteMany({});
+    await AircraftType.deleteMany({});
+    await User.deleteMany({});
+    await Account.deleteMany({});
     console.log('Existing data cleared');
 
+    // Insert the demo customer and users
+    const account = await Account.create(demoAccount);
+    const passwordHash = await hashPassword(DEMO_PASSWORD);
+    const insertedUsers = await User.insertMany(demoUsers.map(({ customer, ...user }) => ({
+      ...user,
+      passwordHash,
+      accountId: customer ? account._id : undefined,
+    })));
+    console.log(`Inserted account ${account.code} and ${insertedUsers.length} users (password: ${DEMO_PASSWORD})`);
+    const shipper = insertedUsers.find(user => user.role === 'SHIPPER');
+
+    // Insert airports
+    const insertedAirports = await Airport.insertMany(airports);
+    console.log(`Inserted ${insertedAirports.length} airports`);
+
+    // Insert minimum connection times
+    const insertedConnectionTimes = await ConnectionTime.insertMany(connectionTimes);
+    console.log(`Inserted ${insertedConnectionTimes.length} minimum connection times`);
+
+    // Insert aircraft types
+    const insertedAircraftTypes = await AircraftType.insertMany(aircraftTypes);
+    console.log(`Inserted ${insertedAircraftTypes.length} aircraft types`);
+
     // Generate and insert flights
     console.log('Generating flights...');
-    const flights = generateFlights();
+    const flights = generateFlights().map(assignAircraftType);
     const insertedFlights = await Flight.insertMany(flights);
     console.log(`Inserted ${insertedFlights.length} flights`);
 
+    // Insert rate cards for the lanes that have flights
+    const insertedRateCards = await RateCard.insertMany(generateRateCards(insertedFlights));
+    console.log(`Inserted ${insertedRateCards.length} rate cards`);
+
     // Generate bookings with different statuses
     console.log('Generating bookings...');
     const bookings = [];
@@ -273,15 +371,24 @@ const seedDatabase = async () => {
       }
     }
 
-    // Save bookings
+    // Save bookings (all made by the demo shipper for the demo customer) and reserve their capacity on the linked flights
     for (const booking of bookings) {
+      booking.account_id = account._id;
+      booking.created_by = shipper._id;
       await booking.save();
+      for (const flightId of booking.flightIds) {
+        await Flight.reserveCapacity(flightId, booking.weight_kg, booking.volume_m3);
+      }
     }
     console.log(`Inserted ${bookings.length} bookings`);
 
     console.log('\n✅ Seed data generated successfully!');
     console.log(`📊 Summary:`);
+    console.log(`   - Users: ${insertedUsers.length}`);
+    console.log(`   - Airports: ${insertedAirports.length}`);
     console.log(`   - Flights: ${insertedFlights.length}`);
+    console.log(`   - Minimum connection times: ${insertedConnectionTimes.length}`);
+    console.log(`   - Rate cards: ${insertedRateCards.length}`);
     console.log(`   - Bookings: ${bookings.length}`);
     console.log(`   - Bookings by status:`);
     const statusCounts = bookings.reduce((acc, b) => {
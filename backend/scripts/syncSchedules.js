@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { syncAllSchedules, DEFAULT_HORIZON_DAYS } from '../controllers/scheduleController.js';
+
+dotenv.config();
+
+// Usage: npm run sync:schedules [-- <horizonDays>]
+// Run daily (e.g. from cron) to roll the generated flights forward
+const syncSchedules = async () => {
+  try {
+    const horizonDays = parseInt(process.argv[2]) || DEFAULT_HORIZON_DAYS;
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/air-cargo-booking', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('Connected to MongoDB');
+
+    console.log(`Syncing schedules for the next ${horizonDays} days...`);
+    const reports = await syncAllSchedules({ horizonDays });
+
+    for (const report of reports) {
+      if (report.error) {
+        console.log(`   - ${report.scheduleId}: FAILED (${report.error})`);
+        continue;
+      }
+      console.log(
+        `   - ${report.scheduleId}: ${report.created} created, ${report.updated} updated, ` +
+        `${report.deleted} deleted, ${report.unchanged} unchanged, ${report.affected.length} booked flight(s) affected`
+      );
+      for (const affected of report.affected) {
+        console.log(
+          `       ${affected.flightNumber} ${affected.operatingDate} ${affected.change}: ` +
+          affected.bookings.map(b => b.ref_id).join(', ')
+        );
+      }
+    }
+
+    console.log(`\n✅ Synced ${reports.length} schedule(s)`);
+    process.exit(reports.some(report => report.error) ? 1 : 0);
+  } catch (error) {
+    console.error('Error syncing schedules:', error);
+    process.exit(1);
+  }
+};
+
+syncSchedules();
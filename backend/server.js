@@ -4,6 +4,21 @@ import dotenv from 'dotenv';
 import connectDB from './config/database.js';
 import routeRoutes from './routes/routeRoutes.js';
 import bookingRoutes from './routes/bookingRoutes.js';
+import airportRoutes from './routes/airportRoutes.js';
+import flightRoutes from './routes/flightRoutes.js';
+import scheduleRoutes from './routes/scheduleRoutes.js';
+import rateCardRoutes from './routes/rateCardRoutes.js';
+import quoteRoutes from './routes/quoteRoutes.js';
+import aircraftTypeRoutes from './routes/aircraftTypeRoutes.js';
+import opsQueueRoutes from './routes/opsQueueRoutes.js';
+import authRoutes from './routes/authRoutes.js';
+import accountRoutes from './routes/accountRoutes.js';
+import apiKeyRoutes from './routes/apiKeyRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
+import { resolveApiKey } from './middleware/auth.js';
+import { ipRateLimiter, apiKeyRateLimiter } from './middleware/rateLimit.js';
+import { startWebhookDispatcher } from './controllers/webhookController.js';
+import { backfillFlightCapacity } from './controllers/flightController.js';
 import logger from './utils/logger.js';
 import fs from 'fs';
 import path from 'path';
@@ -23,6 +38,11 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a load balancer, TRUST_PROXY hops are trusted so that req.ip is the client's address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY));
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -31,6 +51,11 @@ app.use(express.urlencoded({ extended: true }));
 // Database connection
 connectDB();
 
+// Flights created before capacity tracking get their remaining capacity
+backfillFlightCapacity().catch((error) => {
+  logger.error('Failed to backfill flight capacity', { error: error.message });
+});
+
 // Basic route
 app.get('/', (req, res) => {
   res.json({
@@ -44,9 +69,23 @@ app.get('/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
+// Rate limits: per client IP, then per API key
+app.use('/api', ipRateLimiter, resolveApiKey, apiKeyRateLimiter);
+
 // API Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/accounts', accountRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/webhooks', webhookRoutes);
 app.use('/api/routes', routeRoutes);
 app.use('/api/bookings', bookingRoutes);
+app.use('/api/airports', airportRoutes);
+app.use('/api/flights', flightRoutes);
+app.use('/api/schedules', scheduleRoutes);
+app.use('/api/rate-cards', rateCardRoutes);
+app.use('/api/quotes', quoteRoutes);
+app.use('/api/aircraft-types', aircraftTypeRoutes);
+app.use('/api/ops-queue', opsQueueRoutes);
 
 // Start server
 app.listen(PORT, () => {
@@ -54,3 +93,6 @@ app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
 
+// Send queued webhook deliveries in the background
+startWebhookDispatcher();
+
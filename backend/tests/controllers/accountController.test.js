@@ -0,0 +1,48 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import {
+  listAccounts,
+  getAccount,
+  createAccount,
+  updateAccount,
+  requireActiveAccount,
+} from '../../controllers/accountController.js';
+
+describe('Account Controller', () => {
+  let account;
+
+  beforeEach(async () => {
+    account = await createAccount({ code: 'acme', name: 'Acme Forwarding', contactEmail: 'Ops@Acme.example' });
+  });
+
+  it('should create accounts with an upper-case code', async () => {
+    expect(account).toMatchObject({ code: 'ACME', name: 'Acme Forwarding', contactEmail: 'ops@acme.example', active: true });
+    expect((await listAccounts()).map(a => a.code)).toEqual(['ACME']);
+  });
+
+  it('should reject duplicate and malformed codes', async () => {
+    await expect(createAccount({ code: 'ACME', name: 'Another Acme' }))
+      .rejects.toThrow('Account already exists: ACME');
+    await expect(createAccount({ code: 'acme forwarding', name: 'Acme' }))
+      .rejects.toThrow('Invalid account');
+    await expect(createAccount({ code: 'GLOBEX' }))
+      .rejects.toThrow('Invalid account');
+  });
+
+  it('should find accounts by ID or code', async () => {
+    expect((await getAccount(account._id.toString())).code).toBe('ACME');
+    expect((await getAccount('acme'))._id).toEqual(account._id);
+    await expect(getAccount('GLOBEX')).rejects.toThrow('Account not found');
+  });
+
+  it('should only accept active accounts for business', async () => {
+    expect((await requireActiveAccount(account._id.toString())).code).toBe('ACME');
+
+    const updated = await updateAccount('ACME', { active: false, code: 'OTHER' });
+    expect(updated).toMatchObject({ code: 'ACME', active: false });
+
+    await expect(requireActiveAccount(account._id.toString()))
+      .rejects.toThrow('Invalid account: ACME is deactivated');
+    await expect(requireActiveAccount('not-an-id'))
+      .rejects.toThrow('Invalid account: not-an-id does not exist');
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import AircraftType from '../../models/AircraftType.js';
+import Booking from '../../models/Booking.js';
+import Flight from '../../models/Flight.js';
+import {
+  createAircraftType,
+  updateAircraftType,
+  getHandlingConflicts,
+} from '../../controllers/aircraftTypeController.js';
+import { createBooking } from '../../controllers/bookingController.js';
+import { getRoutes } from '../../controllers/routeController.js';
+
+describe('Aircraft Type Controller', () => {
+  it('should normalise refused handling codes', async () => {
+    const aircraftType = await createAircraftType({
+      code: '32q',
+      name: 'Airbus A321neo',
+      refusedHandlingCodes: 'rli, CAO,RLI',
+    });
+
+    expect(aircraftType.code).toBe('32Q');
+    expect(aircraftType.refusedHandlingCodes).toEqual(['CAO', 'RLI']);
+  });
+
+  it('should reject duplicate codes and unknown handling codes', async () => {
+    await createAircraftType({ code: '32Q', name: 'Airbus A321neo' });
+
+    await expect(createAircraftType({ code: '32Q', name: 'Again' }))
+      .rejects.toThrow('Aircraft type already exists: 32Q');
+    await expect(updateAircraftType('32Q', { refusedHandlingCodes: ['XYZ'] }))
+      .rejects.toThrow('Invalid special handling code: XYZ');
+    await expect(updateAircraftType('77F', { name: 'Boeing 777F' }))
+      .rejects.toThrow('Aircraft type not found');
+  });
+});
+
+describe('Special Handling Restrictions', () => {
+  let bellyFlight;
+  let freighterFlight;
+
+  beforeEach(async () => {
+    await AircraftType.create([
+      { code: '32Q', name: 'Airbus A321neo', category: 'PASSENGER', refusedHandlingCodes: ['CAO', 'RCL', 'RLI'] },
+      { code: '75F', name: 'Boeing 757-200 Freighter', category: 'FREIGHTER' },
+    ]);
+
+    bellyFlight = await Flight.create({
+      flightNumber: 'AI101', airlineName: 'Air India', origin: 'DEL', destination: 'BOM', aircraftType: '32Q',
+      refusedHandlingCodes: ['AVI'],
+      departureDateTime: new Date('2030-03-10T06:00:00Z'), arrivalDateTime: new Date('2030-03-10T08:00:00Z'),
+    });
+    freighterFlight = await Flight.create({
+      flightNumber: 'AI901', airlineName: 'Air India', origin: 'DEL', destination: 'BOM', aircraftType: '75F',
+      departureDateTime: new Date('2030-03-10T10:00:00Z'), arrivalDateTime: new Date('2030-03-10T12:00:00Z'),
+    });
+  });
+
+  it('should report codes refused by the flight and by its aircraft type', async () => {
+    const conflicts = await getHandlingConflicts([bellyFlight, freighterFlight], ['AVI', 'RLI']);
+
+    expect(conflicts.size).toBe(1);
+    expect(conflicts.get(bellyFlight._id.toString())).toEqual({
+      flightId: bellyFlight._id.toString(),
+      flightNumber: 'AI101',
+      refusedCodes: ['AVI', 'RLI'],
+      reason: 'AI101: flight does not accept AVI; aircraft type 32Q (Airbus A321neo) does not accept RLI',
+    });
+  });
+
+  it('should reject a booking on a flight that refuses its handling codes', async () => {
+    await expect(createBooking({
+      origin: 'DEL', destination: 'BOM', pieces: 1, weight_kg: 50,
+      flightIds: [bellyFlight._id.toString()], special_handling: ['rli'],
+    })).rejects.toThrow('Incompatible flight: AI101: aircraft type 32Q (Airbus A321neo) does not accept RLI');
+
+    // Nothing was reserved on the refused flight
+    const flight = await Flight.findById(bellyFlight._id);
+    expect(flight.remainingWeightKg).toBe(flight.maxWeightKg);
+    expect(await Booking.countDocuments()).toBe(0);
+  });
+
+  it('should book handling codes on a flight that accepts them', async () => {
+    const booking = await createBooking({
+      origin: 'DEL', destination: 'BOM', pieces: 1, weight_kg: 50,
+      flightIds: [freighterFlight._id.toString()], special_handling: 'RLI,PER',
+    });
+
+    expect(booking.special_handling).toEqual(['PER', 'RLI']);
+  });
+
+  it('should reject unknown handling codes', async () => {
+    await expect(createBooking({
+      origin: 'DEL', destination: 'BOM', pieces: 1, weight_kg: 50, special_handling: ['ABC'],
+    })).rejects.toThrow('Invalid special handling code: ABC');
+  });
+
+  it('should exclude routes with incompatible flights and explain why', async () => {
+    const result = await getRoutes('DEL', 'BOM', '2030-03-10', { specialHandling: ['RLI'] });
+
+    expect(result.direct.map(route => route.flight.flightNumber)).toEqual(['AI901']);
+    expect(result.excluded).toEqual([{
+      type: 'direct',
+      flightNumbers: ['AI101'],
+      reasons: ['AI101: aircraft type 32Q (Airbus A321neo) does not accept RLI'],
+    }]);
+  });
+
+  it('should not exclude anything without handling codes', async () => {
+    const result = await getRoutes('DEL', 'BOM', '2030-03-10');
+
+    expect(result.direct).toHaveLength(2);
+    expect(result.excluded).toEqual([]);
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import Airport from '../../models/Airport.js';
+import Flight from '../../models/Flight.js';
+import {
+  searchAirports,
+  updateAirport,
+  deleteAirport,
+  validateStations,
+} from '../../controllers/airportController.js';
+import airports from '../../scripts/data/airports.js';
+
+describe('Airport Controller', () => {
+  beforeEach(async () => {
+    await Airport.insertMany(airports);
+  });
+
+  describe('validateStations', () => {
+    it('should accept active stations', async () => {
+      await expect(validateStations({ origin: 'DEL', destination: 'bom' })).resolves.toBeUndefined();
+    });
+
+    it('should reject an unknown code and suggest close matches', async () => {
+      const error = await validateStations({ origin: 'DLE', destination: 'BOM' }).catch(e => e);
+
+      expect(error.message).toMatch(/^Invalid station: origin DLE is unknown/);
+      expect(error.details).toEqual([
+        expect.objectContaining({ field: 'origin', code: 'DLE', reason: 'unknown' }),
+      ]);
+      expect(error.details[0].suggestions[0]).toBe('DEL');
+    });
+
+    it('should reject an inactive station', async () => {
+      await updateAirport('GOI', { active: false });
+
+      const error = await validateStations({ origin: 'DEL', destination: 'GOI' }).catch(e => e);
+
+      expect(error.details).toEqual([
+        { field: 'destination', code: 'GOI', reason: 'inactive', suggestions: [] },
+      ]);
+    });
+
+    it('should not suggest inactive stations', async () => {
+      await updateAirport('DEL', { active: false });
+
+      const error = await validateStations({ origin: 'DLE', destination: 'BOM' }).catch(e => e);
+
+      expect(error.details[0].suggestions).not.toContain('DEL');
+    });
+  });
+
+  describe('searchAirports', () => {
+    it('should rank an exact code match first', async () => {
+      const results = await searchAirports('bom');
+
+      expect(results[0].iataCode).toBe('BOM');
+    });
+
+    it('should match by city name', async () => {
+      const results = await searchAirports('kochi');
+
+      expect(results.map(airport => airport.iataCode)).toEqual(['COK']);
+    });
+  });
+
+  describe('deleteAirport', () => {
+    it('should block deleting an airport that flights still use', async () => {
+      await Flight.create({
+        flightNumber: 'AI101',
+        airlineName: 'Air India',
+        origin: 'DEL',
+        destination: 'BOM',
+        departureDateTime: new Date('2030-01-15T04:30:00Z'),
+        arrivalDateTime: new Date('2030-01-15T06:30:00Z'),
+      });
+
+      await expect(deleteAirport('BOM')).rejects.toThrow('Cannot delete airport BOM');
+      expect(await Airport.countDocuments({ iataCode: 'BOM' })).toBe(1);
+    });
+
+    it('should delete an unused airport', async () => {
+      await deleteAirport('GOI');
+
+      expect(await Airport.countDocuments({ iataCode: 'GOI' })).toBe(0);
+    });
+  });
+});
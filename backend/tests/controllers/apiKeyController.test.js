@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Account from '../../models/Account.js';
+import ApiKey from '../../models/ApiKey.js';
+import {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  getApiKeyUsage,
+  authenticateApiKey,
+} from '../../controllers/apiKeyController.js';
+import { getRateLimitStore } from '../../utils/rateLimitStore.js';
+import { RATE_LIMIT_KEY_MAX } from '../../middleware/rateLimit.js';
+
+describe('API Key Controller', () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+  let account;
+  let issued;
+
+  beforeEach(async () => {
+    account = await Account.create({ code: 'ACME', name: 'Acme Forwarding' });
+    issued = await createApiKey({ accountId: account._id, name: 'TMS production', scopes: ['bookings:read', 'BOOKINGS:READ'] }, user);
+  });
+
+  it('should return the key once and store only its hash', async () => {
+    const stored = await ApiKey.findById(issued.apiKey._id).select('+keyHash');
+
+    expect(issued.key.startsWith(`${issued.apiKey.prefix}_`)).toBe(true);
+    expect(issued.apiKey.scopes).toEqual(['bookings:read']);
+    expect(issued.apiKey.keyHash).toBeUndefined();
+    expect(stored.keyHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(stored.keyHash).not.toContain(issued.key);
+  });
+
+  it('should authenticate the key until it is revoked', async () => {
+    const apiKey = await authenticateApiKey(issued.key);
+    expect(apiKey.accountId).toEqual(account._id);
+    expect((await ApiKey.findById(apiKey._id)).lastUsedAt).toBeInstanceOf(Date);
+
+    await revokeApiKey(issued.apiKey._id.toString(), { accountId: account._id });
+
+    await expect(authenticateApiKey(issued.key)).rejects.toThrow('Invalid API key');
+    await expect(revokeApiKey(issued.apiKey._id.toString())).rejects.toThrow('API key already revoked');
+  });
+
+  it('should refuse unknown and expired keys, and keys of deactivated accounts', async () => {
+    await expect(authenticateApiKey(`${issued.apiKey.prefix}_guess`)).rejects.toThrow('Invalid API key');
+
+    await ApiKey.updateOne({ _id: issued.apiKey._id }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+    await expect(authenticateApiKey(issued.key)).rejects.toThrow('Invalid API key');
+
+    const other = await createApiKey({ accountId: account._id, name: 'TMS staging', scopes: ['routes:read'] }, user);
+    await Account.updateOne({ _id: account._id }, { $set: { active: false } });
+    await expect(authenticateApiKey(other.key)).rejects.toThrow('Invalid API key');
+  });
+
+  it('should require known scopes', async () => {
+    await expect(createApiKey({ accountId: account._id, name: 'No scopes', scopes: [] }, user))
+      .rejects.toThrow('Invalid API key: give at least one scope');
+    await expect(createApiKey({ accountId: account._id, name: 'Too much', scopes: ['flights:write'] }, user))
+      .rejects.toThrow('Invalid API key: unknown scope flights:write');
+  });
+
+  it('should only let admins raise a key\'s rate limit above the default', async () => {
+    const keyData = { accountId: account._id, name: 'Bulk sync', scopes: ['bookings:read'] };
+
+    await expect(createApiKey({ ...keyData, rateLimit: RATE_LIMIT_KEY_MAX + 1 }, user))
+      .rejects.toThrow(`Invalid API key: rateLimit can be at most ${RATE_LIMIT_KEY_MAX} requests per window`);
+
+    const lowered = await createApiKey({ ...keyData, rateLimit: 60 }, user);
+    expect(lowered.apiKey.rateLimit).toBe(60);
+
+    const raised = await createApiKey({ ...keyData, rateLimit: RATE_LIMIT_KEY_MAX * 2 }, { ...user, role: 'ADMIN' });
+    expect(raised.apiKey.rateLimit).toBe(RATE_LIMIT_KEY_MAX * 2);
+  });
+
+  it('should keep keys within their account', async () => {
+    const otherAccount = await Account.create({ code: 'GLOBEX', name: 'Globex Logistics' });
+
+    expect(await listApiKeys({ accountId: otherAccount._id })).toHaveLength(0);
+    expect(await listApiKeys({ accountId: account._id })).toHaveLength(1);
+    await expect(revokeApiKey(issued.apiKey._id.toString(), { accountId: otherAccount._id }))
+      .rejects.toThrow('API key not found');
+  });
+
+  it('should report usage from the rate limit store', async () => {
+    const store = getRateLimitStore();
+    await store.hit(`key:${issued.apiKey._id}`, 60 * 1000);
+    await store.hit(`key:${issued.apiKey._id}`, 60 * 1000);
+    await store.recordLimited(`key:${issued.apiKey._id}`);
+
+    const { usage } = await getApiKeyUsage(issued.apiKey._id.toString(), { accountId: account._id });
+
+    expect(usage).toMatchObject({ requests: 2, limited: 1, windowCount: 2 });
+  });
+});
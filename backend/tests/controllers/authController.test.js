@@ -0,0 +1,207 @@
+import { describe, it, expect, beforeEach, beforeAll, afterAll } from '@jest/globals';
+import express from 'express';
+import User from '../../models/User.js';
+import Account from '../../models/Account.js';
+import {
+  registerUser,
+  createUser,
+  login,
+  refreshTokens,
+  logout,
+  authenticateToken,
+} from '../../controllers/authController.js';
+import { signToken } from '../../utils/auth.js';
+import flightRoutes from '../../routes/flightRoutes.js';
+import scheduleRoutes from '../../routes/scheduleRoutes.js';
+import rateCardRoutes from '../../routes/rateCardRoutes.js';
+import airportRoutes from '../../routes/airportRoutes.js';
+import aircraftTypeRoutes from '../../routes/aircraftTypeRoutes.js';
+import quoteRoutes from '../../routes/quoteRoutes.js';
+
+describe('Auth Controller', () => {
+  let agent;
+
+  beforeEach(async () => {
+    agent = await createUser({
+      email: 'Agent@Example.com', name: 'Booking Agent', password: 'agent-pass', role: 'booking_agent',
+    });
+  });
+
+  it('should store a hashed password and never return it', async () => {
+    const stored = await User.findById(agent._id).select('+passwordHash');
+
+    expect(agent).toMatchObject({ email: 'agent@example.com', role: 'BOOKING_AGENT' });
+    expect(agent.passwordHash).toBeUndefined();
+    expect(stored.passwordHash).toMatch(/^scrypt\$/);
+    expect(stored.passwordHash).not.toContain('agent-pass');
+  });
+
+  it('should register a new customer account with a shipper as its first user', async () => {
+    const session = await registerUser({
+      email: 'shipper@example.com', name: 'Shipper', password: 'shipper-pass', role: 'ADMIN',
+      accountCode: 'acme', accountName: 'Acme Forwarding',
+    });
+
+    const account = await Account.findOne({ code: 'ACME' });
+    expect(session.user.role).toBe('SHIPPER');
+    expect(session.user.accountId).toEqual(account._id);
+    expect((await authenticateToken(session.accessToken)).email).toBe('shipper@example.com');
+  });
+
+  it('should not leave an account behind when registration fails', async () => {
+    await expect(registerUser({
+      email: 'agent@example.com', name: 'Again', password: 'another-pass', accountCode: 'ACME', accountName: 'Acme',
+    })).rejects.toThrow('Email already registered');
+    await expect(registerUser({
+      email: 'new@example.com', name: 'New', password: 'long-enough', accountCode: 'A', accountName: 'Acme',
+    })).rejects.toThrow('Invalid account');
+
+    expect(await Account.countDocuments()).toBe(0);
+  });
+
+  it('should tie shippers to an account and keep carrier staff outside accounts', async () => {
+    const account = await Account.create({ code: 'ACME', name: 'Acme Forwarding' });
+
+    await expect(createUser({ email: 'shipper@example.com', name: 'Shipper', password: 'shipper-pass' }))
+      .rejects.toThrow('Invalid user: SHIPPER users must belong to an account');
+    await expect(createUser({
+      email: 'ops@example.com', name: 'Ops', password: 'ops-pass-1', role: 'STATION_OPS', accountId: account._id,
+    })).rejects.toThrow('Invalid user: STATION_OPS users cannot belong to an account');
+
+    const forwarderAgent = await createUser({
+      email: 'fwd@example.com', name: 'Forwarder Agent', password: 'fwd-pass-1', role: 'BOOKING_AGENT', accountId: account._id,
+    });
+    expect(forwarderAgent.accountId).toEqual(account._id);
+  });
+
+  it('should reject duplicate emails, short passwords and unknown roles', async () => {
+    await expect(createUser({ email: 'agent@example.com', name: 'Again', password: 'another-pass' }))
+      .rejects.toThrow('Email already registered');
+    await expect(createUser({ email: 'new@example.com', name: 'New', password: 'short' }))
+      .rejects.toThrow('Invalid user: password must be at least 8 characters');
+    await expect(createUser({ email: 'new@example.com', name: 'New', password: 'long-enough', role: 'PILOT' }))
+      .rejects.toThrow('Invalid user: unknown role PILOT');
+  });
+
+  it('should log in with the right password only', async () => {
+    const session = await login('agent@example.com', 'agent-pass');
+
+    expect(session.user.role).toBe('BOOKING_AGENT');
+    expect(session.accessToken).toEqual(expect.any(String));
+    expect(session.refreshToken).toEqual(expect.any(String));
+
+    await expect(login('agent@example.com', 'wrong-pass')).rejects.toThrow('Invalid credentials');
+    await expect(login('nobody@example.com', 'agent-pass')).rejects.toThrow('Invalid credentials');
+  });
+
+  it('should not accept a refresh token as an access token, or the other way round', async () => {
+    const { accessToken, refreshToken } = await login('agent@example.com', 'agent-pass');
+
+    await expect(authenticateToken(refreshToken)).rejects.toThrow('Invalid token');
+    await expect(refreshTokens(accessToken)).rejects.toThrow('Invalid token');
+  });
+
+  it('should reject expired access tokens', async () => {
+    const expired = signToken({ sub: agent._id.toString(), role: agent.role, type: 'access' }, -1);
+
+    await expect(authenticateToken(expired)).rejects.toThrow('Token expired');
+  });
+
+  it('should refresh tokens until the user logs out', async () => {
+    const { refreshToken } = await login('agent@example.com', 'agent-pass');
+
+    const refreshed = await refreshTokens(refreshToken);
+    expect(refreshed.user.email).toBe('agent@example.com');
+
+    await logout(agent._id);
+
+    await expect(refreshTokens(refreshToken)).rejects.toThrow('Invalid token');
+    await expect(refreshTokens(refreshed.refreshToken)).rejects.toThrow('Invalid token');
+  });
+
+  it('should lock out the users of a deactivated account', async () => {
+    const account = await Account.create({ code: 'ACME', name: 'Acme Forwarding' });
+    await createUser({ email: 'shipper@example.com', name: 'Shipper', password: 'shipper-pass', accountId: account._id });
+    const { accessToken } = await login('shipper@example.com', 'shipper-pass');
+
+    await Account.updateOne({ _id: account._id }, { $set: { active: false } });
+
+    await expect(authenticateToken(accessToken)).rejects.toThrow('Invalid token');
+    await expect(login('shipper@example.com', 'shipper-pass')).rejects.toThrow('Invalid credentials');
+    await expect(createUser({
+      email: 'other@example.com', name: 'Other', password: 'other-pass', accountId: account._id,
+    })).rejects.toThrow('Invalid account: ACME is deactivated');
+  });
+
+  it('should lock out deactivated users', async () => {
+    const { accessToken } = await login('agent@example.com', 'agent-pass');
+    await User.updateOne({ _id: agent._id }, { $set: { active: false } });
+
+    await expect(authenticateToken(accessToken)).rejects.toThrow('Invalid token');
+    await expect(login('agent@example.com', 'agent-pass')).rejects.toThrow('Invalid credentials');
+  });
+});
+
+describe('Route access', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/flights', flightRoutes);
+    app.use('/api/schedules', scheduleRoutes);
+    app.use('/api/rate-cards', rateCardRoutes);
+    app.use('/api/airports', airportRoutes);
+    app.use('/api/aircraft-types', aircraftTypeRoutes);
+    app.use('/api/quotes', quoteRoutes);
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  const request = (method, path, token) => fetch(`${baseUrl}${path}`, {
+    method: method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: method === 'GET' ? undefined : '{}',
+  });
+
+  it('should refuse anonymous writes with 401', async () => {
+    const writes = [
+      ['POST', '/api/flights'],
+      ['PATCH', '/api/flights/000000000000000000000001'],
+      ['POST', '/api/flights/000000000000000000000001/retime'],
+      ['DELETE', '/api/flights/000000000000000000000001'],
+      ['POST', '/api/flights/import?dry_run=false'],
+      ['POST', '/api/schedules'],
+      ['POST', '/api/schedules/000000000000000000000001/sync'],
+      ['DELETE', '/api/schedules/000000000000000000000001'],
+      ['PATCH', '/api/rate-cards/000000000000000000000001'],
+      ['POST', '/api/airports'],
+      ['DELETE', '/api/aircraft-types/32Q'],
+      ['POST', '/api/quotes'],
+    ];
+
+    for (const [method, path] of writes) {
+      const response = await request(method, path);
+      expect([method, path, response.status]).toEqual([method, path, 401]);
+    }
+  });
+
+  it('should limit flight changes to station ops and master data to admins', async () => {
+    await createUser({ email: 'agent@example.com', name: 'Booking Agent', password: 'agent-pass', role: 'BOOKING_AGENT' });
+    await createUser({ email: 'ops@example.com', name: 'Station Ops', password: 'ops-pass', role: 'STATION_OPS' });
+    const agentSession = await login('agent@example.com', 'agent-pass');
+    const opsSession = await login('ops@example.com', 'ops-pass');
+
+    expect((await request('POST', '/api/flights', agentSession.accessToken)).status).toBe(403);
+    expect((await request('POST', '/api/airports', opsSession.accessToken)).status).toBe(403);
+    expect((await request('GET', '/api/airports')).status).toBe(200);
+  });
+});
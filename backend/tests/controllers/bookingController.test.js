@@ -1,8 +1,20 @@
-import { describe, it, expect, beforeAll } from '@jest/globals';
+import { describe, it, expect, beforeAll, beforeEach } from '@jest/globals';
 import mongoose from 'mongoose';
 import Booking from '../../models/Booking.js';
 import Flight from '../../models/Flight.js';
-import { cancelBooking } from '../../controllers/bookingController.js';
+import Account from '../../models/Account.js';
+import {
+  createBooking,
+  cancelBooking,
+  deliverBooking,
+  departBooking,
+  arriveBooking,
+  amendBooking,
+  getBookingHistory,
+  listBookings,
+  getTimelineEvents,
+} from '../../controllers/bookingController.js';
+import { watchBooking } from '../../utils/bookingUpdates.js';
 
 describe('Booking Controller - Cancel Booking Validation', () => {
   let testFlight;
@@ -218,3 +230,801 @@ describe('Booking Controller - Cancel Booking Validation', () => {
   });
 });
 
+
+describe('Booking Controller - Deliver Booking', () => {
+  let testFlight;
+  let arrivedBooking;
+
+  beforeEach(async () => {
+    const today = new Date();
+    testFlight = await Flight.create({
+      flightNumber: 'AI101',
+      airlineName: 'Air India',
+      origin: 'DEL',
+      destination: 'BOM',
+      departureDateTime: new Date(today.setHours(10, 0, 0, 0)),
+      arrivalDateTime: new Date(today.setHours(12, 30, 0, 0)),
+    });
+
+    arrivedBooking = new Booking({
+      origin: 'DEL',
+      destination: 'BOM',
+      pieces: 10,
+      weight_kg: 500,
+      status: 'ARRIVED',
+      flightIds: [testFlight._id],
+    });
+    await arrivedBooking.save();
+  });
+
+  it('should deliver an ARRIVED booking and record proof of delivery', async () => {
+    const deliveredAt = new Date(Date.now() - 30 * 60 * 1000);
+
+    const result = await deliverBooking(arrivedBooking._id.toString(), {
+      consignee_name: 'Ravi Kumar',
+      delivered_at: deliveredAt.toISOString(),
+      receiving_station: 'bom',
+      signature_ref: 'pod/BOOK-0001/signature.png',
+    });
+
+    expect(result.status).toBe('DELIVERED');
+    const deliveredEvent = result.timeline.find(e => e.event === 'DELIVERED');
+    expect(deliveredEvent).toBeDefined();
+    expect(deliveredEvent.pod.consignee_name).toBe('Ravi Kumar');
+    expect(deliveredEvent.pod.delivered_at.getTime()).toBe(deliveredAt.getTime());
+    expect(deliveredEvent.pod.receiving_station).toBe('BOM');
+    expect(deliveredEvent.pod.signature_ref).toBe('pod/BOOK-0001/signature.png');
+  });
+
+  it('should default the receiving station to the booking destination', async () => {
+    const result = await deliverBooking(arrivedBooking.ref_id, { consignee_name: 'Ravi Kumar' });
+
+    const deliveredEvent = result.timeline.find(e => e.event === 'DELIVERED');
+    expect(deliveredEvent.pod.receiving_station).toBe('BOM');
+    expect(deliveredEvent.pod.delivered_at).toBeInstanceOf(Date);
+  });
+
+  it('should require a consignee name', async () => {
+    await expect(deliverBooking(arrivedBooking._id.toString(), {})).rejects.toThrow(
+      'Invalid proof of delivery: consignee_name is required'
+    );
+    await expect(deliverBooking(arrivedBooking._id.toString(), { consignee_name: 123 })).rejects.toThrow(
+      'Invalid proof of delivery: consignee_name is required'
+    );
+  });
+
+  it('should prevent delivery of a booking that has not ARRIVED', async () => {
+    const departedBooking = new Booking({
+      origin: 'DEL',
+      destination: 'BOM',
+      pieces: 10,
+      weight_kg: 500,
+      status: 'DEPARTED',
+      flightIds: [testFlight._id],
+    });
+    await departedBooking.save();
+
+    await expect(
+      deliverBooking(departedBooking._id.toString(), { consignee_name: 'Ravi Kumar' })
+    ).rejects.toThrow('Cannot deliver booking with status: DEPARTED');
+  });
+
+  it('should allow only one of two concurrent deliveries to succeed', async () => {
+    const results = await Promise.allSettled([
+      deliverBooking(arrivedBooking._id.toString(), { consignee_name: 'Ravi Kumar' }),
+      deliverBooking(arrivedBooking._id.toString(), { consignee_name: 'Ravi Kumar' }),
+    ]);
+
+    const successful = results.filter(r => r.status === 'fulfilled');
+    expect(successful.length).toBe(1);
+
+    const finalBooking = await Booking.findById(arrivedBooking._id);
+    expect(finalBooking.timeline.filter(e => e.event === 'DELIVERED').length).toBe(1);
+  });
+});
+
+describe('Booking Controller - Flight Capacity', () => {
+  let smallFlight;
+
+  beforeEach(async () => {
+    const today = new Date();
+    smallFlight = await Flight.create({
+      flightNumber: 'AI202',
+      airlineName: 'Air India',
+      origin: 'DEL',
+      destination: 'BOM',
+      departureDateTime: new Date(today.setHours(10, 0, 0, 0)),
+      arrivalDateTime: new Date(today.setHours(12, 30, 0, 0)),
+      maxWeightKg: 1000,
+      maxVolumeM3: 10,
+    });
+  });
+
+  it('should initialize remaining capacity from the payload limits', () => {
+    expect(smallFlight.remainingWeightKg).toBe(1000);
+    expect(smallFlight.remainingVolumeM3).toBe(10);
+  });
+
+  it('should decrement remaining capacity when a booking is created', async () => {
+    await createBooking({
+      origin: 'DEL',
+      destination: 'BOM',
+      pieces: 4,
+      weight_kg: 600,
+      volume_m3: 2.5,
+      flightIds: [smallFlight._id.toString()],
+    });
+
+    const flight = await Flight.findById(smallFlight._id);
+    expect(flight.remainingWeightKg).toBe(400);
+    expect(flight.remainingVolumeM3).toBe(7.5);
+  });
+
+  it('should reject a booking that exceeds the remaining weight', async () => {
+    await expect(createBooking({
+      origin: 'DEL',
+      destination: 'BOM',
+      pieces: 4,
+      weight_kg: 1200,
+      flightIds: [smallFlight._id.toString()],
+    })).rejects.toThrow('Insufficient capacity on flight AI202');
+
+    expect(await Booking.countDocuments()).toBe(0);
+    const flight = await Flight.findById(smallFlight._id);
+    expect(flight.remainingWeightKg).toBe(1000);
+  });
+
+  it('should roll back reservations on earlier legs when a later leg is full', async () => {
+    const fullLeg = await Flight.create({
+      flightNumber: 'AI303',
+      airlineName: 'Air India',
+      origin: 'BOM',
+      destination: 'BLR',
+      departureDateTime: new Date(Date.now() + 6 * 60 * 60 * 1000),
+      arrivalDateTime: new Date(Date.now() + 8 * 60 * 60 * 1000),
+      maxWeightKg: 100,
+    });
+
+    await expect(createBooking({
+      origin: 'DEL',
+      destination: 'BLR',
+      pieces: 2,
+      weight_kg: 300,
+      flightIds: [smallFlight._id.toString(), fullLeg._id.toString()],
+    })).rejects.toThrow('Insufficient capacity on flight AI303');
+
+    const flight = await Flight.findById(smallFlight._id);
+    expect(flight.remainingWeightKg).toBe(1000);
+  });
+
+  it('should never oversell a flight under concurrent bookings', async () => {
+    const attempts = Array.from({ length: 3 }, () => createBooking({
+      origin: 'DEL',
+      destination: 'BOM',
+      pieces: 1,
+      weight_kg: 400,
+      flightIds: [smallFlight._id.toString()],
+    }));
+
+    const results = await Promise.allSettled(attempts);
+
+    expect(results.filter(r => r.status === 'fulfilled').length).toBe(2);
+    const flight = await Flight.findById(smallFlight._id);
+    expect(flight.remainingWeightKg).toBe(200);
+  });
+
+  it('should restore capacity when a booking is cancelled', async () => {
+    const booking = await createBooking({
+      origin: 'DEL',
+      destination: 'BOM',
+      pieces: 4,
+      weight_kg: 600,
+      volume_m3: 2,
+      flightIds: [smallFlight._id.toString()],
+    });
+
+    await cancelBooking(booking._id.toString());
+
+    const flight = await Flight.findById(smallFlight._id);
+    expect(flight.remainingWeightKg).toBe(1000);
+    expect(flight.remainingVolumeM3).toBe(10);
+  });
+});
+
+describe('Booking Controller - Chargeable Weight', () => {
+  const bookingData = {
+    origin: 'DEL',
+    destination: 'BOM',
+    pieces: 3,
+    weight_kg: 100,
+  };
+
+  it('should use actual weight when the shipment is dense', async () => {
+    const booking = await createBooking({ ...bookingData, weight_kg: 500, volume_m3: 1.2 });
+
+    expect(booking.volumetric_weight_kg).toBe(200);
+    expect(booking.chargeable_weight_kg).toBe(500);
+  });
+
+  it('should use volumetric weight when the shipment is bulky', async () => {
+    const booking = await createBooking({ ...bookingData, volume_m3: 1.2 });
+
+    // 1.2 m³ = 1,200,000 cm³ / 6000
+    expect(booking.volumetric_weight_kg).toBe(200);
+    expect(booking.chargeable_weight_kg).toBe(200);
+  });
+
+  it('should derive volume from per-piece dimensions', async () => {
+    const booking = await createBooking({
+      ...bookingData,
+      dimensions: [
+        { length_cm: 100, width_cm: 80, height_cm: 60, pieces: 2 },
+        { length_cm: 50, width_cm: 40, height_cm: 30 },
+      ],
+    });
+
+    expect(booking.volume_m3).toBe(1.02);
+    expect(booking.dimensions).toHaveLength(2);
+    expect(booking.volumetric_weight_kg).toBe(170);
+    expect(booking.chargeable_weight_kg).toBe(170);
+  });
+
+  it('should round chargeable weight up to the next half kilogram', async () => {
+    const booking = await createBooking({ ...bookingData, volume_m3: 0.7 });
+
+    expect(booking.volumetric_weight_kg).toBe(116.67);
+    expect(booking.chargeable_weight_kg).toBe(117);
+  });
+
+  it('should reject dimension lines that do not cover every piece', async () => {
+    await expect(createBooking({
+      ...bookingData,
+      dimensions: [{ length_cm: 100, width_cm: 80, height_cm: 60, pieces: 2 }],
+    })).rejects.toThrow('Invalid dimensions: lines cover 2 piece(s) but the booking has 3');
+  });
+
+  it('should reject both dimensions and an aggregate volume', async () => {
+    await expect(createBooking({
+      ...bookingData,
+      volume_m3: 1,
+      dimensions: [{ length_cm: 100, width_cm: 80, height_cm: 60, pieces: 3 }],
+    })).rejects.toThrow('Invalid dimensions: provide either dimensions or volume_m3');
+  });
+});
+
+describe('Booking Controller - Amendments', () => {
+  let firstFlight;
+  let secondFlight;
+  let booking;
+
+  beforeEach(async () => {
+    const today = new Date();
+    firstFlight = await Flight.create({
+      flightNumber: 'AI404',
+      airlineName: 'Air India',
+      origin: 'DEL',
+      destination: 'BOM',
+      departureDateTime: new Date(today.setHours(10, 0, 0, 0)),
+      arrivalDateTime: new Date(today.setHours(12, 30, 0, 0)),
+      maxWeightKg: 1000,
+      maxVolumeM3: 10,
+    });
+    secondFlight = await Flight.create({
+      flightNumber: 'AI505',
+      airlineName: 'Air India',
+      origin: 'DEL',
+      destination: 'BOM',
+      departureDateTime: new Date(today.setHours(16, 0, 0, 0)),
+      arrivalDateTime: new Date(today.setHours(18, 30, 0, 0)),
+      maxWeightKg: 500,
+      maxVolumeM3: 10,
+    });
+
+    booking = await createBooking({
+      origin: 'DEL',
+      destination: 'BOM',
+      pieces: 4,
+      weight_kg: 300,
+      volume_m3: 1,
+      flightIds: [firstFlight._id.toString()],
+    });
+  });
+
+  it('should amend pieces and weight and record the diff as a new version', async () => {
+    const amended = await amendBooking(booking.ref_id, { pieces: 5, weight_kg: 450 });
+
+    expect(amended.version).toBe(2);
+    expect(amended.pieces).toBe(5);
+    expect(amended.chargeable_weight_kg).toBe(450);
+    expect(amended.amendments).toHaveLength(1);
+    expect(amended.amendments[0]).toMatchObject({
+      version: 2,
+      changes: {
+        pieces: { from: 4, to: 5 },
+        weight_kg: { from: 300, to: 450 },
+      },
+    });
+
+    const flight = await Flight.findById(firstFlight._id);
+    expect(flight.remainingWeightKg).toBe(550);
+  });
+
+  it('should recompute chargeable weight when the volume changes', async () => {
+    // 3 m³ = 500 kg volumetric
+    const amended = await amendBooking(booking._id.toString(), { volume_m3: 3 });
+
+    expect(amended.volumetric_weight_kg).toBe(500);
+    expect(amended.chargeable_weight_kg).toBe(500);
+  });
+
+  it('should move capacity to the new flights', async () => {
+    await amendBooking(booking._id.toString(), { flightIds: [secondFlight._id.toString()] });
+
+    const oldFlight = await Flight.findById(firstFlight._id);
+    const newFlight = await Flight.findById(secondFlight._id);
+    expect(oldFlight.remainingWeightKg).toBe(1000);
+    expect(oldFlight.remainingVolumeM3).toBe(10);
+    expect(newFlight.remainingWeightKg).toBe(200);
+    expect(newFlight.remainingVolumeM3).toBe(9);
+  });
+
+  it('should leave the booking and capacity alone when the new flight is full', async () => {
+    await expect(amendBooking(booking._id.toString(), {
+      weight_kg: 600,
+      flightIds: [secondFlight._id.toString()],
+    })).rejects.toThrow('Insufficient capacity on flight AI505');
+
+    const unchanged = await Booking.findById(booking._id);
+    expect(unchanged.version).toBe(1);
+    expect(unchanged.weight_kg).toBe(300);
+    expect((await Flight.findById(firstFlight._id)).remainingWeightKg).toBe(700);
+    expect((await Flight.findById(secondFlight._id)).remainingWeightKg).toBe(500);
+  });
+
+  it('should only amend BOOKED bookings', async () => {
+    await departBooking(booking._id.toString());
+
+    await expect(amendBooking(booking._id.toString(), { pieces: 5 }))
+      .rejects.toThrow('Cannot amend booking with status: DEPARTED');
+  });
+
+  it('should let only one of two concurrent amendments through', async () => {
+    const results = await Promise.allSettled([
+      amendBooking(booking._id.toString(), { weight_kg: 400 }),
+      amendBooking(booking._id.toString(), { weight_kg: 500 }),
+    ]);
+
+    const succeeded = results.filter(r => r.status === 'fulfilled');
+    expect(succeeded.length).toBe(1);
+
+    // Capacity matches the amendment that won
+    const flight = await Flight.findById(firstFlight._id);
+    expect(flight.remainingWeightKg).toBe(1000 - succeeded[0].value.weight_kg);
+  });
+
+  it('should show amendments in version order next to the timeline', async () => {
+    await amendBooking(booking._id.toString(), { pieces: 5 });
+    await amendBooking(booking._id.toString(), { pieces: 6 });
+
+    const history = await getBookingHistory(booking.ref_id);
+
+    expect(history.timeline.map(event => event.event)).toEqual(['BOOKED']);
+    expect(history.amendments.map(amendment => amendment.version)).toEqual([2, 3]);
+    expect(history.amendments[1].changes).toEqual({ pieces: { from: 5, to: 6 } });
+  });
+
+  it('should reject an amendment without amendable fields', async () => {
+    await expect(amendBooking(booking._id.toString(), { status: 'ARRIVED' }))
+      .rejects.toThrow('Invalid amendment');
+  });
+});
+
+describe('Booking Controller - Split Shipments', () => {
+  let morningFlight;
+  let eveningFlight;
+  let booking;
+
+  beforeEach(async () => {
+    const today = new Date();
+    morningFlight = await Flight.create({
+      flightNumber: 'AI606',
+      airlineName: 'Air India',
+      origin: 'DEL',
+      destination: 'BOM',
+      departureDateTime: new Date(today.setHours(8, 0, 0, 0)),
+      arrivalDateTime: new Date(today.setHours(10, 30, 0, 0)),
+      maxWeightKg: 1000,
+      maxVolumeM3: 10,
+    });
+    eveningFlight = await Flight.create({
+      flightNumber: 'AI707',
+      airlineName: 'Air India',
+      origin: 'DEL',
+      destination: 'BOM',
+      departureDateTime: new Date(today.setHours(18, 0, 0, 0)),
+      arrivalDateTime: new Date(today.setHours(20, 30, 0, 0)),
+      maxWeightKg: 1000,
+      maxVolumeM3: 10,
+    });
+
+    booking = await createBooking({
+      origin: 'DEL',
+      destination: 'BOM',
+      pieces: 10,
+      weight_kg: 500,
+      volume_m3: 2,
+      flightIds: [morningFlight._id.toString(), eveningFlight._id.toString()],
+      parts: [
+        { flightId: morningFlight._id.toString(), pieces: 6 },
+        { flightId: eveningFlight._id.toString(), pieces: 4 },
+      ],
+    });
+  });
+
+  it('should reserve each flight\'s share of the shipment', async () => {
+    expect(booking.parts.map(part => part.pieces)).toEqual([6, 4]);
+
+    const morning = await Flight.findById(morningFlight._id);
+    const evening = await Flight.findById(eveningFlight._id);
+    expect(morning.remainingWeightKg).toBe(700);
+    expect(morning.remainingVolumeM3).toBe(8.8);
+    expect(evening.remainingWeightKg).toBe(800);
+    expect(evening.remainingVolumeM3).toBe(9.2);
+  });
+
+  it('should reject parts that do not add up to the booking', async () => {
+    await expect(createBooking({
+      origin: 'DEL',
+      destination: 'BOM',
+      pieces: 10,
+      weight_kg: 500,
+      flightIds: [morningFlight._id.toString(), eveningFlight._id.toString()],
+      parts: [
+        { flightId: morningFlight._id.toString(), pieces: 6 },
+        { flightId: eveningFlight._id.toString(), pieces: 3 },
+      ],
+    })).rejects.toThrow('Invalid parts: 9 of 10 pieces leave DEL');
+  });
+
+  it('should roll partial departures up to PARTIALLY_DEPARTED, then DEPARTED', async () => {
+    const partial = await departBooking(booking.ref_id, morningFlight._id.toString(), 6);
+    expect(partial.status).toBe('PARTIALLY_DEPARTED');
+    expect(partial.timeline[partial.timeline.length - 1]).toMatchObject({ event: 'DEPARTED', pieces: 6 });
+
+    const departed = await departBooking(booking.ref_id, eveningFlight._id.toString(), 4);
+    expect(departed.status).toBe('DEPARTED');
+  });
+
+  it('should roll partial arrivals up to PARTIALLY_ARRIVED', async () => {
+    await departBooking(booking.ref_id, morningFlight._id.toString(), 6);
+    const arrived = await arriveBooking(booking.ref_id, morningFlight._id.toString(), 6);
+
+    expect(arrived.status).toBe('PARTIALLY_ARRIVED');
+  });
+
+  it('should reject more pieces than are left on the flight', async () => {
+    await departBooking(booking.ref_id, eveningFlight._id.toString(), 3);
+
+    await expect(departBooking(booking.ref_id, eveningFlight._id.toString(), 2))
+      .rejects.toThrow('Invalid piece count: 1 piece(s) left to depart on flight AI707');
+  });
+
+  it('should break the history down per part', async () => {
+    await departBooking(booking.ref_id, morningFlight._id.toString(), 6);
+    await arriveBooking(booking.ref_id, morningFlight._id.toString(), 2);
+
+    const history = await getBookingHistory(booking.ref_id);
+
+    expect(history.parts).toEqual([
+      expect.objectContaining({
+        flightNumber: 'AI606', pieces: 6, departed_pieces: 6, arrived_pieces: 2, status: 'PARTIALLY_ARRIVED',
+      }),
+      expect.objectContaining({
+        flightNumber: 'AI707', pieces: 4, departed_pieces: 0, arrived_pieces: 0, status: 'BOOKED',
+      }),
+    ]);
+  });
+
+  it('should keep the split when the booking is amended', async () => {
+    await expect(amendBooking(booking.ref_id, { pieces: 12 }))
+      .rejects.toThrow('Invalid parts: 10 of 12 pieces leave DEL');
+
+    const amended = await amendBooking(booking.ref_id, {
+      parts: [
+        { flightId: morningFlight._id.toString(), pieces: 5 },
+        { flightId: eveningFlight._id.toString(), pieces: 5 },
+      ],
+    });
+
+    expect(amended.parts.map(part => part.pieces)).toEqual([5, 5]);
+    expect((await Flight.findById(morningFlight._id)).remainingWeightKg).toBe(750);
+    expect((await Flight.findById(eveningFlight._id)).remainingWeightKg).toBe(750);
+  });
+
+  it('should move pieces between legs when weight and volume change in opposite directions', async () => {
+    // The evening leg needs more weight (200 -> 360 kg) but less volume (0.8 -> 0.6 m³)
+    const amended = await amendBooking(booking.ref_id, {
+      weight_kg: 600,
+      volume_m3: 1,
+      parts: [
+        { flightId: morningFlight._id.toString(), pieces: 4 },
+        { flightId: eveningFlight._id.toString(), pieces: 6 },
+      ],
+    });
+
+    expect(amended.parts.map(part => part.pieces)).toEqual([4, 6]);
+    const morning = await Flight.findById(morningFlight._id);
+    const evening = await Flight.findById(eveningFlight._id);
+    expect(morning.remainingWeightKg).toBe(760);
+    expect(morning.remainingVolumeM3).toBeCloseTo(9.6);
+    expect(evening.remainingWeightKg).toBe(640);
+    expect(evening.remainingVolumeM3).toBeCloseTo(9.4);
+  });
+
+  it('should leave both legs alone when moving pieces onto a full leg', async () => {
+    await Flight.updateOne({ _id: eveningFlight._id }, { $set: { remainingWeightKg: 50 } });
+
+    await expect(amendBooking(booking.ref_id, {
+      volume_m3: 1,
+      parts: [
+        { flightId: morningFlight._id.toString(), pieces: 4 },
+        { flightId: eveningFlight._id.toString(), pieces: 6 },
+      ],
+    })).rejects.toThrow('Insufficient capacity on flight AI707');
+
+    const morning = await Flight.findById(morningFlight._id);
+    const evening = await Flight.findById(eveningFlight._id);
+    expect(morning.remainingWeightKg).toBe(700);
+    expect(morning.remainingVolumeM3).toBe(8.8);
+    expect(evening.remainingWeightKg).toBe(50);
+    expect(evening.remainingVolumeM3).toBe(9.2);
+  });
+});
+
+describe('Booking Controller - Transit Legs', () => {
+  let firstLeg;
+  let secondLeg;
+  let booking;
+
+  beforeEach(async () => {
+    const today = new Date();
+    firstLeg = await Flight.create({
+      flightNumber: 'AI808',
+      airlineName: 'Air India',
+      origin: 'DEL',
+      destination: 'BOM',
+      departureDateTime: new Date(today.setHours(8, 0, 0, 0)),
+      arrivalDateTime: new Date(today.setHours(10, 30, 0, 0)),
+    });
+    secondLeg = await Flight.create({
+      flightNumber: 'AI909',
+      airlineName: 'Air India',
+      origin: 'BOM',
+      destination: 'BLR',
+      departureDateTime: new Date(today.setHours(13, 0, 0, 0)),
+      arrivalDateTime: new Date(today.setHours(14, 45, 0, 0)),
+    });
+
+    booking = await createBooking({
+      origin: 'DEL',
+      destination: 'BLR',
+      pieces: 3,
+      weight_kg: 120,
+      flightIds: [firstLeg._id.toString(), secondLeg._id.toString()],
+    });
+  });
+
+  it('should depart and arrive each leg in order', async () => {
+    let updated = await departBooking(booking.ref_id, firstLeg._id.toString());
+    expect(updated.status).toBe('DEPARTED');
+
+    // Arriving at the connection does not arrive the booking
+    updated = await arriveBooking(booking.ref_id, firstLeg._id.toString());
+    expect(updated.status).toBe('DEPARTED');
+
+    updated = await departBooking(booking.ref_id, secondLeg._id.toString());
+    expect(updated.status).toBe('DEPARTED');
+
+    updated = await arriveBooking(booking.ref_id, secondLeg._id.toString());
+    expect(updated.status).toBe('ARRIVED');
+    expect(updated.timeline.map(event => event.event)).toEqual(['BOOKED', 'DEPARTED', 'ARRIVED', 'DEPARTED', 'ARRIVED']);
+  });
+
+  it('should not depart the connecting leg before the pieces arrive at the connection', async () => {
+    await departBooking(booking.ref_id, firstLeg._id.toString());
+
+    await expect(departBooking(booking.ref_id, secondLeg._id.toString()))
+      .rejects.toThrow('Cannot depart flight AI909 before its pieces arrive at BOM');
+  });
+
+  it('should reject a flight that is not one of the booking\'s legs', async () => {
+    await expect(departBooking(booking.ref_id, 'not-a-flight'))
+      .rejects.toThrow('Invalid flight ID: not-a-flight');
+
+    const otherFlightId = new mongoose.Types.ObjectId().toString();
+    await expect(arriveBooking(booking.ref_id, otherFlightId))
+      .rejects.toThrow(`Flight not on booking: flight ${otherFlightId} is not one of the booking's flights`);
+    expect((await Booking.findById(booking._id)).status).toBe('BOOKED');
+  });
+
+  it('should not depart a leg twice', async () => {
+    await departBooking(booking.ref_id, firstLeg._id.toString());
+
+    await expect(departBooking(booking.ref_id, firstLeg._id.toString()))
+      .rejects.toThrow('Cannot depart booking on flight AI808: every piece has already departed');
+  });
+
+  it('should show progress leg by leg in the history', async () => {
+    await departBooking(booking.ref_id, firstLeg._id.toString());
+    await arriveBooking(booking.ref_id, firstLeg._id.toString());
+
+    const history = await getBookingHistory(booking.ref_id);
+
+    expect(history.parts.map(leg => [leg.flightNumber, leg.status])).toEqual([
+      ['AI808', 'ARRIVED'],
+      ['AI909', 'BOOKED'],
+    ]);
+  });
+
+  it('should still arrive the whole booking without a flight', async () => {
+    await departBooking(booking.ref_id);
+    const arrived = await arriveBooking(booking.ref_id);
+
+    expect(arrived.status).toBe('ARRIVED');
+    expect(arrived.parts.every(leg => leg.arrived_pieces === 3)).toBe(true);
+  });
+});
+
+describe('Booking Controller - List Bookings', () => {
+  let flight;
+  let bookings;
+
+  beforeEach(async () => {
+    flight = await Flight.create({
+      flightNumber: 'AI101',
+      airlineName: 'Air India',
+      origin: 'DEL',
+      destination: 'BOM',
+      departureDateTime: new Date('2030-01-15T04:30:00Z'),
+      arrivalDateTime: new Date('2030-01-15T06:45:00Z'),
+    });
+
+    // Five bookings a minute apart, the last two DEL-CCU without flights
+    bookings = [];
+    for (let i = 0; i < 5; i++) {
+      const booking = await createBooking({
+        origin: 'DEL',
+        destination: i < 3 ? 'BOM' : 'CCU',
+        pieces: 1,
+        weight_kg: 10,
+        flightIds: i < 3 ? [flight._id.toString()] : [],
+      });
+      await Booking.collection.updateOne(
+        { _id: booking._id },
+        { $set: { createdAt: new Date(Date.UTC(2030, 0, 1, 0, i)) } }
+      );
+      bookings.push(booking);
+    }
+  });
+
+  it('should page through every booking, newest first, with a cursor', async () => {
+    const first = await listBookings({ limit: 2 });
+    const second = await listBookings({ limit: 2, cursor: first.nextCursor });
+    const last = await listBookings({ limit: 2, cursor: second.nextCursor });
+
+    const refs = [...first.bookings, ...second.bookings, ...last.bookings].map(b => b.ref_id);
+    expect(refs).toEqual(bookings.map(b => b.ref_id).reverse());
+    expect(last.nextCursor).toBeNull();
+    expect(first.bookings[0].timeline).toBeUndefined();
+  });
+
+  it('should page oldest first on request', async () => {
+    const first = await listBookings({ limit: 3, order: 'asc' });
+    const rest = await listBookings({ limit: 3, order: 'asc', cursor: first.nextCursor });
+
+    expect(first.bookings.map(b => b.ref_id)).toEqual(bookings.slice(0, 3).map(b => b.ref_id));
+    expect(rest.bookings.map(b => b.ref_id)).toEqual(bookings.slice(3).map(b => b.ref_id));
+  });
+
+  it('should filter by route, flight, status, creation date and ref_id prefix', async () => {
+    await cancelBooking(bookings[0].ref_id);
+
+    expect((await listBookings({ destination: 'ccu' })).bookings).toHaveLength(2);
+    expect((await listBookings({ flightId: flight._id.toString() })).bookings).toHaveLength(3);
+    expect((await listBookings({ status: 'cancelled' })).bookings.map(b => b.ref_id))
+      .toEqual([bookings[0].ref_id]);
+    expect((await listBookings({ from: '2030-01-01T00:01:00Z', to: '2030-01-01T00:02:00Z' })).bookings)
+      .toHaveLength(2);
+    expect((await listBookings({ refPrefix: bookings[4].ref_id })).bookings).toHaveLength(1);
+    expect((await listBookings({ refPrefix: 'BOOK-1999' })).bookings).toHaveLength(0);
+  });
+
+  it('should filter by several statuses, comma-separated or repeated', async () => {
+    await cancelBooking(bookings[0].ref_id);
+    await cancelBooking(bookings[1].ref_id);
+
+    expect((await listBookings({ status: 'cancelled' })).bookings).toHaveLength(2);
+    expect((await listBookings({ status: 'cancelled,booked' })).bookings).toHaveLength(bookings.length);
+    expect((await listBookings({ status: ['CANCELLED', 'BOOKED'] })).bookings).toHaveLength(bookings.length);
+    await expect(listBookings({ status: ['CANCELLED', 'LOST'] }))
+      .rejects.toThrow('Invalid filter: unknown status LOST');
+  });
+
+  it('should list only the bookings of one account', async () => {
+    const account = await Account.create({ code: 'ACME', name: 'Acme Forwarding' });
+    const own = await createBooking({
+      origin: 'DEL', destination: 'BOM', pieces: 1, weight_kg: 10, flightIds: [], account_id: account._id,
+    });
+
+    const { bookings: listed } = await listBookings({ accountId: account._id.toString() });
+
+    expect(listed.map(b => b.ref_id)).toEqual([own.ref_id]);
+  });
+
+  it('should not book for a deactivated account', async () => {
+    const account = await Account.create({ code: 'ACME', name: 'Acme Forwarding', active: false });
+
+    await expect(createBooking({
+      origin: 'DEL', destination: 'BOM', pieces: 1, weight_kg: 10, flightIds: [], account_id: account._id,
+    })).rejects.toThrow('Invalid account: ACME is deactivated');
+  });
+
+  it('should reject bad cursors and filters', async () => {
+    await expect(listBookings({ cursor: 'not-a-cursor' })).rejects.toThrow('Invalid cursor');
+    await expect(listBookings({ status: 'LOST' })).rejects.toThrow('Invalid filter: unknown status LOST');
+    await expect(listBookings({ flightId: 'AI101' })).rejects.toThrow('Invalid filter');
+  });
+});
+
+describe('Booking Controller - Timeline Events', () => {
+  let flight;
+  let booking;
+
+  beforeEach(async () => {
+    flight = await Flight.create({
+      flightNumber: 'AI101',
+      airlineName: 'Air India',
+      origin: 'DEL',
+      destination: 'BOM',
+      departureDateTime: new Date('2030-01-15T04:30:00Z'),
+      arrivalDateTime: new Date('2030-01-15T06:45:00Z'),
+    });
+    booking = await createBooking({
+      origin: 'DEL',
+      destination: 'BOM',
+      pieces: 4,
+      weight_kg: 100,
+      flightIds: [flight._id.toString()],
+    });
+  });
+
+  it('should number entries by their place in the timeline and resume after a given one', async () => {
+    await departBooking(booking._id.toString(), flight._id.toString(), 2);
+    await departBooking(booking._id.toString(), flight._id.toString(), 2);
+
+    const all = await getTimelineEvents(booking.ref_id);
+    expect(all.events.map(e => [e.index, e.entry.event])).toEqual([[0, 'BOOKED'], [1, 'DEPARTED'], [2, 'DEPARTED']]);
+    expect(all.status).toBe('DEPARTED');
+
+    const resumed = await getTimelineEvents(booking._id.toString(), 1);
+    expect(resumed.events.map(e => e.index)).toEqual([2]);
+    expect(resumed.events[0].entry.pieces).toBe(2);
+    expect((await getTimelineEvents(booking._id.toString(), 2)).events).toEqual([]);
+
+    await expect(getTimelineEvents('BOOK-00000000-000000')).rejects.toThrow('Booking not found');
+  });
+
+  it('should tell watchers when a movement or cancellation adds to the timeline', async () => {
+    let calls = 0;
+    const unwatch = watchBooking(booking._id, () => { calls++; });
+
+    await departBooking(booking._id.toString(), flight._id.toString(), 1);
+    expect(calls).toBe(1);
+    await cancelBooking(booking._id.toString());
+    expect(calls).toBe(2);
+
+    unwatch();
+    await arriveBooking(booking._id.toString(), flight._id.toString(), 1).catch(() => {});
+    expect(calls).toBe(2);
+  });
+});
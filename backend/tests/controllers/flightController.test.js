@@ -0,0 +1,365 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import Airport from '../../models/Airport.js';
+import Booking from '../../models/Booking.js';
+import Flight from '../../models/Flight.js';
+import {
+  listFlights,
+  createFlight,
+  updateFlight,
+  retimeFlight,
+  updateFlightStatus,
+  deleteFlight,
+  departFlight,
+  arriveFlight,
+  backfillFlightCapacity,
+} from '../../controllers/flightController.js';
+import { createBooking, departBooking, cancelBooking } from '../../controllers/bookingController.js';
+import airports from '../../scripts/data/airports.js';
+
+describe('Flight Controller', () => {
+  let flight;
+
+  const flightData = {
+    flightNumber: 'AI101',
+    airlineName: 'Air India',
+    origin: 'DEL',
+    destination: 'BOM',
+    departureDateTime: '2030-01-15T04:30:00Z',
+    arrivalDateTime: '2030-01-15T06:45:00Z',
+    maxWeightKg: 2000,
+    maxVolumeM3: 12,
+  };
+
+  beforeEach(async () => {
+    await Airport.insertMany(airports);
+    flight = await createFlight(flightData);
+  });
+
+  describe('createFlight', () => {
+    it('should create a flight with full remaining capacity', () => {
+      expect(flight.flightNumber).toBe('AI101');
+      expect(flight.remainingWeightKg).toBe(2000);
+      expect(flight.remainingVolumeM3).toBe(12);
+    });
+
+    it('should reject a duplicate flight number at the same departure time', async () => {
+      await expect(createFlight(flightData)).rejects.toThrow('Flight already exists');
+    });
+
+    it('should reject an arrival before departure', async () => {
+      await expect(createFlight({
+        ...flightData,
+        flightNumber: 'AI102',
+        arrivalDateTime: '2030-01-15T03:00:00Z',
+      })).rejects.toThrow('Invalid flight: arrivalDateTime must be after departureDateTime');
+    });
+
+    it('should reject an unknown station', async () => {
+      await expect(createFlight({ ...flightData, flightNumber: 'AI103', destination: 'BMO' }))
+        .rejects.toThrow('Invalid station');
+    });
+  });
+
+  describe('listFlights', () => {
+    it('should filter by route, airline and date range', async () => {
+      await createFlight({ ...flightData, flightNumber: 'AI201', departureDateTime: '2030-01-17T04:30:00Z', arrivalDateTime: '2030-01-17T06:45:00Z' });
+      await createFlight({ ...flightData, flightNumber: '6E301', airlineName: 'IndiGo' });
+
+      const flights = await listFlights({
+        origin: 'del',
+        destination: 'BOM',
+        airlineName: 'Air India',
+        from: '2030-01-15T00:00:00Z',
+        to: '2030-01-16T00:00:00Z',
+      });
+
+      expect(flights.map(f => f.flightNumber)).toEqual(['AI101']);
+    });
+  });
+
+  describe('updateFlight', () => {
+    it('should move remaining capacity with the payload limit', async () => {
+      await Flight.reserveCapacity(flight._id, 500, 2);
+
+      const updated = await updateFlight(flight._id.toString(), { maxWeightKg: 3000 });
+
+      expect(updated.maxWeightKg).toBe(3000);
+      expect(updated.remainingWeightKg).toBe(2500);
+    });
+
+    it('should block lowering the payload limit below the booked load', async () => {
+      await Flight.reserveCapacity(flight._id, 1500, 0);
+
+      await expect(updateFlight(flight._id.toString(), { maxWeightKg: 1000 }))
+        .rejects.toThrow('Cannot update flight capacity');
+    });
+
+    it('should block changing the route while bookings reference the flight', async () => {
+      await createBooking({ origin: 'DEL', destination: 'BOM', pieces: 1, weight_kg: 10, flightIds: [flight._id.toString()] });
+
+      await expect(updateFlight(flight._id.toString(), { destination: 'BLR' }))
+        .rejects.toThrow('Cannot update flight route: 1 booking(s) reference this flight');
+    });
+  });
+
+  describe('retimeFlight', () => {
+    it('should retime a flight with only BOOKED cargo', async () => {
+      await Booking.create({ origin: 'DEL', destination: 'BOM', pieces: 1, weight_kg: 10, flightIds: [flight._id] });
+
+      const { flight: updated } = await retimeFlight(flight._id.toString(), {
+        departureDateTime: '2030-01-15T06:00:00Z',
+        arrivalDateTime: '2030-01-15T08:15:00Z',
+      });
+
+      expect(updated.departureDateTime).toEqual(new Date('2030-01-15T06:00:00Z'));
+    });
+
+    it('should block retiming a flight that has departed', async () => {
+      await Flight.updateOne({ _id: flight._id }, { $set: { status: 'DEPARTED' } });
+
+      await expect(retimeFlight(flight._id.toString(), {
+        departureDateTime: '2030-01-15T06:00:00Z',
+        arrivalDateTime: '2030-01-15T08:15:00Z',
+      })).rejects.toThrow('Cannot retime flight with status: DEPARTED');
+    });
+
+    it('should block retiming a flight whose cargo has departed', async () => {
+      await Booking.create({ origin: 'DEL', destination: 'BOM', pieces: 1, weight_kg: 10, status: 'DEPARTED', flightIds: [flight._id] });
+
+      await expect(retimeFlight(flight._id.toString(), {
+        departureDateTime: '2030-01-15T06:00:00Z',
+        arrivalDateTime: '2030-01-15T08:15:00Z',
+      })).rejects.toThrow('Cannot retime flight');
+    });
+  });
+
+  describe('deleteFlight', () => {
+    it('should delete a flight without bookings', async () => {
+      await deleteFlight(flight._id.toString());
+
+      expect(await Flight.findById(flight._id)).toBeNull();
+    });
+
+    it('should block deleting a flight that bookings reference', async () => {
+      await createBooking({ origin: 'DEL', destination: 'BOM', pieces: 1, weight_kg: 10, flightIds: [flight._id.toString()] });
+
+      await expect(deleteFlight(flight._id.toString()))
+        .rejects.toThrow('Cannot delete flight: 1 booking(s) reference this flight');
+      expect(await Flight.findById(flight._id)).not.toBeNull();
+    });
+
+    it('should not delete a flight whose capacity is reserved while it is being deleted', async () => {
+      await Flight.reserveCapacity(flight._id, 10, 0);
+
+      await expect(deleteFlight(flight._id.toString())).rejects.toThrow('Cannot delete flight');
+      expect(await Flight.findById(flight._id)).not.toBeNull();
+    });
+
+    it('should delete a flight whose bookings are all cancelled', async () => {
+      await Booking.create({ origin: 'DEL', destination: 'BOM', pieces: 1, weight_kg: 10, status: 'CANCELLED', flightIds: [flight._id] });
+
+      await deleteFlight(flight._id.toString());
+
+      expect(await Flight.findById(flight._id)).toBeNull();
+    });
+
+    it('should report a missing flight', async () => {
+      await expect(deleteFlight('not-an-id')).rejects.toThrow('Flight not found');
+    });
+  });
+
+  describe('updateFlightStatus', () => {
+    let onwardFlight;
+    let transitBooking;
+
+    beforeEach(async () => {
+      // 75 minutes to connect at BOM
+      onwardFlight = await Flight.create({
+        flightNumber: 'AI202', airlineName: 'Air India', origin: 'BOM', destination: 'BLR',
+        departureDateTime: new Date('2030-01-15T08:00:00Z'), arrivalDateTime: new Date('2030-01-15T09:45:00Z'),
+      });
+      transitBooking = await createBooking({
+        origin: 'DEL', destination: 'BLR', pieces: 1, weight_kg: 10,
+        flightIds: [flight._id.toString(), onwardFlight._id.toString()],
+      });
+    });
+
+    it('should flag bookings whose connection breaks when the flight is delayed', async () => {
+      const { flight: delayed, atRiskBookings } = await updateFlightStatus(flight._id.toString(), {
+        status: 'DELAYED',
+        estimatedDepartureDateTime: '2030-01-15T05:30:00Z',
+      });
+
+      expect(delayed.status).toBe('DELAYED');
+      expect(delayed.estimatedArrivalDateTime).toEqual(new Date('2030-01-15T07:45:00Z'));
+
+      const reason = 'AI202 leaves BOM 15 min after AI101 lands; the minimum connection time is 60 min';
+      expect(atRiskBookings).toEqual([{ bookingId: transitBooking._id, ref_id: transitBooking.ref_id, reasons: [reason] }]);
+
+      const booking = await Booking.findById(transitBooking._id);
+      expect(booking.at_risk).toBe(true);
+      expect(booking.timeline[booking.timeline.length - 1]).toMatchObject({ event: 'AT_RISK', note: reason });
+    });
+
+    it('should not pair up the parallel legs of a split booking', async () => {
+      // One piece on each of two same-day itineraries: AI101 -> AI202 and AI103 -> AI204
+      const laterFlight = await Flight.create({
+        flightNumber: 'AI103', airlineName: 'Air India', origin: 'DEL', destination: 'BOM',
+        departureDateTime: new Date('2030-01-15T10:00:00Z'), arrivalDateTime: new Date('2030-01-15T12:15:00Z'),
+      });
+      const laterOnwardFlight = await Flight.create({
+        flightNumber: 'AI204', airlineName: 'Air India', origin: 'BOM', destination: 'BLR',
+        departureDateTime: new Date('2030-01-15T14:00:00Z'), arrivalDateTime: new Date('2030-01-15T15:45:00Z'),
+      });
+      const legs = [flight, onwardFlight, laterFlight, laterOnwardFlight];
+      const splitBooking = await createBooking({
+        origin: 'DEL', destination: 'BLR', pieces: 2, weight_kg: 20,
+        flightIds: legs.map(leg => leg._id.toString()),
+        parts: legs.map(leg => ({ flightId: leg._id.toString(), pieces: 1 })),
+      });
+
+      const { atRiskBookings } = await updateFlightStatus(laterFlight._id.toString(), {
+        status: 'DELAYED',
+        estimatedDepartureDateTime: '2030-01-15T10:30:00Z',
+      });
+
+      expect(atRiskBookings).toEqual([]);
+      expect((await Booking.findById(splitBooking._id)).at_risk).toBe(false);
+    });
+
+    it('should clear the risk when the flight is back on schedule', async () => {
+      await updateFlightStatus(flight._id.toString(), { status: 'DELAYED', estimatedDepartureDateTime: '2030-01-15T05:30:00Z' });
+      const { flight: onTime, atRiskBookings } = await updateFlightStatus(flight._id.toString(), { status: 'SCHEDULED' });
+
+      expect(onTime.estimatedDepartureDateTime).toBeUndefined();
+      expect(atRiskBookings).toEqual([]);
+      expect((await Booking.findById(transitBooking._id)).at_risk).toBe(false);
+    });
+
+    it('should flag bookings on a cancelled flight', async () => {
+      const { atRiskBookings } = await updateFlightStatus(flight._id.toString(), { status: 'CANCELLED' });
+
+      expect(atRiskBookings[0].reasons).toEqual(['AI101 is cancelled']);
+      await expect(createBooking({
+        origin: 'DEL', destination: 'BOM', pieces: 1, weight_kg: 10, flightIds: [flight._id.toString()],
+      })).rejects.toThrow('Incompatible flight: AI101 cancelled');
+    });
+
+    it('should flag bookings whose connection breaks when the flight is retimed', async () => {
+      const { atRiskBookings } = await retimeFlight(flight._id.toString(), {
+        departureDateTime: '2030-01-15T05:45:00Z',
+        arrivalDateTime: '2030-01-15T08:00:00Z',
+      });
+
+      expect(atRiskBookings.map(booking => booking.ref_id)).toEqual([transitBooking.ref_id]);
+    });
+
+    it('should reject a delay without an estimate and changes to a landed flight', async () => {
+      await expect(updateFlightStatus(flight._id.toString(), { status: 'DELAYED' }))
+        .rejects.toThrow('Invalid flight: a DELAYED flight needs an estimatedDepartureDateTime');
+
+      await updateFlightStatus(flight._id.toString(), { status: 'LANDED' });
+      await expect(updateFlightStatus(flight._id.toString(), { status: 'DELAYED' }))
+        .rejects.toThrow('Cannot change status of a LANDED flight to DELAYED');
+    });
+  });
+
+  describe('departFlight and arriveFlight', () => {
+    const bookOnFlight = (extra = {}) => createBooking({
+      origin: 'DEL', destination: 'BOM', pieces: 2, weight_kg: 40, flightIds: [flight._id.toString()], ...extra,
+    });
+
+    it('should depart every eligible booking with the flight on the timeline', async () => {
+      const first = await bookOnFlight();
+      const second = await bookOnFlight();
+      const cancelled = await bookOnFlight();
+      await cancelBooking(cancelled.ref_id);
+      const alreadyDeparted = await bookOnFlight();
+      await departBooking(alreadyDeparted.ref_id);
+
+      const report = await departFlight(flight._id.toString());
+
+      expect(report.total).toBe(2);
+      expect(report.succeeded).toBe(2);
+      expect(report.results.map(result => result.ref_id)).toEqual([first.ref_id, second.ref_id]);
+
+      const departed = await Booking.findById(first._id);
+      expect(departed.status).toBe('DEPARTED');
+      expect(departed.timeline[departed.timeline.length - 1].flightId).toEqual(flight._id);
+    });
+
+    it('should report bookings that cannot move and still move the others', async () => {
+      const feeder = await Flight.create({
+        flightNumber: 'AI707', airlineName: 'Air India', origin: 'CCU', destination: 'DEL',
+        departureDateTime: new Date('2030-01-15T00:30:00Z'), arrivalDateTime: new Date('2030-01-15T03:00:00Z'),
+      });
+      const transit = await createBooking({
+        origin: 'CCU', destination: 'BOM', pieces: 1, weight_kg: 10,
+        flightIds: [feeder._id.toString(), flight._id.toString()],
+      });
+      const local = await bookOnFlight();
+
+      const report = await departFlight(flight._id.toString());
+
+      expect(report.succeeded).toBe(1);
+      expect(report.failed).toBe(1);
+      expect(report.results.find(result => result.ref_id === transit.ref_id)).toMatchObject({
+        success: false,
+        status: 'BOOKED',
+        error: 'Cannot depart flight AI101 before its pieces arrive at DEL',
+      });
+      expect(report.results.find(result => result.ref_id === local.ref_id).success).toBe(true);
+    });
+
+    it('should arrive the bookings on board', async () => {
+      const booking = await bookOnFlight();
+      await departFlight(flight._id.toString());
+
+      const report = await arriveFlight(flight._id.toString());
+
+      expect(report.results).toEqual([expect.objectContaining({ ref_id: booking.ref_id, success: true, status: 'ARRIVED' })]);
+    });
+
+    it('should not depart a flight that has landed, and leave its bookings alone', async () => {
+      const booking = await bookOnFlight();
+      await Flight.updateOne({ _id: flight._id }, { $set: { status: 'LANDED' } });
+
+      await expect(departFlight(flight._id.toString())).rejects.toThrow('Cannot depart a LANDED flight');
+      expect((await Booking.findById(booking._id)).status).toBe('BOOKED');
+      expect((await Flight.findById(flight._id)).status).toBe('LANDED');
+    });
+
+    it('should not arrive a cancelled flight', async () => {
+      await Flight.updateOne({ _id: flight._id }, { $set: { status: 'CANCELLED' } });
+
+      await expect(arriveFlight(flight._id.toString())).rejects.toThrow('Cannot arrive a CANCELLED flight');
+      expect((await Flight.findById(flight._id)).status).toBe('CANCELLED');
+    });
+
+    it('should report a missing flight', async () => {
+      await expect(departFlight('not-an-id')).rejects.toThrow('Flight not found');
+    });
+  });
+
+  describe('backfillFlightCapacity', () => {
+    it('should give flights created before capacity tracking their remaining capacity', async () => {
+      const { insertedId } = await Flight.collection.insertOne({
+        flightNumber: 'AI909', airlineName: 'Air India', origin: 'DEL', destination: 'BOM',
+        departureDateTime: new Date('2030-01-16T04:30:00Z'), arrivalDateTime: new Date('2030-01-16T06:45:00Z'),
+        maxWeightKg: 2000, maxVolumeM3: 12,
+      });
+      await Booking.create({ origin: 'DEL', destination: 'BOM', pieces: 2, weight_kg: 300, volume_m3: 2, status: 'BOOKED', flightIds: [insertedId] });
+      await Booking.create({ origin: 'DEL', destination: 'BOM', pieces: 1, weight_kg: 500, status: 'CANCELLED', flightIds: [insertedId] });
+
+      expect(await backfillFlightCapacity()).toBe(1);
+
+      const legacy = await Flight.findById(insertedId).lean();
+      expect(legacy.remainingWeightKg).toBe(1700);
+      expect(legacy.remainingVolumeM3).toBe(10);
+      expect(await backfillFlightCapacity()).toBe(0);
+
+      const booking = await createBooking({ origin: 'DEL', destination: 'BOM', pieces: 1, weight_kg: 100, flightIds: [insertedId.toString()] });
+      expect(booking.status).toBe('BOOKED');
+    });
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import Booking from '../../models/Booking.js';
+import Flight from '../../models/Flight.js';
+import {
+  normalizeContacts,
+  sendBookingNotifications,
+} from '../../controllers/notificationController.js';
+import { getBookingHistory, updateBookingContacts } from '../../controllers/bookingController.js';
+import { renderNotification } from '../../utils/notificationTemplates.js';
+import {
+  setNotificationTransport,
+  createFileTransport,
+  createSmtpTransport,
+} from '../../utils/notificationTransports.js';
+
+describe('Notification Controller', () => {
+  let sent;
+  let flight;
+  let booking;
+
+  beforeEach(async () => {
+    sent = { EMAIL: [], SMS: [] };
+    setNotificationTransport('EMAIL', { send: async (message) => { sent.EMAIL.push(message); return { messageId: 'email-1' }; } });
+    setNotificationTransport('SMS', { send: async (message) => { sent.SMS.push(message); return { messageId: 'sms-1' }; } });
+
+    flight = await Flight.create({
+      flightNumber: 'AI101',
+      airlineName: 'Air India',
+      origin: 'DEL',
+      destination: 'BOM',
+      departureDateTime: new Date('2030-01-15T04:30:00Z'),
+      arrivalDateTime: new Date('2030-01-15T06:45:00Z'),
+    });
+    booking = await Booking.create({
+      origin: 'DEL',
+      destination: 'BOM',
+      pieces: 10,
+      weight_kg: 500,
+      status: 'BOOKED',
+      flightIds: [flight._id],
+      contacts: normalizeContacts([
+        { role: 'shipper', email: 'Ops@Acme.example', phone: '+91 98765 43210' },
+        { role: 'CONSIGNEE', email: 'dock@globex.example', locale: 'fr-FR', events: ['ARRIVED'] },
+      ]),
+      timeline: [{ event: 'BOOKED', timestamp: new Date() }],
+    });
+    await booking.populate('flightIds');
+  });
+
+  it('should default channels, events and locale, and refuse contacts that cannot be reached', () => {
+    const [shipper, consignee] = booking.contacts;
+
+    expect(shipper).toMatchObject({ role: 'SHIPPER', email: 'ops@acme.example', phone: '+919876543210', locale: 'en' });
+    expect(shipper.channels).toEqual(['EMAIL', 'SMS']);
+    expect(shipper.events).toEqual(['DEPARTED', 'ARRIVED', 'CANCELLED']);
+    expect(consignee.locale).toBe('fr');
+    expect(consignee.channels).toEqual(['EMAIL']);
+
+    expect(() => normalizeContacts([{ role: 'AGENT', email: 'a@b.example' }])).toThrow('Invalid contact: role must be one of');
+    expect(() => normalizeContacts([{ role: 'SHIPPER' }])).toThrow('Invalid contact: the shipper contact needs an email or a phone number');
+    expect(() => normalizeContacts([{ role: 'SHIPPER', phone: '98765' }])).toThrow('Invalid contact: phone 98765 must be in international format');
+    expect(() => normalizeContacts([{ role: 'SHIPPER', email: 'a@b.example', channels: ['SMS'] }])).toThrow('Invalid contact: SMS needs a phone number');
+    expect(() => normalizeContacts([{ role: 'SHIPPER', email: 'a@b.example', locale: 'de' }])).toThrow('Invalid contact: unsupported locale de');
+    expect(() => normalizeContacts([{ role: 'SHIPPER', email: 'a@b.example', events: ['LOADED'] }])).toThrow('Invalid contact: unknown event LOADED');
+  });
+
+  it('should send each subscribed contact the milestone on each channel, in their language', async () => {
+    const notifications = await sendBookingNotifications('ARRIVED', booking, { flightId: flight._id, pieces: 4 });
+
+    expect(notifications.map(n => [n.channel, n.to, n.status])).toEqual([
+      ['EMAIL', 'ops@acme.example', 'SENT'],
+      ['SMS', '+919876543210', 'SENT'],
+      ['EMAIL', 'dock@globex.example', 'SENT'],
+    ]);
+    expect(sent.EMAIL[0].subject).toBe(`Booking ${booking.ref_id}: cargo has arrived`);
+    expect(sent.SMS[0].text).toBe(`${booking.ref_id}: 4 pc arrived at BOM on AI101.`);
+    expect(sent.EMAIL[1].subject).toBe(`Réservation ${booking.ref_id} : la marchandise est arrivée`);
+    expect(notifications[0].messageId).toBe('email-1');
+  });
+
+  it('should only notify contacts subscribed to the milestone', async () => {
+    const notifications = await sendBookingNotifications('DEPARTED', booking, { flightId: flight._id });
+
+    expect(notifications.map(n => n.to)).toEqual(['ops@acme.example', '+919876543210']);
+    expect(sent.SMS[0].text).toBe(`${booking.ref_id}: 10 pc departed DEL on AI101 to BOM.`);
+  });
+
+  it('should log messages a transport refuses, and show the log in the booking history', async () => {
+    setNotificationTransport('SMS', { send: async () => { throw new Error('SMS gateway answered 503'); } });
+
+    await sendBookingNotifications('CANCELLED', booking);
+    const history = await getBookingHistory(booking.ref_id);
+
+    expect(history.notifications.map(n => [n.event, n.channel, n.status])).toEqual([
+      ['CANCELLED', 'EMAIL', 'SENT'],
+      ['CANCELLED', 'SMS', 'FAILED'],
+    ]);
+    expect(history.notifications[1].error).toBe('SMS gateway answered 503');
+  });
+
+  it('should never reject, even when the message cannot be worked out', async () => {
+    // A flight without an _id breaks the lookup of the flight the pieces moved on
+    const broken = { ...booking.toObject(), flightIds: [{ flightNumber: 'AI101' }] };
+
+    await expect(sendBookingNotifications('DEPARTED', broken, { flightId: flight._id })).resolves.toEqual([]);
+    expect(sent.EMAIL).toHaveLength(0);
+  });
+
+  it('should replace contacts until the booking is delivered or cancelled', async () => {
+    const updated = await updateBookingContacts(booking._id.toString(), [{ role: 'CONSIGNEE', phone: '+14155550100' }]);
+    expect(updated.contacts).toHaveLength(1);
+    expect(updated.contacts[0].channels).toEqual(['SMS']);
+
+    await Booking.updateOne({ _id: booking._id }, { $set: { status: 'CANCELLED' } });
+    await expect(updateBookingContacts(booking._id.toString(), []))
+      .rejects.toThrow('Cannot change contacts of booking with status: CANCELLED');
+  });
+
+  it('should write messages to a file with the file transport', async () => {
+    const file = path.join(os.tmpdir(), `notifications-${Date.now()}.log`);
+    await createFileTransport(file).send({ to: 'ops@acme.example', subject: 'Hello', text: 'World' });
+
+    const [line] = fs.readFileSync(file, 'utf8').trim().split('\n');
+    expect(JSON.parse(line)).toMatchObject({ to: 'ops@acme.example', subject: 'Hello', text: 'World' });
+    fs.unlinkSync(file);
+  });
+
+  it('should not send SMTP credentials over a connection without TLS', async () => {
+    const received = [];
+    const server = net.createServer((socket) => {
+      socket.write('220 mail.example ESMTP\r\n');
+      socket.on('data', (chunk) => {
+        const line = chunk.toString().trim();
+        received.push(line);
+        socket.write(line.startsWith('EHLO') ? '250-mail.example\r\n250 AUTH PLAIN\r\n' : '221 Bye\r\n');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const transport = createSmtpTransport({
+      host: '127.0.0.1', port: server.address().port, user: 'mailer', pass: 'secret', from: 'cargo@example.com',
+    });
+    await expect(transport.send({ to: 'ops@acme.example', subject: 'Hello', text: 'World' }))
+      .rejects.toThrow('SMTP server does not offer STARTTLS');
+    await new Promise(resolve => server.close(resolve));
+
+    expect(received.some(line => line.startsWith('AUTH'))).toBe(false);
+  });
+
+  it('should fall back to English for locales without templates', () => {
+    expect(renderNotification('CANCELLED', 'de', { ref_id: 'BOOK-1', origin: 'DEL', destination: 'BOM' }).sms)
+      .toBe('BOOK-1 (DEL-BOM) has been cancelled.');
+  });
+});
@@ -0,0 +1,223 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import Booking from '../../models/Booking.js';
+import Flight from '../../models/Flight.js';
+import Quote from '../../models/Quote.js';
+import RateCard from '../../models/RateCard.js';
+import Account from '../../models/Account.js';
+import { createQuote, getQuote, QUOTE_VALIDITY_HOURS } from '../../controllers/quoteController.js';
+import { createBooking } from '../../controllers/bookingController.js';
+
+describe('Quote Controller', () => {
+  const rateCardData = {
+    origin: 'DEL',
+    destination: 'BOM',
+    airlineName: 'Air India',
+    currency: 'INR',
+    minimumCharge: 1500,
+    rates: { N: 100, Q45: 80, Q100: 70, Q300: 60, Q500: 55, Q1000: 50 },
+    surcharges: { fuelPerKg: 10, securityPerKg: 2, specialHandling: 500 },
+  };
+
+  const shipment = {
+    origin: 'DEL',
+    destination: 'BOM',
+    pieces: 2,
+    weight_kg: 120,
+  };
+
+  beforeEach(async () => {
+    await RateCard.create(rateCardData);
+  });
+
+  it('should price a shipment at its weight break with surcharges', async () => {
+    const quote = await createQuote(shipment);
+
+    expect(quote.airline_name).toBe('Air India');
+    expect(quote.price).toMatchObject({
+      currency: 'INR',
+      rate_class: 'Q100',
+      rate_per_kg: 70,
+      charged_weight_kg: 120,
+      freight: 8400,
+      surcharges: { fuel: 1200, security: 240, special_handling: 0 },
+      total: 9840,
+    });
+  });
+
+  it('should charge at the next weight break when that is cheaper', async () => {
+    // 40 kg at N (4000) costs more than 45 kg at Q45 (3600)
+    const quote = await createQuote({ ...shipment, weight_kg: 40 });
+
+    expect(quote.price).toMatchObject({ rate_class: 'Q45', charged_weight_kg: 45, freight: 3600 });
+  });
+
+  it('should apply the minimum charge to small shipments', async () => {
+    const quote = await createQuote({ ...shipment, weight_kg: 5 });
+
+    expect(quote.price).toMatchObject({ rate_class: 'M', freight: 1500 });
+  });
+
+  it('should reject a rate card stored without any weight break rates', async () => {
+    await RateCard.collection.updateOne({ origin: 'DEL', destination: 'BOM' }, { $set: { rates: {} } });
+
+    await expect(createQuote(shipment))
+      .rejects.toThrow('Rate card has no weight break rates: Air India DEL-BOM');
+  });
+
+  it('should price on chargeable weight for bulky shipments', async () => {
+    // 1.2 m³ = 200 kg volumetric
+    const quote = await createQuote({ ...shipment, volume_m3: 1.2 });
+
+    expect(quote.chargeable_weight_kg).toBe(200);
+    expect(quote.price).toMatchObject({ rate_class: 'Q100', freight: 14000 });
+  });
+
+  it('should add the special handling surcharge when handling codes are given', async () => {
+    const quote = await createQuote({ ...shipment, special_handling: ['PER'] });
+
+    expect(quote.price.surcharges.special_handling).toBe(500);
+    expect(quote.price.total).toBe(10340);
+  });
+
+  it('should quote the cheapest airline on the lane', async () => {
+    await RateCard.create({ ...rateCardData, airlineName: 'IndiGo', rates: { N: 90, Q100: 65 } });
+
+    const quote = await createQuote(shipment);
+
+    expect(quote.airline_name).toBe('IndiGo');
+  });
+
+  it('should use the airline of the first flight', async () => {
+    await RateCard.create({ ...rateCardData, airlineName: 'IndiGo', rates: { N: 90, Q100: 65 } });
+    const flight = await Flight.create({
+      flightNumber: 'AI101',
+      airlineName: 'Air India',
+      origin: 'DEL',
+      destination: 'BOM',
+      departureDateTime: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      arrivalDateTime: new Date(Date.now() + 26 * 60 * 60 * 1000),
+    });
+
+    const quote = await createQuote({ ...shipment, flightIds: [flight._id.toString()] });
+
+    expect(quote.airline_name).toBe('Air India');
+  });
+
+  it('should fail when no rate card covers the lane', async () => {
+    await expect(createQuote({ ...shipment, destination: 'BLR' })).rejects.toThrow('No rate card found for DEL-BLR');
+  });
+
+  it('should ignore rate cards outside their validity window', async () => {
+    await RateCard.deleteMany({});
+    await RateCard.create({ ...rateCardData, validTo: new Date('2020-01-01') });
+
+    await expect(createQuote(shipment)).rejects.toThrow('No rate card found');
+  });
+
+  it('should set the validity window and cap it at the end of the rate card', async () => {
+    const now = new Date('2030-01-01T00:00:00Z');
+    const quote = await createQuote(shipment, { now });
+    expect(quote.valid_until).toEqual(new Date(now.getTime() + QUOTE_VALIDITY_HOURS * 60 * 60 * 1000));
+
+    await RateCard.updateMany({}, { $set: { validTo: new Date('2030-01-01T06:00:00Z') } });
+    const capped = await createQuote(shipment, { now });
+    expect(capped.valid_until).toEqual(new Date('2030-01-01T06:00:00Z'));
+  });
+
+  describe('Booking from a quote', () => {
+    it('should lock in the quoted price', async () => {
+      const quote = await createQuote(shipment);
+      await RateCard.updateMany({}, { $set: { 'rates.Q100': 90 } });
+
+      const booking = await createBooking({ quote_id: quote._id.toString() });
+
+      expect(booking.weight_kg).toBe(120);
+      expect(booking.quote_id).toEqual(quote._id);
+      expect(booking.price.total).toBe(9840);
+
+      const used = await Quote.findById(quote._id);
+      expect(used.status).toBe('BOOKED');
+      expect(used.booking_id).toEqual(booking._id);
+    });
+
+    it('should accept the quote ref_id', async () => {
+      const quote = await createQuote(shipment);
+
+      const booking = await createBooking({ ...shipment, quote_id: quote.ref_id });
+
+      expect(booking.price.total).toBe(9840);
+    });
+
+    it('should only show and book a customer\'s quote for that customer', async () => {
+      const acme = await Account.create({ code: 'ACME', name: 'Acme Forwarding' });
+      const globex = await Account.create({ code: 'GLOBEX', name: 'Globex Logistics' });
+      const quote = await createQuote({ ...shipment, account_id: acme._id });
+
+      expect((await getQuote(quote.ref_id, { accountId: acme._id })).account_id).toEqual(acme._id);
+      await expect(getQuote(quote.ref_id, { accountId: globex._id })).rejects.toThrow('Quote not found');
+      await expect(createBooking({ quote_id: quote._id.toString(), account_id: globex._id }))
+        .rejects.toThrow('Quote not found');
+      expect((await Quote.findById(quote._id)).status).toBe('OPEN');
+
+      const booking = await createBooking({ quote_id: quote._id.toString(), account_id: acme._id });
+      expect(booking.quote_id).toEqual(quote._id);
+    });
+
+    it('should reject an expired quote', async () => {
+      const quote = await createQuote(shipment, { now: new Date('2020-01-01T00:00:00Z') });
+
+      await expect(createBooking({ quote_id: quote._id.toString() })).rejects.toThrow('Quote expired');
+      expect(await Booking.countDocuments()).toBe(0);
+    });
+
+    it('should book a quote only once', async () => {
+      const quote = await createQuote(shipment);
+
+      const results = await Promise.allSettled([
+        createBooking({ quote_id: quote._id.toString() }),
+        createBooking({ quote_id: quote._id.toString() }),
+      ]);
+
+      expect(results.filter(r => r.status === 'fulfilled').length).toBe(1);
+      expect(results.find(r => r.status === 'rejected').reason.message).toMatch('Quote already used');
+    });
+
+    it('should reject booking details that differ from the quote', async () => {
+      const quote = await createQuote(shipment);
+
+      await expect(createBooking({ ...shipment, weight_kg: 300, quote_id: quote._id.toString() }))
+        .rejects.toThrow('Quote does not match booking: weight_kg (quoted 120, requested 300)');
+
+      const unused = await Quote.findById(quote._id);
+      expect(unused.status).toBe('OPEN');
+    });
+
+    it('should keep the quoted special handling codes', async () => {
+      const quote = await createQuote({ ...shipment, special_handling: ['PER'] });
+
+      await expect(createBooking({ special_handling: ['PER', 'AVI'], quote_id: quote._id.toString() }))
+        .rejects.toThrow('Quote does not match booking: special_handling (quoted PER, requested AVI,PER)');
+
+      const booking = await createBooking({ quote_id: quote._id.toString() });
+      expect(booking.special_handling).toEqual(['PER']);
+    });
+
+    it('should release the quote when the flight is full', async () => {
+      const flight = await Flight.create({
+        flightNumber: 'AI101',
+        airlineName: 'Air India',
+        origin: 'DEL',
+        destination: 'BOM',
+        departureDateTime: new Date(Date.now() + 24 * 60 * 60 * 1000),
+        arrivalDateTime: new Date(Date.now() + 26 * 60 * 60 * 1000),
+        maxWeightKg: 100,
+      });
+      const quote = await createQuote({ ...shipment, flightIds: [flight._id.toString()] });
+
+      await expect(createBooking({ quote_id: quote._id.toString() })).rejects.toThrow('Insufficient capacity');
+
+      const unused = await Quote.findById(quote._id);
+      expect(unused.status).toBe('OPEN');
+    });
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import Airport from '../../models/Airport.js';
+import Booking from '../../models/Booking.js';
+import Flight from '../../models/Flight.js';
+import OpsQueueItem from '../../models/OpsQueueItem.js';
+import {
+  reprotectFlight,
+  listOpsQueue,
+  resolveOpsQueueItem,
+} from '../../controllers/reprotectionController.js';
+import { createBooking, rebookBooking } from '../../controllers/bookingController.js';
+import { updateFlightStatus } from '../../controllers/flightController.js';
+import airports from '../../scripts/data/airports.js';
+
+describe('Re-protection Controller', () => {
+  let cancelledFlight;
+  let laterFlight;
+  let booking;
+
+  const createFlight = (flightNumber, origin, destination, departure, arrival) => Flight.create({
+    flightNumber, airlineName: 'Air India', origin, destination,
+    departureDateTime: new Date(departure), arrivalDateTime: new Date(arrival),
+    maxWeightKg: 1000, maxVolumeM3: 10,
+  });
+
+  beforeEach(async () => {
+    await Airport.insertMany(airports);
+
+    cancelledFlight = await createFlight('AI101', 'DEL', 'BOM', '2030-01-15T04:30:00Z', '2030-01-15T06:45:00Z');
+    laterFlight = await createFlight('AI111', 'DEL', 'BOM', '2030-01-15T10:00:00Z', '2030-01-15T12:15:00Z');
+    await createFlight('AI121', 'DEL', 'BOM', '2030-01-15T14:00:00Z', '2030-01-15T16:15:00Z');
+
+    booking = await createBooking({
+      origin: 'DEL', destination: 'BOM', pieces: 2, weight_kg: 40, flightIds: [cancelledFlight._id.toString()],
+    });
+
+    // Cancel without the automatic re-protection of updateFlightStatus
+    await Flight.updateOne({ _id: cancelledFlight._id }, { $set: { status: 'CANCELLED' } });
+  });
+
+  it('should preview the earliest alternative without moving anything', async () => {
+    const report = await reprotectFlight(cancelledFlight._id.toString());
+
+    expect(report.dryRun).toBe(true);
+    expect(report.rebooked).toEqual([expect.objectContaining({
+      ref_id: booking.ref_id,
+      pieces: 2,
+      flightNumbers: ['AI111'],
+    })]);
+
+    const unchanged = await Booking.findById(booking._id);
+    expect(unchanged.flightIds).toEqual([cancelledFlight._id]);
+    expect((await Flight.findById(laterFlight._id)).remainingWeightKg).toBe(1000);
+  });
+
+  it('should rebook onto the alternative and move the capacity', async () => {
+    const report = await reprotectFlight(cancelledFlight._id.toString(), { dryRun: false });
+
+    expect(report.rebooked).toHaveLength(1);
+
+    const rebooked = await Booking.findById(booking._id);
+    expect(rebooked.flightIds).toEqual([laterFlight._id]);
+    expect(rebooked.parts.map(part => part.flightId)).toEqual([laterFlight._id]);
+    expect(rebooked.timeline[rebooked.timeline.length - 1]).toMatchObject({
+      event: 'REBOOKED',
+      note: 'AI101 cancelled; 2 piece(s) rebooked on AI111',
+    });
+
+    expect((await Flight.findById(cancelledFlight._id)).remainingWeightKg).toBe(1000);
+    expect((await Flight.findById(laterFlight._id)).remainingWeightKg).toBe(960);
+  });
+
+  it('should keep the parallel leg of a split shipment when rebooking', async () => {
+    const alternative = await createFlight('AI141', 'DEL', 'BOM', '2030-01-15T18:00:00Z', '2030-01-15T20:15:00Z');
+    const split = await createBooking({
+      origin: 'DEL', destination: 'BOM', pieces: 40, weight_kg: 400,
+      flightIds: [cancelledFlight._id.toString(), laterFlight._id.toString()],
+      parts: [
+        { flightId: cancelledFlight._id.toString(), pieces: 25 },
+        { flightId: laterFlight._id.toString(), pieces: 15 },
+      ],
+    });
+
+    const rebooked = await rebookBooking(split.ref_id, cancelledFlight._id.toString(), [alternative._id.toString()]);
+
+    expect(rebooked.parts.map(part => [part.flightId.toString(), part.pieces])).toEqual([
+      [laterFlight._id.toString(), 15],
+      [alternative._id.toString(), 25],
+    ]);
+    expect(rebooked.flightIds.map(flight => flight._id)).toEqual([laterFlight._id, alternative._id]);
+    expect((await Flight.findById(laterFlight._id)).remainingWeightKg).toBe(850);
+    expect((await Flight.findById(alternative._id)).remainingWeightKg).toBe(750);
+  });
+
+  it('should queue bookings it cannot place for ops, once', async () => {
+    const feeder = await createFlight('AI131', 'DEL', 'CCU', '2030-01-15T05:00:00Z', '2030-01-15T07:00:00Z');
+    await Flight.updateOne({ _id: feeder._id }, { $set: { status: 'CANCELLED' } });
+    const stranded = await createBooking({
+      origin: 'DEL', destination: 'CCU', pieces: 1, weight_kg: 10, flightIds: [feeder._id.toString()],
+    });
+
+    const report = await reprotectFlight(feeder._id.toString(), { dryRun: false });
+    await reprotectFlight(feeder._id.toString(), { dryRun: false });
+
+    expect(report.unplaced).toEqual([expect.objectContaining({
+      ref_id: stranded.ref_id,
+      reason: 'No route with capacity from DEL to CCU',
+    })]);
+
+    const queue = await listOpsQueue({ status: 'OPEN' });
+    expect(queue).toHaveLength(1);
+    expect(queue[0]).toMatchObject({ bookingRef: stranded.ref_id, flightNumber: 'AI131' });
+
+    const resolved = await resolveOpsQueueItem(queue[0]._id.toString(), 'Moved to road feeder service');
+    expect(resolved.status).toBe('RESOLVED');
+    await expect(resolveOpsQueueItem(queue[0]._id.toString()))
+      .rejects.toThrow('Ops queue item already resolved');
+  });
+
+  it('should not re-protect onto a flight the booking already holds', async () => {
+    const cancelledLeg = await createFlight('AI151', 'DEL', 'CCU', '2030-01-15T05:00:00Z', '2030-01-15T07:00:00Z');
+    const parallelLeg = await createFlight('AI161', 'DEL', 'CCU', '2030-01-15T09:00:00Z', '2030-01-15T11:00:00Z');
+    const split = await createBooking({
+      origin: 'DEL', destination: 'CCU', pieces: 4, weight_kg: 40,
+      flightIds: [cancelledLeg._id.toString(), parallelLeg._id.toString()],
+      parts: [
+        { flightId: cancelledLeg._id.toString(), pieces: 3 },
+        { flightId: parallelLeg._id.toString(), pieces: 1 },
+      ],
+    });
+    await Flight.updateOne({ _id: cancelledLeg._id }, { $set: { status: 'CANCELLED' } });
+
+    const report = await reprotectFlight(cancelledLeg._id.toString());
+
+    expect(report.rebooked).toEqual([]);
+    expect(report.unplaced).toEqual([expect.objectContaining({
+      ref_id: split.ref_id,
+      reason: 'No route with capacity from DEL to CCU',
+    })]);
+  });
+
+  it('should only re-protect cancelled flights', async () => {
+    await expect(reprotectFlight(laterFlight._id.toString()))
+      .rejects.toThrow('Cannot re-protect flight AI111: it is not cancelled');
+    await expect(reprotectFlight('not-an-id')).rejects.toThrow('Flight not found');
+  });
+
+  it('should re-protect automatically when a flight is cancelled', async () => {
+    const other = await createBooking({
+      origin: 'DEL', destination: 'BOM', pieces: 1, weight_kg: 10, flightIds: [laterFlight._id.toString()],
+    });
+
+    const { reprotection } = await updateFlightStatus(laterFlight._id.toString(), { status: 'CANCELLED' });
+
+    expect(reprotection.dryRun).toBe(false);
+    expect(reprotection.rebooked.map(move => [move.ref_id, move.flightNumbers])).toEqual([[other.ref_id, ['AI121']]]);
+    expect(await OpsQueueItem.countDocuments()).toBe(0);
+  });
+});
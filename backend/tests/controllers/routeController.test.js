@@ -1,7 +1,9 @@
-import { describe, it, expect, beforeAll } from '@jest/globals';
+import { describe, it, expect, beforeAll, beforeEach } from '@jest/globals';
 import mongoose from 'mongoose';
 import Flight from '../../models/Flight.js';
-import { getRoutes } from '../../controllers/routeController.js';
+import ConnectionTime from '../../models/ConnectionTime.js';
+import Airport from '../../models/Airport.js';
+import { getRoutes, DEFAULT_MIN_CONNECTION_MINUTES } from '../../controllers/routeController.js';
 
 describe('Route Controller - Get Routes', () => {
   let testFlights = [];
@@ -242,5 +244,208 @@ describe('Route Controller - Get Routes', () => {
       }
     }
   });
-});
 
+  it('should exclude flights without enough remaining capacity for the shipment', async () => {
+    const today = new Date();
+    const dateStr = today.toISOString().split('T')[0];
+
+    const departure = new Date();
+    departure.setHours(18, 0, 0, 0);
+    const arrival = new Date(departure);
+    arrival.setHours(20, 0, 0, 0);
+
+    await Flight.create({
+      flightNumber: 'FR901',
+      airlineName: 'Freighter Air',
+      origin: 'DEL',
+      destination: 'BOM',
+      departureDateTime: departure,
+      arrivalDateTime: arrival,
+      maxWeightKg: 50000,
+      maxVolumeM3: 300,
+    });
+
+    const result = await getRoutes('DEL', 'BOM', dateStr, { weightKg: 20000 });
+
+    expect(result.direct.length).toBe(1);
+    expect(result.direct[0].flight.flightNumber).toBe('FR901');
+    expect(result.direct[0].flight.remainingWeightKg).toBe(50000);
+  });
+
+  it('should build multi-stop itineraries up to max_stops', async () => {
+    const today = new Date();
+    const dateStr = today.toISOString().split('T')[0];
+
+    const legTimes = (departureHour, arrivalHour) => {
+      const departure = new Date();
+      departure.setHours(departureHour, 0, 0, 0);
+      const arrival = new Date();
+      arrival.setHours(arrivalHour, 0, 0, 0);
+      return { departureDateTime: departure, arrivalDateTime: arrival };
+    };
+
+    await Flight.create([
+      { flightNumber: 'MS101', airlineName: 'IndiGo', origin: 'COK', destination: 'BLR', ...legTimes(6, 7) },
+      { flightNumber: 'MS102', airlineName: 'IndiGo', origin: 'BLR', destination: 'HYD', ...legTimes(9, 10) },
+      { flightNumber: 'MS103', airlineName: 'IndiGo', origin: 'HYD', destination: 'DEL', ...legTimes(13, 15) },
+    ]);
+
+    const oneStop = await getRoutes('COK', 'DEL', dateStr, {}, { maxStops: 1 });
+    expect(oneStop.transit).toEqual([]);
+
+    const twoStops = await getRoutes('COK', 'DEL', dateStr, {}, { maxStops: 2 });
+    expect(twoStops.transit.length).toBe(1);
+
+    const itinerary = twoStops.transit[0];
+    expect(itinerary.stops).toBe(2);
+    expect(itinerary.legs.map(leg => leg.flightNumber)).toEqual(['MS101', 'MS102', 'MS103']);
+    expect(itinerary.transitCities).toEqual(['BLR', 'HYD']);
+    expect(itinerary.layovers).toEqual([120, 180]);
+    expect(itinerary.layoverDuration).toBe(300);
+    expect(itinerary.totalDuration).toBe(540);
+  });
+
+  it('should return no transit routes when max_stops is 0', async () => {
+    const today = new Date();
+    const dateStr = today.toISOString().split('T')[0];
+
+    const result = await getRoutes('DEL', 'BLR', dateStr, {}, { maxStops: 0 });
+
+    expect(result.transit).toEqual([]);
+  });
+
+  describe('Minimum connection time', () => {
+    const dateStr = new Date().toISOString().split('T')[0];
+
+    const createConnection = async (layoverMinutes, inboundAirline = 'Air India', outboundAirline = 'Air India') => {
+      const firstDeparture = new Date();
+      firstDeparture.setHours(8, 0, 0, 0);
+      const firstArrival = new Date(firstDeparture);
+      firstArrival.setHours(10, 0, 0, 0);
+      const secondDeparture = new Date(firstArrival.getTime() + layoverMinutes * 60 * 1000);
+      const secondArrival = new Date(secondDeparture.getTime() + 90 * 60 * 1000);
+
+      await Flight.create([
+        {
+          flightNumber: 'MC101',
+          airlineName: inboundAirline,
+          origin: 'PNQ',
+          destination: 'HYD',
+          departureDateTime: firstDeparture,
+          arrivalDateTime: firstArrival,
+        },
+        {
+          flightNumber: 'MC102',
+          airlineName: outboundAirline,
+          origin: 'HYD',
+          destination: 'CCU',
+          departureDateTime: secondDeparture,
+          arrivalDateTime: secondArrival,
+        },
+      ]);
+    };
+
+    it('should drop connections shorter than the airport minimum connection time', async () => {
+      await ConnectionTime.create({ airport: 'HYD', minConnectionMinutes: 90 });
+      await createConnection(45);
+
+      const result = await getRoutes('PNQ', 'CCU', dateStr);
+
+      expect(result.transit).toEqual([]);
+    });
+
+    it('should flag tight connections when asked to include them', async () => {
+      await ConnectionTime.create({ airport: 'HYD', minConnectionMinutes: 90 });
+      await createConnection(45);
+
+      const result = await getRoutes('PNQ', 'CCU', dateStr, {}, { includeTight: true });
+
+      expect(result.transit.length).toBe(1);
+      expect(result.transit[0].tight).toBe(true);
+      expect(result.transit[0].connections[0]).toEqual({
+        airport: 'HYD',
+        layoverDuration: 45,
+        minConnectionTime: 90,
+        tight: true,
+      });
+    });
+
+    it('should apply an airline pair override before the airport default', async () => {
+      await ConnectionTime.create([
+        { airport: 'HYD', minConnectionMinutes: 90 },
+        { airport: 'HYD', minConnectionMinutes: 30, inboundAirline: 'Air India', outboundAirline: 'Air India' },
+      ]);
+      await createConnection(45);
+
+      const result = await getRoutes('PNQ', 'CCU', dateStr);
+
+      expect(result.transit.length).toBe(1);
+      expect(result.transit[0].tight).toBe(false);
+      expect(result.transit[0].connections[0].minConnectionTime).toBe(30);
+    });
+
+    it('should fall back to the default minimum connection time without a rule', async () => {
+      await createConnection(DEFAULT_MIN_CONNECTION_MINUTES - 1);
+
+      const result = await getRoutes('PNQ', 'CCU', dateStr);
+
+      expect(result.transit).toEqual([]);
+    });
+  });
+
+  describe('Airport time zones', () => {
+    beforeEach(async () => {
+      await Airport.create([
+        { iataCode: 'DEL', name: 'Indira Gandhi International Airport', city: 'Delhi', country: 'India', timeZone: 'Asia/Kolkata' },
+        { iataCode: 'DXB', name: 'Dubai International Airport', city: 'Dubai', country: 'United Arab Emirates', timeZone: 'Asia/Dubai' },
+      ]);
+    });
+
+    it('should interpret departure_date as the origin airport local day', async () => {
+      await Flight.create([
+        {
+          // 00:30 IST on 15 Jan, still 14 Jan in UTC
+          flightNumber: 'TZ101',
+          airlineName: 'Air India',
+          origin: 'DEL',
+          destination: 'DXB',
+          departureDateTime: new Date('2030-01-14T19:00:00Z'),
+          arrivalDateTime: new Date('2030-01-14T23:00:00Z'),
+        },
+        {
+          // 00:30 IST on 16 Jan, still 15 Jan in UTC
+          flightNumber: 'TZ102',
+          airlineName: 'Air India',
+          origin: 'DEL',
+          destination: 'DXB',
+          departureDateTime: new Date('2030-01-15T19:00:00Z'),
+          arrivalDateTime: new Date('2030-01-15T23:00:00Z'),
+        },
+      ]);
+
+      const result = await getRoutes('DEL', 'DXB', '2030-01-15');
+
+      expect(result.direct.map(route => route.flight.flightNumber)).toEqual(['TZ101']);
+    });
+
+    it('should return local departure and arrival times next to UTC instants', async () => {
+      await Flight.create({
+        flightNumber: 'TZ201',
+        airlineName: 'Air India',
+        origin: 'DEL',
+        destination: 'DXB',
+        departureDateTime: new Date('2030-01-15T04:30:00Z'),
+        arrivalDateTime: new Date('2030-01-15T08:00:00Z'),
+      });
+
+      const result = await getRoutes('DEL', 'DXB', '2030-01-15');
+      const flight = result.direct[0].flight;
+
+      expect(flight.departureDateTime).toEqual(new Date('2030-01-15T04:30:00Z'));
+      expect(flight.departureLocalTime).toBe('2030-01-15T10:00:00+05:30');
+      expect(flight.arrivalLocalTime).toBe('2030-01-15T12:00:00+04:00');
+      expect(flight.originTimeZone).toBe('Asia/Kolkata');
+      expect(flight.destinationTimeZone).toBe('Asia/Dubai');
+    });
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import Airport from '../../models/Airport.js';
+import Booking from '../../models/Booking.js';
+import Flight from '../../models/Flight.js';
+import {
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  syncSchedule,
+} from '../../controllers/scheduleController.js';
+import airports from '../../scripts/data/airports.js';
+
+describe('Schedule Controller', () => {
+  // 2030-01-05 is a Saturday; all times below are IST (UTC+05:30)
+  const now = new Date('2030-01-05T00:00:00Z');
+  const options = { horizonDays: 14, now };
+
+  const scheduleData = {
+    flightNumber: 'AI101',
+    airlineName: 'Air India',
+    origin: 'DEL',
+    destination: 'BOM',
+    departureTime: '10:00',
+    arrivalTime: '12:30',
+    daysOfWeek: [1, 3, 5], // Mon/Wed/Fri
+    validFrom: '2030-01-01',
+    validTo: '2030-03-31',
+    maxWeightKg: 3000,
+  };
+
+  beforeEach(async () => {
+    await Airport.insertMany(airports);
+  });
+
+  it('should generate dated flights on the operating weekdays within the horizon', async () => {
+    const { schedule, sync } = await createSchedule(scheduleData, options);
+
+    expect(sync.created).toBe(6);
+    const flights = await Flight.find({ scheduleId: schedule._id }).sort({ departureDateTime: 1 });
+    expect(flights.map(f => f.operatingDate)).toEqual([
+      '2030-01-07', '2030-01-09', '2030-01-11', '2030-01-14', '2030-01-16', '2030-01-18',
+    ]);
+    expect(flights[0].departureDateTime).toEqual(new Date('2030-01-07T04:30:00Z'));
+    expect(flights[0].arrivalDateTime).toEqual(new Date('2030-01-07T07:00:00Z'));
+    expect(flights[0].remainingWeightKg).toBe(3000);
+  });
+
+  it('should not generate flights outside the validity period', async () => {
+    const { sync } = await createSchedule({ ...scheduleData, validTo: '2030-01-10' }, options);
+
+    expect(sync.created).toBe(2);
+  });
+
+  it('should be idempotent when nothing changed', async () => {
+    const { schedule } = await createSchedule(scheduleData, options);
+
+    const sync = await syncSchedule(schedule._id, options);
+
+    expect(sync).toMatchObject({ created: 0, updated: 0, deleted: 0, unchanged: 6 });
+  });
+
+  it('should retime unbooked flights and report booked ones', async () => {
+    const { schedule } = await createSchedule(scheduleData, options);
+    const bookedFlight = await Flight.findOne({ scheduleId: schedule._id, operatingDate: '2030-01-09' });
+    const booking = await Booking.create({
+      origin: 'DEL',
+      destination: 'BOM',
+      pieces: 2,
+      weight_kg: 100,
+      flightIds: [bookedFlight._id],
+    });
+
+    const { sync } = await updateSchedule(schedule._id, { departureTime: '11:00', arrivalTime: '13:30' }, options);
+
+    expect(sync.updated).toBe(5);
+    expect(sync.affected).toEqual([
+      expect.objectContaining({
+        operatingDate: '2030-01-09',
+        change: 'modified',
+        bookings: [{ ref_id: booking.ref_id, status: 'BOOKED' }],
+      }),
+    ]);
+
+    const untouched = await Flight.findById(bookedFlight._id);
+    expect(untouched.departureDateTime).toEqual(new Date('2030-01-09T04:30:00Z'));
+    const retimed = await Flight.findOne({ scheduleId: schedule._id, operatingDate: '2030-01-11' });
+    expect(retimed.departureDateTime).toEqual(new Date('2030-01-11T05:30:00Z'));
+  });
+
+  it('should remove unbooked flights for dropped weekdays', async () => {
+    const { schedule } = await createSchedule(scheduleData, options);
+
+    const { sync } = await updateSchedule(schedule._id, { daysOfWeek: [1] }, options);
+
+    expect(sync.deleted).toBe(4);
+    expect(await Flight.countDocuments({ scheduleId: schedule._id })).toBe(2);
+  });
+
+  it('should keep booked flights when a schedule is withdrawn', async () => {
+    const { schedule } = await createSchedule(scheduleData, options);
+    const bookedFlight = await Flight.findOne({ scheduleId: schedule._id, operatingDate: '2030-01-07' });
+    await Booking.create({ origin: 'DEL', destination: 'BOM', pieces: 1, weight_kg: 50, flightIds: [bookedFlight._id] });
+
+    const { schedule: withdrawn } = await deleteSchedule(schedule._id);
+    const sync = await syncSchedule(schedule._id, options);
+
+    expect(withdrawn.active).toBe(false);
+    expect(sync.affected.map(a => a.change)).toEqual(['removed']);
+    const remaining = await Flight.find({ scheduleId: schedule._id });
+    expect(remaining.map(f => f.operatingDate)).toEqual(['2030-01-07']);
+  });
+
+  it('should not retime a flight whose capacity was reserved after the bookings were read', async () => {
+    const { schedule } = await createSchedule(scheduleData, options);
+    const reservedFlight = await Flight.findOne({ scheduleId: schedule._id, operatingDate: '2030-01-09' });
+    await Flight.reserveCapacity(reservedFlight._id, 100, 0);
+
+    const { sync } = await updateSchedule(schedule._id, { departureTime: '11:00', arrivalTime: '13:30' }, options);
+
+    expect(sync.updated).toBe(5);
+    expect(sync.affected).toEqual([
+      expect.objectContaining({ operatingDate: '2030-01-09', change: 'modified', bookings: [] }),
+    ]);
+    const untouched = await Flight.findById(reservedFlight._id);
+    expect(untouched.departureDateTime).toEqual(new Date('2030-01-09T04:30:00Z'));
+    expect(untouched.remainingWeightKg).toBe(2900);
+  });
+
+  it('should ignore cancelled bookings when syncing', async () => {
+    const { schedule } = await createSchedule(scheduleData, options);
+    const flight = await Flight.findOne({ scheduleId: schedule._id, operatingDate: '2030-01-07' });
+    await Booking.create({ origin: 'DEL', destination: 'BOM', pieces: 1, weight_kg: 50, status: 'CANCELLED', flightIds: [flight._id] });
+
+    const { sync } = await updateSchedule(schedule._id, { daysOfWeek: [3, 5] }, options);
+
+    expect(sync.deleted).toBe(2);
+    expect(sync.affected).toEqual([]);
+    expect(await Flight.findById(flight._id)).toBeNull();
+  });
+
+  it('should reject an unknown station', async () => {
+    await expect(createSchedule({ ...scheduleData, origin: 'DLE' }, options)).rejects.toThrow('Invalid station');
+  });
+});
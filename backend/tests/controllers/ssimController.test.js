@@ -0,0 +1,191 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Airport from '../../models/Airport.js';
+import Booking from '../../models/Booking.js';
+import Flight from '../../models/Flight.js';
+import { parseSsim, expandLeg } from '../../utils/ssimParser.js';
+import { importSsim } from '../../controllers/ssimController.js';
+import airports from '../../scripts/data/airports.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'ssim');
+const readFixture = (name) => fs.readFileSync(path.join(fixturesDir, name), 'utf8');
+
+describe('SSIM Parser', () => {
+  it('should parse flight leg records and skip the other record types', () => {
+    const { legs, rejected, recordCount } = parseSsim(readFixture('valid.ssim'));
+
+    expect(recordCount).toBe(11);
+    expect(rejected).toEqual([]);
+    expect(legs.map(leg => leg.flightNumber)).toEqual(['AI101', '6E2301', 'SG455']);
+    expect(legs[0]).toMatchObject({
+      line: 7,
+      airlineDesignator: 'AI',
+      origin: 'DEL',
+      destination: 'BOM',
+      periodFrom: '2030-01-06',
+      periodTo: '2030-01-31',
+      daysOfWeek: [1, 3, 5],
+      departureTime: '10:00',
+      arrivalTime: '12:30',
+      departureUtcOffset: 330,
+      aircraftType: '32Q',
+    });
+  });
+
+  it('should treat 00XXX00 as an open-ended period', () => {
+    const { legs } = parseSsim(readFixture('valid.ssim'));
+
+    expect(legs[2].periodTo).toBeNull();
+    expect(() => expandLeg(legs[2])).toThrow('window end date is required');
+    expect(expandLeg(legs[2], { to: '2030-01-08' })).toHaveLength(3);
+  });
+
+  it('should expand legs into dated flights in UTC', () => {
+    const { legs } = parseSsim(readFixture('valid.ssim'));
+
+    const flights = expandLeg(legs[0], { to: '2030-01-12' });
+
+    // 2030-01-06 is a Sunday, so the first Mon/Wed/Fri is the 7th
+    expect(flights.map(f => f.operatingDate)).toEqual(['2030-01-07', '2030-01-09', '2030-01-11']);
+    expect(flights[0].departureDateTime).toEqual(new Date('2030-01-07T04:30:00Z'));
+    expect(flights[0].arrivalDateTime).toEqual(new Date('2030-01-07T07:00:00Z'));
+  });
+
+  it('should apply the arrival date variation to overnight legs', () => {
+    const { legs } = parseSsim(readFixture('valid.ssim'));
+
+    const [flight] = expandLeg(legs[1]);
+
+    expect(flight.operatingDate).toBe('2030-01-13');
+    expect(flight.departureDateTime).toEqual(new Date('2030-01-13T18:00:00Z'));
+    expect(flight.arrivalDateTime).toEqual(new Date('2030-01-13T20:15:00Z'));
+  });
+
+  it('should report malformed flight leg records with their line numbers', () => {
+    const { legs, rejected } = parseSsim(readFixture('rejected.ssim'));
+
+    expect(legs.map(leg => leg.line)).toEqual([3, 9, 10, 11]);
+    expect(rejected.map(({ line, reason }) => ({ line, reason }))).toEqual([
+      { line: 4, reason: 'Invalid period of operation start: "31FEB30"' },
+      { line: 5, reason: 'Invalid days of operation: "2      "' },
+      { line: 6, reason: 'Invalid departure station: "D1L"' },
+      { line: 7, reason: 'Invalid aircraft STD: "2460"' },
+      { line: 8, reason: 'Record too short: expected 200 bytes, got 8' },
+    ]);
+  });
+});
+
+describe('SSIM Import', () => {
+  // 2030-01-05 is a Saturday; the fixtures use IST (UTC+05:30)
+  const now = new Date('2030-01-05T00:00:00Z');
+  const options = { now, horizonDays: 14 };
+
+  beforeEach(async () => {
+    await Airport.insertMany(airports);
+  });
+
+  it('should preview new flights without writing them', async () => {
+    const report = await importSsim(readFixture('valid.ssim'), options);
+
+    expect(report.dryRun).toBe(true);
+    // AI101: 11 Mon/Wed/Fri in January, 6E2301: 2 Sundays, SG455: daily for 14 days
+    expect(report.summary).toMatchObject({ legs: 3, add: 27, change: 0, remove: 0, rejected: 0 });
+    expect(report.diff.add[0]).toMatchObject({ line: 7, flightNumber: 'AI101', airlineName: 'Air India' });
+    expect(await Flight.countDocuments()).toBe(0);
+  });
+
+  it('should create the flights when applied and be idempotent', async () => {
+    await importSsim(readFixture('valid.ssim'), { ...options, dryRun: false });
+
+    expect(await Flight.countDocuments()).toBe(27);
+    const flight = await Flight.findOne({ flightNumber: '6E2301', operatingDate: '2030-01-13' });
+    expect(flight.arrivalDateTime).toEqual(new Date('2030-01-13T20:15:00Z'));
+    expect(flight.remainingWeightKg).toBe(flight.maxWeightKg);
+
+    const report = await importSsim(readFixture('valid.ssim'), options);
+    expect(report.summary).toMatchObject({ add: 0, change: 0, remove: 0, unchanged: 27 });
+  });
+
+  it('should diff changed and dropped flights against existing ones', async () => {
+    await Flight.insertMany([
+      {
+        flightNumber: 'AI101', airlineName: 'Air India', origin: 'DEL', destination: 'BOM', aircraftType: '32Q',
+        departureDateTime: new Date('2030-01-09T05:30:00Z'), arrivalDateTime: new Date('2030-01-09T08:00:00Z'),
+      },
+      {
+        flightNumber: 'AI101', airlineName: 'Air India', origin: 'DEL', destination: 'BOM', aircraftType: '32Q',
+        departureDateTime: new Date('2030-01-08T04:30:00Z'), arrivalDateTime: new Date('2030-01-08T07:00:00Z'),
+      },
+    ]);
+
+    const report = await importSsim(readFixture('valid.ssim'), options);
+
+    expect(report.diff.change).toEqual([
+      expect.objectContaining({
+        operatingDate: '2030-01-09',
+        changes: {
+          departureDateTime: { from: new Date('2030-01-09T05:30:00Z'), to: new Date('2030-01-09T04:30:00Z') },
+          arrivalDateTime: { from: new Date('2030-01-09T08:00:00Z'), to: new Date('2030-01-09T07:00:00Z') },
+        },
+      }),
+    ]);
+    expect(report.diff.remove).toEqual([expect.objectContaining({ operatingDate: '2030-01-08' })]);
+  });
+
+  it('should leave booked flights alone and report them as conflicts', async () => {
+    const flight = await Flight.create({
+      flightNumber: 'AI101', airlineName: 'Air India', origin: 'DEL', destination: 'BOM',
+      departureDateTime: new Date('2030-01-08T04:30:00Z'), arrivalDateTime: new Date('2030-01-08T07:00:00Z'),
+    });
+    const booking = await Booking.create({
+      origin: 'DEL', destination: 'BOM', pieces: 1, weight_kg: 50, flightIds: [flight._id],
+    });
+
+    const report = await importSsim(readFixture('valid.ssim'), { ...options, dryRun: false });
+
+    expect(report.diff.remove).toEqual([]);
+    expect(report.conflicts).toEqual([
+      expect.objectContaining({
+        operatingDate: '2030-01-08',
+        change: 'removed',
+        bookings: [{ ref_id: booking.ref_id, status: 'BOOKED' }],
+      }),
+    ]);
+    expect(await Flight.findById(flight._id)).not.toBeNull();
+  });
+
+  it('should not remove a flight whose capacity was reserved after the bookings were read', async () => {
+    const flight = await Flight.create({
+      flightNumber: 'AI101', airlineName: 'Air India', origin: 'DEL', destination: 'BOM',
+      departureDateTime: new Date('2030-01-08T04:30:00Z'), arrivalDateTime: new Date('2030-01-08T07:00:00Z'),
+    });
+    await Flight.reserveCapacity(flight._id, 50, 0);
+
+    const report = await importSsim(readFixture('valid.ssim'), { ...options, dryRun: false });
+
+    expect(report.summary).toMatchObject({ remove: 0, conflicts: 1 });
+    expect(report.conflicts).toEqual([
+      expect.objectContaining({ operatingDate: '2030-01-08', change: 'removed', reason: 'Flight has bookings' }),
+    ]);
+    expect(await Flight.findById(flight._id)).not.toBeNull();
+  });
+
+  it('should reject legs with unknown stations, overlaps and bad times', async () => {
+    const report = await importSsim(readFixture('rejected.ssim'), options);
+
+    expect(report.rejected.map(({ line, reason }) => ({ line, reason }))).toEqual([
+      { line: 4, reason: 'Invalid period of operation start: "31FEB30"' },
+      { line: 5, reason: 'Invalid days of operation: "2      "' },
+      { line: 6, reason: 'Invalid departure station: "D1L"' },
+      { line: 7, reason: 'Invalid aircraft STD: "2460"' },
+      { line: 8, reason: 'Record too short: expected 200 bytes, got 8' },
+      { line: 9, reason: 'Unknown or inactive station: XXX' },
+      { line: 10, reason: 'Overlaps line 3 on 2030-01-21' },
+      { line: 11, reason: 'Arrival is not after departure' },
+    ]);
+    // Only the good AI101 leg is imported
+    expect(report.summary.add).toBe(11);
+  });
+});
@@ -0,0 +1,229 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from '@jest/globals';
+import http from 'http';
+import mongoose from 'mongoose';
+import Account from '../../models/Account.js';
+import Booking from '../../models/Booking.js';
+import Flight from '../../models/Flight.js';
+import WebhookDelivery from '../../models/WebhookDelivery.js';
+import {
+  createWebhook,
+  listWebhooks,
+  updateWebhook,
+  listWebhookDeliveries,
+  redeliverWebhookDelivery,
+  publishBookingEvent,
+  dispatchWebhookDeliveries,
+  signWebhookPayload,
+  WEBHOOK_MAX_ATTEMPTS,
+} from '../../controllers/webhookController.js';
+import { cancelBooking } from '../../controllers/bookingController.js';
+
+describe('Webhook Controller', () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+  let server;
+  let endpoint;
+  let answerStatus;
+  let received;
+  let account;
+  let booking;
+
+  beforeAll(async () => {
+    // The receiving endpoint listens on loopback, which webhooks are otherwise not allowed to reach
+    process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true';
+
+    // Receiving endpoint: records every request and answers answerStatus
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body: body });
+        res.writeHead(answerStatus).end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}/hooks`;
+  });
+
+  afterAll(async () => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    answerStatus = 200;
+    received = [];
+    account = await Account.create({ code: 'ACME', name: 'Acme Forwarding' });
+
+    const today = new Date();
+    const flight = await Flight.create({
+      flightNumber: 'AI101',
+      airlineName: 'Air India',
+      origin: 'DEL',
+      destination: 'BOM',
+      departureDateTime: new Date(today.setHours(10, 0, 0, 0)),
+      arrivalDateTime: new Date(today.setHours(12, 30, 0, 0)),
+    });
+    booking = await Booking.create({
+      origin: 'DEL',
+      destination: 'BOM',
+      pieces: 10,
+      weight_kg: 500,
+      status: 'BOOKED',
+      flightIds: [flight._id],
+      account_id: account._id,
+      timeline: [{ event: 'BOOKED', timestamp: new Date() }],
+    });
+  });
+
+  it('should validate URLs and events', async () => {
+    await expect(createWebhook({ accountId: account._id, url: 'ftp://example.com', events: ['booking.created'] }, user))
+      .rejects.toThrow('Invalid webhook: url must be an absolute http(s) URL');
+    await expect(createWebhook({ accountId: account._id, url: endpoint, events: [] }, user))
+      .rejects.toThrow('Invalid webhook: give at least one event');
+    await expect(createWebhook({ accountId: account._id, url: endpoint, events: ['booking.lost'] }, user))
+      .rejects.toThrow('Invalid webhook: unknown event booking.lost');
+  });
+
+  describe('Private hosts', () => {
+    beforeEach(() => {
+      process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'false';
+    });
+
+    afterEach(() => {
+      process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true';
+    });
+
+    it('should reject loopback, link-local, private and unique-local hosts', async () => {
+      const urls = [
+        'http://127.0.0.1:8080/hooks',
+        'http://localhost/hooks',
+        'http://169.254.169.254/latest/meta-data',
+        'http://10.0.0.5/hooks',
+        'http://172.16.4.1/hooks',
+        'http://192.168.1.10/hooks',
+        'http://[::1]/hooks',
+        'http://[fe80::1]/hooks',
+        'http://[fd00::1]/hooks',
+        'http://[::ffff:10.0.0.5]/hooks',
+      ];
+      for (const url of urls) {
+        await expect(createWebhook({ accountId: account._id, url: url, events: ['booking.created'] }, user))
+          .rejects.toThrow('resolves to a private or loopback address');
+      }
+    });
+
+    it('should reject moving a webhook to a private host', async () => {
+      const { webhook } = await createWebhook(
+        { accountId: account._id, url: 'https://93.184.216.34/hooks', events: ['booking.created'] }, user
+      );
+
+      await expect(updateWebhook(webhook._id.toString(), { url: 'http://10.0.0.5/hooks' }))
+        .rejects.toThrow('Invalid webhook: 10.0.0.5 resolves to a private or loopback address');
+    });
+
+    it('should not deliver to a host that has become private', async () => {
+      process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true';
+      await createWebhook({ accountId: account._id, url: endpoint, events: ['booking.created'] }, user);
+      await publishBookingEvent('booking.created', booking);
+      process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'false';
+
+      expect(await dispatchWebhookDeliveries()).toEqual({ succeeded: 0, retrying: 1, dead: 0 });
+      expect(received).toHaveLength(0);
+      const [delivery] = await listWebhookDeliveries({ accountId: account._id });
+      expect(delivery.lastError).toBe('Invalid webhook: 127.0.0.1 resolves to a private or loopback address (127.0.0.1)');
+    });
+  });
+
+  it('should return the secret once and keep webhooks within their account', async () => {
+    const { webhook, secret } = await createWebhook({ accountId: account._id, url: endpoint, events: ['BOOKING.CREATED'] }, user);
+    const otherAccount = await Account.create({ code: 'GLOBEX', name: 'Globex Logistics' });
+
+    expect(secret).toMatch(/^whsec_/);
+    expect(webhook.events).toEqual(['booking.created']);
+    expect(webhook.secret).toBeUndefined();
+    expect(await listWebhooks({ accountId: otherAccount._id })).toHaveLength(0);
+    expect((await listWebhooks({ accountId: account._id }))[0].secret).toBeUndefined();
+    await expect(updateWebhook(webhook._id.toString(), { active: false }, { accountId: otherAccount._id }))
+      .rejects.toThrow('Webhook not found');
+  });
+
+  it('should queue an event for subscribed webhooks of the booking account only', async () => {
+    await createWebhook({ accountId: account._id, url: endpoint, events: ['booking.cancelled'] }, user);
+    await createWebhook({ accountId: account._id, url: endpoint, events: ['booking.departed'] }, user);
+    const otherAccount = await Account.create({ code: 'GLOBEX', name: 'Globex Logistics' });
+    await createWebhook({ accountId: otherAccount._id, url: endpoint, events: ['booking.cancelled'] }, user);
+
+    await cancelBooking(booking._id.toString());
+
+    const deliveries = await WebhookDelivery.find({});
+    expect(deliveries).toHaveLength(1);
+    expect(deliveries[0].event).toBe('booking.cancelled');
+    expect(deliveries[0].status).toBe('PENDING');
+    expect(deliveries[0].payload.data.booking).toMatchObject({ ref_id: booking.ref_id, status: 'CANCELLED' });
+    expect(deliveries[0].payload.data.previous_status).toBe('BOOKED');
+  });
+
+  it('should send signed deliveries', async () => {
+    const { secret } = await createWebhook({ accountId: account._id, url: endpoint, events: ['booking.created'] }, user);
+    await publishBookingEvent('booking.created', booking);
+
+    const result = await dispatchWebhookDeliveries();
+
+    expect(result).toEqual({ succeeded: 1, retrying: 0, dead: 0 });
+    expect(received).toHaveLength(1);
+    const { headers, body } = received[0];
+    expect(headers['x-webhook-event']).toBe('booking.created');
+    expect(headers['x-webhook-id']).toBe(JSON.parse(body).id);
+    expect(headers['x-webhook-signature'])
+      .toBe(`v1=${signWebhookPayload(secret, headers['x-webhook-timestamp'], body)}`);
+
+    const [delivery] = await listWebhookDeliveries({ accountId: account._id });
+    expect(delivery).toMatchObject({ status: 'SUCCEEDED', attempts: 1, lastResponseStatus: 200 });
+  });
+
+  it('should retry failed deliveries with backoff and dead-letter them after the last attempt', async () => {
+    await createWebhook({ accountId: account._id, url: endpoint, events: ['booking.created'] }, user);
+    await publishBookingEvent('booking.created', booking);
+    answerStatus = 500;
+
+    expect(await dispatchWebhookDeliveries()).toEqual({ succeeded: 0, retrying: 1, dead: 0 });
+    const first = await WebhookDelivery.findOne({});
+    expect(first).toMatchObject({ status: 'PENDING', attempts: 1, lastResponseStatus: 500 });
+    expect(first.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+
+    // Not due yet
+    expect(await dispatchWebhookDeliveries()).toEqual({ succeeded: 0, retrying: 0, dead: 0 });
+
+    // Make the second attempt due: it waits twice as long after failing
+    await WebhookDelivery.updateOne({ _id: first._id }, { $set: { nextAttemptAt: new Date() } });
+    await dispatchWebhookDeliveries();
+    const second = await WebhookDelivery.findById(first._id);
+    expect(second.attempts).toBe(2);
+    expect(second.nextAttemptAt - second.lastAttemptAt)
+      .toBeCloseTo(2 * (first.nextAttemptAt - first.lastAttemptAt), -2);
+
+    // Last attempt
+    await WebhookDelivery.updateOne(
+      { _id: first._id },
+      { $set: { attempts: WEBHOOK_MAX_ATTEMPTS - 1, nextAttemptAt: new Date() } }
+    );
+    expect(await dispatchWebhookDeliveries()).toEqual({ succeeded: 0, retrying: 0, dead: 1 });
+    expect(await listWebhookDeliveries({ accountId: account._id, status: 'dead' })).toHaveLength(1);
+
+    // Redelivered once the endpoint is fixed
+    answerStatus = 204;
+    await redeliverWebhookDelivery(first._id.toString(), { accountId: account._id });
+    await expect(redeliverWebhookDelivery(first._id.toString())).rejects.toThrow('Webhook delivery is already queued');
+    expect(await dispatchWebhookDeliveries()).toEqual({ succeeded: 1, retrying: 0, dead: 0 });
+  });
+
+  it('should dead-letter deliveries of a disabled webhook', async () => {
+    const { webhook } = await createWebhook({ accountId: account._id, url: endpoint, events: ['booking.created'] }, user);
+    await publishBookingEvent('booking.created', booking);
+    await updateWebhook(webhook._id.toString(), { active: false });
+
+    expect(await dispatchWebhookDeliveries()).toEqual({ succeeded: 0, retrying: 0, dead: 1 });
+    expect(received).toHaveLength(0);
+    expect((await WebhookDelivery.findOne({})).lastError).toBe('Webhook is disabled');
+  });
+});
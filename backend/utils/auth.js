@@ -0,0 +1,107 @@
+import crypto from 'crypto';
+
+// Access tokens are short-lived; refresh tokens get a new access token without logging in again
+export const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+export const REFRESH_TOKEN_TTL_SECONDS = parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS) || 7 * 24 * 60 * 60;
+
+// scrypt key length and salt size, in bytes
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+/**
+ * Secret used to sign tokens
+ * Development and tests fall back to a fixed secret; production refuses to run without one.
+ */
+const getSecret = () => {
+  if (process.env.JWT_SECRET) {
+    return process.env.JWT_SECRET;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  return 'air-cargo-booking-dev-secret';
+};
+
+const scrypt = (password, salt) => new Promise((resolve, reject) => {
+  crypto.scrypt(password, salt, KEY_LENGTH, (error, key) => (error ? reject(error) : resolve(key)));
+});
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} 'scrypt$<salt>$<hash>', both base64url
+ */
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const key = await scrypt(password, salt);
+  return `scrypt$${salt.toString('base64url')}$${key.toString('base64url')}`;
+};
+
+/**
+ * Check a password against a hash from hashPassword
+ * @param {string} password - Plain-text password
+ * @param {string} passwordHash - Stored hash
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+export const verifyPassword = async (password, passwordHash) => {
+  const [scheme, salt, hash] = (passwordHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'base64url');
+  const key = await scrypt(password, Buffer.from(salt, 'base64url'));
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+};
+
+const sign = (data) => crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+
+const encodeSegment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+/**
+ * Sign a JWT (HS256)
+ * @param {Object} payload - Claims; iat and exp are added
+ * @param {number} ttlSeconds - Lifetime of the token
+ * @returns {string} Signed token
+ */
+export const signToken = (payload, ttlSeconds) => {
+  const now = Math.floor(Date.now() / 1000);
+  const data = `${encodeSegment({ alg: 'HS256', typ: 'JWT' })}.${encodeSegment({ ...payload, iat: now, exp: now + ttlSeconds })}`;
+  return `${data}.${sign(data)}`;
+};
+
+/**
+ * Verify a JWT from signToken and return its claims
+ * @param {string} token - Signed token
+ * @param {string} type - Expected token type ('access' or 'refresh')
+ * @returns {Object} Claims
+ * @throws {Error} 'Invalid token' when the signature, type or format is wrong, 'Token expired' once past exp
+ */
+export const verifyToken = (token, type) => {
+  const [header, payload, signature] = (token || '').split('.');
+  if (!header || !payload || !signature) {
+    throw new Error('Invalid token');
+  }
+
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    throw new Error('Invalid token');
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Invalid token');
+  }
+
+  if (claims.type !== type) {
+    throw new Error('Invalid token');
+  }
+  if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) {
+    throw new Error('Token expired');
+  }
+
+  return claims;
+};
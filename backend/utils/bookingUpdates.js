@@ -0,0 +1,110 @@
+import mongoose from 'mongoose';
+import Booking from '../models/Booking.js';
+import logger from './logger.js';
+
+/**
+ * Tells open tracking streams that a booking's timeline grew.
+ *
+ * Timelines are only ever appended to, so their length says whether anything happened. Changes
+ * made by this process are announced right away with notifyBookingUpdate; changes made by other
+ * server instances are found by polling the timeline lengths of the watched bookings, one query
+ * for all of them. Streams therefore work behind a load balancer without a shared message bus.
+ */
+
+// How often the timelines of watched bookings are checked for changes made elsewhere
+const POLL_INTERVAL_MS = parseInt(process.env.BOOKING_STREAM_POLL_MS) || 2000;
+
+const watchers = new Map(); // bookingId -> { listeners: Set, timelineLength }
+let pollTimer = null;
+let polling = false;
+
+/**
+ * Call a listener whenever a booking's timeline grows
+ * @param {string} bookingId - Booking _id
+ * @param {Function} listener - Called without arguments; reads the new entries itself
+ * @returns {Function} Stops watching
+ */
+export const watchBooking = (bookingId, listener) => {
+  const key = bookingId.toString();
+  if (!watchers.has(key)) {
+    watchers.set(key, { listeners: new Set(), timelineLength: null });
+  }
+  watchers.get(key).listeners.add(listener);
+
+  if (!pollTimer) {
+    pollTimer = setInterval(pollWatchedBookings, POLL_INTERVAL_MS);
+    pollTimer.unref();
+  }
+
+  return () => {
+    const watcher = watchers.get(key);
+    if (!watcher) {
+      return;
+    }
+    watcher.listeners.delete(listener);
+    if (watcher.listeners.size === 0) {
+      watchers.delete(key);
+    }
+    if (watchers.size === 0) {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
+  };
+};
+
+/**
+ * Announce a change to a booking's timeline made by this process
+ * @param {string} bookingId - Booking _id
+ */
+export const notifyBookingUpdate = (bookingId) => {
+  const watcher = watchers.get(bookingId.toString());
+  if (watcher) {
+    callListeners(watcher);
+  }
+};
+
+/**
+ * Check the watched bookings for timelines that grew, e.g. on another server instance
+ */
+const pollWatchedBookings = async () => {
+  if (polling || watchers.size === 0) {
+    return;
+  }
+  polling = true;
+  try {
+    const lengths = await Booking.aggregate([
+      { $match: { _id: { $in: [...watchers.keys()].map(id => new mongoose.Types.ObjectId(id)) } } },
+      { $project: { timelineLength: { $size: '$timeline' } } },
+    ]);
+
+    for (const { _id, timelineLength } of lengths) {
+      const watcher = watchers.get(_id.toString());
+      if (!watcher) {
+        continue;
+      }
+      // The first check also covers changes made between a stream's first read and its watch
+      const grew = watcher.timelineLength === null || timelineLength > watcher.timelineLength;
+      watcher.timelineLength = timelineLength;
+      if (grew) {
+        callListeners(watcher);
+      }
+    }
+  } catch (error) {
+    logger.error('Failed to poll watched bookings', { error: error.message });
+  } finally {
+    polling = false;
+  }
+};
+
+/**
+ * A failing listener does not keep the others from hearing about the change
+ */
+const callListeners = (watcher) => {
+  for (const listener of watcher.listeners) {
+    try {
+      listener();
+    } catch (error) {
+      logger.error('Booking update listener failed', { error: error.message });
+    }
+  }
+};
@@ -0,0 +1,85 @@
+// Volumetric and chargeable weight (IATA rules).
+// Carriers bill on the higher of actual weight and volumetric weight, where
+// volumetric weight is the volume in cm³ divided by 6000.
+
+export const VOLUMETRIC_DIVISOR = 6000; // cm³ per kg
+
+/**
+ * Total volume of per-piece dimension lines
+ * @param {Array} dimensions - [{ length_cm, width_cm, height_cm, pieces }] where pieces defaults to 1
+ * @returns {number} Volume in m³ (rounded to 3 decimals)
+ */
+export const calculateVolumeM3 = (dimensions) => {
+  const volumeCm3 = dimensions.reduce(
+    (total, line) => total + line.length_cm * line.width_cm * line.height_cm * (line.pieces || 1),
+    0
+  );
+  return Math.round(volumeCm3 / 1000) / 1000;
+};
+
+/**
+ * Volumetric weight of a shipment
+ * @param {number} volumeM3 - Volume in m³
+ * @returns {number} Volumetric weight in kg (rounded to 2 decimals)
+ */
+export const calculateVolumetricWeight = (volumeM3) => {
+  return Math.round((volumeM3 || 0) * 1000000 / VOLUMETRIC_DIVISOR * 100) / 100;
+};
+
+/**
+ * Chargeable weight: the higher of actual and volumetric weight, rounded up to the next half kilogram
+ * @param {number} weightKg - Actual weight in kg
+ * @param {number} volumeM3 - Volume in m³
+ * @returns {number} Chargeable weight in kg
+ */
+export const calculateChargeableWeight = (weightKg, volumeM3) => {
+  const weight = Math.max(weightKg || 0, calculateVolumetricWeight(volumeM3));
+  return Math.ceil(weight * 2) / 2;
+};
+
+/**
+ * Work out a shipment's volume from either per-piece dimensions or an aggregate volume
+ * @param {number} pieces - Number of pieces in the booking
+ * @param {Array} dimensions - Optional per-piece dimension lines (see calculateVolumeM3)
+ * @param {number} volumeM3 - Optional aggregate volume in m³
+ * @returns {Object} { dimensions, volumeM3 } with the dimension lines normalised to numbers
+ * @throws {Error} 'Invalid dimensions: ...' when the lines are malformed or do not add up to the pieces
+ */
+export const resolveShipmentVolume = (pieces, dimensions, volumeM3) => {
+  if (!dimensions || dimensions.length === 0) {
+    return { dimensions: [], volumeM3: volumeM3 ? parseFloat(volumeM3) : 0 };
+  }
+
+  if (!Array.isArray(dimensions)) {
+    throw new Error('Invalid dimensions: dimensions must be a list of { length_cm, width_cm, height_cm, pieces }');
+  }
+  if (volumeM3) {
+    throw new Error('Invalid dimensions: provide either dimensions or volume_m3, not both');
+  }
+
+  const lines = dimensions.map((line, index) => {
+    const normalised = {
+      length_cm: Number(line.length_cm),
+      width_cm: Number(line.width_cm),
+      height_cm: Number(line.height_cm),
+      pieces: line.pieces === undefined ? 1 : Number(line.pieces),
+    };
+
+    for (const field of ['length_cm', 'width_cm', 'height_cm']) {
+      if (!(normalised[field] > 0)) {
+        throw new Error(`Invalid dimensions: line ${index + 1} ${field} must be a positive number`);
+      }
+    }
+    if (!Number.isInteger(normalised.pieces) || normalised.pieces < 1) {
+      throw new Error(`Invalid dimensions: line ${index + 1} pieces must be a positive integer`);
+    }
+    return normalised;
+  });
+
+  const linePieces = lines.reduce((total, line) => total + line.pieces, 0);
+  if (linePieces !== parseInt(pieces)) {
+    throw new Error(`Invalid dimensions: lines cover ${linePieces} piece(s) but the booking has ${parseInt(pieces)}`);
+  }
+
+  return { dimensions: lines, volumeM3: calculateVolumeM3(lines) };
+};
@@ -0,0 +1,70 @@
+// Freight pricing against a rate card's weight breaks (IATA TACT style).
+// The freight charge is the cheapest of charging the shipment at each weight break,
+// where a break can only be used by paying for at least its weight, and never less
+// than the minimum charge.
+
+// Rate card field and lower bound (kg) of each standard weight break
+export const WEIGHT_BREAKS = [
+  { rateClass: 'N', minWeightKg: 0 },
+  { rateClass: 'Q45', minWeightKg: 45 },
+  { rateClass: 'Q100', minWeightKg: 100 },
+  { rateClass: 'Q300', minWeightKg: 300 },
+  { rateClass: 'Q500', minWeightKg: 500 },
+  { rateClass: 'Q1000', minWeightKg: 1000 },
+];
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Price a shipment with a rate card
+ * @param {Object} rateCard - RateCard (minimumCharge, rates, surcharges, currency)
+ * @param {number} chargeableWeightKg - Chargeable weight of the shipment
+ * @param {Object} options - specialHandling: true when the shipment carries special handling codes
+ * @returns {Object} { currency, rateClass, ratePerKg, chargedWeightKg, freight, surcharges: { fuel, security,
+ *   specialHandling }, total } where rateClass is 'M' when the minimum charge applies
+ * @throws {Error} If the rate card has no rate for any weight break
+ */
+export const calculateFreightCharges = (rateCard, chargeableWeightKg, options = {}) => {
+  const { specialHandling = false } = options;
+
+  let best = null;
+  for (const { rateClass, minWeightKg } of WEIGHT_BREAKS) {
+    const ratePerKg = rateCard.rates[rateClass];
+    if (ratePerKg === undefined || ratePerKg === null) {
+      continue; // Break not offered on this lane
+    }
+
+    const chargedWeightKg = Math.max(chargeableWeightKg, minWeightKg);
+    const freight = chargedWeightKg * ratePerKg;
+    if (!best || freight < best.freight) {
+      best = { rateClass, ratePerKg, chargedWeightKg, freight };
+    }
+  }
+
+  if (!best) {
+    // N is required on save, so only a card stored before that (or edited outside the API) gets here
+    throw new Error(`Rate card has no weight break rates: ${rateCard.airlineName} ${rateCard.origin}-${rateCard.destination}`);
+  }
+
+  if (best.freight < rateCard.minimumCharge) {
+    best = { rateClass: 'M', ratePerKg: null, chargedWeightKg: chargeableWeightKg, freight: rateCard.minimumCharge };
+  }
+
+  const surchargeRates = rateCard.surcharges || {};
+  const surcharges = {
+    fuel: roundMoney((surchargeRates.fuelPerKg || 0) * chargeableWeightKg),
+    security: roundMoney((surchargeRates.securityPerKg || 0) * chargeableWeightKg),
+    specialHandling: specialHandling ? roundMoney(surchargeRates.specialHandling || 0) : 0,
+  };
+  const freight = roundMoney(best.freight);
+
+  return {
+    currency: rateCard.currency,
+    rateClass: best.rateClass,
+    ratePerKg: best.ratePerKg,
+    chargedWeightKg: best.chargedWeightKg,
+    freight: freight,
+    surcharges: surcharges,
+    total: roundMoney(freight + surcharges.fuel + surcharges.security + surcharges.specialHandling),
+  };
+};
@@ -0,0 +1,86 @@
+// Booking milestones contacts can be notified of, and the languages messages are written in
+
+export const NOTIFICATION_EVENTS = ['DEPARTED', 'ARRIVED', 'CANCELLED'];
+export const NOTIFICATION_LOCALES = ['en', 'es', 'fr'];
+export const DEFAULT_LOCALE = 'en';
+
+// Per locale and event: email subject and body, and a short SMS text
+// Placeholders: {{ref_id}}, {{origin}}, {{destination}}, {{pieces}}, {{flight}}, {{station}}
+const TEMPLATES = {
+  en: {
+    DEPARTED: {
+      subject: 'Booking {{ref_id}}: cargo has departed',
+      text: 'Hello,\n\n{{pieces}} piece(s) of booking {{ref_id}} ({{origin}} → {{destination}}) departed {{station}} on flight {{flight}}.\n\nTrack your shipment with the booking reference {{ref_id}}.',
+      sms: '{{ref_id}}: {{pieces}} pc departed {{station}} on {{flight}} to {{destination}}.',
+    },
+    ARRIVED: {
+      subject: 'Booking {{ref_id}}: cargo has arrived',
+      text: 'Hello,\n\n{{pieces}} piece(s) of booking {{ref_id}} ({{origin}} → {{destination}}) arrived at {{station}} on flight {{flight}}.\n\nTrack your shipment with the booking reference {{ref_id}}.',
+      sms: '{{ref_id}}: {{pieces}} pc arrived at {{station}} on {{flight}}.',
+    },
+    CANCELLED: {
+      subject: 'Booking {{ref_id}} has been cancelled',
+      text: 'Hello,\n\nBooking {{ref_id}} ({{origin}} → {{destination}}, {{pieces}} piece(s)) has been cancelled.\n\nPlease contact your booking agent if this is unexpected.',
+      sms: '{{ref_id}} ({{origin}}-{{destination}}) has been cancelled.',
+    },
+  },
+  es: {
+    DEPARTED: {
+      subject: 'Reserva {{ref_id}}: la carga ha salido',
+      text: 'Hola:\n\n{{pieces}} bulto(s) de la reserva {{ref_id}} ({{origin}} → {{destination}}) salieron de {{station}} en el vuelo {{flight}}.\n\nSiga su envío con la referencia {{ref_id}}.',
+      sms: '{{ref_id}}: {{pieces}} bulto(s) salieron de {{station}} en {{flight}} hacia {{destination}}.',
+    },
+    ARRIVED: {
+      subject: 'Reserva {{ref_id}}: la carga ha llegado',
+      text: 'Hola:\n\n{{pieces}} bulto(s) de la reserva {{ref_id}} ({{origin}} → {{destination}}) llegaron a {{station}} en el vuelo {{flight}}.\n\nSiga su envío con la referencia {{ref_id}}.',
+      sms: '{{ref_id}}: {{pieces}} bulto(s) llegaron a {{station}} en {{flight}}.',
+    },
+    CANCELLED: {
+      subject: 'La reserva {{ref_id}} ha sido cancelada',
+      text: 'Hola:\n\nLa reserva {{ref_id}} ({{origin}} → {{destination}}, {{pieces}} bulto(s)) ha sido cancelada.\n\nSi no lo esperaba, contacte con su agente de reservas.',
+      sms: 'La reserva {{ref_id}} ({{origin}}-{{destination}}) ha sido cancelada.',
+    },
+  },
+  fr: {
+    DEPARTED: {
+      subject: 'Réservation {{ref_id}} : la marchandise est partie',
+      text: 'Bonjour,\n\n{{pieces}} colis de la réservation {{ref_id}} ({{origin}} → {{destination}}) sont partis de {{station}} sur le vol {{flight}}.\n\nSuivez votre envoi avec la référence {{ref_id}}.',
+      sms: '{{ref_id}} : {{pieces}} colis partis de {{station}} sur {{flight}} vers {{destination}}.',
+    },
+    ARRIVED: {
+      subject: 'Réservation {{ref_id}} : la marchandise est arrivée',
+      text: 'Bonjour,\n\n{{pieces}} colis de la réservation {{ref_id}} ({{origin}} → {{destination}}) sont arrivés à {{station}} sur le vol {{flight}}.\n\nSuivez votre envoi avec la référence {{ref_id}}.',
+      sms: '{{ref_id}} : {{pieces}} colis arrivés à {{station}} sur {{flight}}.',
+    },
+    CANCELLED: {
+      subject: 'La réservation {{ref_id}} a été annulée',
+      text: 'Bonjour,\n\nLa réservation {{ref_id}} ({{origin}} → {{destination}}, {{pieces}} colis) a été annulée.\n\nContactez votre agent si vous ne vous y attendiez pas.',
+      sms: 'La réservation {{ref_id}} ({{origin}}-{{destination}}) a été annulée.',
+    },
+  },
+};
+
+/**
+ * Message for a booking milestone in a contact's language (English when it has no template)
+ * @param {string} event - Notification event, e.g. DEPARTED
+ * @param {string} locale - Contact locale, e.g. fr
+ * @param {Object} values - Placeholder values; missing ones render as '-'
+ * @returns {Object} { subject, text, sms }
+ */
+export const renderNotification = (event, locale, values) => {
+  const template = (TEMPLATES[locale] || TEMPLATES[DEFAULT_LOCALE])[event];
+  if (!template) {
+    throw new Error(`No notification template for ${event}`);
+  }
+
+  const fill = text => text.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+    const value = values[name];
+    return value === undefined || value === null || value === '' ? '-' : String(value);
+  });
+
+  return {
+    subject: fill(template.subject),
+    text: fill(template.text),
+    sms: fill(template.sms),
+  };
+};
@@ -0,0 +1,302 @@
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import tls from 'tls';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+
+/**
+ * Notification transports send one message to one address.
+ *
+ * A transport implements:
+ *   send({ to, subject, text }) -> Promise<{ messageId }>   rejects when the message was not accepted
+ *
+ * Each channel (EMAIL, SMS) has one transport, picked from the environment when first used:
+ *   NOTIFICATION_EMAIL_TRANSPORT = smtp | file | console
+ *   NOTIFICATION_SMS_TRANSPORT   = gateway | file | console
+ * Install another one (e.g. a provider SDK) with setNotificationTransport at startup.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const NOTIFICATION_CHANNELS = ['EMAIL', 'SMS'];
+
+// How long an SMTP server or SMS gateway has to answer
+const TRANSPORT_TIMEOUT_MS = parseInt(process.env.NOTIFICATION_TIMEOUT_MS) || 15 * 1000;
+
+/**
+ * Email over SMTP: implicit TLS with secure (port 465), otherwise STARTTLS when the server offers it
+ * With a user, the connection must be encrypted: credentials are never sent without TLS.
+ * @param {Object} options - host, port, secure, user and pass (optional AUTH PLAIN), from
+ * @returns {Object} Notification transport
+ */
+export const createSmtpTransport = ({ host, port, secure = false, user, pass, from }) => ({
+  send: async ({ to, subject, text }) => {
+    const messageId = `<${crypto.randomUUID()}@${from.split('@')[1] || os.hostname()}>`;
+    const socket = secure
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+    let session = createSmtpSession(socket);
+
+    try {
+      await session.expect(220);
+      let features = await session.command(`EHLO ${os.hostname()}`, 250);
+
+      if (!secure && /^STARTTLS$/mi.test(features)) {
+        await session.command('STARTTLS', 220);
+        session.detach();
+        session = createSmtpSession(tls.connect({ socket, servername: host }));
+        features = await session.command(`EHLO ${os.hostname()}`, 250);
+      }
+
+      if (user) {
+        // Never send the credentials in the clear, e.g. when STARTTLS was stripped on the way
+        if (!session.encrypted) {
+          throw new Error('SMTP server does not offer STARTTLS');
+        }
+        if (!/^AUTH\b.*\bPLAIN\b/mi.test(features)) {
+          throw new Error('SMTP server does not offer AUTH PLAIN');
+        }
+        await session.command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass}`).toString('base64')}`, 235);
+      }
+
+      await session.command(`MAIL FROM:<${from}>`, 250);
+      await session.command(`RCPT TO:<${to}>`, [250, 251]);
+      await session.command('DATA', 354);
+      await session.command(`${buildEmail({ from, to, subject, text, messageId })}\r\n.`, 250);
+      await session.command('QUIT', 221).catch(() => {});
+    } finally {
+      session.close();
+    }
+
+    return { messageId };
+  },
+});
+
+/**
+ * SMS through an HTTP gateway: POSTs { from, to, text } as JSON with the API key as a bearer token
+ * and takes the message ID from an "id" or "messageId" field of the answer
+ * @param {Object} options - url, apiKey, from (sender ID)
+ * @returns {Object} Notification transport
+ */
+export const createSmsGatewayTransport = ({ url, apiKey, from }) => ({
+  send: async ({ to, text }) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      body: JSON.stringify({ from, to, text }),
+      signal: AbortSignal.timeout(TRANSPORT_TIMEOUT_MS),
+    });
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`SMS gateway answered ${response.status}${body.message ? `: ${body.message}` : ''}`);
+    }
+
+    return { messageId: body.id || body.messageId || null };
+  },
+});
+
+/**
+ * Development and test transport: appends each message as a JSON line to a file
+ * @param {string} file - File to append to
+ * @returns {Object} Notification transport
+ */
+export const createFileTransport = (file) => ({
+  send: async (message) => {
+    const messageId = crypto.randomUUID();
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.appendFile(file, `${JSON.stringify({ messageId, sentAt: new Date(), ...message })}\n`);
+    return { messageId };
+  },
+});
+
+/**
+ * Development transport: writes each message to the application log
+ * @returns {Object} Notification transport
+ */
+export const createConsoleTransport = () => ({
+  send: async (message) => {
+    const messageId = crypto.randomUUID();
+    logger.info('Notification (console transport)', { messageId, ...message });
+    return { messageId };
+  },
+});
+
+const transports = {};
+
+/**
+ * Transport of a channel, created from the environment on first use
+ * @param {string} channel - EMAIL or SMS
+ */
+export const getNotificationTransport = (channel) => {
+  if (!transports[channel]) {
+    transports[channel] = createTransportFromEnv(channel);
+  }
+  return transports[channel];
+};
+
+/**
+ * Replace the transport of a channel, e.g. with a provider SDK or a test double
+ * @param {string} channel - EMAIL or SMS
+ * @param {Object} transport - Object implementing send
+ */
+export const setNotificationTransport = (channel, transport) => {
+  if (!NOTIFICATION_CHANNELS.includes(channel)) {
+    throw new Error(`Invalid notification transport: unknown channel ${channel}`);
+  }
+  if (typeof transport?.send !== 'function') {
+    throw new Error('Invalid notification transport: missing send()');
+  }
+  transports[channel] = transport;
+};
+
+/**
+ * Transport configured for a channel by the NOTIFICATION_* and SMTP_ / SMS_GATEWAY_ variables
+ */
+const createTransportFromEnv = (channel) => {
+  const kind = (process.env[`NOTIFICATION_${channel}_TRANSPORT`] || 'console').toLowerCase();
+
+  if (kind === 'file') {
+    return createFileTransport(process.env.NOTIFICATION_FILE || path.join(__dirname, '../logs/notifications.log'));
+  }
+  if (kind === 'smtp' && channel === 'EMAIL') {
+    if (!process.env.SMTP_HOST || !process.env.NOTIFICATION_EMAIL_FROM) {
+      throw new Error('SMTP transport needs SMTP_HOST and NOTIFICATION_EMAIL_FROM');
+    }
+    const secure = process.env.SMTP_SECURE === 'true';
+    return createSmtpTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || (secure ? 465 : 587),
+      secure: secure,
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from: process.env.NOTIFICATION_EMAIL_FROM,
+    });
+  }
+  if (kind === 'gateway' && channel === 'SMS') {
+    if (!process.env.SMS_GATEWAY_URL) {
+      throw new Error('SMS gateway transport needs SMS_GATEWAY_URL');
+    }
+    return createSmsGatewayTransport({
+      url: process.env.SMS_GATEWAY_URL,
+      apiKey: process.env.SMS_GATEWAY_API_KEY,
+      from: process.env.SMS_SENDER_ID,
+    });
+  }
+  if (kind === 'console') {
+    return createConsoleTransport();
+  }
+
+  throw new Error(`Unknown ${channel} notification transport: ${kind}`);
+};
+
+/**
+ * SMTP conversation over a socket: replies are read line by line, multi-line replies joined
+ */
+const createSmtpSession = (socket) => {
+  let buffer = '';
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  const settle = () => {
+    while (waiting.length > 0 && (replies.length > 0 || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length > 0) {
+        resolve(replies.shift());
+      } else {
+        reject(failure);
+      }
+    }
+  };
+
+  const onTimeout = () => socket.destroy(new Error('SMTP server timed out'));
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let end;
+    while ((end = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      lines.push(line.slice(4));
+      // "250-..." continues a reply, "250 ..." ends it
+      if (line[3] !== '-') {
+        replies.push({ code: parseInt(line.slice(0, 3)), text: lines.join('\n') });
+        lines = [];
+      }
+    }
+    settle();
+  };
+  const onError = (error) => {
+    failure = error;
+    settle();
+  };
+  const onClose = () => {
+    failure = failure || new Error('SMTP connection closed');
+    settle();
+  };
+
+  socket.setTimeout(TRANSPORT_TIMEOUT_MS, onTimeout);
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', onClose);
+
+  const expect = async (codes) => {
+    const reply = await new Promise((resolve, reject) => {
+      waiting.push({ resolve, reject });
+      settle();
+    });
+    if (![].concat(codes).includes(reply.code)) {
+      throw new Error(`SMTP ${reply.code}: ${reply.text}`);
+    }
+    return reply.text;
+  };
+
+  return {
+    expect: expect,
+    command: (line, codes) => {
+      socket.write(`${line}\r\n`);
+      return expect(codes);
+    },
+    // Hand the socket over, e.g. to TLS after STARTTLS
+    detach: () => {
+      socket.setTimeout(0);
+      socket.off('timeout', onTimeout);
+      socket.off('data', onData);
+      socket.off('error', onError);
+      socket.off('close', onClose);
+    },
+    close: () => socket.destroy(),
+    encrypted: socket instanceof tls.TLSSocket,
+  };
+};
+
+/**
+ * Plain-text UTF-8 email; header words and the body are encoded so any language goes through
+ */
+const buildEmail = ({ from, to, subject, text, messageId }) => {
+  const encodedSubject = /^[\x20-\x7e]*$/.test(subject)
+    ? subject
+    : `=?UTF-8?B?${Buffer.from(subject).toString('base64')}?=`;
+  const body = Buffer.from(text.replace(/\r?\n/g, '\r\n')).toString('base64').match(/.{1,76}/g) || [];
+
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodedSubject}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    ...body,
+  ].join('\r\n');
+};
@@ -0,0 +1,108 @@
+/**
+ * Rate limit stores count requests per client in fixed windows and keep usage totals.
+ *
+ * A store implements:
+ *   hit(key, windowMs)  -> Promise<{ count, resetAt }>  count this request in the current window
+ *   recordLimited(key)  -> Promise<void>                 note a request that was turned away
+ *   getUsage(key)       -> Promise<{ requests, limited, windowCount, resetAt, lastRequestAt } | null>
+ *
+ * The in-process memory store is the default. A shared backend (e.g. Redis) is needed once the API
+ * runs on more than one process; install it with setRateLimitStore at startup.
+ */
+
+// How often expired windows are dropped from memory, and how long idle clients keep their usage totals
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const USAGE_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * In-process store; counts are lost on restart and not shared between processes
+ * @returns {Object} Rate limit store
+ */
+export const createMemoryStore = () => {
+  const windows = new Map(); // key -> { count, resetAt }
+  const totals = new Map(); // key -> { requests, limited, lastRequestAt }
+  let nextSweepAt = Date.now() + SWEEP_INTERVAL_MS;
+
+  const getTotals = (key) => {
+    if (!totals.has(key)) {
+      totals.set(key, { requests: 0, limited: 0, lastRequestAt: null });
+    }
+    return totals.get(key);
+  };
+
+  // Drop finished windows, and the totals of clients idle for a day, so memory stays bounded
+  const sweep = (now) => {
+    if (now < nextSweepAt) {
+      return;
+    }
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) {
+        windows.delete(key);
+      }
+    }
+    for (const [key, keyTotals] of totals) {
+      if (keyTotals.lastRequestAt && now - keyTotals.lastRequestAt.getTime() > USAGE_RETENTION_MS) {
+        totals.delete(key);
+      }
+    }
+    nextSweepAt = now + SWEEP_INTERVAL_MS;
+  };
+
+  return {
+    hit: async (key, windowMs) => {
+      const now = Date.now();
+      sweep(now);
+
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+
+      const keyTotals = getTotals(key);
+      keyTotals.requests += 1;
+      keyTotals.lastRequestAt = new Date(now);
+
+      return { count: window.count, resetAt: window.resetAt };
+    },
+
+    recordLimited: async (key) => {
+      getTotals(key).limited += 1;
+    },
+
+    getUsage: async (key) => {
+      if (!totals.has(key)) {
+        return null;
+      }
+
+      const window = windows.get(key);
+      const current = window && window.resetAt > Date.now() ? window : null;
+      return {
+        ...totals.get(key),
+        windowCount: current ? current.count : 0,
+        resetAt: current ? new Date(current.resetAt) : null,
+      };
+    },
+  };
+};
+
+let store = createMemoryStore();
+
+/**
+ * Store used by the rate limiters and usage reports
+ */
+export const getRateLimitStore = () => store;
+
+/**
+ * Replace the store, e.g. with a shared one when running several API processes
+ * @param {Object} newStore - Object implementing hit, recordLimited and getUsage
+ */
+export const setRateLimitStore = (newStore) => {
+  for (const method of ['hit', 'recordLimited', 'getUsage']) {
+    if (typeof newStore?.[method] !== 'function') {
+      throw new Error(`Invalid rate limit store: missing ${method}()`);
+    }
+  }
+  store = newStore;
+};
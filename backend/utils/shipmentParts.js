@@ -0,0 +1,152 @@
+// Split shipments: how a booking's pieces are spread over its flights
+
+/**
+ * Work out how many pieces travel on each flight of a booking
+ * Without requested parts every flight carries all pieces. With parts, the pieces
+ * leaving the origin and the pieces reaching the destination must each add up to the booking.
+ * @param {number} pieces - Number of pieces in the booking
+ * @param {Array} flights - Flights of the booking (_id, flightNumber, origin, destination)
+ * @param {Array} requestedParts - Optional [{ flightId, pieces }]
+ * @param {string} origin - Booking origin
+ * @param {string} destination - Booking destination
+ * @returns {Array} Parts [{ flightId, pieces }]
+ * @throws {Error} 'Invalid parts: ...' when the parts do not fit the booking
+ */
+export const resolveShipmentParts = (pieces, flights, requestedParts, origin, destination) => {
+  const total = parseInt(pieces);
+
+  if (requestedParts === undefined || requestedParts === null) {
+    return flights.map(flight => ({ flightId: flight._id, pieces: total }));
+  }
+  if (!Array.isArray(requestedParts)) {
+    throw new Error('Invalid parts: parts must be a list of { flightId, pieces }');
+  }
+
+  const flightsById = new Map(flights.map(flight => [flight._id.toString(), flight]));
+  const seen = new Set();
+
+  const parts = requestedParts.map(part => {
+    const flightId = String(part.flightId);
+    const flight = flightsById.get(flightId);
+    if (!flight) {
+      throw new Error(`Invalid parts: flight ${flightId} is not one of the booking's flights`);
+    }
+    if (seen.has(flightId)) {
+      throw new Error(`Invalid parts: flight ${flight.flightNumber} is listed more than once`);
+    }
+    seen.add(flightId);
+
+    const partPieces = Number(part.pieces);
+    if (!Number.isInteger(partPieces) || partPieces < 1 || partPieces > total) {
+      throw new Error(`Invalid parts: pieces on flight ${flight.flightNumber} must be between 1 and ${total}`);
+    }
+    return { flightId: flight._id, pieces: partPieces };
+  });
+
+  const unassigned = flights.filter(flight => !seen.has(flight._id.toString()));
+  if (unassigned.length > 0) {
+    throw new Error(`Invalid parts: no pieces assigned to flight ${unassigned.map(flight => flight.flightNumber).join(', ')}`);
+  }
+
+  const checks = [['origin', origin.toUpperCase().trim(), 'leave'], ['destination', destination.toUpperCase().trim(), 'reach']];
+  for (const [field, station, verb] of checks) {
+    const atStation = parts.filter(part => flightsById.get(part.flightId.toString())[field] === station);
+    const count = atStation.reduce((sum, part) => sum + part.pieces, 0);
+    if (atStation.length > 0 && count !== total) {
+      throw new Error(`Invalid parts: ${count} of ${total} pieces ${verb} ${station}`);
+    }
+  }
+
+  return parts;
+};
+
+/**
+ * Weight and volume each flight carries for a booking, shared out by pieces
+ * Bookings without parts put the whole shipment on every flight
+ * @param {Object} shipment - pieces, weight_kg, volume_m3, flightIds, parts
+ * @returns {Array} [{ flightId, weightKg, volumeM3 }]
+ */
+export const getFlightLoads = ({ pieces, weight_kg, volume_m3 = 0, flightIds = [], parts = [] }) => {
+  if (parts.length === 0) {
+    return flightIds.map(flightId => ({
+      flightId: (flightId._id || flightId).toString(),
+      weightKg: weight_kg,
+      volumeM3: volume_m3 || 0,
+    }));
+  }
+
+  return parts.map(part => ({
+    flightId: part.flightId.toString(),
+    weightKg: Math.round(weight_kg * part.pieces / pieces * 100) / 100,
+    volumeM3: Math.round((volume_m3 || 0) * part.pieces / pieces * 1000) / 1000,
+  }));
+};
+
+/**
+ * Parts that depart the origin (field 'origin') or reach the destination (field 'destination')
+ * Falls back to all parts when no flight touches the station
+ * @param {Array} parts - Booking parts
+ * @param {Map} flightsById - flightId -> flight
+ * @param {string} field - 'origin' or 'destination'
+ * @param {string} station - Airport code
+ * @returns {Array} Matching parts
+ */
+export const getPartsAtStation = (parts, flightsById, field, station) => {
+  const matching = parts.filter(part => flightsById.get(part.flightId.toString())?.[field] === station);
+  return matching.length > 0 ? matching : parts;
+};
+
+/**
+ * How many pieces of a part can depart or arrive now
+ * A connecting leg can only take pieces that have arrived at its origin and not left on another leg.
+ * Arriving pieces that have not departed yet depart with the arrival.
+ * @param {Object} part - Part with departed_pieces and arrived_pieces
+ * @param {Array} parts - All parts of the booking
+ * @param {Map} flightsById - flightId -> flight (origin, destination)
+ * @param {string} event - DEPARTED or ARRIVED
+ * @returns {number} Pieces that can move
+ */
+export const getMovablePieces = (part, parts, flightsById, event) => {
+  const station = flightsById.get(part.flightId.toString())?.origin;
+  const atStation = (field) => parts.filter(p => flightsById.get(p.flightId.toString())?.[field] === station);
+  const sum = (list, field) => list.reduce((total, p) => total + p[field], 0);
+
+  let toDepart = part.pieces - part.departed_pieces;
+  const inbound = atStation('destination');
+  if (inbound.length > 0) {
+    const waiting = sum(inbound, 'arrived_pieces') - sum(atStation('origin'), 'departed_pieces');
+    toDepart = Math.min(toDepart, Math.max(waiting, 0));
+  }
+
+  return event === 'DEPARTED' ? toDepart : part.departed_pieces - part.arrived_pieces + toDepart;
+};
+
+/**
+ * Status that follows from how many pieces have departed and arrived
+ * @param {number} pieces - Pieces expected
+ * @param {number} departedPieces - Pieces that have departed
+ * @param {number} arrivedPieces - Pieces that have arrived
+ * @returns {string} BOOKED, PARTIALLY_DEPARTED, DEPARTED, PARTIALLY_ARRIVED or ARRIVED
+ */
+export const getPieceStatus = (pieces, departedPieces, arrivedPieces) => {
+  if (arrivedPieces >= pieces) return 'ARRIVED';
+  if (arrivedPieces > 0) return 'PARTIALLY_ARRIVED';
+  if (departedPieces >= pieces) return 'DEPARTED';
+  if (departedPieces > 0) return 'PARTIALLY_DEPARTED';
+  return 'BOOKED';
+};
+
+/**
+ * Roll the parts of a booking up into one booking status
+ * Departures count on the flights leaving the origin, arrivals on the flights reaching the destination
+ * @param {Object} booking - pieces, origin, destination
+ * @param {Array} parts - Parts with departed_pieces and arrived_pieces
+ * @param {Map} flightsById - flightId -> flight (origin, destination)
+ * @returns {string} Booking status
+ */
+export const rollUpStatus = (booking, parts, flightsById) => {
+  const count = (list, field) => list.reduce((sum, part) => sum + part[field], 0);
+  const departed = count(getPartsAtStation(parts, flightsById, 'origin', booking.origin), 'departed_pieces');
+  const arrived = count(getPartsAtStation(parts, flightsById, 'destination', booking.destination), 'arrived_pieces');
+  return getPieceStatus(booking.pieces, departed, arrived);
+};
@@ -0,0 +1,75 @@
+// IATA special handling codes (SHC) accepted on bookings and flight restrictions
+
+export const SPECIAL_HANDLING_CODES = {
+  AVI: 'Live animals',
+  BIG: 'Outsized',
+  CAO: 'Cargo aircraft only',
+  COL: 'Cool goods',
+  DGR: 'Dangerous goods',
+  EAT: 'Foodstuffs',
+  ELI: 'Lithium ion batteries (Section II)',
+  ELM: 'Lithium metal batteries (Section II)',
+  FRO: 'Frozen goods',
+  HEA: 'Heavy cargo',
+  HEG: 'Hatching eggs',
+  HUM: 'Human remains',
+  ICE: 'Dry ice',
+  LHO: 'Living human organs',
+  MAG: 'Magnetized material',
+  PEF: 'Flowers',
+  PEM: 'Meat',
+  PEP: 'Fruit and vegetables',
+  PER: 'Perishable cargo',
+  PES: 'Fish and seafood',
+  PIL: 'Pharmaceuticals',
+  RCL: 'Cryogenic liquids',
+  RCM: 'Corrosive',
+  RCX: 'Explosives 1.3C',
+  REQ: 'Excepted quantities of dangerous goods',
+  RFG: 'Flammable gas',
+  RFL: 'Flammable liquid',
+  RFS: 'Flammable solid',
+  RIS: 'Infectious substance',
+  RLI: 'Lithium ion batteries (fully regulated)',
+  RLM: 'Lithium metal batteries (fully regulated)',
+  RMD: 'Miscellaneous dangerous goods',
+  RNG: 'Non-flammable non-toxic gas',
+  ROP: 'Organic peroxide',
+  ROX: 'Oxidizer',
+  RPB: 'Toxic substance',
+  RRW: 'Radioactive material, category I-White',
+  RRY: 'Radioactive material, categories II and III-Yellow',
+  VAL: 'Valuable cargo',
+  VUN: 'Vulnerable cargo',
+  WET: 'Wet cargo',
+};
+
+/**
+ * Check whether a code is a known special handling code
+ * @param {string} code - e.g. 'PER'
+ * @returns {boolean}
+ */
+export const isSpecialHandlingCode = (code) => Object.hasOwn(SPECIAL_HANDLING_CODES, code);
+
+/**
+ * Normalise a list of special handling codes (uppercase, de-duplicated, sorted)
+ * Accepts an array or a comma-separated string
+ * @param {Array|string} codes - Handling codes
+ * @returns {Array} Normalised codes
+ * @throws {Error} 'Invalid special handling code: ...' for unknown codes
+ */
+export const normalizeHandlingCodes = (codes) => {
+  if (codes === undefined || codes === null || codes === '') {
+    return [];
+  }
+
+  const list = Array.isArray(codes) ? codes : String(codes).split(',');
+  const normalized = [...new Set(list.map(code => String(code).toUpperCase().trim()).filter(Boolean))].sort();
+
+  const unknown = normalized.filter(code => !isSpecialHandlingCode(code));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid special handling code: ${unknown.join(', ')}`);
+  }
+
+  return normalized;
+};
@@ -0,0 +1,252 @@
+// Parser for IATA SSIM Chapter 7 schedule files (fixed-width, 200-byte records).
+// Only flight leg records (record type 3) are turned into legs; header, carrier,
+// segment and trailer records (types 1, 2, 4, 5) and zero-filled padding lines are skipped.
+
+import { addDays, getIsoWeekday } from './timezone.js';
+
+const RECORD_LENGTH = 200;
+
+// Shortest type 3 record we accept: everything up to and including the aircraft type
+const MIN_LEG_RECORD_LENGTH = 75;
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// "00XXX00" in the period-to field means the leg operates until further notice
+const INDEFINITE_PERIOD = '00XXX00';
+
+/**
+ * Read a fixed-width field using the 1-based byte positions from the SSIM manual
+ */
+const field = (record, from, to) => record.substring(from - 1, to);
+
+/**
+ * Parse an SSIM file into flight legs
+ * @param {string} text - File contents
+ * @returns {Object} { legs, rejected, recordCount }
+ *   - legs: parsed type 3 records (see parseLegRecord)
+ *   - rejected: [{ line, reason, record }] for type 3 records that could not be parsed
+ *   - recordCount: number of non-empty lines read
+ */
+export const parseSsim = (text) => {
+  const legs = [];
+  const rejected = [];
+  let recordCount = 0;
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = index + 1;
+    if (!rawLine.trim()) {
+      return;
+    }
+    recordCount++;
+
+    if (rawLine[0] !== '3') {
+      return; // Not a flight leg record
+    }
+
+    try {
+      legs.push({ line, ...parseLegRecord(rawLine) });
+    } catch (error) {
+      rejected.push({ line, reason: error.message, record: rawLine.trimEnd() });
+    }
+  });
+
+  return { legs, rejected, recordCount };
+};
+
+/**
+ * Parse one flight leg record (type 3)
+ * @param {string} rawRecord - Record text
+ * @returns {Object} Leg with flight designator, period, days, stations, local times and UTC offsets
+ * @throws {Error} When a field is missing or malformed
+ */
+export const parseLegRecord = (rawRecord) => {
+  if (rawRecord.trimEnd().length < MIN_LEG_RECORD_LENGTH) {
+    throw new Error(`Record too short: expected ${RECORD_LENGTH} bytes, got ${rawRecord.trimEnd().length}`);
+  }
+  const record = rawRecord.padEnd(RECORD_LENGTH, ' ');
+
+  const airlineDesignator = field(record, 3, 5).trim();
+  if (!/^[A-Z0-9]{2}[A-Z]?$/.test(airlineDesignator)) {
+    throw new Error(`Invalid airline designator: "${field(record, 3, 5)}"`);
+  }
+
+  const flightNumberField = field(record, 6, 9).trim();
+  if (!/^\d{1,4}$/.test(flightNumberField)) {
+    throw new Error(`Invalid flight number: "${field(record, 6, 9)}"`);
+  }
+  const operationalSuffix = field(record, 2, 2).trim();
+
+  const periodFrom = parseSsimDate(field(record, 15, 21));
+  if (!periodFrom) {
+    throw new Error(`Invalid period of operation start: "${field(record, 15, 21)}"`);
+  }
+
+  const periodToField = field(record, 22, 28);
+  const periodTo = periodToField === INDEFINITE_PERIOD ? null : parseSsimDate(periodToField);
+  if (periodToField !== INDEFINITE_PERIOD && !periodTo) {
+    throw new Error(`Invalid period of operation end: "${periodToField}"`);
+  }
+  if (periodTo && periodTo < periodFrom) {
+    throw new Error(`Period of operation ends (${periodTo}) before it starts (${periodFrom})`);
+  }
+
+  const daysOfWeek = parseDaysOfOperation(field(record, 29, 35));
+
+  const origin = parseStation(field(record, 37, 39), 'departure');
+  const destination = parseStation(field(record, 55, 57), 'arrival');
+  if (origin === destination) {
+    throw new Error(`Departure and arrival station are both ${origin}`);
+  }
+
+  // Cargo moves on the aircraft times, not the passenger times
+  const departureTime = parseSsimTime(field(record, 44, 47), 'aircraft STD');
+  const arrivalTime = parseSsimTime(field(record, 58, 61), 'aircraft STA');
+  const departureUtcOffset = parseUtcOffset(field(record, 48, 52), 'departure');
+  const arrivalUtcOffset = parseUtcOffset(field(record, 66, 70), 'arrival');
+
+  const departureDateVariation = parseDateVariation(field(record, 193, 193), 'departure');
+  const arrivalDateVariation = parseDateVariation(field(record, 194, 194), 'arrival');
+
+  return {
+    airlineDesignator,
+    flightNumber: `${airlineDesignator}${parseInt(flightNumberField)}${operationalSuffix}`,
+    itineraryVariation: field(record, 10, 11).trim(),
+    legSequence: parseInt(field(record, 12, 13)) || 1,
+    serviceType: field(record, 14, 14).trim(),
+    periodFrom,
+    periodTo,
+    daysOfWeek,
+    origin,
+    destination,
+    departureTime,
+    arrivalTime,
+    departureUtcOffset,
+    arrivalUtcOffset,
+    departureDateVariation,
+    arrivalDateVariation,
+    aircraftType: field(record, 73, 75).trim(),
+  };
+};
+
+/**
+ * Expand a leg into dated flight instances within a date window
+ * @param {Object} leg - Parsed leg from parseLegRecord
+ * @param {Object} window - { from, to } YYYY-MM-DD bounds (inclusive); to is required for indefinite periods
+ * @returns {Array} [{ operatingDate, departureDateTime, arrivalDateTime }]
+ */
+export const expandLeg = (leg, window = {}) => {
+  const firstDate = window.from && window.from > leg.periodFrom ? window.from : leg.periodFrom;
+  const candidatesTo = [leg.periodTo, window.to].filter(Boolean).sort();
+  const lastDate = candidatesTo[0];
+  if (!lastDate) {
+    throw new Error('A window end date is required to expand a leg that operates indefinitely');
+  }
+
+  const instances = [];
+  for (let date = firstDate; date <= lastDate; date = addDays(date, 1)) {
+    if (!leg.daysOfWeek.includes(getIsoWeekday(date))) {
+      continue;
+    }
+
+    const departureDateTime = toUtc(
+      addDays(date, leg.departureDateVariation), leg.departureTime, leg.departureUtcOffset
+    );
+    const arrivalDateTime = toUtc(
+      addDays(date, leg.arrivalDateVariation), leg.arrivalTime, leg.arrivalUtcOffset
+    );
+
+    instances.push({ operatingDate: date, departureDateTime, arrivalDateTime });
+  }
+
+  return instances;
+};
+
+/**
+ * Parse a DDMMMYY date (e.g. 01NOV24) into YYYY-MM-DD
+ */
+const parseSsimDate = (value) => {
+  const match = /^(\d{2})([A-Z]{3})(\d{2})$/.exec(value);
+  if (!match) return null;
+
+  const day = parseInt(match[1]);
+  const month = MONTHS.indexOf(match[2]) + 1;
+  const year = 2000 + parseInt(match[3]);
+  if (month === 0) return null;
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null; // e.g. 31FEB
+  }
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * Parse the 7-byte days of operation field ("1 3 5  " = Mon, Wed, Fri)
+ */
+const parseDaysOfOperation = (value) => {
+  const days = [];
+  for (let i = 0; i < 7; i++) {
+    const char = value[i];
+    if (char === ' ') continue;
+    if (char !== String(i + 1)) {
+      throw new Error(`Invalid days of operation: "${value}"`);
+    }
+    days.push(i + 1);
+  }
+  if (days.length === 0) {
+    throw new Error('Invalid days of operation: no operating days');
+  }
+  return days;
+};
+
+/**
+ * Parse a 3-letter station code
+ */
+const parseStation = (value, label) => {
+  if (!/^[A-Z]{3}$/.test(value)) {
+    throw new Error(`Invalid ${label} station: "${value}"`);
+  }
+  return value;
+};
+
+/**
+ * Parse an HHMM time into HH:MM
+ */
+const parseSsimTime = (value, label) => {
+  const match = /^([01]\d|2[0-3])([0-5]\d)$/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid ${label}: "${value}"`);
+  }
+  return `${match[1]}:${match[2]}`;
+};
+
+/**
+ * Parse a UTC/local time variation (+HHMM or -HHMM) into minutes
+ */
+const parseUtcOffset = (value, label) => {
+  const match = /^([+-])(\d{2})(\d{2})$/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid ${label} UTC/local time variation: "${value}"`);
+  }
+  const minutes = parseInt(match[2]) * 60 + parseInt(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+};
+
+/**
+ * Parse a date variation byte: blank/0 = same day, 1-9 = days later, A = day before
+ */
+const parseDateVariation = (value, label) => {
+  if (value === ' ' || value === '0') return 0;
+  if (value === 'A') return -1;
+  if (/^[1-9]$/.test(value)) return parseInt(value);
+  throw new Error(`Invalid ${label} date variation: "${value}"`);
+};
+
+/**
+ * Convert a local date and HH:MM time with a UTC offset (minutes) to a UTC instant
+ */
+const toUtc = (dateStr, timeStr, utcOffset) => {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const [hour, minute] = timeStr.split(':').map(Number);
+  return new Date(Date.UTC(year, month - 1, day, hour, minute) - utcOffset * 60 * 1000);
+};
@@ -0,0 +1,186 @@
+// Time zone helpers built on the Intl API (no external date library needed)
+
+const formatterCache = new Map();
+
+/**
+ * Get a cached Intl formatter that splits an instant into wall-clock parts for a time zone
+ */
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+/**
+ * Check whether a string is a valid IANA time zone name
+ * @param {string} timeZone - e.g. 'Asia/Kolkata'
+ * @returns {boolean}
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    if (type !== 'literal') {
+      parts[type] = parseInt(value);
+    }
+  }
+  return parts;
+};
+
+/**
+ * Offset of a time zone from UTC at the given instant, in minutes (e.g. +330 for IST)
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number}
+ */
+export const getTimeZoneOffset = (date, timeZone) => {
+  const instant = new Date(date);
+  const parts = getZonedParts(instant, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const wholeSeconds = Math.floor(instant.getTime() / 1000) * 1000;
+  return Math.round((asUtc - wholeSeconds) / (60 * 1000));
+};
+
+/**
+ * Convert a local wall-clock time in a time zone to a UTC instant
+ */
+const zonedTimeToUtc = (year, month, day, hour, minute, second, millisecond, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  // Two passes settle the offset around DST transitions
+  let utc = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone) * 60 * 1000;
+  utc = wallClock - getTimeZoneOffset(new Date(utc), timeZone) * 60 * 1000;
+  return new Date(utc);
+};
+
+/**
+ * Start and end instants of a calendar day in a time zone
+ * Falls back to the server's local day when no time zone is given
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {string} timeZone - IANA time zone (optional)
+ * @returns {Object} { start, end }
+ */
+export const getLocalDayBounds = (dateStr, timeZone) => {
+  if (!timeZone) {
+    const start = new Date(dateStr);
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(dateStr);
+    end.setHours(23, 59, 59, 999);
+    return { start, end };
+  }
+
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return {
+    start: zonedTimeToUtc(year, month, day, 0, 0, 0, 0, timeZone),
+    end: zonedTimeToUtc(year, month, day, 23, 59, 59, 999, timeZone),
+  };
+};
+
+/**
+ * End of the calendar day after the given instant, in a time zone
+ * Falls back to the server's local day when no time zone is given
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone (optional)
+ * @returns {Date}
+ */
+export const getEndOfNextLocalDay = (date, timeZone) => {
+  if (!timeZone) {
+    const end = new Date(date);
+    end.setDate(end.getDate() + 1);
+    end.setHours(23, 59, 59, 999);
+    return end;
+  }
+
+  const parts = getZonedParts(new Date(date), timeZone);
+  return zonedTimeToUtc(parts.year, parts.month, parts.day + 1, 23, 59, 59, 999, timeZone);
+};
+
+/**
+ * Convert a local date and wall-clock time in a time zone to a UTC instant
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {string} timeStr - Time in HH:mm format
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date}
+ */
+export const localDateTimeToUtc = (dateStr, timeStr, timeZone) => {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const [hour, minute] = timeStr.split(':').map(Number);
+  return zonedTimeToUtc(year, month, day, hour, minute, 0, 0, timeZone);
+};
+
+/**
+ * Calendar date (YYYY-MM-DD) of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string}
+ */
+export const getLocalDateString = (date, timeZone) => {
+  const parts = getZonedParts(new Date(date), timeZone);
+  const pad = (value) => value.toString().padStart(2, '0');
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+};
+
+/**
+ * Format an instant as an ISO 8601 local time with offset, e.g. 2024-12-01T10:00:00+05:30
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string|null} Local time, or null when the time zone is unknown
+ */
+export const formatLocalDateTime = (date, timeZone) => {
+  if (!date || !timeZone) return null;
+
+  const instant = new Date(date);
+  const parts = getZonedParts(instant, timeZone);
+  const offset = getTimeZoneOffset(instant, timeZone);
+  const pad = (value) => value.toString().padStart(2, '0');
+
+  const sign = offset >= 0 ? '+' : '-';
+  const offsetStr = `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}` +
+    `T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}${offsetStr}`;
+};
+
+/**
+ * Add days to a calendar date
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export const addDays = (dateStr, days) => {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * ISO weekday of a calendar date
+ * @param {string} dateStr - Date in YYYY-MM-DD format
+ * @returns {number} 1 = Monday ... 7 = Sunday
+ */
+export const getIsoWeekday = (dateStr) => {
+  const day = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+  return day === 0 ? 7 : day;
+};
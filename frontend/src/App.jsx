@@ -1,9 +1,38 @@
-import { BrowserRouter as Router, Routes, Route, Link } from 'react-router-dom';
+import { useState } from 'react';
+import { BrowserRouter as Router, Routes, Route, Link, Navigate, useLocation } from 'react-router-dom';
 import CreateBooking from './pages/CreateBooking';
 import Tracking from './pages/Tracking';
+import Login from './pages/Login';
+import { authAPI, getSession } from './services/api';
 import './App.css';
 
+// Roles that can make bookings; station ops only track them
+const BOOKING_ROLES = ['SHIPPER', 'BOOKING_AGENT', 'ADMIN'];
+
+/**
+ * Send signed-out users to the login page, then back here
+ */
+function RequireAuth({ user, children }) {
+  const location = useLocation();
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location.pathname }} />;
+  }
+  return children;
+}
+
 function App() {
+  const [user, setUser] = useState(() => getSession()?.user || null);
+
+  const handleLogout = async () => {
+    try {
+      await authAPI.logout();
+    } finally {
+      setUser(null);
+    }
+  };
+
+  const canBook = user && BOOKING_ROLES.includes(user.role);
+
   return (
     <Router>
       <div className="app">
@@ -11,16 +40,31 @@ function App() {
           <div className="nav-container">
             <h1 className="nav-title">Air Cargo Booking</h1>
             <div className="nav-links">
-              <Link to="/" className="nav-link">Create Booking</Link>
-              <Link to="/tracking" className="nav-link">Tracking</Link>
+              {canBook && <Link to="/" className="nav-link">Create Booking</Link>}
+              {user && <Link to="/tracking" className="nav-link">Tracking</Link>}
+              {user ? (
+                <button type="button" className="nav-link nav-button" onClick={handleLogout}>
+                  Log out {user.name}
+                </button>
+              ) : (
+                <Link to="/login" className="nav-link">Log In</Link>
+              )}
             </div>
           </div>
         </nav>
 
         <main className="main-content">
           <Routes>
-            <Route path="/" element={<CreateBooking />} />
-            <Route path="/tracking" element={<Tracking />} />
+            <Route path="/login" element={<Login onLogin={setUser} />} />
+            <Route
+              path="/"
+              element={
+                <RequireAuth user={user}>
+                  {canBook ? <CreateBooking /> : <Navigate to="/tracking" replace />}
+                </RequireAuth>
+              }
+            />
+            <Route path="/tracking" element={<RequireAuth user={user}><Tracking /></RequireAuth>} />
           </Routes>
         </main>
       </div>
@@ -29,4 +73,3 @@ function App() {
 }
 
 export default App;
-
@@ -2,14 +2,42 @@ import { useState } from 'react';
 import { bookingAPI } from '../services/api';
 import './CreateBooking.css';
 
+// Carriers bill on the higher of actual weight and volume (cm³) / 6000
+const VOLUMETRIC_DIVISOR = 6000;
+
+const emptyDimensionLine = () => ({ length_cm: '', width_cm: '', height_cm: '', pieces: '' });
+
+const initialFormData = {
+  origin: '',
+  destination: '',
+  pieces: '',
+  weight_kg: '',
+  volume_m3: '',
+  special_handling: '',
+  flightIds: '',
+};
+
+/**
+ * Volume in m³ from the dimension inputs (only complete lines count)
+ */
+const getVolumeM3 = (dimensionMode, dimensions, volumeM3) => {
+  if (dimensionMode === 'total') {
+    return parseFloat(volumeM3) || 0;
+  }
+  const volumeCm3 = dimensions.reduce((total, line) => {
+    const length = parseFloat(line.length_cm);
+    const width = parseFloat(line.width_cm);
+    const height = parseFloat(line.height_cm);
+    if (!(length > 0 && width > 0 && height > 0)) return total;
+    return total + length * width * height * (parseInt(line.pieces) || 1);
+  }, 0);
+  return Math.round(volumeCm3 / 1000) / 1000;
+};
+
 function CreateBooking() {
-  const [formData, setFormData] = useState({
-    origin: '',
-    destination: '',
-    pieces: '',
-    weight_kg: '',
-    flightIds: '',
-  });
+  const [formData, setFormData] = useState(initialFormData);
+  const [dimensionMode, setDimensionMode] = useState('pieces'); // 'pieces' or 'total'
+  const [dimensions, setDimensions] = useState([emptyDimensionLine()]);
 
   const [loading, setLoading] = useState(false);
   const [success, setSuccess] = useState(null);
@@ -26,6 +54,29 @@ function CreateBooking() {
     setSuccess(null);
   };
 
+  const handleDimensionChange = (index, field, value) => {
+    setDimensions(prev => prev.map((line, i) => (i === index ? { ...line, [field]: value } : line)));
+    setError(null);
+    setSuccess(null);
+  };
+
+  const addDimensionLine = () => {
+    setDimensions(prev => [...prev, emptyDimensionLine()]);
+  };
+
+  const removeDimensionLine = (index) => {
+    setDimensions(prev => prev.filter((_, i) => i !== index));
+  };
+
+  // Live chargeable weight feedback
+  const volumeM3 = getVolumeM3(dimensionMode, dimensions, formData.volume_m3);
+  const actualWeight = parseFloat(formData.weight_kg) || 0;
+  const volumetricWeight = Math.round(volumeM3 * 1000000 / VOLUMETRIC_DIVISOR * 100) / 100;
+  const chargeableWeight = Math.ceil(Math.max(actualWeight, volumetricWeight) * 2) / 2;
+  const dimensionPieces = dimensions.reduce((total, line) => total + (parseInt(line.pieces) || 1), 0);
+  const piecesMismatch = dimensionMode === 'pieces' && volumeM3 > 0 && formData.pieces &&
+    dimensionPieces !== parseInt(formData.pieces);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -46,21 +97,37 @@ function CreateBooking() {
         flightIds: flightIds,
       };
 
+      // Special handling codes (comma-separated), e.g. ELI, PER
+      const specialHandling = formData.special_handling
+        .split(',').map(code => code.trim().toUpperCase()).filter(code => code);
+      if (specialHandling.length > 0) {
+        bookingData.special_handling = specialHandling;
+      }
+
+      if (dimensionMode === 'total' && formData.volume_m3) {
+        bookingData.volume_m3 = parseFloat(formData.volume_m3);
+      } else if (dimensionMode === 'pieces' && volumeM3 > 0) {
+        bookingData.dimensions = dimensions
+          .filter(line => line.length_cm && line.width_cm && line.height_cm)
+          .map(line => ({
+            length_cm: parseFloat(line.length_cm),
+            width_cm: parseFloat(line.width_cm),
+            height_cm: parseFloat(line.height_cm),
+            pieces: parseInt(line.pieces) || 1,
+          }));
+      }
+
       const response = await bookingAPI.createBooking(bookingData);
 
       setSuccess({
         message: 'Booking created successfully!',
         refId: response.booking.ref_id,
+        chargeableWeight: response.booking.chargeable_weight_kg,
       });
 
       // Reset form
-      setFormData({
-        origin: '',
-        destination: '',
-        pieces: '',
-        weight_kg: '',
-        flightIds: '',
-      });
+      setFormData(initialFormData);
+      setDimensions([emptyDimensionLine()]);
     } catch (err) {
       setError(err.response?.data?.message || err.message || 'Failed to create booking');
     } finally {
@@ -140,6 +207,124 @@ function CreateBooking() {
             </div>
           </div>
 
+          <div className="form-group">
+            <div className="dimensions-header">
+              <label>Dimensions (Optional)</label>
+              <div className="dimension-mode">
+                <button
+                  type="button"
+                  className={`mode-btn ${dimensionMode === 'pieces' ? 'active' : ''}`}
+                  onClick={() => setDimensionMode('pieces')}
+                >
+                  Per piece
+                </button>
+                <button
+                  type="button"
+                  className={`mode-btn ${dimensionMode === 'total' ? 'active' : ''}`}
+                  onClick={() => setDimensionMode('total')}
+                >
+                  Total volume
+                </button>
+              </div>
+            </div>
+
+            {dimensionMode === 'pieces' ? (
+              <div className="dimension-lines">
+                {dimensions.map((line, index) => (
+                  <div key={index} className="dimension-line">
+                    {['length_cm', 'width_cm', 'height_cm'].map(field => (
+                      <input
+                        key={field}
+                        type="number"
+                        value={line[field]}
+                        onChange={(e) => handleDimensionChange(index, field, e.target.value)}
+                        placeholder={`${field.split('_')[0][0].toUpperCase()}${field.split('_')[0].slice(1)} (cm)`}
+                        min="0"
+                        step="0.1"
+                        className="form-input"
+                      />
+                    ))}
+                    <input
+                      type="number"
+                      value={line.pieces}
+                      onChange={(e) => handleDimensionChange(index, 'pieces', e.target.value)}
+                      placeholder="Pcs"
+                      min="1"
+                      className="form-input"
+                    />
+                    {dimensions.length > 1 && (
+                      <button
+                        type="button"
+                        className="remove-line-btn"
+                        onClick={() => removeDimensionLine(index)}
+                        aria-label="Remove dimension line"
+                      >
+                        ×
+                      </button>
+                    )}
+                  </div>
+                ))}
+                <button type="button" className="add-line-btn" onClick={addDimensionLine}>
+                  + Add dimension line
+                </button>
+              </div>
+            ) : (
+              <input
+                type="number"
+                id="volume_m3"
+                name="volume_m3"
+                value={formData.volume_m3}
+                onChange={handleChange}
+                placeholder="Total volume (m³), e.g., 1.2"
+                min="0"
+                step="0.001"
+                className="form-input"
+              />
+            )}
+
+            {piecesMismatch && (
+              <small className="form-warning">
+                Dimension lines cover {dimensionPieces} piece(s) but the booking has {formData.pieces}
+              </small>
+            )}
+          </div>
+
+          {(actualWeight > 0 || volumeM3 > 0) && (
+            <div className="chargeable-summary">
+              <div className="chargeable-item">
+                <span className="chargeable-label">Volume</span>
+                <span className="chargeable-value">{volumeM3} m³</span>
+              </div>
+              <div className="chargeable-item">
+                <span className="chargeable-label">Volumetric weight</span>
+                <span className="chargeable-value">{volumetricWeight} kg</span>
+              </div>
+              <div className="chargeable-item highlight">
+                <span className="chargeable-label">Chargeable weight</span>
+                <span className="chargeable-value">{chargeableWeight} kg</span>
+              </div>
+              <small className="form-hint">
+                {volumetricWeight > actualWeight
+                  ? 'Billed on volumetric weight (volume / 6000)'
+                  : 'Billed on actual weight'}
+              </small>
+            </div>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="special_handling">Special Handling Codes (Optional)</label>
+            <input
+              type="text"
+              id="special_handling"
+              name="special_handling"
+              value={formData.special_handling}
+              onChange={handleChange}
+              placeholder="Comma-separated IATA codes, e.g., ELI, PER, AVI"
+              className="form-input"
+            />
+            <small className="form-hint">Flights that refuse these codes cannot be booked</small>
+          </div>
+
           <div className="form-group">
             <label htmlFor="flightIds">Flight IDs (Optional)</label>
             <input
@@ -164,6 +349,7 @@ function CreateBooking() {
             <div className="alert alert-success">
               <strong>{success.message}</strong>
               <p>Booking Reference ID: <strong>{success.refId}</strong></p>
+              <p>Chargeable weight: <strong>{success.chargeableWeight} kg</strong></p>
               <p className="success-note">Save this reference ID for tracking your booking.</p>
             </div>
           )}
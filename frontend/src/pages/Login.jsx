@@ -0,0 +1,159 @@
+import { useState } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import './CreateBooking.css';
+import './Login.css';
+
+const initialFormData = {
+  accountName: '',
+  accountCode: '',
+  name: '',
+  email: '',
+  password: '',
+};
+
+function Login({ onLogin }) {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [mode, setMode] = useState('login'); // 'login' or 'register'
+  const [formData, setFormData] = useState(initialFormData);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value,
+    }));
+    setError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+
+    try {
+      const session = mode === 'login'
+        ? await authAPI.login(formData.email, formData.password)
+        : await authAPI.register(formData);
+
+      onLogin(session.user);
+      // Back to the page that asked for a login
+      navigate(location.state?.from || '/', { replace: true });
+    } catch (err) {
+      setError(err.response?.data?.message || err.message || 'Failed to log in');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="login">
+      <div className="page-header">
+        <h1>{mode === 'login' ? 'Log In' : 'Create Account'}</h1>
+        <p>{mode === 'login' ? 'Sign in to book and track cargo' : 'Open a customer account to book and track cargo'}</p>
+      </div>
+
+      <div className="card">
+        <form onSubmit={handleSubmit} className="booking-form">
+          {mode === 'register' && (
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="accountName">Company *</label>
+                <input
+                  type="text"
+                  id="accountName"
+                  name="accountName"
+                  value={formData.accountName}
+                  onChange={handleChange}
+                  required
+                  className="form-input"
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="accountCode">Customer Code *</label>
+                <input
+                  type="text"
+                  id="accountCode"
+                  name="accountCode"
+                  value={formData.accountCode}
+                  onChange={handleChange}
+                  placeholder="e.g., ACMEFWD"
+                  required
+                  pattern="[A-Za-z0-9]{2,12}"
+                  maxLength="12"
+                  className="form-input"
+                />
+                <small className="form-hint">2-12 letters or digits</small>
+              </div>
+            </div>
+          )}
+
+          {mode === 'register' && (
+            <div className="form-group">
+              <label htmlFor="name">Your Name *</label>
+              <input
+                type="text"
+                id="name"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                required
+                className="form-input"
+              />
+            </div>
+          )}
+
+          <div className="form-group">
+            <label htmlFor="email">Email *</label>
+            <input
+              type="email"
+              id="email"
+              name="email"
+              value={formData.email}
+              onChange={handleChange}
+              required
+              autoComplete="username"
+              className="form-input"
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="password">Password *</label>
+            <input
+              type="password"
+              id="password"
+              name="password"
+              value={formData.password}
+              onChange={handleChange}
+              required
+              minLength={mode === 'register' ? 8 : undefined}
+              autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+              className="form-input"
+            />
+            {mode === 'register' && <small className="form-hint">At least 8 characters</small>}
+          </div>
+
+          {error && <div className="alert alert-error">{error}</div>}
+
+          <button type="submit" className="btn btn-primary" disabled={loading}>
+            {loading ? 'Please wait...' : mode === 'login' ? 'Log In' : 'Create Account'}
+          </button>
+
+          <button
+            type="button"
+            className="login-switch"
+            onClick={() => { setMode(mode === 'login' ? 'register' : 'login'); setError(null); }}
+          >
+            {mode === 'login' ? 'New customer? Create an account' : 'Already have an account? Log in'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default Login;
@@ -1,5 +1,5 @@
-import { useState } from 'react';
-import { bookingAPI } from '../services/api';
+import { useState, useEffect } from 'react';
+import { bookingAPI, streamBookingTimeline } from '../services/api';
 import './Tracking.css';
 
 function Tracking() {
@@ -7,6 +7,42 @@ function Tracking() {
   const [loading, setLoading] = useState(false);
   const [booking, setBooking] = useState(null);
   const [error, setError] = useState(null);
+  const [live, setLive] = useState(false);
+
+  const bookingId = booking?._id;
+
+  // Follow the timeline of the booking on screen; the stream ends once it is delivered or cancelled
+  useEffect(() => {
+    if (!bookingId) {
+      return undefined;
+    }
+
+    setLive(true);
+    const closeStream = streamBookingTimeline(bookingId, {
+      lastEventId: booking.timeline.length - 1,
+      onEvent: ({ entry, status, at_risk }) => {
+        setLive(true);
+        setBooking(current => {
+          if (!current || current.timeline.some(event => event._id === entry._id)) {
+            return current;
+          }
+          return { ...current, status, at_risk, timeline: [...current.timeline, entry] };
+        });
+        // Piece counts per leg come with the history
+        bookingAPI.getBookingHistory(bookingId)
+          .then(response => setBooking(current => (current?._id === bookingId ? response.booking : current)))
+          .catch(() => {});
+      },
+      onEnd: () => setLive(false),
+      onError: () => setLive(false),
+    });
+
+    return () => {
+      closeStream();
+      setLive(false);
+    };
+    // The stream resumes after the timeline loaded with the booking; later updates come through it
+  }, [bookingId]);
 
   const handleSearch = async (e) => {
     e.preventDefault();
@@ -33,16 +69,20 @@ function Tracking() {
   const getStatusColor = (status) => {
     const colors = {
       BOOKED: '#3b82f6',
+      PARTIALLY_DEPARTED: '#fbbf24',
       DEPARTED: '#f59e0b',
+      PARTIALLY_ARRIVED: '#34d399',
       ARRIVED: '#10b981',
       DELIVERED: '#059669',
       CANCELLED: '#ef4444',
+      AT_RISK: '#dc2626',
+      REBOOKED: '#8b5cf6',
     };
     return colors[status] || '#6b7280';
   };
 
   const getStatusLabel = (status) => {
-    return status.charAt(0) + status.slice(1).toLowerCase();
+    return status.charAt(0) + status.slice(1).toLowerCase().replace(/_/g, ' ');
   };
 
   const formatDate = (dateString) => {
@@ -56,6 +96,32 @@ function Tracking() {
     });
   };
 
+  // Amended values are numbers, code/flight lists or dimension lines
+  const getFlightNumber = (flightId) => {
+    const flight = (booking.flightIds || []).find(f => f._id === flightId);
+    return flight ? flight.flightNumber : flightId;
+  };
+
+  const formatAmendedValue = (value) => {
+    if (!Array.isArray(value)) {
+      return String(value);
+    }
+    if (value.length === 0) {
+      return 'none';
+    }
+    return value
+      .map(item => {
+        if (typeof item !== 'object') {
+          return item;
+        }
+        if (item.flightId) {
+          return `${getFlightNumber(item.flightId)} ×${item.pieces}`;
+        }
+        return `${item.length_cm}×${item.width_cm}×${item.height_cm} cm ×${item.pieces}`;
+      })
+      .join(', ');
+  };
+
   return (
     <div className="tracking">
       <div className="page-header">
@@ -101,6 +167,16 @@ function Tracking() {
               >
                 {getStatusLabel(booking.status)}
               </div>
+              {booking.at_risk && (
+                <div className="status-badge" style={{ backgroundColor: getStatusColor('AT_RISK') }}>
+                  At risk
+                </div>
+              )}
+              {live && (
+                <div className="live-badge" title="The timeline updates as the booking moves">
+                  Live
+                </div>
+              )}
             </div>
 
             <div className="booking-info-grid">
@@ -120,6 +196,24 @@ function Tracking() {
                 <span className="info-label">Weight:</span>
                 <span className="info-value">{booking.weight_kg} kg</span>
               </div>
+              {booking.volume_m3 > 0 && (
+                <div className="info-item">
+                  <span className="info-label">Volume:</span>
+                  <span className="info-value">{booking.volume_m3} m³</span>
+                </div>
+              )}
+              {booking.chargeable_weight_kg !== undefined && (
+                <div className="info-item">
+                  <span className="info-label">Chargeable Weight:</span>
+                  <span className="info-value">{booking.chargeable_weight_kg} kg</span>
+                </div>
+              )}
+              {booking.special_handling && booking.special_handling.length > 0 && (
+                <div className="info-item">
+                  <span className="info-label">Special Handling:</span>
+                  <span className="info-value">{booking.special_handling.join(', ')}</span>
+                </div>
+              )}
             </div>
 
             <div className="timeline-section">
@@ -147,6 +241,45 @@ function Tracking() {
                           </span>
                           <span className="timeline-time">{formatDate(event.timestamp)}</span>
                         </div>
+                        {event.note && (
+                          <div className="timeline-pod">
+                            <div className="pod-row">
+                              <span className="pod-value">{event.note}</span>
+                            </div>
+                          </div>
+                        )}
+                        {event.pieces && (
+                          <div className="timeline-pod">
+                            <div className="pod-row">
+                              <span className="pod-label">Pieces:</span>
+                              <span className="pod-value">
+                                {event.pieces}{event.flightId && ` on ${getFlightNumber(event.flightId)}`}
+                              </span>
+                            </div>
+                          </div>
+                        )}
+                        {event.pod && (
+                          <div className="timeline-pod">
+                            <div className="pod-row">
+                              <span className="pod-label">Received by:</span>
+                              <span className="pod-value">{event.pod.consignee_name}</span>
+                            </div>
+                            <div className="pod-row">
+                              <span className="pod-label">Delivered at:</span>
+                              <span className="pod-value">{formatDate(event.pod.delivered_at)}</span>
+                            </div>
+                            <div className="pod-row">
+                              <span className="pod-label">Station:</span>
+                              <span className="pod-value">{event.pod.receiving_station}</span>
+                            </div>
+                            {event.pod.signature_ref && (
+                              <div className="pod-row">
+                                <span className="pod-label">Signature:</span>
+                                <span className="pod-value pod-signature">{event.pod.signature_ref}</span>
+                              </div>
+                            )}
+                          </div>
+                        )}
                       </div>
                     </div>
                   ))
@@ -155,6 +288,112 @@ function Tracking() {
                 )}
               </div>
             </div>
+
+            {booking.parts && booking.parts.length > 1 && (
+              <div className="timeline-section">
+                <h3>Flight Legs</h3>
+                <div className="timeline">
+                  {booking.parts.map((leg) => (
+                    <div key={leg.flightId} className="timeline-item">
+                      <div className="timeline-marker" style={{ backgroundColor: getStatusColor(leg.status) }}>
+                        <div className="timeline-dot"></div>
+                      </div>
+                      <div className="timeline-content" style={{ borderColor: getStatusColor(leg.status) }}>
+                        <div className="timeline-header">
+                          <span className="timeline-status" style={{ color: getStatusColor(leg.status) }}>
+                            {leg.flightNumber} {leg.origin} → {leg.destination}
+                          </span>
+                          <span className="timeline-time">{getStatusLabel(leg.status)}</span>
+                        </div>
+                        <div className="timeline-pod">
+                          <div className="pod-row">
+                            <span className="pod-label">Departs:</span>
+                            <span className="pod-value">{formatDate(leg.departureDateTime)}</span>
+                          </div>
+                          <div className="pod-row">
+                            <span className="pod-label">Pieces:</span>
+                            <span className="pod-value">
+                              {leg.pieces} ({leg.departed_pieces} departed, {leg.arrived_pieces} arrived)
+                            </span>
+                          </div>
+                        </div>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {booking.amendments && booking.amendments.length > 0 && (
+              <div className="timeline-section">
+                <h3>Amendments</h3>
+                <div className="timeline">
+                  {booking.amendments.map((amendment) => (
+                    <div key={amendment.version} className="timeline-item">
+                      <div className="timeline-marker" style={{ backgroundColor: '#6b7280' }}>
+                        <div className="timeline-dot"></div>
+                      </div>
+                      <div className="timeline-content" style={{ borderColor: '#6b7280' }}>
+                        <div className="timeline-header">
+                          <span className="timeline-status">Version {amendment.version}</span>
+                          <span className="timeline-time">{formatDate(amendment.timestamp)}</span>
+                        </div>
+                        <div className="timeline-pod">
+                          {Object.entries(amendment.changes).map(([field, change]) => (
+                            <div key={field} className="pod-row">
+                              <span className="pod-label">{field}:</span>
+                              <span className="pod-value">
+                                {formatAmendedValue(change.from)} → {formatAmendedValue(change.to)}
+                              </span>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {booking.notifications && booking.notifications.length > 0 && (
+              <div className="timeline-section">
+                <h3>Notifications</h3>
+                <div className="timeline">
+                  {booking.notifications.map((notification) => {
+                    const color = notification.status === 'SENT' ? getStatusColor(notification.event) : getStatusColor('CANCELLED');
+                    return (
+                      <div key={notification._id} className="timeline-item">
+                        <div className="timeline-marker" style={{ backgroundColor: color }}>
+                          <div className="timeline-dot"></div>
+                        </div>
+                        <div className="timeline-content" style={{ borderColor: color }}>
+                          <div className="timeline-header">
+                            <span className="timeline-status" style={{ color: color }}>
+                              {getStatusLabel(notification.event)} · {notification.channel === 'SMS' ? 'SMS' : 'Email'}
+                            </span>
+                            <span className="timeline-time">{formatDate(notification.createdAt)}</span>
+                          </div>
+                          <div className="timeline-pod">
+                            <div className="pod-row">
+                              <span className="pod-label">To:</span>
+                              <span className="pod-value">
+                                {notification.to} ({getStatusLabel(notification.role || 'CONTACT')})
+                              </span>
+                            </div>
+                            <div className="pod-row">
+                              <span className="pod-label">Status:</span>
+                              <span className="pod-value">
+                                {getStatusLabel(notification.status)}{notification.error && `: ${notification.error}`}
+                              </span>
+                            </div>
+                          </div>
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
           </div>
         )}
       </div>
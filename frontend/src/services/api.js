@@ -9,6 +9,110 @@ const api = axios.create({
   },
 });
 
+// Tokens and user of the current session, kept across page reloads
+const SESSION_KEY = 'air-cargo-session';
+
+export const getSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+};
+
+const saveSession = (session) => {
+  localStorage.setItem(SESSION_KEY, JSON.stringify({
+    user: session.user,
+    accessToken: session.accessToken,
+    refreshToken: session.refreshToken,
+  }));
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(SESSION_KEY);
+};
+
+// Send the access token with every request
+api.interceptors.request.use((config) => {
+  const session = getSession();
+  if (session?.accessToken) {
+    config.headers.Authorization = `Bearer ${session.accessToken}`;
+  }
+  return config;
+});
+
+// One refresh at a time, shared by the requests that failed while it runs
+let refreshing = null;
+
+const refreshSession = async () => {
+  const session = getSession();
+  if (!session?.refreshToken) {
+    throw new Error('Not logged in');
+  }
+  // Plain axios, so a failed refresh does not come back through the interceptor
+  const response = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken: session.refreshToken });
+  saveSession(response.data);
+  return response.data;
+};
+
+// Refresh the session once for everyone who hit a 401 meanwhile; on failure, back to the login page
+const refreshOrLogout = async () => {
+  try {
+    refreshing = refreshing || refreshSession();
+    await refreshing;
+  } catch (error) {
+    clearSession();
+    window.location.assign('/login');
+    throw error;
+  } finally {
+    refreshing = null;
+  }
+};
+
+// On an expired access token, refresh it once and retry; otherwise send the user to the login page
+api.interceptors.response.use(
+  response => response,
+  async (error) => {
+    const original = error.config;
+    if (error.response?.status !== 401 || original._retried || original.url.startsWith('/auth/')) {
+      return Promise.reject(error);
+    }
+
+    original._retried = true;
+    try {
+      await refreshOrLogout();
+    } catch {
+      return Promise.reject(error);
+    }
+    return api(original);
+  }
+);
+
+export const authAPI = {
+  // Sign in and keep the session
+  login: async (email, password) => {
+    const response = await api.post('/auth/login', { email, password });
+    saveSession(response.data);
+    return response.data;
+  },
+
+  // Sign up as a shipper and keep the session
+  register: async (userData) => {
+    const response = await api.post('/auth/register', userData);
+    saveSession(response.data);
+    return response.data;
+  },
+
+  // Revoke the refresh tokens and forget the session
+  logout: async () => {
+    try {
+      await api.post('/auth/logout');
+    } finally {
+      clearSession();
+    }
+  },
+};
+
 export const bookingAPI = {
   // Create a new booking
   createBooking: async (bookingData) => {
@@ -28,20 +132,32 @@ export const bookingAPI = {
     return response.data;
   },
 
-  // Mark booking as departed
-  departBooking: async (bookingId, flightId = null) => {
+  // Mark booking (or some pieces of it) as departed
+  departBooking: async (bookingId, flightId = null, pieces = null) => {
     const params = flightId ? { flightId } : {};
+    if (pieces) {
+      params.pieces = pieces;
+    }
     const response = await api.post(`/bookings/${bookingId}/depart`, null, { params });
     return response.data;
   },
 
-  // Mark booking as arrived
-  arriveBooking: async (bookingId, flightId = null) => {
+  // Mark booking (or some pieces of it) as arrived
+  arriveBooking: async (bookingId, flightId = null, pieces = null) => {
     const params = flightId ? { flightId } : {};
+    if (pieces) {
+      params.pieces = pieces;
+    }
     const response = await api.post(`/bookings/${bookingId}/arrive`, null, { params });
     return response.data;
   },
 
+  // Mark booking as delivered with proof of delivery
+  deliverBooking: async (bookingId, pod) => {
+    const response = await api.post(`/bookings/${bookingId}/deliver`, pod);
+    return response.data;
+  },
+
   // Cancel booking
   cancelBooking: async (bookingId) => {
     const response = await api.post(`/bookings/${bookingId}/cancel`);
@@ -49,5 +165,117 @@ export const bookingAPI = {
   },
 };
 
+/**
+ * Follow a booking's timeline over Server-Sent Events
+ * Uses fetch rather than EventSource so the access token goes in a header. Dropped connections
+ * are reopened with Last-Event-ID, so no entry is missed or repeated.
+ * @param {string} bookingId - Booking ID or ref_id
+ * @param {Object} options - lastEventId (number of the last timeline entry already shown),
+ *   onEvent({ index, entry, status, at_risk }), onEnd({ status }), onError(error)
+ * @returns {Function} Closes the stream
+ */
+export const streamBookingTimeline = (bookingId, { lastEventId = null, onEvent, onEnd, onError }) => {
+  const controller = new AbortController();
+  let lastId = lastEventId;
+  let retryMs = 3000;
+
+  const handleMessage = (message) => {
+    if (message.id !== null) {
+      lastId = message.id;
+    }
+    if (message.event === 'timeline') {
+      onEvent?.(JSON.parse(message.data));
+    } else if (message.event === 'end') {
+      onEnd?.(JSON.parse(message.data));
+      return true;
+    }
+    return false;
+  };
+
+  // One connection; resolves true once the stream has ended for good
+  const readStream = async () => {
+    const headers = { Accept: 'text/event-stream' };
+    const session = getSession();
+    if (session?.accessToken) {
+      headers.Authorization = `Bearer ${session.accessToken}`;
+    }
+    if (lastId !== null) {
+      headers['Last-Event-ID'] = String(lastId);
+    }
+
+    const response = await fetch(`${API_BASE_URL}/bookings/${encodeURIComponent(bookingId)}/stream`, {
+      headers,
+      signal: controller.signal,
+    });
+    if (response.status === 401) {
+      try {
+        await refreshOrLogout();
+      } catch (error) {
+        error.fatal = true;
+        throw error;
+      }
+      return false;
+    }
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      const error = new Error(body.message || `Stream failed with status ${response.status}`);
+      error.fatal = response.status < 500 && response.status !== 429;
+      throw error;
+    }
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) {
+        return false;
+      }
+      buffer += value.replace(/\r\n?/g, '\n');
+
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const message = { id: null, event: 'message', data: '' };
+        for (const line of buffer.slice(0, end).split('\n')) {
+          const colon = line.indexOf(':');
+          if (colon === 0) continue; // Comment, e.g. keep-alive
+          const field = colon === -1 ? line : line.slice(0, colon);
+          const fieldValue = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+          if (field === 'id') message.id = fieldValue;
+          else if (field === 'event') message.event = fieldValue;
+          else if (field === 'data') message.data += (message.data ? '\n' : '') + fieldValue;
+          else if (field === 'retry' && /^\d+$/.test(fieldValue)) retryMs = parseInt(fieldValue);
+        }
+        buffer = buffer.slice(end + 2);
+        if (message.data && handleMessage(message)) {
+          controller.abort();
+          return true;
+        }
+      }
+    }
+  };
+
+  const run = async () => {
+    while (!controller.signal.aborted) {
+      try {
+        if (await readStream()) {
+          return;
+        }
+      } catch (error) {
+        if (controller.signal.aborted) {
+          return;
+        }
+        onError?.(error);
+        if (error.fatal) {
+          return;
+        }
+      }
+      await new Promise(resolve => setTimeout(resolve, retryMs));
+    }
+  };
+
+  run();
+  return () => controller.abort();
+};
+
 export default api;
 